@@ -0,0 +1,44 @@
+/**
+ * Budget reservations and tier downgrades
+ */
+
+import { ModelTier } from '../types.js';
+import { BudgetExceededError, BudgetTracker, BudgetUnit, parseBudget } from '../budget-tracker.js';
+
+describe('parseBudget', () => {
+  test.each([
+    ['$5', { limit: 5, unit: BudgetUnit.USD }],
+    ['2.50 USD', { limit: 2.5, unit: BudgetUnit.USD }],
+    ['200k', { limit: 200000, unit: BudgetUnit.TOKENS }],
+    ['1.5m tokens', { limit: 1500000, unit: BudgetUnit.TOKENS }]
+  ])('%s', (value, expected) => {
+    expect(parseBudget(value)).toEqual(expected);
+  });
+
+  test('rejects other input', () => {
+    expect(() => parseBudget('five dollars')).toThrow('Invalid budget: five dollars');
+  });
+});
+
+describe('BudgetTracker', () => {
+  test('downgrades USD budgets once little remains', () => {
+    const budget = new BudgetTracker({ limit: 1, unit: BudgetUnit.USD, spentUsd: 0.9 });
+    expect(budget.reserve('PM', ModelTier.OPUS)).toMatchObject({ tier: ModelTier.SONNET, downgraded: true });
+  });
+
+  test('keeps the tier of token budgets', () => {
+    const budget = new BudgetTracker({ limit: 100000, unit: BudgetUnit.TOKENS, spentTokens: 85000, executions: 10 });
+    expect(budget.reserve('PM', ModelTier.OPUS)).toMatchObject({ tier: ModelTier.OPUS, downgraded: false });
+    expect(() => budget.reserve('ARCHITECT', ModelTier.OPUS)).toThrow(BudgetExceededError);
+  });
+
+  test('settles reservations with the usage spent', () => {
+    const budget = new BudgetTracker({ limit: 100000, unit: BudgetUnit.TOKENS });
+    const { reservationId } = budget.reserve('PM', ModelTier.OPUS);
+    expect(budget.getRemaining()).toBe(90000);
+
+    budget.settle(reservationId, { tokens: 4000, costUsd: 0.1 });
+    expect(budget.getRemaining()).toBe(96000);
+    expect(budget.estimate(ModelTier.OPUS)).toBe(4000);
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Running command gates
+ */
+
+import { execSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { GateType } from '../types.js';
+import { applyCommandChecks, getFixAgents, runCommand, runCommandGate, validateCommandGate } from '../command-gate.js';
+
+/**
+ * Check whether a process is still running (killed orphans may linger as zombies)
+ */
+const isRunning = (pid) => {
+  try {
+    return !execSync(`ps -o stat= -p ${pid}`, { encoding: 'utf-8' }).trim().startsWith('Z');
+  } catch {
+    return false;
+  }
+};
+
+describe('runCommand', () => {
+  let cwd;
+
+  beforeEach(() => {
+    cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'command-gate-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  });
+
+  test('reports the exit code and output', async () => {
+    const result = await runCommand('echo out; echo err >&2; exit 3', { cwd });
+
+    expect(result).toMatchObject({ command: 'echo out; echo err >&2; exit 3', exitCode: 3, timedOut: false });
+    expect(result.output).toBe('out\nerr\n');
+  });
+
+  test('settles on timeout and kills the processes the command started', async () => {
+    // The background sleep keeps the output pipes open after the shell is gone
+    const result = await runCommand('sleep 4 & echo $! > pid; wait', { cwd, timeoutMs: 300 });
+
+    expect(result).toMatchObject({ exitCode: null, timedOut: true });
+    expect(result.durationMs).toBeLessThan(2000);
+
+    const pid = Number(fs.readFileSync(path.join(cwd, 'pid'), 'utf-8'));
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(isRunning(pid)).toBe(false);
+  });
+});
+
+describe('runCommandGate', () => {
+  test('runs every command and fails on any failure', async () => {
+    const { passed, results } = await runCommandGate({ commands: ['exit 1', 'true'] }, { cwd: os.tmpdir() });
+
+    expect(passed).toBe(false);
+    expect(results.map(r => r.exitCode)).toEqual([1, 0]);
+  });
+});
+
+describe('getFixAgents', () => {
+  test.each([
+    [{ agents: ['DEV_FRONTEND', 'TEST'] }, ['DEV_FRONTEND']],
+    [{ agents: ['TEST', 'CQR'] }, ['TEST', 'CQR']],
+    [{ agents: ['DEV_FRONTEND'], gate: { fixAgents: ['DEV_BACKEND'] } }, ['DEV_BACKEND']]
+  ])('%j is fixed by %j', (stage, expected) => {
+    expect(getFixAgents(stage)).toEqual(expected);
+  });
+});
+
+describe('applyCommandChecks', () => {
+  test('gates development stages without a gate', () => {
+    const gate = { type: GateType.COMMAND, commands: ['npm test'] };
+    const workflow = {
+      stages: [
+        { name: 'Design', agents: ['ARCHITECT'] },
+        { name: 'Development', agents: ['DEV_FRONTEND'] },
+        { name: 'Fixes', agents: ['DEV_BACKEND'], gate: { type: GateType.APPROVAL } }
+      ]
+    };
+
+    expect(applyCommandChecks(workflow, [])).toBe(workflow);
+    expect(applyCommandChecks(workflow, ['npm test']).stages.map(s => s.gate)).toEqual([undefined, gate, { type: GateType.APPROVAL }]);
+  });
+});
+
+describe('validateCommandGate', () => {
+  test.each([
+    [{ commands: ['npm test'] }, []],
+    [{ commands: [] }, ['command gate needs a non-empty "commands" array of strings']],
+    [{ commands: ['npm test'], maxFixAttempts: -1 }, ['"maxFixAttempts" must be a non-negative integer']]
+  ])('%j', (gate, errors) => {
+    expect(validateCommandGate(gate)).toEqual(errors);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Applying agent file operations to a checkout
+ */
+
+import { execSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getGitManager } from '../../src/git/git-manager.js';
+import { FileOperationType } from '../types.js';
+import { FileOperationError, applyFileOperations, getPatchPaths } from '../file-operations.js';
+
+describe('getPatchPaths', () => {
+  test('reads paths with any prefix', () => {
+    expect(getPatchPaths([
+      '--- x/src/app.js',
+      '+++ y/src/app.js',
+      '@@ -1 +1 @@',
+      '-a',
+      '+b'
+    ].join('\n'))).toEqual(['src/app.js']);
+  });
+
+  test('includes copy targets and rename sources', () => {
+    expect(getPatchPaths([
+      'diff --git a/a.js b/b.js',
+      'similarity index 100%',
+      'copy from a.js',
+      'copy to b.js',
+      'diff --git a/c.js "b/d\\tx.js"',
+      'similarity index 100%',
+      'rename from c.js',
+      'rename to "d\\tx.js"'
+    ].join('\n')).sort()).toEqual(['b.js', 'c.js', 'd\tx.js']);
+  });
+
+  test('throws for diffs git cannot parse', () => {
+    expect(() => getPatchPaths('@@ -1 +1 @@\n-a\n+b')).toThrow(/^diff cannot be parsed/);
+  });
+});
+
+describe('applyFileOperations', () => {
+  const gitManager = getGitManager();
+  let cwd;
+  let outside;
+
+  const git = command => execSync(`git ${command}`, { cwd, encoding: 'utf-8', stdio: 'pipe' }).trim();
+  const read = file => fs.readFileSync(path.join(cwd, file), 'utf-8');
+  const apply = operations => applyFileOperations(operations, { gitManager, cwd });
+
+  beforeEach(() => {
+    cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'file-operations-'));
+    outside = fs.mkdtempSync(path.join(os.tmpdir(), 'file-operations-outside-'));
+    git('init -q -b main');
+    git('config user.name Test');
+    git('config user.email test@example.com');
+    fs.writeFileSync(path.join(cwd, 'app.js'), 'one\ntwo\n');
+    fs.writeFileSync(path.join(cwd, 'old.js'), 'old\n');
+    git('add -A');
+    git('commit -q -m Initial');
+  });
+
+  afterEach(() => {
+    fs.rmSync(cwd, { recursive: true, force: true });
+    fs.rmSync(outside, { recursive: true, force: true });
+  });
+
+  test('applies and stages every kind of operation', async () => {
+    const touched = await apply([
+      { action: FileOperationType.PATCH, diff: '--- a/app.js\n+++ b/app.js\n@@ -1,2 +1,2 @@\n one\n-two\n+three\n' },
+      { action: FileOperationType.RENAME, from: 'old.js', to: 'lib/new.js' },
+      { action: FileOperationType.CREATE, path: 'src/created.js', content: 'created\n' },
+      { action: FileOperationType.DELETE, path: 'lib/new.js' }
+    ]);
+
+    expect(touched.sort()).toEqual(['app.js', 'lib/new.js', 'old.js', 'src/created.js']);
+    expect(read('app.js')).toBe('one\nthree\n');
+    expect(fs.existsSync(path.join(cwd, 'old.js'))).toBe(false);
+    expect(git('diff --cached --name-status').split('\n').sort()).toEqual(['A\tsrc/created.js', 'D\told.js', 'M\tapp.js']);
+  });
+
+  test('rejects the whole output when an operation does not apply', async () => {
+    await expect(apply([
+      { action: FileOperationType.WRITE, path: 'new.js', content: 'new\n' },
+      { action: FileOperationType.MODIFY, path: 'missing.js', content: 'x' }
+    ])).rejects.toThrow(FileOperationError);
+
+    expect(fs.existsSync(path.join(cwd, 'new.js'))).toBe(false);
+    expect(git('status --porcelain')).toBe('');
+  });
+
+  test('restores touched paths when a later operation fails', async () => {
+    // The diff is checked against the checkout, but the write changes it first
+    await expect(apply([
+      { action: FileOperationType.WRITE, path: 'app.js', content: 'rewritten\n' },
+      { action: FileOperationType.WRITE, path: 'extra.js', content: 'extra\n' },
+      { action: FileOperationType.PATCH, diff: '--- a/app.js\n+++ b/app.js\n@@ -1,2 +1,2 @@\n one\n-two\n+three\n' }
+    ])).rejects.toThrow(/File operations failed/);
+
+    expect(read('app.js')).toBe('one\ntwo\n');
+    expect(fs.existsSync(path.join(cwd, 'extra.js'))).toBe(false);
+    expect(git('status --porcelain')).toBe('');
+  });
+
+  test('does not write through a symlink an earlier operation created', async () => {
+    await expect(apply([
+      {
+        action: FileOperationType.PATCH,
+        diff: `diff --git a/link b/link\nnew file mode 120000\n--- /dev/null\n+++ b/link\n@@ -0,0 +1 @@\n+${outside}\n\\ No newline at end of file\n`
+      },
+      { action: FileOperationType.WRITE, path: 'link/pwned.txt', content: 'pwned\n' }
+    ])).rejects.toThrow(/link\/pwned.txt leaves the checkout through a symlink/);
+
+    expect(fs.readdirSync(outside)).toEqual([]);
+    expect(fs.existsSync(path.join(cwd, 'link'))).toBe(false);
+  });
+});
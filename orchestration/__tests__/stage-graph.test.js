@@ -0,0 +1,96 @@
+/**
+ * Building and scheduling the stage graph
+ */
+
+import { GateType } from '../types.js';
+import { buildStageGraph, getDownstreamStages, getReadyStages, validateStageGraph } from '../stage-graph.js';
+
+// Design fans out to Frontend and Backend, which Release joins
+const WORKFLOW = {
+  stages: [
+    { name: 'Design', agents: ['ARCHITECT'] },
+    { name: 'Frontend', agents: ['DEV_FRONTEND'] },
+    { name: 'Backend', agents: ['DEV_BACKEND'], dependencies: ['Design'] },
+    { name: 'Release', agents: ['DEVOPS'], dependencies: ['Frontend', 'Backend'] },
+    { name: 'Docs', agents: ['DOCS'], dependencies: [] }
+  ]
+};
+
+describe('buildStageGraph', () => {
+  test('stages without dependencies depend on the previous stage', () => {
+    const graph = buildStageGraph(WORKFLOW);
+
+    expect([...graph.values()].map(node => [node.name, node.index, node.dependencies])).toEqual([
+      ['Design', 0, []],
+      ['Frontend', 1, ['Design']],
+      ['Backend', 2, ['Design']],
+      ['Release', 3, ['Frontend', 'Backend']],
+      ['Docs', 4, []]
+    ]);
+  });
+});
+
+describe('validateStageGraph', () => {
+  const validate = stages => validateStageGraph({ stages }).errors;
+
+  test('accepts a valid graph', () => {
+    expect(validateStageGraph(WORKFLOW)).toEqual({ valid: true, errors: [] });
+  });
+
+  test.each([
+    [
+      [{ name: 'Plan' }, { name: 'Plan', dependencies: [] }],
+      ['Duplicate stage name: Plan']
+    ],
+    [
+      [{ name: 'Plan', dependencies: ['Design'] }],
+      ['Stage "Plan" depends on unknown stage "Design"']
+    ],
+    [
+      [{ name: 'Plan', dependencies: ['Plan'] }],
+      ['Stage "Plan" depends on itself']
+    ],
+    [
+      [{ name: 'Plan', gate: { type: 'vote' } }],
+      ['Stage "Plan" has unknown gate type "vote"']
+    ],
+    [
+      [{ name: 'Plan', gate: { type: GateType.COMMAND, commands: [] } }],
+      ['Stage "Plan": command gate needs a non-empty "commands" array of strings']
+    ]
+  ])('%j', (stages, errors) => {
+    expect(validate(stages)).toEqual(errors);
+  });
+
+  test('reports cycles', () => {
+    expect(validate([
+      { name: 'A', dependencies: ['C'] },
+      { name: 'B' },
+      { name: 'C' }
+    ])).toEqual(['Circular stage dependency: A → C → B → A']);
+  });
+});
+
+describe('getReadyStages', () => {
+  const graph = buildStageGraph(WORKFLOW);
+  const ready = (completed, running) => getReadyStages(graph, new Set(completed), new Set(running)).map(node => node.name);
+
+  test('starts with the stages without dependencies', () => {
+    expect(ready([], [])).toEqual(['Design', 'Docs']);
+  });
+
+  test('skips running stages and waits for every dependency', () => {
+    expect(ready(['Design'], ['Docs'])).toEqual(['Frontend', 'Backend']);
+    expect(ready(['Design', 'Docs', 'Frontend'], ['Backend'])).toEqual([]);
+    expect(ready(['Design', 'Docs', 'Frontend', 'Backend'], [])).toEqual(['Release']);
+  });
+});
+
+describe('getDownstreamStages', () => {
+  test('follows dependencies transitively', () => {
+    const graph = buildStageGraph(WORKFLOW);
+
+    expect(getDownstreamStages(graph, ['Design'])).toEqual(new Set(['Frontend', 'Backend', 'Release']));
+    expect(getDownstreamStages(graph, ['Frontend', 'Docs'])).toEqual(new Set(['Release']));
+  });
+});
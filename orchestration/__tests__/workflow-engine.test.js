@@ -0,0 +1,255 @@
+/**
+ * Scheduling behaviour of the workflow engine
+ * Runs workflows against a scripted backend, without pull requests.
+ */
+
+import { execSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AgentBackend } from '../../src/claude-cli/backends/agent-backend.js';
+import { registerBackend } from '../../src/claude-cli/backends/index.js';
+import { getGitManager } from '../../src/git/git-manager.js';
+import { getAgentConfig } from '../agent-configs.js';
+import { reloadProjectConfig } from '../project-config.js';
+import { FULL_APP_GENERATION } from '../predefined-workflows.js';
+import { StageExecutionMode, WorkflowStatus } from '../types.js';
+import { getWorkflowEngine } from '../workflow-engine.js';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Answers every request with the same text and reports fixed usage
+ */
+class MeteredBackend extends AgentBackend {
+  constructor({ text }) {
+    super('metered');
+    this.text = text;
+  }
+
+  async execute() {
+    return { text: this.text, usage: { inputTokens: 1000, outputTokens: 500, costUsd: 0.01 } };
+  }
+}
+
+describe('WorkflowEngine', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'workflow-engine-'));
+    reloadProjectConfig({ cwd: dir });
+    registerBackend('metered', options => new MeteredBackend(options));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Start a workflow whose agents answer through a scripted backend
+   */
+  const run = (stages, responses, options = {}) => getWorkflowEngine().startWorkflow(
+    { id: 'TEST', name: 'Test', description: 'Test workflow', stages },
+    { projectName: 'demo' },
+    { createBranch: false, createPR: false, backend: { type: 'scripted', responses }, ...options }
+  );
+
+  const done = request => ({ success: true, summary: `${request.agentType} done`, artifacts: [] });
+
+  test('pauses for the budget after parallel siblings have settled', async () => {
+    // The estimate of one agent fits, the second reservation does not
+    const result = await run([
+      { name: 'Design', agents: ['ARCHITECT', 'UIUX'], executionMode: StageExecutionMode.PARALLEL }
+    ], async (request) => {
+      await delay(20);
+      return done(request);
+    }, { budget: '15000' });
+
+    expect(result.status).toBe(WorkflowStatus.PAUSED);
+    expect([...result.completedAgents]).toEqual(['ARCHITECT']);
+    expect(result.agentExecutions.filter(e => e.status === 'completed').map(e => e.agentType)).toEqual(['ARCHITECT']);
+  });
+
+  test('failed executions spend the usage they were charged', async () => {
+    const engine = getWorkflowEngine();
+    let failedRun = null;
+    const onFailed = ({ runId }) => {
+      failedRun = engine.getRun(runId);
+    };
+
+    engine.on('agent_failed', onFailed);
+    try {
+      await expect(run([
+        { name: 'Design', agents: ['ARCHITECT'], executionMode: StageExecutionMode.SEQUENTIAL }
+      ], null, { backend: { type: 'metered', text: 'not a structured response' }, budget: '$5' })).rejects.toThrow(/schema validation/);
+    } finally {
+      engine.off('agent_failed', onFailed);
+    }
+
+    // Every attempt re-prompts for repairs before it fails
+    const { agentExecutions, totalTokens, totalCost } = engine.sessionManager.getSession(failedRun.sessionId).metadata;
+    const calls = 1 + getAgentConfig('ARCHITECT').maxRepairAttempts;
+    expect(agentExecutions).toHaveLength(1 + getAgentConfig('ARCHITECT').maxRetries);
+    expect(agentExecutions.map(e => [e.status, e.tokensUsed])).toEqual(agentExecutions.map(() => ['failed', calls * 1500]));
+    expect(totalTokens).toBe(agentExecutions.length * calls * 1500);
+    expect(totalCost).toBeCloseTo(agentExecutions.length * calls * 0.01);
+    expect(failedRun.budget.spentTokens).toBe(totalTokens);
+  });
+
+  test('re-prompts agents with the schema errors of their output', async () => {
+    const prompts = [];
+    const result = await run([
+      { name: 'Planning', agents: ['PM'], executionMode: StageExecutionMode.SEQUENTIAL }
+    ], (request) => {
+      prompts.push(request.prompt);
+      return prompts.length === 1 ? { success: true, artifacts: [] } : done(request);
+    });
+
+    expect(result.status).toBe(WorkflowStatus.COMPLETED);
+    expect(prompts).toHaveLength(2);
+    expect(prompts[0]).not.toContain('## Output Validation Errors');
+    expect(prompts[1]).toContain('- $: missing required property "summary"');
+  });
+
+  test('lists agents re-run by a stage loop once', async () => {
+    const engine = getWorkflowEngine();
+    // Checked between iterations; the stage checkpoint rewrites the list
+    const listed = [];
+    const onIteration = ({ runId }) => {
+      listed.push([...engine.sessionManager.getSession(engine.getRun(runId).sessionId).completedAgents]);
+    };
+
+    let runs = 0;
+    engine.on('loop_iteration', onIteration);
+    try {
+      const result = await run([
+        { name: 'Testing', agents: ['TEST'], executionMode: StageExecutionMode.SEQUENTIAL, loop: { until: 'TEST.success', max: 3 } }
+      ], request => ({ ...done(request), success: ++runs === 3 }));
+      expect(result.status).toBe(WorkflowStatus.COMPLETED);
+    } finally {
+      engine.off('loop_iteration', onIteration);
+    }
+
+    expect(listed).toEqual([['TEST'], ['TEST'], ['TEST']]);
+  });
+
+  test('agent scheduling starts agents once their own dependencies are completed', async () => {
+    const events = [];
+    const result = await run(FULL_APP_GENERATION.stages.slice(0, 4), async (request) => {
+      events.push(`start ${request.agentType}`);
+      await delay(request.agentType === 'TL_FRONTEND' ? 50 : 0);
+      events.push(`end ${request.agentType}`);
+      return done(request);
+    }, { scheduling: 'agent' });
+
+    expect(result.status).toBe(WorkflowStatus.COMPLETED);
+    expect(events.indexOf('start DEV_BACKEND')).toBeGreaterThan(events.indexOf('end TL_BACKEND'));
+    expect(events.indexOf('start DEV_BACKEND')).toBeLessThan(events.indexOf('end TL_FRONTEND'));
+    expect(events.indexOf('start DEV_FRONTEND')).toBeGreaterThan(events.indexOf('end TL_FRONTEND'));
+  });
+
+  describe('on a workflow branch', () => {
+    let repo;
+
+    beforeAll(() => {
+      repo = path.join(dir, 'repo');
+      fs.mkdirSync(repo);
+      const git = command => execSync(`git ${command}`, { cwd: repo, stdio: 'pipe' });
+      git('init -q -b main');
+      git('config user.name Test');
+      git('config user.email test@example.com');
+      git('commit -q --allow-empty -m Initial');
+      getGitManager().workingDir = repo;
+    });
+
+    const design = [
+      { name: 'Design', agents: ['ARCHITECT', 'UIUX'], executionMode: StageExecutionMode.PARALLEL, dependencies: [] }
+    ];
+    const write = (request, file) => ({
+      ...done(request),
+      artifacts: [{ name: file, type: 'doc', path: file, content: `${request.agentType}\n` }]
+    });
+
+    test('agent scheduling starts dependents after the stage worktrees are merged', async () => {
+      const engine = getWorkflowEngine();
+      const tlBackendCompleted = new Promise(resolve => {
+        const onCompleted = ({ agentType }) => {
+          if (agentType === 'TL_BACKEND') {
+            engine.off('agent_completed', onCompleted);
+            resolve();
+          }
+        };
+        engine.on('agent_completed', onCompleted);
+      });
+
+      // UIUX finishes while the Backend worktrees are being merged, which
+      // schedules again
+      const seen = [];
+      const result = await run([
+        { name: 'Backend', agents: ['ARCHITECT', 'TL_BACKEND'], executionMode: StageExecutionMode.PARALLEL, dependencies: [] },
+        { name: 'Side', agents: ['UIUX'], executionMode: StageExecutionMode.SEQUENTIAL, dependencies: [] },
+        { name: 'Development', agents: ['DEV_BACKEND'], executionMode: StageExecutionMode.SEQUENTIAL, dependencies: ['Backend'] }
+      ], async (request) => {
+        switch (request.agentType) {
+          case 'ARCHITECT':
+            return write(request, 'architecture.md');
+          case 'TL_BACKEND':
+            await delay(20);
+            return write(request, 'backend.md');
+          case 'UIUX':
+            await tlBackendCompleted;
+            return done(request);
+          default:
+            seen.push(...['architecture.md', 'backend.md'].filter(file => fs.existsSync(path.join(repo, file))));
+            return done(request);
+        }
+      }, { createBranch: true, scheduling: 'agent' });
+
+      expect(result.status).toBe(WorkflowStatus.COMPLETED);
+      expect(seen).toEqual(['architecture.md', 'backend.md']);
+    });
+
+    test('releases the git lock while the conflict resolver runs', async () => {
+      const engine = getWorkflowEngine();
+      let lockFree = null;
+
+      const result = await run(design, async (request) => {
+        if (request.agentType !== 'CQR') {
+          return write(request, 'shared.md');
+        }
+        const [active] = engine.getActiveRuns();
+        lockFree = await Promise.race([engine.withGitLock(active, () => true), delay(500).then(() => false)]);
+        return {
+          ...done(request),
+          artifacts: [{ name: 'shared.md', type: 'doc', path: 'shared.md', content: 'ARCHITECT\nUIUX\n' }]
+        };
+      }, { createBranch: true });
+
+      expect(result.status).toBe(WorkflowStatus.COMPLETED);
+      expect(lockFree).toBe(true);
+      expect(execSync('git show HEAD:shared.md', { cwd: repo, encoding: 'utf-8' })).toBe('ARCHITECT\nUIUX\n');
+    });
+
+    test('removes the worktrees of a failed stage', async () => {
+      await expect(run(design, (request) => {
+        if (request.agentType === 'UIUX') {
+          throw new Error('UIUX failed');
+        }
+        return write(request, 'architecture.md');
+      }, { createBranch: true })).rejects.toThrow('UIUX failed');
+
+      expect(await getGitManager().listWorktrees()).toEqual([]);
+    });
+
+    test('reuses a sub-branch still checked out by a leftover worktree', async () => {
+      const gitManager = getGitManager();
+      const branch = `${await gitManager.getCurrentBranch()}-uiux`;
+      await gitManager.addWorktree(path.join(dir, 'leftover'), branch, await gitManager.getCurrentBranch());
+
+      const result = await run(design, request => write(request, `${request.agentType.toLowerCase()}.md`), { createBranch: true });
+
+      expect(result.status).toBe(WorkflowStatus.COMPLETED);
+      expect(await gitManager.listWorktrees()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Loading workflow files
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildStageGraph } from '../stage-graph.js';
+import { StageExecutionMode } from '../types.js';
+import { WORKFLOW_DIR, discoverWorkflows, parseWorkflowSource } from '../workflow-loader.js';
+
+const HOTFIX = `id: MOBILE_HOTFIX
+name: Mobile Hotfix
+stages:
+  - name: Fix
+    agents: [DEV_FRONTEND]
+  - name: Verify
+    agents: [TEST]
+  - name: Review
+    agents: [CQR]
+    dependencies: []
+`;
+
+describe('parseWorkflowSource', () => {
+  test('applies defaults', () => {
+    const { workflow, errors } = parseWorkflowSource(HOTFIX, 'hotfix.yml');
+
+    expect(errors).toEqual([]);
+    expect(workflow).toMatchObject({ description: '', category: 'custom', options: {}, source: path.resolve('hotfix.yml') });
+    expect(workflow.stages[0]).toEqual({ name: 'Fix', agents: ['DEV_FRONTEND'], description: '', executionMode: StageExecutionMode.SEQUENTIAL });
+  });
+
+  test('stages without dependencies depend on the previous stage', () => {
+    const { workflow } = parseWorkflowSource(HOTFIX, 'hotfix.yml');
+    const graph = buildStageGraph(workflow);
+
+    expect([...graph.values()].map(node => [node.name, node.dependencies])).toEqual([
+      ['Fix', []],
+      ['Verify', ['Fix']],
+      ['Review', []]
+    ]);
+  });
+
+  test('reads JSON files', () => {
+    const { workflow } = parseWorkflowSource(JSON.stringify({ id: 'ONE', name: 'One', stages: [{ name: 'Plan', agents: ['PM'] }] }), 'one.json');
+    expect(workflow.stages.map(s => s.name)).toEqual(['Plan']);
+  });
+
+  test('locates schema errors', () => {
+    const { workflow, errors } = parseWorkflowSource(HOTFIX.replace('agents: [TEST]', 'agents: [TESTER]'), 'hotfix.yml');
+
+    expect(workflow).toBeNull();
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatchObject({ line: 7, column: 14 });
+    expect(errors[0].message).toMatch(/^stages\[1\]\.agents\[0\]: /);
+  });
+
+  test('locates stage graph errors', () => {
+    const { errors } = parseWorkflowSource(HOTFIX.replace('dependencies: []', 'dependencies: [Deploy]'), 'hotfix.yml');
+    expect(errors).toEqual([{ message: 'Stage "Review" depends on unknown stage "Deploy"', line: 8, column: 11 }]);
+  });
+
+  test('locates JSON syntax errors', () => {
+    const { errors } = parseWorkflowSource('{\n  "id": "ONE",\n}', 'one.json');
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toMatch(/^Invalid JSON: /);
+    expect(errors[0].line).toBe(3);
+  });
+});
+
+describe('discoverWorkflows', () => {
+  let cwd;
+
+  beforeEach(() => {
+    cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'workflow-loader-'));
+    fs.mkdirSync(path.join(cwd, WORKFLOW_DIR), { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  });
+
+  test('reports files that reuse a taken ID', () => {
+    for (const name of ['a.yml', 'b.yaml', 'c.yml', 'notes.txt']) {
+      fs.writeFileSync(path.join(cwd, WORKFLOW_DIR, name), name === 'c.yml' ? HOTFIX.replace('MOBILE_HOTFIX', 'BUG_FIX') : HOTFIX);
+    }
+
+    const discovered = discoverWorkflows({ cwd, reservedIds: ['BUG_FIX'] });
+
+    expect(discovered.map(d => [path.basename(d.filePath), d.workflow?.id ?? null, d.errors.map(e => e.message)])).toEqual([
+      ['a.yml', 'MOBILE_HOTFIX', []],
+      ['b.yaml', null, ['Workflow ID "MOBILE_HOTFIX" is already defined']],
+      ['c.yml', null, ['Workflow ID "BUG_FIX" is already defined']]
+    ]);
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Path and glob checks of the write policy
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileOperationType, WritePolicyMode } from '../types.js';
+import { DEFAULT_DENY_PATTERNS, DEFAULT_MAX_FILE_SIZE, globToRegExp, normalizeWritePath, enforceWritePolicy } from '../write-policy.js';
+
+const policy = {
+  allow: [],
+  deny: [...DEFAULT_DENY_PATTERNS],
+  maxFileSize: DEFAULT_MAX_FILE_SIZE,
+  onViolation: WritePolicyMode.FAIL
+};
+
+describe('normalizeWritePath', () => {
+  test.each([
+    ['src/./app.js', 'src/app.js'],
+    ['./src/app/', 'src/app'],
+    ['src\\app.js', 'src/app.js'],
+    ['a/../b.js', 'b.js']
+  ])('normalizes %s', (file, expected) => {
+    expect(normalizeWritePath(file)).toEqual({ path: expected, reason: null });
+  });
+
+  test.each([
+    ['/etc/passwd', 'absolute paths are not allowed'],
+    ['C:/Windows/win.ini', 'absolute paths are not allowed'],
+    ['../outside.js', 'path is outside the project root'],
+    ['src/../../outside.js', 'path is outside the project root'],
+    ['.', 'path is empty'],
+    ['.git/hooks/pre-commit', 'git internals may not be written'],
+    ['.GIT/hooks/pre-commit', 'git internals may not be written'],
+    ['sub/.Git/config', 'git internals may not be written']
+  ])('refuses %s', (file, reason) => {
+    expect(normalizeWritePath(file)).toEqual({ path: null, reason });
+  });
+});
+
+describe('globToRegExp', () => {
+  test.each([
+    ['**/.env', '.env', true],
+    ['**/.env', 'app/.env', true],
+    ['**/.env', '.ENV', true],
+    ['.github/workflows/**', '.GitHub/Workflows/ci.yml', true],
+    ['src/*.js', 'src/app.js', true],
+    ['src/*.js', 'src/lib/app.js', false],
+    ['src/?.js', 'src/a.js', true],
+    ['**/*.pem', 'certs/server.PEM', true],
+    ['**/.env', 'app/.envrc', false]
+  ])('%s matches %s: %s', (glob, file, expected) => {
+    expect(globToRegExp(glob).test(file)).toBe(expected);
+  });
+});
+
+describe('enforceWritePolicy', () => {
+  let cwd;
+
+  beforeEach(() => {
+    cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'write-policy-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  });
+
+  const enforce = (operations, overrides = {}) => enforceWritePolicy(operations, { ...policy, ...overrides }, { cwd });
+  const write = (file, content = 'x') => ({ action: FileOperationType.WRITE, path: file, content });
+  const patch = diff => ({ action: FileOperationType.PATCH, diff });
+
+  test('normalizes permitted paths', () => {
+    expect(enforce([write('./src/app.js')])).toEqual({ operations: [write('src/app.js')], violations: [] });
+  });
+
+  test('refuses denied paths regardless of case', () => {
+    const { operations, violations } = enforce([write('.ENV'), write('.github/WORKFLOWS/ci.yml'), write('src/app.js')]);
+
+    expect(operations).toEqual([write('src/app.js')]);
+    expect(violations.map(v => v.path)).toEqual(['.ENV', '.github/WORKFLOWS/ci.yml']);
+  });
+
+  test('allow patterns override deny patterns', () => {
+    const { violations } = enforce([write('.github/workflows/ci.yml')], { allow: ['.github/workflows/**'] });
+    expect(violations).toEqual([]);
+  });
+
+  test('refuses oversized and binary content', () => {
+    const { violations } = enforce([write('big.txt', 'xx'), write('bin.dat', 'a\u0000b')], { maxFileSize: 1 });
+
+    expect(violations).toEqual([
+      { path: 'big.txt', reason: 'content exceeds 1 bytes' },
+      { path: 'bin.dat', reason: 'content exceeds 1 bytes' }
+    ]);
+    expect(enforce([write('bin.dat', 'a\u0000b')]).violations[0].reason).toBe('binary content is not allowed');
+  });
+
+  test('checks both sides of a rename', () => {
+    const { violations } = enforce([{ action: FileOperationType.RENAME, from: 'config.js', to: 'app/.env' }]);
+    expect(violations).toEqual([{ path: 'app/.env', reason: 'path is denied by the write policy' }]);
+  });
+
+  test('refuses paths that leave the root through a symlink', () => {
+    const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'write-policy-outside-'));
+    try {
+      fs.symlinkSync(outside, path.join(cwd, 'link'));
+      fs.symlinkSync(path.join(outside, 'missing'), path.join(cwd, 'dangling'));
+
+      const { violations } = enforce([write('link/pwned.txt'), write('dangling'), write('src/app.js')]);
+      expect(violations.map(v => v.path)).toEqual(['link/pwned.txt', 'dangling']);
+    } finally {
+      fs.rmSync(outside, { recursive: true, force: true });
+    }
+  });
+
+  describe('patches', () => {
+    test('checks the paths git writes, whatever the prefixes', () => {
+      const { violations } = enforce([patch([
+        'diff --git x/.github/workflows/ci.yml y/.github/workflows/ci.yml',
+        'new file mode 100644',
+        '--- /dev/null',
+        '+++ y/.github/workflows/ci.yml',
+        '@@ -0,0 +1 @@',
+        '+on: push'
+      ].join('\n'))]);
+
+      expect(violations).toEqual([{ path: '.github/workflows/ci.yml', reason: 'path is denied by the write policy' }]);
+    });
+
+    test('checks copy targets', () => {
+      const { violations } = enforce([patch([
+        'diff --git a/config.example b/.env',
+        'similarity index 100%',
+        'copy from config.example',
+        'copy to .env'
+      ].join('\n'))]);
+
+      expect(violations).toEqual([{ path: '.env', reason: 'path is denied by the write policy' }]);
+    });
+
+    test('checks rename sources', () => {
+      const { violations } = enforce([patch([
+        'diff --git a/.github/workflows/ci.yml b/ci.yml',
+        'similarity index 100%',
+        'rename from .github/workflows/ci.yml',
+        'rename to ci.yml'
+      ].join('\n'))]);
+
+      expect(violations).toEqual([{ path: '.github/workflows/ci.yml', reason: 'path is denied by the write policy' }]);
+    });
+
+    test('refuses symbolic links', () => {
+      const { operations, violations } = enforce([patch([
+        'diff --git a/link b/link',
+        'new file mode 120000',
+        '--- /dev/null',
+        '+++ b/link',
+        '@@ -0,0 +1 @@',
+        '+/tmp/outside',
+        '\\ No newline at end of file'
+      ].join('\n'))]);
+
+      expect(operations).toEqual([]);
+      expect(violations).toEqual([{ path: 'link', reason: 'symbolic links may not be written' }]);
+    });
+
+    test('refuses diffs git cannot parse', () => {
+      const { operations, violations } = enforce([patch('not a diff')]);
+
+      expect(operations).toEqual([]);
+      expect(violations).toHaveLength(1);
+      expect(violations[0].reason).toMatch(/^diff cannot be parsed/);
+    });
+  });
+});
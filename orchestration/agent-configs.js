@@ -4,6 +4,12 @@
  */
 
 import { AgentType, ModelTier } from './types.js';
+import {
+  AGENT_OUTPUT_SCHEMA,
+  IMPLEMENTATION_OUTPUT_SCHEMA,
+  REVIEW_OUTPUT_SCHEMA,
+  TEST_OUTPUT_SCHEMA
+} from './output-schemas.js';
 
 /**
  * Agent configuration schema
@@ -15,8 +21,15 @@ import { AgentType, ModelTier } from './types.js';
  * @property {string} defaultModel - Default Claude model tier
  * @property {string} promptFile - System prompt file name
  * @property {Object} capabilities - Agent capabilities
+ * @property {Object} outputSchema - JSON Schema the agent's JSON output must match
  * @property {number} maxRetries - Maximum retry attempts
+ * @property {number} maxRepairAttempts - Re-prompts allowed when output fails schema validation
  * @property {number} timeoutMs - Execution timeout in milliseconds
+ * @property {{allow?: string[], deny?: string[]}} [writePolicy] - Globs added to the write policy
+ *   (allow overrides default deny patterns, see orchestration/write-policy.js)
+ * @property {number} [contextBudget] - Token budget of the agent's serialized context
+ *   (see orchestration/context-budget.js)
+ * @property {string} [contextFormat] - Format of the agent's task context: xml (default), json or markdown
  */
 
 /**
@@ -49,7 +62,9 @@ export const AGENT_CONFIGS = Object.freeze({
       riskAssessment: true,
       stakeholderCommunication: true
     },
+    outputSchema: AGENT_OUTPUT_SCHEMA,
     maxRetries: 3,
+    maxRepairAttempts: 2,
     timeoutMs: 300000 // 5 minutes
   },
 
@@ -68,7 +83,9 @@ export const AGENT_CONFIGS = Object.freeze({
       scalabilityPlanning: true,
       integrationDesign: true
     },
+    outputSchema: AGENT_OUTPUT_SCHEMA,
     maxRetries: 3,
+    maxRepairAttempts: 2,
     timeoutMs: 300000
   },
 
@@ -87,7 +104,9 @@ export const AGENT_CONFIGS = Object.freeze({
       accessibilityReview: true,
       responsiveDesign: true
     },
+    outputSchema: AGENT_OUTPUT_SCHEMA,
     maxRetries: 3,
+    maxRepairAttempts: 2,
     timeoutMs: 240000 // 4 minutes
   },
 
@@ -106,7 +125,9 @@ export const AGENT_CONFIGS = Object.freeze({
       performanceOptimization: true,
       codeStandards: true
     },
+    outputSchema: AGENT_OUTPUT_SCHEMA,
     maxRetries: 3,
+    maxRepairAttempts: 2,
     timeoutMs: 240000
   },
 
@@ -125,7 +146,9 @@ export const AGENT_CONFIGS = Object.freeze({
       authenticationDesign: true,
       codeStandards: true
     },
+    outputSchema: AGENT_OUTPUT_SCHEMA,
     maxRetries: 3,
+    maxRepairAttempts: 2,
     timeoutMs: 240000
   },
 
@@ -144,7 +167,9 @@ export const AGENT_CONFIGS = Object.freeze({
       unitTesting: true,
       responsiveImplementation: true
     },
+    outputSchema: IMPLEMENTATION_OUTPUT_SCHEMA,
     maxRetries: 3,
+    maxRepairAttempts: 2,
     timeoutMs: 360000 // 6 minutes
   },
 
@@ -163,7 +188,9 @@ export const AGENT_CONFIGS = Object.freeze({
       errorHandling: true,
       unitTesting: true
     },
+    outputSchema: IMPLEMENTATION_OUTPUT_SCHEMA,
     maxRetries: 3,
+    maxRepairAttempts: 2,
     timeoutMs: 360000
   },
 
@@ -182,7 +209,9 @@ export const AGENT_CONFIGS = Object.freeze({
       testAutomation: true,
       coverageAnalysis: true
     },
+    outputSchema: TEST_OUTPUT_SCHEMA,
     maxRetries: 3,
+    maxRepairAttempts: 2,
     timeoutMs: 300000
   },
 
@@ -201,7 +230,9 @@ export const AGENT_CONFIGS = Object.freeze({
       codeSmellDetection: true,
       maintainabilityAnalysis: true
     },
+    outputSchema: REVIEW_OUTPUT_SCHEMA,
     maxRetries: 3,
+    maxRepairAttempts: 2,
     timeoutMs: 240000
   },
 
@@ -220,7 +251,9 @@ export const AGENT_CONFIGS = Object.freeze({
       complianceCheck: true,
       penetrationTestPlanning: true
     },
+    outputSchema: REVIEW_OUTPUT_SCHEMA,
     maxRetries: 3,
+    maxRepairAttempts: 2,
     timeoutMs: 300000
   },
 
@@ -239,26 +272,95 @@ export const AGENT_CONFIGS = Object.freeze({
       monitoringSetup: true,
       environmentConfiguration: true
     },
+    outputSchema: IMPLEMENTATION_OUTPUT_SCHEMA,
+    writePolicy: {
+      allow: ['.github/workflows/**']
+    },
     maxRetries: 3,
+    maxRepairAttempts: 2,
     timeoutMs: 180000 // 3 minutes
   }
 });
 
+/**
+ * Agent configurations registered at runtime (custom agents and plugins)
+ * Populated through orchestration/agent-registry.js.
+ * @type {Map<string, AgentConfig>}
+ */
+const customAgentConfigs = new Map();
+
+/**
+ * Execution settings that override agent configurations (from the project
+ * config, see orchestration/project-config.js)
+ * @type {Map<string, {timeoutMs?: number, maxRetries?: number, maxRepairAttempts?: number}>}
+ */
+const agentSettingOverrides = new Map();
+
+/**
+ * Add a custom agent configuration
+ * Built-in agent types cannot be replaced.
+ * @param {AgentConfig} config - Complete agent configuration
+ */
+export function registerAgentConfig(config) {
+  if (AGENT_CONFIGS[config.type]) {
+    throw new Error(`Cannot replace built-in agent: ${config.type}`);
+  }
+  customAgentConfigs.set(config.type, config);
+}
+
+/**
+ * Remove a custom agent configuration
+ * @param {string} agentType - Agent type
+ * @returns {boolean} - Whether the agent was registered
+ */
+export function unregisterAgentConfig(agentType) {
+  return customAgentConfigs.delete(agentType);
+}
+
+/**
+ * Check whether an agent type was registered at runtime
+ * @param {string} agentType - Agent type
+ * @returns {boolean}
+ */
+export function isCustomAgent(agentType) {
+  return customAgentConfigs.has(agentType);
+}
+
 /**
  * Get agent configuration by type
- * @param {string} agentType - Agent type enum value
+ * @param {string} agentType - Agent type enum value or custom agent type
  * @returns {AgentConfig|undefined}
  */
 export function getAgentConfig(agentType) {
-  return AGENT_CONFIGS[agentType];
+  const config = AGENT_CONFIGS[agentType] || customAgentConfigs.get(agentType);
+  const overrides = config && agentSettingOverrides.get(agentType);
+  return overrides ? { ...config, ...overrides } : config;
+}
+
+/**
+ * Override execution settings of agents
+ * Replaces previously configured overrides; settings not given keep the
+ * agent's own value.
+ * @param {Object<string, {timeoutMs?: number, maxRetries?: number, maxRepairAttempts?: number}>} settings - Settings by agent type
+ */
+export function configureAgentSettings(settings = {}) {
+  agentSettingOverrides.clear();
+  for (const [agentType, { timeoutMs, maxRetries, maxRepairAttempts }] of Object.entries(settings)) {
+    const overrides = Object.fromEntries(
+      Object.entries({ timeoutMs, maxRetries, maxRepairAttempts }).filter(([, value]) => value !== undefined)
+    );
+    if (Object.keys(overrides).length > 0) {
+      agentSettingOverrides.set(agentType, overrides);
+    }
+  }
 }
 
 /**
- * Get all agent types
+ * Get all agent types (built-in first, then custom agents)
  * @returns {string[]}
  */
 export function getAllAgentTypes() {
-  return Object.keys(AGENT_CONFIGS);
+  return [...Object.keys(AGENT_CONFIGS), ...customAgentConfigs.keys()];
 }
 
 /**
@@ -267,7 +369,7 @@ export function getAllAgentTypes() {
  * @returns {string[]}
  */
 export function getAgentDependencies(agentType) {
-  const config = AGENT_CONFIGS[agentType];
+  const config = getAgentConfig(agentType);
   return config ? config.dependencies : [];
 }
 
@@ -277,11 +379,40 @@ export function getAgentDependencies(agentType) {
  * @returns {string[]}
  */
 export function getDependentAgents(agentType) {
-  return Object.values(AGENT_CONFIGS)
+  return getAllAgentTypes()
+    .map(type => getAgentConfig(type))
     .filter(config => config.dependencies.includes(agentType))
     .map(config => config.type);
 }
 
+/**
+ * Resolve dependencies of an agent within a subset of agents
+ * Dependencies outside the subset are replaced by their own dependencies,
+ * so DEV_FRONTEND still waits for ARCHITECT in a workflow without TL_FRONTEND.
+ * @param {string} agentType - Agent type
+ * @param {string[]} agentTypes - Agent types taking part in the workflow
+ * @returns {string[]}
+ */
+export function resolveAgentDependencies(agentType, agentTypes) {
+  const resolved = new Set();
+  const visited = new Set();
+  const queue = [...getAgentDependencies(agentType)];
+
+  while (queue.length > 0) {
+    const dep = queue.shift();
+    if (visited.has(dep)) continue;
+    visited.add(dep);
+
+    if (agentTypes.includes(dep)) {
+      resolved.add(dep);
+    } else {
+      queue.push(...getAgentDependencies(dep));
+    }
+  }
+
+  return [...resolved];
+}
+
 /**
  * Topologically sort agents based on dependencies
  * @param {string[]} agentTypes - Agent types to sort
@@ -357,10 +488,15 @@ export function validateDependencies(agentTypes, completedAgents = new Set()) {
 
 export default {
   AGENT_CONFIGS,
+  registerAgentConfig,
+  unregisterAgentConfig,
+  isCustomAgent,
   getAgentConfig,
+  configureAgentSettings,
   getAllAgentTypes,
   getAgentDependencies,
   getDependentAgents,
+  resolveAgentDependencies,
   topologicalSortAgents,
   validateDependencies
 };
@@ -0,0 +1,424 @@
+/**
+ * Agent Registry - Custom agent definitions and plugins
+ *
+ * Adds agents beyond the built-in AgentType set. Definitions come from a
+ * project file (`.agentic/agents.yml`, `.yaml` or `.json`) or from plugin
+ * modules listed in that file under `plugins`:
+ *
+ *   plugins:
+ *     - agentic-plugin-store-listing   # npm package
+ *     - ./plugins/localization.js      # project-relative module
+ *   agents:
+ *     - type: LOCALIZATION
+ *       name: Localization Specialist
+ *       description: Translates UI strings and store metadata
+ *       dependencies: [DEV_FRONTEND]
+ *       defaultModel: sonnet
+ *       promptFile: localization.md
+ *
+ * A plugin module exports `agents` (an array of definitions) or a default
+ * function that receives `{ register }` and registers its definitions. Registered
+ * agents are served by getAgentConfig(), so workflows, the model selector
+ * and the prompt loader use them like built-in agents.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { parse as parseYaml } from 'yaml';
+import { ModelTier } from './types.js';
+import { ContextFormat } from '../pms/types.js';
+import {
+  getAgentConfig,
+  getAllAgentTypes,
+  isCustomAgent,
+  registerAgentConfig,
+  unregisterAgentConfig,
+  topologicalSortAgents,
+  validateDependencies
+} from './agent-configs.js';
+import {
+  AGENT_OUTPUT_SCHEMA,
+  IMPLEMENTATION_OUTPUT_SCHEMA,
+  REVIEW_OUTPUT_SCHEMA,
+  TEST_OUTPUT_SCHEMA
+} from './output-schemas.js';
+import { validateSchema } from '../src/agents/schema-validator.js';
+import { getProjectConfig } from './project-config.js';
+
+/**
+ * Project files holding custom agent definitions (first match wins)
+ */
+export const AGENT_FILES = Object.freeze([
+  path.join('.agentic', 'agents.yml'),
+  path.join('.agentic', 'agents.yaml'),
+  path.join('.agentic', 'agents.json')
+]);
+
+/**
+ * Output schemas that definitions can refer to by name
+ */
+const NAMED_OUTPUT_SCHEMAS = Object.freeze({
+  default: AGENT_OUTPUT_SCHEMA,
+  implementation: IMPLEMENTATION_OUTPUT_SCHEMA,
+  review: REVIEW_OUTPUT_SCHEMA,
+  test: TEST_OUTPUT_SCHEMA
+});
+
+/**
+ * Defaults applied to custom agent definitions
+ */
+const DEFAULT_AGENT_SETTINGS = Object.freeze({
+  defaultModel: ModelTier.SONNET,
+  maxRetries: 3,
+  maxRepairAttempts: 2,
+  timeoutMs: 240000 // 4 minutes
+});
+
+/**
+ * JSON Schema for a custom agent definition
+ */
+export const AGENT_DEFINITION_SCHEMA = Object.freeze({
+  type: 'object',
+  required: ['type', 'name'],
+  additionalProperties: false,
+  properties: {
+    type: { type: 'string', pattern: '^[A-Z][A-Z0-9_]*$' },
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    dependencies: { type: 'array', items: { type: 'string', minLength: 1 } },
+    defaultModel: { type: 'string', enum: Object.values(ModelTier) },
+    promptFile: { type: 'string', minLength: 1 },
+    capabilities: { type: ['object', 'array'] },
+    outputSchema: { type: ['string', 'object'] },
+    maxRetries: { type: 'integer', minimum: 0 },
+    maxRepairAttempts: { type: 'integer', minimum: 0 },
+    timeoutMs: { type: 'integer', minimum: 1 },
+    contextBudget: { type: 'integer', minimum: 1 },
+    contextFormat: { type: 'string', enum: Object.values(ContextFormat) },
+    writePolicy: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        allow: { type: 'array', items: { type: 'string', minLength: 1 } },
+        deny: { type: 'array', items: { type: 'string', minLength: 1 } }
+      }
+    }
+  }
+});
+
+/**
+ * @typedef {Object} AgentDefinition
+ * @property {string} type - Agent type (upper case, e.g. LOCALIZATION)
+ * @property {string} name - Human-readable name
+ * @property {string} [description] - Agent description
+ * @property {string[]} [dependencies] - Agent types this agent depends on
+ * @property {string} [defaultModel] - Default model tier (sonnet)
+ * @property {string} [promptFile] - Prompt file, relative to .prompts/agents (or to the plugin module)
+ * @property {Object|string[]} [capabilities] - Capability flags, or a list of capability names
+ * @property {Object|string} [outputSchema] - JSON Schema, or default/implementation/review/test
+ * @property {number} [maxRetries] - Maximum retry attempts
+ * @property {number} [maxRepairAttempts] - Re-prompts allowed when output fails schema validation
+ * @property {number} [timeoutMs] - Execution timeout in milliseconds
+ * @property {number} [contextBudget] - Token budget of the agent's context
+ * @property {string} [contextFormat] - Task context format: xml (default), json or markdown
+ * @property {{allow?: string[], deny?: string[]}} [writePolicy] - Globs the agent may or may not write
+ */
+
+/**
+ * AgentRegistry singleton class
+ */
+class AgentRegistry {
+  constructor() {
+    this.sources = new Map();
+    this.loads = new Map();
+  }
+
+  /**
+   * Register a custom agent
+   * @param {AgentDefinition} definition - Agent definition
+   * @param {Object} [options]
+   * @param {string} [options.source] - Where the definition came from (file or plugin)
+   * @param {string} [options.baseDir] - Directory plugin prompt files are relative to
+   * @returns {import('./agent-configs.js').AgentConfig}
+   */
+  register(definition, { source = 'api', baseDir = null } = {}) {
+    const config = this.add(definition, { source, baseDir });
+
+    const validation = this.validate();
+    if (!validation.valid) {
+      this.unregister(config.type);
+      throw new Error(`Invalid agent ${config.type}: ${validation.errors.join('; ')}`);
+    }
+
+    return config;
+  }
+
+  /**
+   * Register a custom agent without checking dependencies
+   * Used while loading a project, whose agents may depend on each other in
+   * any order; the project is validated as a whole afterwards.
+   * @param {AgentDefinition} definition
+   * @param {Object} options
+   * @param {string} options.source
+   * @param {string|null} [options.baseDir]
+   * @returns {import('./agent-configs.js').AgentConfig}
+   */
+  add(definition, { source, baseDir = null }) {
+    const config = this.createConfig(definition, { baseDir });
+    registerAgentConfig(config);
+    this.sources.set(config.type, source);
+    return config;
+  }
+
+  /**
+   * Remove a custom agent
+   * @param {string} agentType
+   * @returns {boolean}
+   */
+  unregister(agentType) {
+    this.sources.delete(agentType);
+    return unregisterAgentConfig(agentType);
+  }
+
+  /**
+   * Build an agent config from a definition
+   * @param {AgentDefinition} definition
+   * @param {Object} [options]
+   * @param {string} [options.baseDir] - Directory prompt files are relative to
+   * @returns {import('./agent-configs.js').AgentConfig}
+   */
+  createConfig(definition, { baseDir = null } = {}) {
+    const errors = validateSchema(definition, AGENT_DEFINITION_SCHEMA, 'agent');
+
+    if (errors.length === 0) {
+      if (getAgentConfig(definition.type)) {
+        errors.push(`agent type ${definition.type} is already registered`);
+      }
+      if (typeof definition.outputSchema === 'string' && !NAMED_OUTPUT_SCHEMAS[definition.outputSchema]) {
+        errors.push(`agent.outputSchema: must be one of ${Object.keys(NAMED_OUTPUT_SCHEMAS).join(', ')} or a JSON Schema object`);
+      }
+    }
+
+    if (errors.length > 0) {
+      const label = typeof definition?.type === 'string' ? ` ${definition.type}` : '';
+      throw new Error(`Invalid agent${label}: ${errors.join('; ')}`);
+    }
+
+    const promptFile = definition.promptFile || `${definition.type.toLowerCase().replace(/_/g, '-')}.md`;
+    const capabilities = Array.isArray(definition.capabilities)
+      ? Object.fromEntries(definition.capabilities.map(name => [name, true]))
+      : { ...definition.capabilities };
+
+    return Object.freeze({
+      type: definition.type,
+      name: definition.name,
+      description: definition.description || definition.name,
+      dependencies: definition.dependencies || [],
+      defaultModel: definition.defaultModel || DEFAULT_AGENT_SETTINGS.defaultModel,
+      promptFile: baseDir && definition.promptFile ? path.resolve(baseDir, promptFile) : promptFile,
+      capabilities,
+      outputSchema: typeof definition.outputSchema === 'object'
+        ? definition.outputSchema
+        : NAMED_OUTPUT_SCHEMAS[definition.outputSchema || 'default'],
+      maxRetries: definition.maxRetries ?? DEFAULT_AGENT_SETTINGS.maxRetries,
+      maxRepairAttempts: definition.maxRepairAttempts ?? DEFAULT_AGENT_SETTINGS.maxRepairAttempts,
+      timeoutMs: definition.timeoutMs ?? DEFAULT_AGENT_SETTINGS.timeoutMs,
+      contextBudget: definition.contextBudget,
+      contextFormat: definition.contextFormat,
+      writePolicy: definition.writePolicy
+    });
+  }
+
+  /**
+   * Check that every agent's dependencies exist and form a DAG
+   * @returns {{valid: boolean, errors: string[]}}
+   */
+  validate() {
+    const agentTypes = getAllAgentTypes();
+    const { missing } = validateDependencies(agentTypes);
+    const errors = missing.map(m => `unknown dependency: ${m}`);
+
+    if (errors.length === 0) {
+      try {
+        topologicalSortAgents(agentTypes);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Load custom agents and plugins of a project
+   * Loading is done once per project directory. If any definition is
+   * invalid, none of the project's agents are registered.
+   * @param {Object} [options]
+   * @param {string} [options.cwd] - Project directory (defaults to the project config's root)
+   * @returns {Promise<string[]>} - Registered agent types
+   */
+  load({ cwd = getProjectConfig().root } = {}) {
+    const key = path.resolve(cwd);
+    if (!this.loads.has(key)) {
+      this.loads.set(key, this.loadProject(key).catch(error => {
+        this.loads.delete(key);
+        throw error;
+      }));
+    }
+    return this.loads.get(key);
+  }
+
+  /**
+   * Read the project agents file and plugins
+   * @param {string} cwd - Project directory
+   * @returns {Promise<string[]>}
+   */
+  async loadProject(cwd) {
+    const filePath = AGENT_FILES.map(f => path.join(cwd, f)).find(f => fs.existsSync(f));
+    if (!filePath) {
+      return [];
+    }
+
+    const file = readAgentsFile(filePath);
+    const source = path.relative(cwd, filePath);
+    const before = new Set(getAllAgentTypes());
+
+    try {
+      for (const specifier of file.plugins) {
+        await this.loadPlugin(specifier, cwd);
+      }
+
+      for (const definition of file.agents) {
+        this.add(definition, { source });
+      }
+
+      const validation = this.validate();
+      if (!validation.valid) {
+        throw new Error(validation.errors.join('; '));
+      }
+    } catch (error) {
+      for (const type of getAllAgentTypes().filter(t => !before.has(t))) {
+        this.unregister(type);
+      }
+      throw new Error(`Cannot load agents from ${source}: ${error.message}`);
+    }
+
+    return getAllAgentTypes().filter(type => !before.has(type));
+  }
+
+  /**
+   * Load a plugin module
+   * @param {string} specifier - npm package name or project-relative path
+   * @param {string} cwd - Project directory
+   * @returns {Promise<string[]>} - Agent types registered by the plugin
+   */
+  async loadPlugin(specifier, cwd) {
+    const isPath = specifier.startsWith('.') || path.isAbsolute(specifier);
+    let modulePath;
+    try {
+      modulePath = isPath
+        ? path.resolve(cwd, specifier)
+        : createRequire(path.join(cwd, 'package.json')).resolve(specifier);
+    } catch {
+      throw new Error(`Plugin not found: ${specifier}`);
+    }
+
+    const plugin = await import(pathToFileURL(modulePath).href);
+    const baseDir = path.dirname(modulePath);
+    const before = new Set(getAllAgentTypes());
+
+    if (typeof plugin.default === 'function') {
+      await plugin.default({
+        register: (definition) => this.add(definition, { source: specifier, baseDir })
+      });
+    } else {
+      const agents = plugin.agents || plugin.default?.agents;
+      if (!Array.isArray(agents)) {
+        throw new Error(`Plugin ${specifier} must export "agents" or a default register function`);
+      }
+      for (const definition of agents) {
+        this.add(definition, { source: specifier, baseDir });
+      }
+    }
+
+    return getAllAgentTypes().filter(type => !before.has(type));
+  }
+
+  /**
+   * Get where a custom agent was defined
+   * @param {string} agentType
+   * @returns {string|null} - Agents file, plugin specifier or 'api'; null for built-in agents
+   */
+  getSource(agentType) {
+    return isCustomAgent(agentType) ? this.sources.get(agentType) || 'api' : null;
+  }
+}
+
+/**
+ * Parse a project agents file
+ * @param {string} filePath
+ * @returns {{agents: AgentDefinition[], plugins: string[]}}
+ */
+function readAgentsFile(filePath) {
+  let data;
+  try {
+    const source = fs.readFileSync(filePath, 'utf-8');
+    data = filePath.endsWith('.json') ? JSON.parse(source) : parseYaml(source);
+  } catch (error) {
+    throw new Error(`Cannot parse ${filePath}: ${error.message.split('\n')[0]}`);
+  }
+
+  const errors = validateSchema(data ?? {}, {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      agents: { type: 'array', items: { type: 'object' } },
+      plugins: { type: 'array', items: { type: 'string', minLength: 1 } }
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${filePath}: ${errors.join('; ')}`);
+  }
+
+  return {
+    agents: data?.agents || [],
+    plugins: data?.plugins || []
+  };
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get the AgentRegistry singleton instance
+ * @returns {AgentRegistry}
+ */
+export function getAgentRegistry() {
+  if (!instance) {
+    instance = new AgentRegistry();
+  }
+  return instance;
+}
+
+/**
+ * Load a project's custom agents (convenience function)
+ * @param {Object} [options]
+ * @param {string} [options.cwd]
+ * @returns {Promise<string[]>}
+ */
+export function loadCustomAgents(options) {
+  return getAgentRegistry().load(options);
+}
+
+export default {
+  AGENT_FILES,
+  AGENT_DEFINITION_SCHEMA,
+  getAgentRegistry,
+  loadCustomAgents
+};
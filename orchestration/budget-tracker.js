@@ -0,0 +1,218 @@
+/**
+ * Budget Tracker - Per-run cost and token budget enforcement
+ * Tracks actual usage of agent executions against a cap, reserves estimates
+ * for in-flight agents, and decides when to downgrade model tiers or pause.
+ */
+
+import { ModelTier } from './types.js';
+import { getModelSelector } from './model-selector.js';
+
+/**
+ * Budget units
+ * @readonly
+ * @enum {string}
+ */
+export const BudgetUnit = Object.freeze({
+  USD: 'usd',
+  TOKENS: 'tokens'
+});
+
+/**
+ * Default estimate of tokens per agent before any usage is recorded
+ */
+const DEFAULT_TOKENS_PER_AGENT = 10000;
+
+/**
+ * Remaining budget share below which tiers are downgraded
+ */
+const DEFAULT_DOWNGRADE_THRESHOLD = 0.25;
+
+/**
+ * Error raised when an agent cannot run within the remaining budget
+ */
+export class BudgetExceededError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.details = details;
+  }
+}
+
+/**
+ * Parse a budget string
+ * "$5", "5usd" and "2.50 USD" are dollar budgets; "200000", "200k" and
+ * "1.5m tokens" are token budgets.
+ * @param {string} value
+ * @returns {{limit: number, unit: string}}
+ */
+export function parseBudget(value) {
+  const input = String(value).trim().toLowerCase();
+
+  const usdMatch = input.match(/^\$\s*(\d+(?:\.\d+)?)$/) || input.match(/^(\d+(?:\.\d+)?)\s*usd$/);
+  if (usdMatch) {
+    return { limit: parseFloat(usdMatch[1]), unit: BudgetUnit.USD };
+  }
+
+  const tokenMatch = input.match(/^(\d+(?:\.\d+)?)\s*([km])?\s*(?:tokens?)?$/);
+  if (tokenMatch) {
+    const multiplier = { k: 1000, m: 1000000 }[tokenMatch[2]] || 1;
+    return { limit: Math.round(parseFloat(tokenMatch[1]) * multiplier), unit: BudgetUnit.TOKENS };
+  }
+
+  throw new Error(`Invalid budget: ${value} (use e.g. "$5", "5usd", "200k" or "200000tokens")`);
+}
+
+/**
+ * BudgetTracker class
+ * One instance per workflow run
+ */
+export class BudgetTracker {
+  /**
+   * @param {Object} params
+   * @param {number} params.limit - Budget cap
+   * @param {string} params.unit - BudgetUnit value
+   * @param {number} [params.spentUsd] - USD already spent (on resume)
+   * @param {number} [params.spentTokens] - Tokens already spent (on resume)
+   * @param {number} [params.executions] - Executions already recorded (on resume)
+   * @param {number} [params.downgradeThreshold] - Remaining share that triggers downgrades
+   */
+  constructor({
+    limit,
+    unit,
+    spentUsd = 0,
+    spentTokens = 0,
+    executions = 0,
+    downgradeThreshold = DEFAULT_DOWNGRADE_THRESHOLD
+  }) {
+    this.limit = limit;
+    this.unit = unit;
+    this.spentUsd = spentUsd;
+    this.spentTokens = spentTokens;
+    this.executions = executions;
+    this.downgradeThreshold = downgradeThreshold;
+    this.reservations = new Map();
+    this.nextReservationId = 1;
+  }
+
+  /**
+   * Amount spent in the budget unit
+   * @returns {number}
+   */
+  getSpent() {
+    return this.unit === BudgetUnit.USD ? this.spentUsd : this.spentTokens;
+  }
+
+  /**
+   * Amount still available, excluding reservations of in-flight agents
+   * @returns {number}
+   */
+  getRemaining() {
+    const reserved = [...this.reservations.values()].reduce((sum, r) => sum + r.amount, 0);
+    return this.limit - this.getSpent() - reserved;
+  }
+
+  /**
+   * Estimate the cost of one agent execution in the budget unit
+   * Uses the average recorded usage, or DEFAULT_TOKENS_PER_AGENT.
+   * @param {string} tier - Model tier
+   * @returns {number}
+   */
+  estimate(tier) {
+    const tokens = this.executions > 0
+      ? this.spentTokens / this.executions
+      : DEFAULT_TOKENS_PER_AGENT;
+
+    if (this.unit === BudgetUnit.TOKENS) {
+      return tokens;
+    }
+    return getModelSelector().calculateCost(tier, { totalTokens: tokens });
+  }
+
+  /**
+   * Choose a tier that fits the remaining budget and reserve its estimate
+   * Downgrades once when the remaining share drops below the threshold, and
+   * further while the estimate does not fit. Token budgets never downgrade,
+   * as cheaper tiers do not use fewer tokens.
+   * @param {string} agentType - Agent type (for error details)
+   * @param {string} tier - Preferred model tier
+   * @returns {{tier: string, reservationId: number, downgraded: boolean}}
+   * @throws {BudgetExceededError} - When even the cheapest tier does not fit
+   */
+  reserve(agentType, tier) {
+    const selector = getModelSelector();
+    const remaining = this.getRemaining();
+    let selected = tier;
+
+    if (this.unit === BudgetUnit.USD) {
+      if (remaining < this.limit * this.downgradeThreshold) {
+        selected = selector.downgrade(selected);
+      }
+
+      while (this.estimate(selected) > remaining && selected !== ModelTier.HAIKU) {
+        selected = selector.downgrade(selected);
+      }
+    }
+
+    const amount = this.estimate(selected);
+    if (amount > remaining) {
+      throw new BudgetExceededError(
+        `Budget exhausted: ${agentType} needs ~${this.format(amount)}, ${this.format(Math.max(remaining, 0))} remaining of ${this.format(this.limit)}`,
+        { agentType, estimate: amount, remaining, limit: this.limit, unit: this.unit }
+      );
+    }
+
+    const reservationId = this.nextReservationId++;
+    this.reservations.set(reservationId, { agentType, amount });
+
+    return { tier: selected, reservationId, downgraded: selected !== tier };
+  }
+
+  /**
+   * Release a reservation and record actual usage
+   * @param {number} reservationId
+   * @param {{tokens: number, costUsd: number}} [spent] - Actual usage (omit when nothing was spent)
+   */
+  settle(reservationId, spent = null) {
+    this.reservations.delete(reservationId);
+
+    if (!spent) {
+      return;
+    }
+
+    this.spentTokens += spent.tokens || 0;
+    this.spentUsd += spent.costUsd || 0;
+    this.executions++;
+  }
+
+  /**
+   * Format an amount in the budget unit
+   * @param {number} amount
+   * @returns {string}
+   */
+  format(amount) {
+    return this.unit === BudgetUnit.USD
+      ? `$${amount.toFixed(4)}`
+      : `${Math.round(amount).toLocaleString()} tokens`;
+  }
+
+  /**
+   * Serializable budget state
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      limit: this.limit,
+      unit: this.unit,
+      spentUsd: this.spentUsd,
+      spentTokens: this.spentTokens,
+      remaining: this.getRemaining()
+    };
+  }
+}
+
+export default {
+  BudgetUnit,
+  BudgetTracker,
+  BudgetExceededError,
+  parseBudget
+};
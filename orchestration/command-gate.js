@@ -0,0 +1,184 @@
+/**
+ * Command Gate - Runs build/test/lint commands as a stage quality gate
+ * Results are logged to the session; failures are fed back to the
+ * responsible DEV agents for fix iterations by the WorkflowEngine.
+ */
+
+import { spawn } from 'child_process';
+import { GateType } from './types.js';
+
+/**
+ * Default number of fix iterations before the gate fails the stage
+ */
+export const DEFAULT_MAX_FIX_ATTEMPTS = 2;
+
+/**
+ * Default timeout per command (10 minutes)
+ */
+const DEFAULT_COMMAND_TIMEOUT_MS = 600000;
+
+/**
+ * Output kept per command (tail), for logs and fix prompts
+ */
+const MAX_OUTPUT_CHARS = 8000;
+
+/**
+ * @typedef {Object} CommandResult
+ * @property {string} command - Shell command
+ * @property {number|null} exitCode - Exit code (null if killed)
+ * @property {boolean} timedOut - Whether the command hit the timeout
+ * @property {string} output - Combined stdout/stderr (tail)
+ * @property {number} durationMs - Wall-clock duration
+ */
+
+/**
+ * Run a single shell command
+ * The command runs in its own process group, which is killed as a whole on
+ * timeout; the result is settled right away, as processes the shell started
+ * may hold on to its output.
+ * @param {string} command - Shell command
+ * @param {Object} options
+ * @param {string} options.cwd - Working directory
+ * @param {number} [options.timeoutMs] - Timeout in milliseconds
+ * @returns {Promise<CommandResult>}
+ */
+export function runCommand(command, { cwd, timeoutMs = DEFAULT_COMMAND_TIMEOUT_MS }) {
+  return new Promise((resolve) => {
+    const startTime = Date.now();
+    let output = '';
+    let timedOut = false;
+    let settled = false;
+
+    const child = spawn(command, {
+      cwd,
+      shell: true,
+      detached: true,
+      env: { ...process.env, CI: process.env.CI || '1' },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    const append = (data) => {
+      output += data.toString();
+      if (output.length > MAX_OUTPUT_CHARS * 2) {
+        output = output.slice(-MAX_OUTPUT_CHARS);
+      }
+    };
+
+    child.stdout.on('data', append);
+    child.stderr.on('data', append);
+
+    const timeoutId = setTimeout(() => {
+      timedOut = true;
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch {
+        child.kill('SIGKILL');
+      }
+      finish(null);
+    }, timeoutMs);
+
+    const finish = (exitCode, extra = '') => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timeoutId);
+      const text = (output + extra).slice(-MAX_OUTPUT_CHARS);
+      resolve({
+        command,
+        exitCode,
+        timedOut,
+        output: text,
+        durationMs: Date.now() - startTime
+      });
+    };
+
+    child.on('close', (code) => finish(timedOut ? null : code));
+    child.on('error', (error) => finish(null, `\n${error.message}`));
+  });
+}
+
+/**
+ * Run all commands of a command gate
+ * Commands run in order; later commands still run after a failure so the
+ * fix prompt sees every problem at once.
+ * @param {Object} gate - Gate definition ({ type: 'command', commands, timeoutMs })
+ * @param {Object} options
+ * @param {string} options.cwd - Working directory (the workflow branch's working tree)
+ * @returns {Promise<{passed: boolean, results: CommandResult[]}>}
+ */
+export async function runCommandGate(gate, { cwd }) {
+  const results = [];
+
+  for (const command of gate.commands || []) {
+    results.push(await runCommand(command, { cwd, timeoutMs: gate.timeoutMs }));
+  }
+
+  return {
+    passed: results.every(r => r.exitCode === 0),
+    results
+  };
+}
+
+/**
+ * Get the agents that fix a failing command gate
+ * Defaults to the DEV agents of the stage, or all of its agents if it has none.
+ * @param {Object} stage - Stage definition
+ * @returns {string[]}
+ */
+export function getFixAgents(stage) {
+  if (Array.isArray(stage.gate?.fixAgents)) {
+    return stage.gate.fixAgents;
+  }
+  const devAgents = stage.agents.filter(a => a.startsWith('DEV_'));
+  return devAgents.length > 0 ? devAgents : stage.agents;
+}
+
+/**
+ * Add a command gate to every development stage of a workflow
+ * Used for checks given on the command line (`run --check`); stages that
+ * already declare a gate keep it.
+ * @param {Object} workflowDef - Workflow definition
+ * @param {string[]} [commands] - Shell commands
+ * @returns {Object} - Workflow definition (a copy when gates were added)
+ */
+export function applyCommandChecks(workflowDef, commands) {
+  if (!commands?.length) {
+    return workflowDef;
+  }
+
+  return {
+    ...workflowDef,
+    stages: workflowDef.stages.map(stage =>
+      !stage.gate && stage.agents.some(a => a.startsWith('DEV_'))
+        ? { ...stage, gate: { type: GateType.COMMAND, commands } }
+        : stage
+    )
+  };
+}
+
+/**
+ * Validate a command gate definition
+ * @param {Object} gate
+ * @returns {string[]} - Errors
+ */
+export function validateCommandGate(gate) {
+  const errors = [];
+  if (!Array.isArray(gate.commands) || gate.commands.length === 0 ||
+      gate.commands.some(c => typeof c !== 'string' || !c.trim())) {
+    errors.push('command gate needs a non-empty "commands" array of strings');
+  }
+  if (gate.maxFixAttempts !== undefined && !(Number.isInteger(gate.maxFixAttempts) && gate.maxFixAttempts >= 0)) {
+    errors.push('"maxFixAttempts" must be a non-negative integer');
+  }
+  return errors;
+}
+
+export default {
+  DEFAULT_MAX_FIX_ATTEMPTS,
+  runCommand,
+  runCommandGate,
+  getFixAgents,
+  applyCommandChecks,
+  validateCommandGate
+};
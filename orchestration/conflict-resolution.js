@@ -0,0 +1,140 @@
+/**
+ * Conflict Resolution - Validates agent resolutions of git merge conflicts
+ * When merging agent branches or rebasing the workflow branch conflicts, the
+ * WorkflowEngine hands base/ours/theirs of each conflicted file to a resolver
+ * agent; resolutions are checked here before they are staged and committed.
+ */
+
+import { AgentType } from './types.js';
+import { IMPLEMENTATION_OUTPUT_SCHEMA } from './output-schemas.js';
+
+/**
+ * Agent that resolves conflicts unless the workflow names another one
+ */
+export const DEFAULT_CONFLICT_RESOLVER = AgentType.CQR;
+
+/**
+ * Output contract for resolutions, whatever the resolver's usual schema
+ */
+export const CONFLICT_RESOLUTION_OUTPUT_SCHEMA = IMPLEMENTATION_OUTPUT_SCHEMA;
+
+/**
+ * Default number of resolver attempts before the session is paused
+ */
+export const DEFAULT_MAX_RESOLUTION_ATTEMPTS = 2;
+
+/**
+ * Conflict marker lines left by git (including diff3-style base markers)
+ */
+const CONFLICT_MARKER_PATTERN = /^(?:<{7}|>{7}|\|{7})(?: |$)|^={7}$/m;
+
+/**
+ * @typedef {Object} ConflictFile
+ * @property {string} path - Path relative to the repository root
+ * @property {string|null} base - Common ancestor version (null if added on both sides)
+ * @property {string|null} ours - Version on the branch being merged into (null if deleted)
+ * @property {string|null} theirs - Version on the branch being merged (null if deleted)
+ * @property {string} merged - Working tree content with conflict markers
+ */
+
+/**
+ * @typedef {Object} MergeConflict
+ * @property {string} operation - 'merge' or 'rebase'
+ * @property {string|null} branch - Branch being merged or rebased ("theirs")
+ * @property {string|null} into - Branch merged into or rebased onto ("ours")
+ * @property {string|null} stageName - Stage whose merge conflicted, if any
+ * @property {ConflictFile[]} files - Conflicted files
+ * @property {number} [attempt] - Resolution attempt (1-based)
+ * @property {string[]} [errors] - Problems with the previous attempt's resolution
+ */
+
+/**
+ * Error raised when a conflict could not be resolved automatically
+ * The merge or rebase has been aborted; the session is paused so a human can
+ * resolve the conflict and resume.
+ */
+export class UnresolvedConflictError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - { operation, branch, into, stageName, files, resolver, errors }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'UnresolvedConflictError';
+    this.details = details;
+  }
+}
+
+/**
+ * Check if content still contains conflict markers
+ * @param {string} content
+ * @returns {boolean}
+ */
+export function hasConflictMarkers(content) {
+  return CONFLICT_MARKER_PATTERN.test(content);
+}
+
+/**
+ * Get the resolver agent and attempt limit for a run
+ * Run options (from the CLI) take precedence over workflow options.
+ * @param {Object} workflowDef - Workflow definition
+ * @param {Object} [options] - Run options
+ * @returns {{agentType: string, maxAttempts: number}}
+ */
+export function getConflictResolution(workflowDef, options = {}) {
+  return {
+    agentType: options.conflictResolver || workflowDef.options?.conflictResolver || DEFAULT_CONFLICT_RESOLVER,
+    maxAttempts: options.maxResolutionAttempts ??
+      workflowDef.options?.maxResolutionAttempts ??
+      DEFAULT_MAX_RESOLUTION_ATTEMPTS
+  };
+}
+
+/**
+ * Check a resolver's output against a conflict
+ * Every conflicted file needs an artifact with its full resolved content and
+ * no remaining conflict markers. Artifacts for other paths are ignored.
+ * @param {MergeConflict} conflict
+ * @param {Object} output - Parsed agent output
+ * @returns {{files: Array<{path: string, content: string}>, errors: string[]}}
+ */
+export function validateResolution(conflict, output) {
+  const files = [];
+  const errors = [];
+
+  for (const { path } of conflict.files) {
+    const artifact = [...(output.artifacts || [])].reverse().find(a => a.path === path);
+
+    if (!artifact || typeof artifact.content !== 'string') {
+      errors.push(`${path}: no resolved content returned`);
+    } else if (hasConflictMarkers(artifact.content)) {
+      errors.push(`${path}: conflict markers remain`);
+    } else {
+      files.push({ path, content: artifact.content });
+    }
+  }
+
+  return { files, errors };
+}
+
+/**
+ * Check whether two conflicts are over the same file versions
+ * @param {MergeConflict} a
+ * @param {MergeConflict} b
+ * @returns {boolean}
+ */
+export function isSameConflict(a, b) {
+  const versions = conflict => JSON.stringify(conflict.files.map(({ path, base, ours, theirs }) => [path, base, ours, theirs]));
+  return versions(a) === versions(b);
+}
+
+export default {
+  DEFAULT_CONFLICT_RESOLVER,
+  CONFLICT_RESOLUTION_OUTPUT_SCHEMA,
+  DEFAULT_MAX_RESOLUTION_ATTEMPTS,
+  UnresolvedConflictError,
+  hasConflictMarkers,
+  getConflictResolution,
+  validateResolution,
+  isSameConflict
+};
@@ -0,0 +1,82 @@
+/**
+ * Context Budget - Token budgets for the context handed to each agent
+ * The run context accumulates every agent's output, so late agents (DOE, SR)
+ * would receive the whole project. The ContextSerializer fits the context
+ * into the agent's budget; this module resolves the budget and builds the
+ * prompt for the optional cheap-tier summarization pass.
+ */
+
+import { ModelTier } from './types.js';
+import { getAgentConfig } from './agent-configs.js';
+
+/**
+ * Default context budget per agent, in estimated tokens
+ */
+export const DEFAULT_CONTEXT_BUDGET = 50000;
+
+/**
+ * Model tier of the summarization pass
+ */
+export const SUMMARY_MODEL = ModelTier.HAIKU;
+
+/**
+ * Maximum length of a summary, in words
+ */
+const SUMMARY_MAX_WORDS = 300;
+
+/**
+ * @typedef {Object} ContextBudget
+ * @property {number} maxTokens - Token budget of the serialized context
+ * @property {boolean} summarize - Summarize outputs when references are not enough
+ */
+
+/**
+ * Get the context budget of an agent
+ * Per-agent settings win over general ones: run options, then workflow
+ * options (`contextBudget.agents`), then the agent config's `contextBudget`,
+ * then the run's and the workflow's `contextBudget.maxTokens`.
+ * @param {string} agentType
+ * @param {Object} workflowDef - Workflow definition
+ * @param {Object} [options] - Run options
+ * @returns {ContextBudget}
+ */
+export function getContextBudget(agentType, workflowDef, options = {}) {
+  const workflowBudget = workflowDef.options?.contextBudget || {};
+  const runBudget = options.contextBudget || {};
+
+  return {
+    maxTokens: runBudget.agents?.[agentType] ??
+      workflowBudget.agents?.[agentType] ??
+      getAgentConfig(agentType)?.contextBudget ??
+      runBudget.maxTokens ??
+      workflowBudget.maxTokens ??
+      DEFAULT_CONTEXT_BUDGET,
+    summarize: runBudget.summarize ?? workflowBudget.summarize ?? false
+  };
+}
+
+/**
+ * Build the prompt that summarizes an agent output for another agent
+ * @param {string} sourceAgent - Agent that produced the output
+ * @param {string} targetAgent - Agent the summary is for
+ * @param {Object} output - Agent output
+ * @returns {string}
+ */
+export function buildSummaryPrompt(sourceAgent, targetAgent, output) {
+  return [
+    `Summarize the output of the ${sourceAgent} agent for the ${targetAgent} agent, which works on the same project.`,
+    `Keep decisions, interfaces, file paths, names and open issues; leave out code and boilerplate.`,
+    `Answer with the summary only, as plain text of at most ${SUMMARY_MAX_WORDS} words.`,
+    '',
+    '```json',
+    JSON.stringify(output, null, 2),
+    '```'
+  ].join('\n');
+}
+
+export default {
+  DEFAULT_CONTEXT_BUDGET,
+  SUMMARY_MODEL,
+  getContextBudget,
+  buildSummaryPrompt
+};
@@ -0,0 +1,324 @@
+/**
+ * File Operations - Applies agent changes to a checkout
+ * Agents return whole files as artifacts and change existing code through
+ * explicit operations (modify, delete, rename) or unified diffs. All of an
+ * output's operations are checked before any is applied; if one does not
+ * apply cleanly, the output is rejected as a whole.
+ */
+
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { FileOperationType } from './types.js';
+
+/**
+ * Error raised when an agent's file operations do not apply cleanly
+ */
+export class FileOperationError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - { errors }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'FileOperationError';
+    this.details = details;
+  }
+}
+
+/**
+ * Collect the file operations of an agent output
+ * Explicit operations run first, in order; artifacts with a path and content
+ * are written afterwards and so win over earlier operations on the same file.
+ * @param {Object} output - Parsed agent output
+ * @returns {import('./types.js').FileOperation[]}
+ */
+export function collectFileOperations(output) {
+  const writes = (output.artifacts || [])
+    .filter(a => a.path && a.content)
+    .map(a => ({ action: FileOperationType.WRITE, path: a.path, content: a.content }));
+
+  return [...(output.operations || []), ...writes];
+}
+
+/**
+ * Unquote a path git wrote in C-style quotes (e.g. `"a\tb"`)
+ * @param {string} name - Path from a diff header
+ * @returns {string}
+ */
+export function unquoteGitPath(name) {
+  if (!name.startsWith('"')) {
+    return name;
+  }
+
+  const escapes = { a: '\x07', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v' };
+  const body = name.slice(1, name.lastIndexOf('"'));
+  const bytes = [];
+
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] !== '\\') {
+      const char = String.fromCodePoint(body.codePointAt(i));
+      bytes.push(...Buffer.from(char));
+      i += char.length - 1;
+    } else if (/[0-7]/.test(body[i + 1])) {
+      bytes.push(parseInt(body.slice(i + 1, i + 4), 8));
+      i += 3;
+    } else {
+      bytes.push(...Buffer.from(escapes[body[i + 1]] ?? body[i + 1]));
+      i += 1;
+    }
+  }
+
+  return Buffer.from(bytes).toString('utf-8');
+}
+
+/**
+ * Get the paths a unified diff touches
+ * The paths are the ones `git apply` reports it would write, so they hold
+ * whatever prefixes the diff uses and include copy and rename targets.
+ * Rename sources, which git does not report, are read from the headers.
+ * @param {string} diff - Unified diff
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Checkout the diff applies to
+ * @returns {string[]}
+ * @throws {Error} - If git cannot parse the diff
+ */
+export function getPatchPaths(diff, { cwd } = {}) {
+  let numstat;
+  try {
+    numstat = execFileSync('git', ['apply', '--recount', '--numstat', '-z', '-'], {
+      cwd,
+      input: diff.endsWith('\n') ? diff : `${diff}\n`,
+      encoding: 'utf-8',
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+  } catch (error) {
+    throw new Error(`diff cannot be parsed: ${String(error.stderr || error.message).trim()}`);
+  }
+
+  // Entries are "added<TAB>deleted<TAB>path", each terminated by NUL
+  const paths = numstat.split('\0').filter(Boolean).map(entry => entry.split('\t').slice(2).join('\t'));
+  const sources = [...diff.matchAll(/^rename from (.+?)\r?$/gm)].map(match => unquoteGitPath(match[1]));
+
+  return [...new Set([...paths, ...sources])];
+}
+
+/**
+ * Check if a diff creates a symbolic link or turns a file into one
+ * @param {string} diff - Unified diff
+ * @returns {boolean}
+ */
+export function hasSymlinkMode(diff) {
+  return /^(?:new file mode|new mode|index [0-9a-f]+\.\.[0-9a-f]+) 120000\s*$/m.test(diff);
+}
+
+/**
+ * Check if a path is a symbolic link (dangling or not)
+ * @param {string} file - Absolute path
+ * @returns {boolean}
+ */
+function isSymlink(file) {
+  try {
+    return fs.lstatSync(file).isSymbolicLink();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check that a path does not leave the checkout through a symlink
+ * The path, or its nearest existing ancestor, must resolve inside the
+ * checkout; a dangling symlink on the way counts as leaving it.
+ * @param {string} file - Normalized relative path
+ * @param {string} cwd - Checkout root
+ * @returns {boolean}
+ */
+export function isInsideCheckout(file, cwd) {
+  const root = fs.realpathSync(cwd);
+  let existing = path.join(cwd, file);
+
+  while (!fs.existsSync(existing)) {
+    if (isSymlink(existing)) {
+      return false;
+    }
+    existing = path.dirname(existing);
+  }
+
+  const resolved = fs.realpathSync(existing);
+  return resolved === root || resolved.startsWith(`${root}${path.sep}`);
+}
+
+/**
+ * Get the paths an operation touches
+ * @param {import('./types.js').FileOperation} operation
+ * @param {string} cwd - Checkout the operation applies to
+ * @returns {string[]}
+ */
+function getOperationPaths(operation, cwd) {
+  switch (operation.action) {
+    case FileOperationType.RENAME:
+      return [operation.from, operation.to];
+    case FileOperationType.PATCH:
+      return getPatchPaths(operation.diff, { cwd });
+    default:
+      return [operation.path];
+  }
+}
+
+/**
+ * Check file operations without applying them
+ * Operations are checked in order against the checkout as the previous
+ * operations leave it; diffs are checked with `git apply --check` against the
+ * checkout itself, so a diff must not build on an earlier operation.
+ * @param {import('./types.js').FileOperation[]} operations
+ * @param {Object} options
+ * @param {Object} options.gitManager - GitManager instance
+ * @param {string} options.cwd - Checkout the operations apply to
+ * @returns {Promise<string[]>} - Errors, one per failing operation
+ */
+export async function checkFileOperations(operations, { gitManager, cwd }) {
+  const errors = [];
+  const exists = new Map();
+  const fileExists = (file) => exists.has(file) ? exists.get(file) : fs.existsSync(path.join(cwd, file));
+
+  for (const [index, operation] of operations.entries()) {
+    const label = `operations[${index}] (${operation.action})`;
+    const required = {
+      [FileOperationType.WRITE]: ['path', 'content'],
+      [FileOperationType.CREATE]: ['path', 'content'],
+      [FileOperationType.MODIFY]: ['path', 'content'],
+      [FileOperationType.DELETE]: ['path'],
+      [FileOperationType.RENAME]: ['from', 'to'],
+      [FileOperationType.PATCH]: ['diff']
+    }[operation.action];
+
+    if (!required) {
+      errors.push(`${label}: unknown action`);
+      continue;
+    }
+
+    const missing = required.filter(field => typeof operation[field] !== 'string');
+    if (missing.length > 0) {
+      errors.push(`${label}: missing ${missing.join(', ')}`);
+      continue;
+    }
+
+    switch (operation.action) {
+      case FileOperationType.CREATE:
+        if (fileExists(operation.path)) {
+          errors.push(`${label}: ${operation.path} already exists`);
+        }
+        break;
+      case FileOperationType.MODIFY:
+      case FileOperationType.DELETE:
+        if (!fileExists(operation.path)) {
+          errors.push(`${label}: ${operation.path} does not exist`);
+        }
+        break;
+      case FileOperationType.RENAME:
+        if (!fileExists(operation.from)) {
+          errors.push(`${label}: ${operation.from} does not exist`);
+        } else if (fileExists(operation.to)) {
+          errors.push(`${label}: ${operation.to} already exists`);
+        }
+        break;
+      case FileOperationType.PATCH: {
+        const reason = await gitManager.checkPatch(operation.diff, { cwd });
+        if (reason) {
+          errors.push(`${label}: ${reason}`);
+        }
+        break;
+      }
+    }
+
+    if (operation.action === FileOperationType.DELETE) {
+      exists.set(operation.path, false);
+    } else if (operation.action === FileOperationType.RENAME) {
+      exists.set(operation.from, false);
+      exists.set(operation.to, true);
+    } else if (operation.action !== FileOperationType.PATCH) {
+      exists.set(operation.path, true);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Write a file, creating its directory
+ * @param {string} cwd - Checkout
+ * @param {string} file - Path relative to the checkout
+ * @param {string} content
+ */
+function writeFile(cwd, file, content) {
+  const filePath = path.join(cwd, file);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+/**
+ * Check and apply file operations, staging the result
+ * Renames are staged as delete + add, which git records as a rename. Right
+ * before each operation its paths are checked to stay inside the checkout,
+ * as an earlier operation may have changed the directories on the way. If an
+ * operation fails despite the check, every touched path is restored.
+ * @param {import('./types.js').FileOperation[]} operations
+ * @param {Object} options
+ * @param {Object} options.gitManager - GitManager instance
+ * @param {string} options.cwd - Checkout to apply to
+ * @returns {Promise<string[]>} - Touched paths
+ * @throws {FileOperationError} - If an operation does not apply cleanly
+ */
+export async function applyFileOperations(operations, { gitManager, cwd }) {
+  const errors = await checkFileOperations(operations, { gitManager, cwd });
+  if (errors.length > 0) {
+    throw new FileOperationError(`File operations do not apply: ${errors.join('; ')}`, { errors });
+  }
+
+  const touched = [...new Set(operations.flatMap(operation => getOperationPaths(operation, cwd)))];
+
+  try {
+    for (const operation of operations) {
+      const outside = getOperationPaths(operation, cwd).find(file => !isInsideCheckout(file, cwd));
+      if (outside) {
+        throw new Error(`${outside} leaves the checkout through a symlink`);
+      }
+
+      switch (operation.action) {
+        case FileOperationType.DELETE:
+          fs.rmSync(path.join(cwd, operation.path), { force: true });
+          break;
+        case FileOperationType.RENAME:
+          fs.mkdirSync(path.dirname(path.join(cwd, operation.to)), { recursive: true });
+          fs.renameSync(path.join(cwd, operation.from), path.join(cwd, operation.to));
+          if (typeof operation.content === 'string') {
+            writeFile(cwd, operation.to, operation.content);
+          }
+          break;
+        case FileOperationType.PATCH:
+          await gitManager.applyPatch(operation.diff, { cwd });
+          break;
+        default:
+          writeFile(cwd, operation.path, operation.content);
+      }
+    }
+
+    await gitManager.stagePaths(touched, { cwd });
+  } catch (error) {
+    await gitManager.restorePaths(touched, { cwd });
+    throw new FileOperationError(`File operations failed: ${error.message}`, { errors: [error.message] });
+  }
+
+  return touched;
+}
+
+export default {
+  FileOperationError,
+  collectFileOperations,
+  unquoteGitPath,
+  getPatchPaths,
+  hasSymlinkMode,
+  isInsideCheckout,
+  checkFileOperations,
+  applyFileOperations
+};
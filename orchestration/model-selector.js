@@ -44,11 +44,27 @@ const COST_MULTIPLIERS = Object.freeze({
   [ModelTier.OPUS]: 15
 });
 
+/**
+ * Default price table in USD per million tokens
+ * Cache reads and writes are priced relative to input tokens.
+ */
+const DEFAULT_PRICING = Object.freeze({
+  [ModelTier.HAIKU]: { input: 0.25, output: 1.25, cacheRead: 0.03, cacheWrite: 0.3 },
+  [ModelTier.SONNET]: { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  [ModelTier.OPUS]: { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 }
+});
+
+/**
+ * Share of input tokens assumed when only a total is known
+ */
+const ESTIMATED_INPUT_RATIO = 0.7;
+
 /**
  * @typedef {Object} ModelSelectorOptions
  * @property {string} [maxTier] - Maximum allowed tier (constraint from CLI)
  * @property {Object} [overrides] - Per-agent model overrides
  * @property {boolean} [optimizeCost] - Whether to optimize for cost
+ * @property {Object} [pricing] - Per-tier prices in USD per million tokens ({ input, output, cacheRead, cacheWrite })
  */
 
 /**
@@ -59,7 +75,8 @@ class ModelSelector {
     this.options = {
       maxTier: ModelTier.OPUS,
       overrides: {},
-      optimizeCost: false
+      optimizeCost: false,
+      pricing: { ...DEFAULT_PRICING }
     };
   }
 
@@ -68,7 +85,11 @@ class ModelSelector {
    * @param {ModelSelectorOptions} options
    */
   configure(options) {
-    this.options = { ...this.options, ...options };
+    this.options = {
+      ...this.options,
+      ...options,
+      pricing: { ...this.options.pricing, ...options.pricing }
+    };
   }
 
   /**
@@ -137,6 +158,40 @@ class ModelSelector {
     return ModelTier.OPUS;
   }
 
+  /**
+   * Get price table entry for a tier
+   * @param {string} tier - Model tier
+   * @returns {{input: number, output: number}} - USD per million tokens
+   */
+  getPricing(tier) {
+    return this.options.pricing[tier] || this.options.pricing[ModelTier.SONNET];
+  }
+
+  /**
+   * Calculate cost of token usage for a tier
+   * When only a total is known it is split using ESTIMATED_INPUT_RATIO.
+   * @param {string} tier - Model tier
+   * @param {Object} usage - { inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens } or { totalTokens }
+   * @returns {number} - Cost in USD
+   */
+  calculateCost(tier, usage = {}) {
+    let { inputTokens = 0, outputTokens = 0 } = usage;
+    const { cacheReadTokens = 0, cacheWriteTokens = 0 } = usage;
+
+    if (!inputTokens && !outputTokens && usage.totalTokens) {
+      inputTokens = usage.totalTokens * ESTIMATED_INPUT_RATIO;
+      outputTokens = usage.totalTokens - inputTokens;
+    }
+
+    const pricing = this.getPricing(tier);
+    return (
+      inputTokens * pricing.input +
+      outputTokens * pricing.output +
+      cacheReadTokens * (pricing.cacheRead ?? pricing.input) +
+      cacheWriteTokens * (pricing.cacheWrite ?? pricing.input)
+    ) / 1000000;
+  }
+
   /**
    * Estimate cost for a workflow based on agent models
    * @param {string[]} agentTypes - Agent types in workflow
@@ -146,19 +201,23 @@ class ModelSelector {
   estimateCost(agentTypes, tokensPerAgent = 10000) {
     const breakdown = {};
     let totalMultiplier = 0;
+    let estimatedUsd = 0;
 
     for (const agentType of agentTypes) {
       const model = this.selectModel(agentType);
       const multiplier = COST_MULTIPLIERS[model];
-      breakdown[agentType] = { model, multiplier };
+      const cost = this.calculateCost(model, { totalTokens: tokensPerAgent });
+      breakdown[agentType] = { model, multiplier, estimatedUsd: cost };
       totalMultiplier += multiplier;
+      estimatedUsd += cost;
     }
 
     return {
       breakdown,
       totalMultiplier,
       relativeCost: totalMultiplier / agentTypes.length,
-      estimatedTokens: tokensPerAgent * agentTypes.length
+      estimatedTokens: tokensPerAgent * agentTypes.length,
+      estimatedUsd
     };
   }
 
@@ -234,5 +293,6 @@ export default {
   getModelCliArgForAgent,
   ModelTier,
   MODEL_HIERARCHY,
-  COST_MULTIPLIERS
+  COST_MULTIPLIERS,
+  DEFAULT_PRICING
 };
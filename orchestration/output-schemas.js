@@ -0,0 +1,134 @@
+/**
+ * Output schemas - JSON Schemas for structured agent output
+ * Every agent config declares one of these as its `outputSchema`.
+ * Schemas use the subset of JSON Schema understood by src/agents/schema-validator.js
+ */
+
+import { FileOperationType } from './types.js';
+
+const STRING_LIST = Object.freeze({
+  type: 'array',
+  items: { type: 'string' }
+});
+
+/**
+ * Artifact produced by an agent
+ */
+const ARTIFACT_SCHEMA = Object.freeze({
+  type: 'object',
+  required: ['name', 'type'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    type: { type: 'string', minLength: 1 },
+    path: { type: 'string' },
+    content: { type: 'string' }
+  }
+});
+
+/**
+ * Artifact written to the repository (path and content required)
+ */
+const FILE_ARTIFACT_SCHEMA = Object.freeze({
+  ...ARTIFACT_SCHEMA,
+  required: ['name', 'type', 'path', 'content'],
+  properties: {
+    ...ARTIFACT_SCHEMA.properties,
+    path: { type: 'string', minLength: 1 }
+  }
+});
+
+/**
+ * Change to the repository beyond whole-file artifacts
+ * Which fields an action needs is checked when the operation is applied.
+ */
+const FILE_OPERATION_SCHEMA = Object.freeze({
+  type: 'object',
+  required: ['action'],
+  properties: {
+    action: { type: 'string', enum: Object.values(FileOperationType) },
+    path: { type: 'string', minLength: 1 },
+    content: { type: 'string' },
+    from: { type: 'string', minLength: 1 },
+    to: { type: 'string', minLength: 1 },
+    diff: { type: 'string', minLength: 1 }
+  }
+});
+
+/**
+ * Review finding reported by quality and security agents
+ */
+const FINDING_SCHEMA = Object.freeze({
+  type: 'object',
+  required: ['severity', 'message'],
+  properties: {
+    severity: { type: 'string', enum: ['info', 'low', 'medium', 'high', 'critical'] },
+    message: { type: 'string', minLength: 1 },
+    file: { type: 'string' },
+    line: { type: 'integer' }
+  }
+});
+
+/**
+ * Base output contract shared by all agents
+ */
+export const AGENT_OUTPUT_SCHEMA = Object.freeze({
+  type: 'object',
+  required: ['success', 'summary', 'artifacts'],
+  properties: {
+    success: { type: 'boolean' },
+    summary: { type: 'string', minLength: 1 },
+    artifacts: { type: 'array', items: ARTIFACT_SCHEMA },
+    nextSteps: STRING_LIST,
+    warnings: STRING_LIST
+  }
+});
+
+/**
+ * Output contract for agents that write code to the repository
+ */
+export const IMPLEMENTATION_OUTPUT_SCHEMA = Object.freeze({
+  ...AGENT_OUTPUT_SCHEMA,
+  properties: {
+    ...AGENT_OUTPUT_SCHEMA.properties,
+    artifacts: { type: 'array', items: FILE_ARTIFACT_SCHEMA },
+    operations: { type: 'array', items: FILE_OPERATION_SCHEMA }
+  }
+});
+
+/**
+ * Output contract for review agents (findings required)
+ */
+export const REVIEW_OUTPUT_SCHEMA = Object.freeze({
+  ...AGENT_OUTPUT_SCHEMA,
+  required: [...AGENT_OUTPUT_SCHEMA.required, 'findings'],
+  properties: {
+    ...AGENT_OUTPUT_SCHEMA.properties,
+    findings: { type: 'array', items: FINDING_SCHEMA }
+  }
+});
+
+/**
+ * Output contract for the test agent
+ */
+export const TEST_OUTPUT_SCHEMA = Object.freeze({
+  ...IMPLEMENTATION_OUTPUT_SCHEMA,
+  properties: {
+    ...IMPLEMENTATION_OUTPUT_SCHEMA.properties,
+    testResults: {
+      type: 'object',
+      required: ['passed', 'failed'],
+      properties: {
+        passed: { type: 'integer', minimum: 0 },
+        failed: { type: 'integer', minimum: 0 },
+        failures: STRING_LIST
+      }
+    }
+  }
+});
+
+export default {
+  AGENT_OUTPUT_SCHEMA,
+  IMPLEMENTATION_OUTPUT_SCHEMA,
+  REVIEW_OUTPUT_SCHEMA,
+  TEST_OUTPUT_SCHEMA
+};
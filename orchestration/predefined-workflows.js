@@ -4,6 +4,8 @@
  */
 
 import { AgentType, StageExecutionMode, PRFailureMode } from './types.js';
+import { discoverWorkflows, isWorkflowFilePath, loadWorkflowFile } from './workflow-loader.js';
+import { getProjectConfig } from './project-config.js';
 
 /**
  * @typedef {Object} WorkflowTemplate
@@ -13,6 +15,7 @@ import { AgentType, StageExecutionMode, PRFailureMode } from './types.js';
  * @property {string} category - Workflow category
  * @property {Array} stages - Ordered stages
  * @property {Object} options - Workflow options
+ * @property {string} [source] - Absolute path of the file a user-defined workflow was loaded from
  */
 
 /**
@@ -151,7 +154,12 @@ export const BUG_FIX = Object.freeze({
       description: 'Fix verification and regression testing',
       agents: [AgentType.TEST],
       executionMode: StageExecutionMode.SEQUENTIAL,
-      dependencies: ['Fix Implementation']
+      dependencies: ['Fix Implementation'],
+      loop: {
+        until: 'TEST.success',
+        max: 3,
+        body: [AgentType.DEV_FRONTEND, AgentType.DEV_BACKEND, AgentType.TEST]
+      }
     }
   ],
   options: {
@@ -190,7 +198,12 @@ export const REFACTORING = Object.freeze({
       description: 'Regression testing and review',
       agents: [AgentType.TEST, AgentType.CQR],
       executionMode: StageExecutionMode.PARALLEL,
-      dependencies: ['Refactoring']
+      dependencies: ['Refactoring'],
+      loop: {
+        until: 'TEST.success',
+        max: 3,
+        body: [AgentType.DEV_FRONTEND, AgentType.DEV_BACKEND, AgentType.TEST]
+      }
     }
   ],
   options: {
@@ -292,7 +305,10 @@ export const SECURITY_AUDIT = Object.freeze({
   options: {
     prFailureMode: PRFailureMode.FAIL,
     createPR: false,
-    draftPR: false
+    draftPR: false,
+    secretScan: {
+      scanRepository: true
+    }
   }
 });
 
@@ -310,20 +326,53 @@ export const PREDEFINED_WORKFLOWS = Object.freeze({
 });
 
 /**
- * Get workflow by ID
- * @param {string} workflowId
+ * Get built-in workflows merged with valid workflows from .agentic/workflows/
+ * @returns {Object<string, WorkflowTemplate>}
+ */
+export function getAllWorkflows() {
+  const workflows = { ...PREDEFINED_WORKFLOWS };
+  const discovered = discoverWorkflows({ cwd: getProjectConfig().root, reservedIds: Object.keys(PREDEFINED_WORKFLOWS) });
+  for (const { workflow } of discovered) {
+    if (workflow) {
+      workflows[workflow.id] = workflow;
+    }
+  }
+  return workflows;
+}
+
+/**
+ * Get workflow by ID or workflow file path
+ * @param {string} workflowId - Workflow ID, or path to a .yml/.yaml/.json file
  * @returns {WorkflowTemplate|undefined}
+ * @throws {import('./workflow-loader.js').WorkflowLoadError} - If a workflow file is invalid
  */
 export function getWorkflow(workflowId) {
-  return PREDEFINED_WORKFLOWS[workflowId];
+  if (PREDEFINED_WORKFLOWS[workflowId]) {
+    return PREDEFINED_WORKFLOWS[workflowId];
+  }
+  if (isWorkflowFilePath(workflowId)) {
+    return loadWorkflowFile(workflowId);
+  }
+  return getAllWorkflows()[workflowId];
+}
+
+/**
+ * Get the workflow a session was started with
+ * Sessions started from a workflow file path reload that file.
+ * @param {Object} session - Session (workflowId, options.workflowFile)
+ * @returns {WorkflowTemplate|undefined}
+ * @throws {import('./workflow-loader.js').WorkflowLoadError} - If the workflow file is no longer valid
+ */
+export function getSessionWorkflow(session) {
+  return getWorkflow(session.options?.workflowFile || session.workflowId);
 }
 
 /**
- * Get all workflow IDs
+ * Get all workflow IDs (built-in and discovered)
  * @returns {string[]}
  */
 export function getWorkflowIds() {
-  return Object.keys(PREDEFINED_WORKFLOWS);
+  return Object.keys(getAllWorkflows());
 }
 
 /**
@@ -332,7 +381,7 @@ export function getWorkflowIds() {
  * @returns {WorkflowTemplate[]}
  */
 export function getWorkflowsByCategory(category) {
-  return Object.values(PREDEFINED_WORKFLOWS).filter(w => w.category === category);
+  return Object.values(getAllWorkflows()).filter(w => w.category === category);
 }
 
 /**
@@ -340,7 +389,7 @@ export function getWorkflowsByCategory(category) {
  * @returns {string[]}
  */
 export function getWorkflowCategories() {
-  const categories = new Set(Object.values(PREDEFINED_WORKFLOWS).map(w => w.category));
+  const categories = new Set(Object.values(getAllWorkflows()).map(w => w.category));
   return [...categories];
 }
 
@@ -388,7 +437,9 @@ export function createCustomWorkflow(baseWorkflowId, customizations = {}) {
 
 export default {
   PREDEFINED_WORKFLOWS,
+  getAllWorkflows,
   getWorkflow,
+  getSessionWorkflow,
   getWorkflowIds,
   getWorkflowsByCategory,
   getWorkflowCategories,
@@ -0,0 +1,313 @@
+/**
+ * Project Config - Project-wide settings from `.agentic-builder.json`
+ *
+ * The file is looked up from the working directory upwards; relative
+ * storage directories are resolved against the directory holding it:
+ *
+ *   {
+ *     "projectName": "shop-app",
+ *     "projectType": "react-native",
+ *     "storage": { "sessions": ".agentic/sessions", "tasks": ".agentic/tasks" },
+ *     "baseBranch": "develop",
+ *     "remote": "upstream",
+ *     "maxTier": "sonnet",
+ *     "agents": { "DEV_FRONTEND": { "model": "opus", "timeoutMs": 600000, "maxRetries": 1 } },
+ *     "workflowOptions": { "scheduling": "agent", "draftPR": false },
+ *     "pr": { "labels": ["generated"], "reviewers": ["octocat"] },
+ *     "checks": ["npm test"]
+ *   }
+ *
+ * Everything is optional. Command-line flags take precedence over the
+ * project config, and `workflowOptions` are defaults that a workflow's own
+ * options override.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ModelTier } from './types.js';
+import { ProjectType } from './project-detector.js';
+import { configureAgentSettings } from './agent-configs.js';
+import { getModelSelector } from './model-selector.js';
+import { createWorkflowFileSchema } from './workflow-loader.js';
+import { validateSchema } from '../src/agents/schema-validator.js';
+
+/**
+ * Name of the project config file
+ */
+export const PROJECT_CONFIG_FILE = '.agentic-builder.json';
+
+/**
+ * Settings used where the project config has none
+ */
+export const DEFAULT_PROJECT_CONFIG = Object.freeze({
+  projectName: null,
+  projectType: null,
+  storage: Object.freeze({
+    sessions: '.sessions',
+    tasks: '.tasks',
+    prompts: '.prompts'
+  }),
+  baseBranch: 'main',
+  remote: 'origin',
+  maxTier: ModelTier.OPUS,
+  agents: Object.freeze({}),
+  workflowOptions: Object.freeze({}),
+  pr: Object.freeze({ labels: Object.freeze([]), reviewers: Object.freeze([]) }),
+  checks: Object.freeze([])
+});
+
+const stringList = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+/**
+ * JSON Schema of an agent's entry under `agents`
+ */
+const AGENT_SETTINGS_SCHEMA = Object.freeze({
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    model: { type: 'string', enum: Object.values(ModelTier) },
+    timeoutMs: { type: 'integer', minimum: 1 },
+    maxRetries: { type: 'integer', minimum: 0 },
+    maxRepairAttempts: { type: 'integer', minimum: 0 }
+  }
+});
+
+/**
+ * JSON Schema of the project config file
+ */
+export const PROJECT_CONFIG_SCHEMA = Object.freeze({
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    projectName: { type: 'string', minLength: 1 },
+    projectType: { type: 'string', enum: Object.values(ProjectType) },
+    storage: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        sessions: { type: 'string', minLength: 1 },
+        tasks: { type: 'string', minLength: 1 },
+        prompts: { type: 'string', minLength: 1 }
+      }
+    },
+    baseBranch: { type: 'string', minLength: 1 },
+    remote: { type: 'string', minLength: 1 },
+    maxTier: { type: 'string', enum: Object.values(ModelTier) },
+    agents: { type: 'object' },
+    workflowOptions: { type: 'object' },
+    pr: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        labels: stringList,
+        reviewers: stringList
+      }
+    },
+    checks: stringList
+  }
+});
+
+/**
+ * @typedef {Object} ProjectConfig
+ * @property {string|null} path - Config file (null if none was found)
+ * @property {string} root - Project directory (the config file's directory, or the working directory)
+ * @property {string|null} projectName - Default project name of runs
+ * @property {string|null} projectType - ProjectType of the app
+ * @property {{sessions: string, tasks: string, prompts: string}} storage - Absolute storage directories
+ * @property {string} baseBranch - Branch pull requests target
+ * @property {string} remote - Remote workflow branches are pushed to
+ * @property {string} maxTier - Maximum model tier
+ * @property {Object<string, {model?: string, timeoutMs?: number, maxRetries?: number, maxRepairAttempts?: number}>} agents - Per-agent overrides
+ * @property {Object} workflowOptions - Defaults for workflow options
+ * @property {{labels: string[], reviewers: string[]}} pr - Labels and reviewers of created pull requests
+ * @property {string[]} checks - Quality gate commands of development stages (like `run --check`)
+ */
+
+/**
+ * Error raised for unreadable or invalid project config files
+ */
+export class ProjectConfigError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - { path, errors }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ProjectConfigError';
+    this.details = details;
+  }
+}
+
+/**
+ * Find the project config file from a directory upwards
+ * @param {string} [cwd] - Directory to start from
+ * @returns {string|null} - Absolute path of the file, or null
+ */
+export function findProjectConfigFile(cwd = process.cwd()) {
+  let dir = path.resolve(cwd);
+  while (true) {
+    const candidate = path.join(dir, PROJECT_CONFIG_FILE);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Validate project config data
+ * @param {*} data - Parsed config file
+ * @returns {string[]} - Validation errors
+ */
+export function validateProjectConfig(data) {
+  const errors = validateSchema(data, PROJECT_CONFIG_SCHEMA);
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  for (const [agentType, settings] of Object.entries(data.agents || {})) {
+    if (!/^[A-Z][A-Z0-9_]*$/.test(agentType)) {
+      errors.push(`$.agents: invalid agent type "${agentType}"`);
+      continue;
+    }
+    errors.push(...validateSchema(settings, AGENT_SETTINGS_SCHEMA, `$.agents.${agentType}`));
+  }
+
+  if (data.workflowOptions) {
+    // Custom conflict resolvers are registered after the config is loaded
+    const optionsSchema = createWorkflowFileSchema().properties.options;
+    errors.push(...validateSchema(data.workflowOptions, {
+      ...optionsSchema,
+      properties: { ...optionsSchema.properties, conflictResolver: { type: 'string', minLength: 1 } }
+    }, '$.workflowOptions'));
+  }
+
+  return errors;
+}
+
+/**
+ * Load the project config, with defaults for everything it does not set
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Directory to search from (defaults to process.cwd())
+ * @returns {ProjectConfig}
+ * @throws {ProjectConfigError} - If the file cannot be parsed or is invalid
+ */
+export function loadProjectConfig({ cwd = process.cwd() } = {}) {
+  const filePath = findProjectConfigFile(cwd);
+  let data = {};
+
+  if (filePath) {
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+      throw new ProjectConfigError(`Cannot parse ${filePath}: ${error.message}`, { path: filePath });
+    }
+
+    const errors = validateProjectConfig(data);
+    if (errors.length > 0) {
+      throw new ProjectConfigError(`Invalid ${filePath}: ${errors.join('; ')}`, { path: filePath, errors });
+    }
+  }
+
+  const root = filePath ? path.dirname(filePath) : path.resolve(cwd);
+  const storage = { ...DEFAULT_PROJECT_CONFIG.storage, ...data.storage };
+
+  return {
+    path: filePath,
+    root,
+    projectName: data.projectName || DEFAULT_PROJECT_CONFIG.projectName,
+    projectType: data.projectType || DEFAULT_PROJECT_CONFIG.projectType,
+    storage: Object.fromEntries(Object.entries(storage).map(([name, dir]) => [name, path.resolve(root, dir)])),
+    baseBranch: data.baseBranch || DEFAULT_PROJECT_CONFIG.baseBranch,
+    remote: data.remote || DEFAULT_PROJECT_CONFIG.remote,
+    maxTier: data.maxTier || DEFAULT_PROJECT_CONFIG.maxTier,
+    agents: data.agents || {},
+    workflowOptions: data.workflowOptions || {},
+    pr: {
+      labels: data.pr?.labels || [],
+      reviewers: data.pr?.reviewers || []
+    },
+    checks: data.checks || []
+  };
+}
+
+// Cached config of the working directory
+let instance = null;
+
+/**
+ * Get the project config of the working directory (loaded once)
+ * @returns {ProjectConfig}
+ * @throws {ProjectConfigError}
+ */
+export function getProjectConfig() {
+  if (!instance) {
+    instance = loadProjectConfig();
+  }
+  return instance;
+}
+
+/**
+ * Reload the cached project config, e.g. after the file was written
+ * @param {Object} [options] - See loadProjectConfig
+ * @returns {ProjectConfig}
+ * @throws {ProjectConfigError}
+ */
+export function reloadProjectConfig(options = {}) {
+  instance = loadProjectConfig(options);
+  return instance;
+}
+
+/**
+ * Apply the model tiers and agent settings of a project config
+ * Configures the ModelSelector (maximum tier and per-agent models) and the
+ * timeouts and retries of agents. Command-line flags are applied afterwards.
+ * @param {ProjectConfig} [config] - Defaults to the working directory's config
+ */
+export function applyProjectConfig(config = getProjectConfig()) {
+  const models = Object.entries(config.agents)
+    .filter(([, settings]) => settings.model)
+    .map(([agentType, settings]) => [agentType, settings.model]);
+
+  getModelSelector().configure({ maxTier: config.maxTier, overrides: Object.fromEntries(models) });
+  configureAgentSettings(config.agents);
+}
+
+/**
+ * Add the project's default workflow options to a workflow definition
+ * Options the workflow sets take precedence; object options (e.g.
+ * writePolicy) are merged key by key.
+ * @param {Object} workflowDef - Workflow definition
+ * @param {Object} [defaults] - Defaults to the project config's workflowOptions
+ * @returns {Object} - Workflow definition (a copy when defaults were added)
+ */
+export function applyWorkflowDefaults(workflowDef, defaults = getProjectConfig().workflowOptions) {
+  if (Object.keys(defaults).length === 0) {
+    return workflowDef;
+  }
+
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const options = { ...defaults };
+  for (const [key, value] of Object.entries(workflowDef.options || {})) {
+    options[key] = isObject(value) && isObject(defaults[key]) ? { ...defaults[key], ...value } : value;
+  }
+
+  return { ...workflowDef, options };
+}
+
+export default {
+  PROJECT_CONFIG_FILE,
+  DEFAULT_PROJECT_CONFIG,
+  PROJECT_CONFIG_SCHEMA,
+  ProjectConfigError,
+  findProjectConfigFile,
+  validateProjectConfig,
+  loadProjectConfig,
+  getProjectConfig,
+  reloadProjectConfig,
+  applyProjectConfig,
+  applyWorkflowDefaults
+};
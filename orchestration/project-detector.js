@@ -0,0 +1,127 @@
+/**
+ * Project Detector - Recognizes the mobile project in a directory
+ * Looks for the marker files of React Native, Flutter, Swift (iOS) and
+ * Kotlin (Android) projects. Cross-platform frameworks are checked first,
+ * since their projects also contain native `ios/` and `android/` folders.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Project types the builder recognizes
+ * @readonly
+ * @enum {string}
+ */
+export const ProjectType = Object.freeze({
+  REACT_NATIVE: 'react-native',
+  FLUTTER: 'flutter',
+  SWIFT: 'swift',
+  KOTLIN: 'kotlin'
+});
+
+/**
+ * Quality gate commands suggested for each project type
+ * `npm test` is only suggested when package.json defines a test script; see
+ * getSuggestedChecks().
+ */
+export const DEFAULT_CHECKS = Object.freeze({
+  [ProjectType.REACT_NATIVE]: Object.freeze(['npm test']),
+  [ProjectType.FLUTTER]: Object.freeze(['flutter analyze', 'flutter test']),
+  [ProjectType.SWIFT]: Object.freeze(['swift test']),
+  [ProjectType.KOTLIN]: Object.freeze(['./gradlew test'])
+});
+
+/**
+ * @typedef {Object} DetectedProject
+ * @property {string|null} type - ProjectType value, or null if none was recognized
+ * @property {string|null} name - Name from the project manifest, if any
+ * @property {string|null} evidence - Marker the type was recognized by
+ */
+
+/**
+ * Read a JSON file, or null if it is missing or invalid
+ * @param {string} filePath
+ * @returns {Object|null}
+ */
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read a text file, or null if it is missing
+ * @param {string} filePath
+ * @returns {string|null}
+ */
+function readText(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Detect the project type of a directory
+ * @param {string} [dir] - Project root (defaults to process.cwd())
+ * @returns {DetectedProject}
+ */
+export function detectProject(dir = process.cwd()) {
+  const entries = fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+  const has = name => entries.includes(name);
+
+  const packageJson = has('package.json') ? readJson(path.join(dir, 'package.json')) : null;
+  if (packageJson) {
+    const dependencies = { ...packageJson.dependencies, ...packageJson.devDependencies };
+    const marker = ['react-native', 'expo'].find(name => dependencies[name]);
+    if (marker) {
+      return { type: ProjectType.REACT_NATIVE, name: packageJson.name || null, evidence: `package.json (${marker})` };
+    }
+  }
+
+  const pubspec = has('pubspec.yaml') ? readText(path.join(dir, 'pubspec.yaml')) : null;
+  if (pubspec !== null && /^\s+sdk:\s*flutter\b/m.test(pubspec)) {
+    return { type: ProjectType.FLUTTER, name: pubspec.match(/^name:\s*(\S+)/m)?.[1] || null, evidence: 'pubspec.yaml' };
+  }
+
+  const xcodeProject = entries.find(name => name.endsWith('.xcodeproj') || name.endsWith('.xcworkspace'));
+  if (xcodeProject) {
+    return { type: ProjectType.SWIFT, name: path.basename(xcodeProject, path.extname(xcodeProject)), evidence: xcodeProject };
+  }
+  if (has('Package.swift')) {
+    const manifest = readText(path.join(dir, 'Package.swift')) || '';
+    return { type: ProjectType.SWIFT, name: manifest.match(/name:\s*"([^"]+)"/)?.[1] || null, evidence: 'Package.swift' };
+  }
+
+  const gradleFile = ['settings.gradle.kts', 'settings.gradle', 'build.gradle.kts', 'build.gradle'].find(has);
+  if (gradleFile) {
+    const settings = readText(path.join(dir, gradleFile)) || '';
+    return { type: ProjectType.KOTLIN, name: settings.match(/rootProject\.name\s*=\s*["']([^"']+)["']/)?.[1] || null, evidence: gradleFile };
+  }
+
+  return { type: null, name: packageJson?.name || null, evidence: null };
+}
+
+/**
+ * Get the quality gate commands to suggest for a project
+ * @param {string} type - ProjectType value
+ * @param {string} [dir] - Project root (defaults to process.cwd())
+ * @returns {string[]}
+ */
+export function getSuggestedChecks(type, dir = process.cwd()) {
+  if (type === ProjectType.REACT_NATIVE && !readJson(path.join(dir, 'package.json'))?.scripts?.test) {
+    return [];
+  }
+  return [...(DEFAULT_CHECKS[type] || [])];
+}
+
+export default {
+  ProjectType,
+  DEFAULT_CHECKS,
+  detectProject,
+  getSuggestedChecks
+};
@@ -0,0 +1,476 @@
+/**
+ * Secret Scanner - Finds credentials in agent output before it is committed
+ * Regex rules for common key formats and PEM blocks, plus entropy-checked
+ * rules for secret-looking assignments and .env values. Findings never
+ * contain the secret itself, only a short preview.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { FileOperationType, SecretScanMode } from './types.js';
+import { unquoteGitPath } from './file-operations.js';
+
+/**
+ * Files larger than this are not scanned (1 MiB)
+ */
+const MAX_SCAN_SIZE = 1024 * 1024;
+
+/**
+ * Path reported for secrets in an output's summary
+ */
+const SUMMARY_PATH = '(summary)';
+
+/**
+ * Minimum Shannon entropy (bits per character) for generic secret values
+ */
+const MIN_GENERIC_ENTROPY = 3.0;
+
+/**
+ * Values that are obviously placeholders, not secrets
+ */
+const PLACEHOLDER_PATTERN = /^(?:x+|\*+|\.+|<[^>]*>|\$\{[^}]*\}|\{\{[^}]*\}\}|%[^%]*%|(?:your|my|some)[_-].*|.*[_-]here|change[_-]?me|example.*|placeholder|dummy|test|secret|password|todo|none|null|undefined)$/i;
+
+/**
+ * @typedef {Object} SecretRule
+ * @property {string} id - Rule ID
+ * @property {string} description - What the rule detects
+ * @property {RegExp} pattern - Global pattern
+ * @property {number} [group] - Capture group holding the secret (default: whole match)
+ * @property {number} [minEntropy] - Minimum entropy of the secret
+ */
+
+/**
+ * Detection rules
+ * @type {ReadonlyArray<SecretRule>}
+ */
+export const SECRET_RULES = Object.freeze([
+  {
+    id: 'private-key',
+    description: 'Private key block',
+    pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----[\s\S]*?(?:-----END (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----|$)/g
+  },
+  {
+    id: 'aws-access-key',
+    description: 'AWS access key ID',
+    pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g
+  },
+  {
+    id: 'aws-secret-key',
+    description: 'AWS secret access key',
+    pattern: /aws_?secret_?(?:access_?)?key["']?\s*[:=]\s*["']?([A-Za-z0-9/+=]{40})\b/gi,
+    group: 1
+  },
+  {
+    id: 'github-token',
+    description: 'GitHub token',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{60,})\b/g
+  },
+  {
+    id: 'slack-token',
+    description: 'Slack token',
+    pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g
+  },
+  {
+    id: 'stripe-key',
+    description: 'Stripe live key',
+    pattern: /\b[rs]k_live_[A-Za-z0-9]{20,}\b/g
+  },
+  {
+    id: 'google-api-key',
+    description: 'Google API key',
+    pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g
+  },
+  {
+    id: 'llm-api-key',
+    description: 'Anthropic or OpenAI API key',
+    pattern: /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{32,}\b/g
+  },
+  {
+    id: 'jwt',
+    description: 'JSON Web Token',
+    pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g
+  },
+  {
+    id: 'url-credentials',
+    description: 'Password in connection URL',
+    pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@'"]+:([^\s@'"/]{6,})@/gi,
+    group: 1,
+    minEntropy: MIN_GENERIC_ENTROPY
+  },
+  {
+    id: 'generic-secret',
+    description: 'Hard-coded password, secret or token',
+    pattern: /(?:password|passwd|secret|api[_-]?key|access[_-]?token|auth[_-]?token|client[_-]?secret|private[_-]?key)["']?\s*[:=]\s*["'`]([^"'`\s]{8,})["'`]/gi,
+    group: 1,
+    minEntropy: MIN_GENERIC_ENTROPY
+  }
+]);
+
+/**
+ * Rule for values in .env files
+ * @type {SecretRule}
+ */
+const ENV_FILE_RULE = Object.freeze({
+  id: 'env-file',
+  description: 'Value in .env file',
+  pattern: /^\s*(?:export\s+)?[A-Za-z_][A-Za-z0-9_]*\s*=\s*["']?([^"'\s#]{8,})["']?/gm,
+  group: 1,
+  minEntropy: MIN_GENERIC_ENTROPY
+});
+
+/**
+ * @typedef {Object} SecretFinding
+ * @property {string} ruleId - Rule that matched
+ * @property {string} description - Rule description
+ * @property {string} path - File the secret is in
+ * @property {number} line - 1-based line number
+ * @property {string} preview - First characters of the secret, then an ellipsis
+ * @property {boolean} [redactable] - False when the secret spans lines a patch does not change
+ */
+
+/**
+ * Error raised when agent output contains secrets and scanning blocks it
+ */
+export class SecretDetectedError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - { agentType, findings }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'SecretDetectedError';
+    this.details = details;
+  }
+}
+
+/**
+ * Shannon entropy of a string in bits per character
+ * @param {string} value
+ * @returns {number}
+ */
+export function shannonEntropy(value) {
+  const counts = new Map();
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Check if a file is a dotenv file (.env, .env.production, ...)
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+export function isEnvFile(filePath) {
+  return /^\.env(?:\..+)?$/.test(path.posix.basename(filePath.replace(/\\/g, '/')));
+}
+
+/**
+ * Find secret matches in text
+ * @param {string} text
+ * @param {string} filePath - Path used to select rules (.env files)
+ * @returns {Array<{rule: SecretRule, start: number, end: number, line: number, secret: string}>}
+ */
+function findMatches(text, filePath) {
+  const rules = isEnvFile(filePath) ? [...SECRET_RULES, ENV_FILE_RULE] : SECRET_RULES;
+  const matches = [];
+
+  for (const rule of rules) {
+    for (const match of text.matchAll(rule.pattern)) {
+      const secret = rule.group ? match[rule.group] : match[0];
+      if (!secret) {
+        continue;
+      }
+      if (rule.minEntropy && (PLACEHOLDER_PATTERN.test(secret) || shannonEntropy(secret) < rule.minEntropy)) {
+        continue;
+      }
+
+      const start = match.index + (rule.group ? match[0].indexOf(secret) : 0);
+      const end = start + secret.length;
+      if (matches.some(m => start < m.end && end > m.start)) {
+        continue; // Already covered by an earlier, more specific rule
+      }
+
+      matches.push({ rule, start, end, secret, line: text.slice(0, start).split('\n').length });
+    }
+  }
+
+  return matches.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Turn a match into a finding
+ * @param {Object} match
+ * @param {string} filePath
+ * @param {number} [line] - Line number override
+ * @returns {SecretFinding}
+ */
+function toFinding(match, filePath, line = match.line) {
+  return {
+    ruleId: match.rule.id,
+    description: match.rule.description,
+    path: filePath,
+    line,
+    preview: `${match.secret.slice(0, 4)}…`
+  };
+}
+
+/**
+ * Scan file content for secrets
+ * @param {string} content
+ * @param {string} filePath
+ * @returns {SecretFinding[]}
+ */
+export function scanContent(content, filePath) {
+  return findMatches(content, filePath).map(match => toFinding(match, filePath));
+}
+
+/**
+ * Get the path a `+++` header writes to
+ * The first path component is stripped, as `git apply` does, whatever the
+ * prefix; `/dev/null` (deleted files) yields null.
+ * @param {string} header - Header without the `+++ ` marker
+ * @returns {string|null}
+ */
+function getDiffHeaderPath(header) {
+  const name = header.startsWith('"') ? unquoteGitPath(header.trim()) : header.replace(/\t.*$/, '').trim();
+  if (name === '/dev/null') {
+    return null;
+  }
+  return name.includes('/') ? name.slice(name.indexOf('/') + 1) : name;
+}
+
+/**
+ * Split a unified diff into hunks holding the new content of their lines
+ * @param {string} diff
+ * @returns {Array<{path: string, lines: Array<{text: string, line: number, added: boolean, index: number}>}>}
+ */
+function parseDiffHunks(diff) {
+  const diffLines = diff.split('\n');
+  const hunks = [];
+  let file = '(patch)';
+  let hunk = null;
+  let line = 0;
+
+  diffLines.forEach((text, index) => {
+    if (text.startsWith('+++ ') && diffLines[index - 1]?.startsWith('--- ')) {
+      file = getDiffHeaderPath(text.slice(4)) || '(patch)';
+      hunk = null;
+    } else if (text.startsWith('@@')) {
+      line = Number(text.match(/\+(\d+)/)?.[1] || 1) - 1;
+      hunk = { path: file, lines: [] };
+      hunks.push(hunk);
+    } else if (text.startsWith('diff ') || (text.startsWith('--- ') && diffLines[index + 1]?.startsWith('+++ '))) {
+      hunk = null;
+    } else if (hunk && (text.startsWith('+') || text.startsWith(' '))) {
+      hunk.lines.push({ text: text.slice(1), line: ++line, added: text.startsWith('+'), index });
+    }
+  });
+
+  return hunks;
+}
+
+/**
+ * Find secrets a unified diff adds
+ * The new content of each hunk is scanned as a whole with the path it is
+ * written to, so secrets spanning lines and path rules (.env) are found.
+ * Matches on unchanged lines only are not the output's and are left out.
+ * @param {string} diff
+ * @returns {Array<{match: Object, path: string, covered: Array<Object>}>} - Covered hunk lines with the part of them matched
+ */
+function findDiffMatches(diff) {
+  const results = [];
+
+  for (const hunk of parseDiffHunks(diff)) {
+    let offset = 0;
+    const starts = hunk.lines.map(l => (offset += l.text.length + 1) - l.text.length - 1);
+
+    for (const match of findMatches(hunk.lines.map(l => l.text).join('\n'), hunk.path)) {
+      const covered = hunk.lines
+        .map((l, i) => ({ ...l, from: Math.max(match.start - starts[i], 0), to: Math.min(match.end - starts[i], l.text.length) }))
+        .filter((l, i) => starts[i] < match.end && starts[i] + l.text.length >= match.start);
+
+      if (covered.some(l => l.added)) {
+        results.push({ match, path: hunk.path, covered });
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Scan the lines a unified diff adds
+ * @param {string} diff
+ * @returns {SecretFinding[]}
+ */
+function scanDiff(diff) {
+  return findDiffMatches(diff).map(({ match, path: filePath, covered }) => ({
+    ...toFinding(match, filePath, covered[0].line),
+    ...(!covered.every(l => l.added) && { redactable: false })
+  }));
+}
+
+/**
+ * Redact secrets in the lines a unified diff adds
+ * Each matched part of a line is replaced separately, so the diff keeps its
+ * line counts and still applies. Secrets spanning unchanged lines are only
+ * redacted in the added ones; scanDiff marks them as not redactable.
+ * @param {string} diff
+ * @returns {string}
+ */
+function redactDiff(diff) {
+  const diffLines = diff.split('\n');
+  const texts = new Map();
+
+  for (const { match, covered } of findDiffMatches(diff)) {
+    for (const l of covered.filter(c => c.added && c.to > c.from)) {
+      const text = texts.get(l.index) ?? l.text;
+      // Matches come in order, so earlier replacements shift later ones only
+      const shift = text.length - l.text.length;
+      texts.set(l.index, text.slice(0, l.from + shift) + `[REDACTED:${match.rule.id}]` + text.slice(l.to + shift));
+    }
+  }
+
+  for (const [index, text] of texts) {
+    diffLines[index] = `+${text}`;
+  }
+  return diffLines.join('\n');
+}
+
+/**
+ * Scan an agent output's summary, artifacts and file operations
+ * @param {Object} output - Parsed agent output
+ * @returns {SecretFinding[]}
+ */
+export function scanOutput(output) {
+  const findings = [];
+
+  if (typeof output.summary === 'string') {
+    findings.push(...scanContent(output.summary, SUMMARY_PATH));
+  }
+
+  for (const artifact of output.artifacts || []) {
+    if (typeof artifact.content === 'string') {
+      findings.push(...scanContent(artifact.content, artifact.path || artifact.name));
+    }
+  }
+  for (const operation of output.operations || []) {
+    if (operation.action === FileOperationType.PATCH && typeof operation.diff === 'string') {
+      findings.push(...scanDiff(operation.diff));
+    } else if (typeof operation.content === 'string') {
+      findings.push(...scanContent(operation.content, operation.path || operation.to));
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Replace secrets in text with a redaction marker
+ * @param {string} text
+ * @param {string} filePath
+ * @returns {string}
+ */
+export function redactSecrets(text, filePath) {
+  let redacted = '';
+  let position = 0;
+
+  for (const match of findMatches(text, filePath)) {
+    redacted += text.slice(position, match.start) + `[REDACTED:${match.rule.id}]`;
+    position = match.end;
+  }
+
+  return redacted + text.slice(position);
+}
+
+/**
+ * Redact secrets in an agent output's summary, artifacts and file operations
+ * Diffs are redacted in added lines only, so they still apply.
+ * @param {Object} output - Parsed agent output
+ * @returns {Object} - Output with redacted contents
+ */
+export function redactOutput(output) {
+  return {
+    ...output,
+    ...(typeof output.summary === 'string' && { summary: redactSecrets(output.summary, SUMMARY_PATH) }),
+    artifacts: (output.artifacts || []).map(artifact => typeof artifact.content === 'string'
+      ? { ...artifact, content: redactSecrets(artifact.content, artifact.path || artifact.name) }
+      : artifact),
+    ...(output.operations && {
+      operations: output.operations.map(operation => {
+        if (operation.action === FileOperationType.PATCH && typeof operation.diff === 'string') {
+          return { ...operation, diff: redactDiff(operation.diff) };
+        }
+        return typeof operation.content === 'string'
+          ? { ...operation, content: redactSecrets(operation.content, operation.path || operation.to) }
+          : operation;
+      })
+    })
+  };
+}
+
+/**
+ * Scan files of a checkout
+ * Large and binary files are skipped.
+ * @param {string} cwd - Checkout root
+ * @param {string[]} files - Paths relative to the checkout
+ * @returns {SecretFinding[]}
+ */
+export function scanFiles(cwd, files) {
+  const findings = [];
+
+  for (const file of files) {
+    const filePath = path.join(cwd, file);
+    try {
+      const stats = fs.statSync(filePath);
+      if (!stats.isFile() || stats.size > MAX_SCAN_SIZE) {
+        continue;
+      }
+      const content = fs.readFileSync(filePath, 'utf-8');
+      if (!content.includes('\u0000')) {
+        findings.push(...scanContent(content, file));
+      }
+    } catch {
+      // Unreadable files are skipped
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Get the secret scanning settings of a run
+ * Run options take precedence over workflow options.
+ * @param {Object} workflowDef - Workflow definition
+ * @param {Object} [options] - Run options
+ * @returns {{mode: string, scanRepository: boolean}}
+ */
+export function getSecretScanOptions(workflowDef, options = {}) {
+  const workflowScan = workflowDef.options?.secretScan || {};
+  const runScan = options.secretScan || {};
+
+  return {
+    mode: runScan.mode || workflowScan.mode || SecretScanMode.BLOCK,
+    scanRepository: runScan.scanRepository ?? workflowScan.scanRepository ?? false
+  };
+}
+
+export default {
+  SECRET_RULES,
+  SecretDetectedError,
+  shannonEntropy,
+  isEnvFile,
+  scanContent,
+  scanOutput,
+  redactSecrets,
+  redactOutput,
+  scanFiles,
+  getSecretScanOptions
+};
@@ -7,9 +7,8 @@ import { EventEmitter } from 'events';
 import fs from 'fs';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
-import { WorkflowStatus } from './types.js';
-
-const SESSIONS_DIR = '.sessions';
+import { WorkflowStatus, GateStatus } from './types.js';
+import { getProjectConfig } from './project-config.js';
 
 /**
  * Session status lifecycle:
@@ -31,7 +30,7 @@ class SessionManager extends EventEmitter {
   constructor() {
     super();
     this.sessions = new Map();
-    this.sessionsDir = SESSIONS_DIR;
+    this.sessionsDir = getProjectConfig().storage.sessions;
     this.ensureSessionsDir();
   }
 
@@ -67,9 +66,17 @@ class SessionManager extends EventEmitter {
       createdAt: now,
       updatedAt: now,
       completedAgents: [],
+      completedStages: [],
       currentStage: 0,
+      gates: {},
+      loops: {},
       metadata: {
         totalTokens: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        cacheReadTokens: 0,
+        cacheWriteTokens: 0,
+        totalCost: 0,
         totalExecutionTime: 0,
         agentExecutions: []
       }
@@ -126,8 +133,29 @@ class SessionManager extends EventEmitter {
     });
   }
 
+  /**
+   * Merge values into the session context
+   * For run state that must survive a resume, e.g. the workflow git branch.
+   * @param {string} sessionId
+   * @param {Object} updates - Context values
+   */
+  updateContext(sessionId, updates) {
+    const session = this.getSession(sessionId);
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+
+    session.context = { ...session.context, ...updates };
+    session.updatedAt = new Date().toISOString();
+
+    this.sessions.set(sessionId, session);
+    this.saveSession(session);
+  }
+
   /**
    * Create a checkpoint at stage completion
+   * Stages may complete out of order, so the checkpoint records the full set
+   * of completed stages; stageIndex identifies the stage that triggered it.
    * @param {string} sessionId
    * @param {Object} data - Checkpoint data
    */
@@ -142,13 +170,15 @@ class SessionManager extends EventEmitter {
       sessionId,
       stageIndex: data.stageIndex,
       stageName: data.stageName,
+      completedStages: [...(data.completedStages || [])],
       completedAgents: [...(data.completedAgents || [])],
       state: data.state || {},
       timestamp: new Date().toISOString()
     };
 
     session.checkpoints.push(checkpoint);
-    session.currentStage = data.stageIndex + 1;
+    session.currentStage = checkpoint.completedStages.length;
+    session.completedStages = checkpoint.completedStages;
     session.completedAgents = checkpoint.completedAgents;
     session.updatedAt = checkpoint.timestamp;
 
@@ -158,7 +188,8 @@ class SessionManager extends EventEmitter {
     this.emit('checkpoint_created', {
       sessionId,
       checkpointId: checkpoint.id,
-      stageIndex: checkpoint.stageIndex
+      stageIndex: checkpoint.stageIndex,
+      completedStages: checkpoint.completedStages
     });
 
     return checkpoint;
@@ -244,10 +275,21 @@ class SessionManager extends EventEmitter {
     if (execution.tokensUsed) {
       session.metadata.totalTokens += execution.tokensUsed;
     }
+    for (const key of ['inputTokens', 'outputTokens', 'cacheReadTokens', 'cacheWriteTokens']) {
+      if (execution[key]) {
+        session.metadata[key] = (session.metadata[key] || 0) + execution[key];
+      }
+    }
+    if (execution.costUsd) {
+      session.metadata.totalCost = (session.metadata.totalCost || 0) + execution.costUsd;
+    }
     if (execution.executionTime) {
       session.metadata.totalExecutionTime += execution.executionTime;
     }
-    if (execution.status === 'completed') {
+    // Conflict resolutions do not complete the resolver's own work; agents
+    // re-run by stage loops and revisions are listed once
+    if (execution.status === 'completed' && !execution.conflictResolution &&
+        !session.completedAgents.includes(execution.agentType)) {
       session.completedAgents.push(execution.agentType);
     }
 
@@ -285,6 +327,109 @@ class SessionManager extends EventEmitter {
     this.emit('session_paused', { sessionId });
   }
 
+  /**
+   * Request approval for a gated stage
+   * @param {string} sessionId
+   * @param {string} stageName
+   * @returns {GateRecord}
+   */
+  requestApproval(sessionId, stageName) {
+    const session = this.getSession(sessionId);
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+
+    session.gates = session.gates || {};
+    const previous = session.gates[stageName];
+
+    session.gates[stageName] = {
+      status: GateStatus.PENDING,
+      requestedAt: new Date().toISOString(),
+      history: previous
+        ? [...previous.history, { status: previous.status, comment: previous.comment, decidedAt: previous.decidedAt }]
+        : []
+    };
+
+    this.addLog(sessionId, { type: 'approval_requested', stageName });
+    this.emit('approval_requested', { sessionId, stageName });
+
+    return session.gates[stageName];
+  }
+
+  /**
+   * Record an approval decision for a gated stage
+   * @param {string} sessionId
+   * @param {string} stageName
+   * @param {Object} decision
+   * @param {boolean} decision.approved - Whether the stage output is approved
+   * @param {string} [decision.comment] - Reviewer comment
+   * @returns {GateRecord}
+   */
+  recordGateDecision(sessionId, stageName, { approved, comment }) {
+    const session = this.getSession(sessionId);
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+
+    const gate = session.gates?.[stageName];
+    if (!gate || gate.status !== GateStatus.PENDING) {
+      throw new Error(`Stage "${stageName}" is not awaiting approval`);
+    }
+
+    gate.status = approved ? GateStatus.APPROVED : GateStatus.REJECTED;
+    gate.comment = comment || null;
+    gate.decidedAt = new Date().toISOString();
+
+    this.addLog(sessionId, {
+      type: approved ? 'gate_approved' : 'gate_rejected',
+      stageName,
+      comment: gate.comment
+    });
+    this.emit('gate_decided', { sessionId, stageName, status: gate.status });
+
+    return gate;
+  }
+
+  /**
+   * Record a loop iteration of a stage
+   * Keeps the current iteration and status plus the history of iterations
+   * with the PMS task of each body agent.
+   * @param {string} sessionId
+   * @param {string} stageName
+   * @param {Object} record - { until, max, iteration, status, tasks }
+   */
+  recordLoopIteration(sessionId, stageName, { until, max, iteration, status, tasks }) {
+    const session = this.getSession(sessionId);
+    if (!session) return;
+
+    session.loops = session.loops || {};
+    const loop = session.loops[stageName] || { history: [] };
+
+    session.loops[stageName] = {
+      until,
+      max,
+      iteration,
+      status,
+      history: [...loop.history, { iteration, status, tasks, timestamp: new Date().toISOString() }]
+    };
+
+    this.addLog(sessionId, { type: 'loop_iteration', stageName, iteration, status });
+  }
+
+  /**
+   * Get the names of stages awaiting approval
+   * @param {string} sessionId
+   * @returns {string[]}
+   */
+  getPendingGates(sessionId) {
+    const session = this.getSession(sessionId);
+    if (!session?.gates) return [];
+
+    return Object.entries(session.gates)
+      .filter(([, gate]) => gate.status === GateStatus.PENDING)
+      .map(([stageName]) => stageName);
+  }
+
   /**
    * Save session to file
    * @param {Object} session
@@ -410,10 +555,12 @@ class SessionManager extends EventEmitter {
     const session = this.getSession(sessionId);
     if (!session) return false;
 
-    return (
-      session.status === SessionStatus.FAILED ||
-      session.status === SessionStatus.PAUSED
-    ) && (
+    // Paused sessions (e.g. on an exhausted budget) can always continue
+    if (session.status === SessionStatus.PAUSED) {
+      return true;
+    }
+
+    return session.status === SessionStatus.FAILED && (
       session.checkpoints.length > 0 ||
       session.completedAgents.length > 0
     );
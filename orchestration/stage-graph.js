@@ -0,0 +1,195 @@
+/**
+ * Stage Graph - DAG of workflow stages built from stage `dependencies`
+ * Used by the WorkflowEngine to schedule independent stages concurrently
+ */
+
+import { GateType } from './types.js';
+import { validateCommandGate } from './command-gate.js';
+import { validateLoop } from './stage-loop.js';
+
+/**
+ * @typedef {Object} StageNode
+ * @property {string} name - Stage name
+ * @property {number} index - Position of the stage in the workflow definition
+ * @property {Object} stage - Stage definition
+ * @property {string[]} dependencies - Names of stages this stage depends on
+ */
+
+/**
+ * Resolve the dependency list of a stage
+ * Stages that do not declare `dependencies` depend on the previous stage,
+ * preserving the ordered behaviour of definitions written before the DAG existed.
+ * @param {Object[]} stages - Workflow stages
+ * @param {number} index - Stage index
+ * @returns {string[]}
+ */
+function resolveStageDependencies(stages, index) {
+  const stage = stages[index];
+  if (Array.isArray(stage.dependencies)) {
+    return stage.dependencies;
+  }
+  return index > 0 ? [stages[index - 1].name] : [];
+}
+
+/**
+ * Build the stage graph for a workflow definition
+ * @param {Object} workflowDef - Workflow definition
+ * @returns {Map<string, StageNode>} - Stage nodes keyed by stage name
+ */
+export function buildStageGraph(workflowDef) {
+  const stages = workflowDef.stages || [];
+  const graph = new Map();
+
+  stages.forEach((stage, index) => {
+    graph.set(stage.name, {
+      name: stage.name,
+      index,
+      stage,
+      dependencies: resolveStageDependencies(stages, index)
+    });
+  });
+
+  return graph;
+}
+
+/**
+ * Validate stage dependencies of a workflow definition
+ * Rejects duplicate stage names, unknown dependencies and cycles.
+ * @param {Object} workflowDef - Workflow definition
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateStageGraph(workflowDef) {
+  const errors = [];
+  const stages = workflowDef.stages || [];
+
+  const seen = new Set();
+  for (const stage of stages) {
+    if (seen.has(stage.name)) {
+      errors.push(`Duplicate stage name: ${stage.name}`);
+    }
+    seen.add(stage.name);
+  }
+
+  const graph = buildStageGraph(workflowDef);
+
+  for (const node of graph.values()) {
+    if (node.stage.gate && !Object.values(GateType).includes(node.stage.gate.type)) {
+      errors.push(`Stage "${node.name}" has unknown gate type "${node.stage.gate.type}"`);
+    } else if (node.stage.gate?.type === GateType.COMMAND) {
+      for (const error of validateCommandGate(node.stage.gate)) {
+        errors.push(`Stage "${node.name}": ${error}`);
+      }
+    }
+
+    if (node.stage.loop) {
+      for (const error of validateLoop(node.stage)) {
+        errors.push(`Stage "${node.name}": ${error}`);
+      }
+    }
+
+    for (const dep of node.dependencies) {
+      if (!graph.has(dep)) {
+        errors.push(`Stage "${node.name}" depends on unknown stage "${dep}"`);
+      } else if (dep === node.name) {
+        errors.push(`Stage "${node.name}" depends on itself`);
+      }
+    }
+  }
+
+  if (errors.length === 0) {
+    const cycle = findCycle(graph);
+    if (cycle) {
+      errors.push(`Circular stage dependency: ${cycle.join(' → ')}`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Find a dependency cycle in the stage graph
+ * @param {Map<string, StageNode>} graph
+ * @returns {string[]|null} - Stage names forming the cycle, or null
+ */
+function findCycle(graph) {
+  const visiting = new Set();
+  const visited = new Set();
+  const stack = [];
+
+  const visit = (name) => {
+    if (visited.has(name)) return null;
+    if (visiting.has(name)) {
+      return [...stack.slice(stack.indexOf(name)), name];
+    }
+
+    visiting.add(name);
+    stack.push(name);
+
+    for (const dep of graph.get(name).dependencies) {
+      const cycle = visit(dep);
+      if (cycle) return cycle;
+    }
+
+    stack.pop();
+    visiting.delete(name);
+    visited.add(name);
+    return null;
+  };
+
+  for (const name of graph.keys()) {
+    const cycle = visit(name);
+    if (cycle) return cycle;
+  }
+
+  return null;
+}
+
+/**
+ * Get stages whose dependencies are all completed
+ * @param {Map<string, StageNode>} graph - Stage graph
+ * @param {Set<string>} completedStages - Names of completed stages
+ * @param {Set<string>} [runningStages] - Names of stages currently executing
+ * @returns {StageNode[]} - Ready stages in definition order
+ */
+export function getReadyStages(graph, completedStages, runningStages = new Set()) {
+  return [...graph.values()].filter(node =>
+    !completedStages.has(node.name) &&
+    !runningStages.has(node.name) &&
+    node.dependencies.every(dep => completedStages.has(dep))
+  );
+}
+
+/**
+ * Get stages that transitively depend on one of the given stages
+ * @param {Map<string, StageNode>} graph - Stage graph
+ * @param {Iterable<string>} stageNames - Upstream stage names
+ * @returns {Set<string>} - Downstream stage names (excluding the given stages)
+ */
+export function getDownstreamStages(graph, stageNames) {
+  const upstream = new Set(stageNames);
+  const downstream = new Set();
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+    for (const node of graph.values()) {
+      if (downstream.has(node.name) || upstream.has(node.name)) continue;
+      if (node.dependencies.some(dep => upstream.has(dep) || downstream.has(dep))) {
+        downstream.add(node.name);
+        changed = true;
+      }
+    }
+  }
+
+  return downstream;
+}
+
+export default {
+  buildStageGraph,
+  validateStageGraph,
+  getReadyStages,
+  getDownstreamStages
+};
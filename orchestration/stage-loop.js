@@ -0,0 +1,131 @@
+/**
+ * Stage Loop - Iterative agent loops within a workflow stage
+ *
+ * A stage may declare `loop: { until, max, body }`. After the stage's agents
+ * have run once (iteration 1), the body agents are re-run in order until the
+ * `until` condition holds or `max` iterations have been made. The condition
+ * is `AGENT.path`, evaluated for truthiness against that agent's latest
+ * output, e.g. 'TEST.success' or 'CQR.approved'.
+ */
+
+/**
+ * @typedef {Object} LoopDefinition
+ * @property {string} until - Exit condition ("AGENT.path", optionally prefixed with "!")
+ * @property {number} max - Maximum iterations, including the stage's first pass
+ * @property {string[]} [body] - Agents re-run each iteration (defaults to the stage's agents)
+ */
+
+/**
+ * Parse a loop condition
+ * @param {string} until - e.g. 'TEST.success' or '!SR.findings'
+ * @returns {{agentType: string, path: string[], negate: boolean}|null}
+ */
+export function parseLoopCondition(until) {
+  const match = typeof until === 'string' && until.trim().match(/^(!)?\s*([A-Z][A-Z0-9_]*)\.([\w.]+)$/);
+  if (!match) {
+    return null;
+  }
+  return {
+    agentType: match[2],
+    path: match[3].split('.'),
+    negate: Boolean(match[1])
+  };
+}
+
+/**
+ * Evaluate a loop condition against the run context
+ * @param {string} until - Loop condition
+ * @param {Object} context - Run context (agent outputs under `${AGENT}_output`)
+ * @returns {boolean}
+ */
+export function evaluateLoopCondition(until, context) {
+  const condition = parseLoopCondition(until);
+  if (!condition) {
+    throw new Error(`Invalid loop condition: ${until}`);
+  }
+
+  let value = context[`${condition.agentType}_output`];
+  for (const key of condition.path) {
+    value = value?.[key];
+  }
+
+  return condition.negate ? !value : Boolean(value);
+}
+
+/**
+ * Get the agents re-run in each loop iteration
+ * @param {Object} stage - Stage definition
+ * @returns {string[]}
+ */
+export function getLoopBody(stage) {
+  return stage.loop?.body || stage.agents;
+}
+
+/**
+ * Summarize the output of the condition agent as feedback for the next iteration
+ * @param {Object} output - Agent output
+ * @returns {string[]} - Feedback lines
+ */
+export function getLoopFeedback(output) {
+  if (!output) {
+    return [];
+  }
+
+  const lines = [];
+  if (output.summary) {
+    lines.push(output.summary);
+  }
+  if (output.testResults) {
+    lines.push(`Tests: ${output.testResults.passed} passed, ${output.testResults.failed} failed`);
+    for (const failure of output.testResults.failures || []) {
+      lines.push(`- ${failure}`);
+    }
+  }
+  for (const finding of output.findings || []) {
+    const location = finding.file ? ` (${finding.file}${finding.line ? `:${finding.line}` : ''})` : '';
+    lines.push(`- [${finding.severity}] ${finding.message}${location}`);
+  }
+  for (const warning of output.warnings || []) {
+    lines.push(`- ${warning}`);
+  }
+  return lines;
+}
+
+/**
+ * Validate the loop definition of a stage
+ * @param {Object} stage - Stage definition
+ * @returns {string[]} - Errors
+ */
+export function validateLoop(stage) {
+  const { loop } = stage;
+  const errors = [];
+
+  const condition = parseLoopCondition(loop.until);
+  if (!condition) {
+    errors.push(`loop "until" must look like AGENT.field (got ${JSON.stringify(loop.until)})`);
+  }
+
+  if (!Number.isInteger(loop.max) || loop.max < 1) {
+    errors.push('loop "max" must be a positive integer');
+  }
+
+  if (loop.body !== undefined &&
+      (!Array.isArray(loop.body) || loop.body.length === 0 || loop.body.some(a => typeof a !== 'string'))) {
+    errors.push('loop "body" must be a non-empty array of agent types');
+  }
+
+  const body = Array.isArray(loop.body) ? loop.body : stage.agents;
+  if (condition && !body.includes(condition.agentType)) {
+    errors.push(`loop condition agent ${condition.agentType} is not part of the loop body`);
+  }
+
+  return errors;
+}
+
+export default {
+  parseLoopCondition,
+  evaluateLoopCondition,
+  getLoopBody,
+  getLoopFeedback,
+  validateLoop
+};
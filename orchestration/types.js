@@ -69,6 +69,41 @@ export const StageExecutionMode = Object.freeze({
   PARALLEL: 'parallel'
 });
 
+/**
+ * Workflow scheduling modes
+ * - stage: agents start once all stages they depend on are completed
+ * - agent: each agent starts as soon as its own agent dependencies are completed
+ * @readonly
+ * @enum {string}
+ */
+export const SchedulingMode = Object.freeze({
+  STAGE: 'stage',
+  AGENT: 'agent'
+});
+
+/**
+ * Stage gate types
+ * - approval: dependent stages wait until a human approves the stage output
+ * - command: build/test/lint commands must pass before the stage completes
+ * @readonly
+ * @enum {string}
+ */
+export const GateType = Object.freeze({
+  APPROVAL: 'approval',
+  COMMAND: 'command'
+});
+
+/**
+ * Stage gate states
+ * @readonly
+ * @enum {string}
+ */
+export const GateStatus = Object.freeze({
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+});
+
 /**
  * PR failure modes
  * @readonly
@@ -79,6 +114,41 @@ export const PRFailureMode = Object.freeze({
   WARN: 'warn'    // Log warning and continue
 });
 
+/**
+ * File operations agents can apply to the repository
+ * @readonly
+ * @enum {string}
+ */
+export const FileOperationType = Object.freeze({
+  WRITE: 'write',   // Create or replace a whole file (artifacts are writes)
+  CREATE: 'create', // Create a file that must not exist yet
+  MODIFY: 'modify', // Replace the content of an existing file
+  DELETE: 'delete', // Delete an existing file
+  RENAME: 'rename', // Move a file, optionally with new content
+  PATCH: 'patch'    // Apply a unified diff (may span several files)
+});
+
+/**
+ * What happens when agent output violates the write policy
+ * @readonly
+ * @enum {string}
+ */
+export const WritePolicyMode = Object.freeze({
+  FAIL: 'fail',   // Reject the output; the agent execution fails
+  WARN: 'warn'    // Skip the violating files and record warnings
+});
+
+/**
+ * What happens when agent output contains secrets
+ * @readonly
+ * @enum {string}
+ */
+export const SecretScanMode = Object.freeze({
+  BLOCK: 'block',   // Reject the output; the agent execution fails
+  REDACT: 'redact', // Replace secrets with [REDACTED:<rule>] and commit
+  OFF: 'off'        // Do not scan
+});
+
 /**
  * @typedef {Object} Artifact
  * @property {string} name - Artifact name
@@ -87,11 +157,22 @@ export const PRFailureMode = Object.freeze({
  * @property {string} content - Artifact content
  */
 
+/**
+ * @typedef {Object} FileOperation
+ * @property {string} action - FileOperationType value
+ * @property {string} [path] - File path (write, create, modify, delete)
+ * @property {string} [content] - New file content (write, create, modify; optional for rename)
+ * @property {string} [from] - Current path (rename)
+ * @property {string} [to] - New path (rename)
+ * @property {string} [diff] - Unified diff (patch)
+ */
+
 /**
  * @typedef {Object} AgentOutput
  * @property {boolean} success - Whether execution succeeded
  * @property {string} summary - Summary of what was done
  * @property {Artifact[]} artifacts - Generated artifacts
+ * @property {FileOperation[]} [operations] - Changes to existing files
  * @property {Object} metadata - Execution metadata
  * @property {number} metadata.tokensUsed - Tokens consumed
  * @property {number} metadata.executionTime - Execution time in ms
@@ -101,12 +182,27 @@ export const PRFailureMode = Object.freeze({
  * @property {string[]} [warnings] - Any warnings encountered
  */
 
+/**
+ * @typedef {Object} AgentUsage
+ * @property {number} inputTokens - Uncached input tokens
+ * @property {number} outputTokens - Output tokens
+ * @property {number} cacheReadTokens - Input tokens read from the prompt cache
+ * @property {number} cacheWriteTokens - Input tokens written to the prompt cache
+ * @property {number|null} costUsd - Cost reported by the backend (null if unknown)
+ * @property {number|null} durationMs - Duration reported by the backend
+ * @property {string|null} cliSessionId - Claude CLI session ID (cli backend only)
+ */
+
 /**
  * @typedef {Object} AgentExecution
  * @property {string} id - Unique execution ID
  * @property {string} agentType - Type of agent
  * @property {string} taskId - Associated PMS task ID
  * @property {string} status - Current status
+ * @property {string} [backend] - Name of the agent backend used
+ * @property {string} [model] - Model tier used
+ * @property {{version: string|null, hash: string}} [prompt] - Prompt version (null if unrecorded) and content hash
+ * @property {AgentUsage} [usage] - Usage reported by the backend
  * @property {Date} startTime - When execution started
  * @property {Date} [endTime] - When execution ended
  * @property {AgentOutput} [output] - Agent output (when completed)
@@ -119,7 +215,28 @@ export const PRFailureMode = Object.freeze({
  * @property {string} description - Stage description
  * @property {string[]} agents - Agent types in this stage
  * @property {string} executionMode - 'sequential' or 'parallel'
- * @property {string[]} [dependencies] - Stage dependencies
+ * @property {string[]} [dependencies] - Names of stages that must complete first
+ *   (defaults to the previous stage when omitted)
+ * @property {StageGate} [gate] - Gate that must pass before dependent stages run
+ * @property {import('./stage-loop.js').LoopDefinition} [loop] - Re-run agents until a condition holds
+ */
+
+/**
+ * @typedef {Object} StageGate
+ * @property {string} type - GateType value
+ * @property {string[]} [commands] - Shell commands (command gates)
+ * @property {number} [maxFixAttempts] - Fix iterations before the stage fails (command gates, default 2)
+ * @property {string[]} [fixAgents] - Agents that fix failures (command gates, default: the stage's DEV agents)
+ * @property {number} [timeoutMs] - Timeout per command (command gates)
+ */
+
+/**
+ * @typedef {Object} GateRecord
+ * @property {string} status - GateStatus value
+ * @property {string} [comment] - Reviewer comment (revision input on rejection)
+ * @property {string} requestedAt - When approval was requested
+ * @property {string} [decidedAt] - When the gate was approved or rejected
+ * @property {Object[]} history - Earlier decisions for this gate
  */
 
 /**
@@ -127,7 +244,7 @@ export const PRFailureMode = Object.freeze({
  * @property {string} id - Workflow ID
  * @property {string} name - Workflow name
  * @property {string} description - Workflow description
- * @property {StageDefinition[]} stages - Ordered list of stages
+ * @property {StageDefinition[]} stages - Stages, scheduled by their dependencies
  * @property {Object} [options] - Workflow options
  */
 
@@ -138,7 +255,7 @@ export const PRFailureMode = Object.freeze({
  * @property {string} sessionId - Session ID
  * @property {string} status - Current status
  * @property {Object} context - Runtime context
- * @property {number} currentStageIndex - Current stage index
+ * @property {Set<string>} completedStages - Names of completed stages
  * @property {AgentExecution[]} agentExecutions - All agent executions
  * @property {Date} startTime - When run started
  * @property {Date} [endTime] - When run ended
@@ -150,7 +267,8 @@ export const PRFailureMode = Object.freeze({
  * @typedef {Object} SessionCheckpoint
  * @property {string} sessionId - Session ID
  * @property {string} workflowRunId - Workflow run ID
- * @property {number} stageIndex - Completed stage index
+ * @property {number} stageIndex - Index of the stage that triggered the checkpoint
+ * @property {string[]} completedStages - Names of all completed stages
  * @property {Date} timestamp - Checkpoint timestamp
  * @property {Object} state - Serialized state
  */
@@ -172,5 +290,11 @@ export default {
   WorkflowStatus,
   ModelTier,
   StageExecutionMode,
-  PRFailureMode
+  SchedulingMode,
+  GateType,
+  GateStatus,
+  PRFailureMode,
+  FileOperationType,
+  WritePolicyMode,
+  SecretScanMode
 };
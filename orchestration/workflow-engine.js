@@ -5,12 +5,28 @@
  */
 
 import { EventEmitter } from 'events';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
-import { WorkflowStatus, AgentStatus, StageExecutionMode } from './types.js';
+import { AgentType, WorkflowStatus, AgentStatus, StageExecutionMode, SchedulingMode, GateType, GateStatus, WritePolicyMode, SecretScanMode } from './types.js';
 import { getSessionManager } from './session-manager.js';
-import { getAgentConfig, topologicalSortAgents } from './agent-configs.js';
-import { selectModelForAgent, getModelCliArgForAgent } from './model-selector.js';
-import { getWorkflow } from './predefined-workflows.js';
+import { getAgentConfig, topologicalSortAgents, resolveAgentDependencies } from './agent-configs.js';
+import { loadCustomAgents } from './agent-registry.js';
+import { selectModelForAgent, getModelSelector } from './model-selector.js';
+import { getWorkflow, getSessionWorkflow } from './predefined-workflows.js';
+import { buildStageGraph, validateStageGraph, getReadyStages, getDownstreamStages } from './stage-graph.js';
+import { BudgetTracker, BudgetExceededError, parseBudget } from './budget-tracker.js';
+import { mergeUsage, getTotalTokens, normalizeBackendResponse } from '../src/claude-cli/usage.js';
+import { runCommandGate, getFixAgents, applyCommandChecks, DEFAULT_MAX_FIX_ATTEMPTS } from './command-gate.js';
+import { parseLoopCondition, evaluateLoopCondition, getLoopBody, getLoopFeedback } from './stage-loop.js';
+import { FileOperationError, collectFileOperations, applyFileOperations } from './file-operations.js';
+import { WritePolicyError, getWritePolicy, enforceWritePolicy } from './write-policy.js';
+import { SecretDetectedError, scanOutput, redactOutput, scanFiles, getSecretScanOptions } from './secret-scanner.js';
+import { SUMMARY_MODEL, getContextBudget, buildSummaryPrompt } from './context-budget.js';
+import { ContextFormat } from '../pms/types.js';
+import { UnresolvedConflictError, CONFLICT_RESOLUTION_OUTPUT_SCHEMA, getConflictResolution, validateResolution, isSameConflict } from './conflict-resolution.js';
+import { getProjectConfig, applyWorkflowDefaults } from './project-config.js';
 
 /**
  * WorkflowEngine singleton class
@@ -26,6 +42,7 @@ class WorkflowEngine extends EventEmitter {
     this._taskManager = null;
     this._contextSerializer = null;
     this._claudeCli = null;
+    this._backends = null;
     this._responseParser = null;
     this._gitManager = null;
     this._prManager = null;
@@ -64,13 +81,52 @@ class WorkflowEngine extends EventEmitter {
     return this._claudeCli;
   }
 
+  /**
+   * Get agent backend registry (lazy load)
+   */
+  async getBackends() {
+    if (!this._backends) {
+      this._backends = await import('../src/claude-cli/backends/index.js');
+    }
+    return this._backends;
+  }
+
+  /**
+   * Get the backend selected for an agent in a run
+   * Run options take precedence over workflow options; instances are shared
+   * within a run so stateful backends (e.g. scripted sequences) keep state.
+   * @param {Object} run - Workflow run
+   * @param {string} agentType - Agent type
+   * @returns {Object} - AgentBackend instance
+   */
+  async getAgentBackend(run, agentType) {
+    const { resolveBackendSpec, createBackend } = await this.getBackends();
+    const spec = resolveBackendSpec(agentType, [run.options, run.workflowDef.options]);
+    const key = JSON.stringify(spec);
+
+    if (!run.backends.has(key)) {
+      run.backends.set(key, createBackend(spec));
+    }
+    return run.backends.get(key);
+  }
+
+  /**
+   * Get PromptLoader module (lazy load)
+   */
+  async getPromptLoader() {
+    if (!this._promptLoader) {
+      this._promptLoader = await import('../src/agents/prompt-loader.js');
+    }
+    return this._promptLoader;
+  }
+
   /**
    * Get ResponseParser (lazy load)
    */
   async getResponseParser() {
     if (!this._responseParser) {
-      const { parseAgentResponse } = await import('../src/agents/response-parser.js');
-      this._responseParser = { parseAgentResponse };
+      const { parseAgentResponse, parseStructuredResponse } = await import('../src/agents/response-parser.js');
+      this._responseParser = { parseAgentResponse, parseStructuredResponse };
     }
     return this._responseParser;
   }
@@ -105,15 +161,31 @@ class WorkflowEngine extends EventEmitter {
    * @returns {Object} - WorkflowRun
    */
   async startWorkflow(definition, context, options = {}) {
+    // Custom agents must be registered before workflows referencing them resolve
+    await loadCustomAgents();
+
     // Resolve workflow definition
-    const workflowDef = typeof definition === 'string'
+    const resolved = typeof definition === 'string'
       ? getWorkflow(definition)
       : definition;
 
-    if (!workflowDef) {
+    if (!resolved) {
       throw new Error(`Unknown workflow: ${definition}`);
     }
 
+    const workflowDef = applyWorkflowDefaults(applyCommandChecks(resolved, options.checks));
+
+    // Remember where file workflows came from so resume can reload them
+    if (resolved.source) {
+      options = { ...options, workflowFile: resolved.source };
+    }
+
+    // Validate stage dependency graph
+    const validation = validateStageGraph(workflowDef);
+    if (!validation.valid) {
+      throw new Error(`Invalid workflow ${workflowDef.id}: ${validation.errors.join('; ')}`);
+    }
+
     // Create session
     const session = this.sessionManager.createSession({
       workflowId: workflowDef.id,
@@ -129,7 +201,18 @@ class WorkflowEngine extends EventEmitter {
       sessionId: session.id,
       status: WorkflowStatus.RUNNING,
       context: { ...context },
-      currentStageIndex: 0,
+      completedStages: new Set(),
+      startedStages: new Set(),
+      backends: new Map(),
+      budget: this.createBudgetTracker(options),
+      pendingGates: [],
+      worktrees: new Map(),
+      gitQueue: Promise.resolve(),
+      revisions: new Map(),
+      fixes: new Map(),
+      secrets: new Map(),
+      iterations: new Map(),
+      retries: new Map(),
       agentExecutions: [],
       completedAgents: new Set(),
       startTime: new Date(),
@@ -157,13 +240,21 @@ class WorkflowEngine extends EventEmitter {
       // Create git branch if needed
       if (options.createBranch !== false) {
         run.gitBranch = await this.createWorkflowBranch(run);
+        this.sessionManager.updateContext(session.id, { gitBranch: run.gitBranch });
       }
 
       // Execute stages
       await this.executeWorkflow(run);
 
-      // Create PR if configured
-      if (workflowDef.options?.createPR && run.gitBranch) {
+      // Wait for approval of gated stages
+      if (run.pendingGates.length > 0) {
+        this.pauseForApproval(run);
+        return run;
+      }
+
+      // Bring the branch up to date and create PR if configured
+      if (workflowDef.options?.createPR && run.options.createPR !== false && run.gitBranch) {
+        await this.rebaseWorkflowBranch(run);
         await this.createWorkflowPR(run);
       }
 
@@ -181,6 +272,15 @@ class WorkflowEngine extends EventEmitter {
       });
 
     } catch (error) {
+      if (error instanceof BudgetExceededError) {
+        this.pauseForBudget(run, error);
+        return run;
+      }
+      if (error instanceof UnresolvedConflictError) {
+        this.pauseForConflict(run, error);
+        return run;
+      }
+
       run.status = WorkflowStatus.FAILED;
       run.error = error.message;
       run.endTime = new Date();
@@ -201,53 +301,386 @@ class WorkflowEngine extends EventEmitter {
 
   /**
    * Execute all stages in a workflow
+   * Stages are scheduled from their declared dependencies: every stage whose
+   * dependencies are completed is started, so independent stages overlap.
+   * In agent scheduling mode, agents are scheduled individually instead.
    * @param {Object} run - Workflow run
    */
   async executeWorkflow(run) {
-    const { workflowDef } = run;
+    try {
+      if (this.getSchedulingMode(run) === SchedulingMode.AGENT) {
+        await this.executeAgentGraph(run);
+        return;
+      }
+
+      const graph = buildStageGraph(run.workflowDef);
+      const blocked = getDownstreamStages(graph, this.getUnapprovedGates(run));
+
+      await this.runScheduled(run, running =>
+        getReadyStages(graph, run.completedStages, running)
+          .filter(node => !blocked.has(node.name))
+          .map(node => ({
+            key: node.name,
+            start: () => this.runStageNode(run, node)
+          }))
+      );
+
+      if (this.requestApprovals(run).length > 0) {
+        return;
+      }
+
+      const pending = [...graph.keys()].filter(name => !run.completedStages.has(name));
+      if (pending.length > 0) {
+        throw new Error(`Stages could not be scheduled: ${pending.join(', ')}`);
+      }
+    } finally {
+      // Stages that did not merge leave their worktrees behind
+      await this.removeAgentWorktrees(run);
+    }
+  }
+
+  /**
+   * Execute workflow agents as soon as their own dependencies are completed
+   * Dependencies come from the agent configs; stage barriers are ignored. A
+   * stage is checkpointed once all of its agents have completed. Agents of
+   * stages behind an unapproved gate, or behind worktrees that are not merged
+   * or a loop or command gate that has not finished yet, are held back.
+   * @param {Object} run - Workflow run
+   */
+  async executeAgentGraph(run) {
+    const graph = buildStageGraph(run.workflowDef);
+    const agentTypes = [...new Set(run.workflowDef.stages.flatMap(stage => stage.agents))];
+    const unapproved = this.getUnapprovedGates(run);
+    const getBlockedAgents = () => {
+      const pendingChecks = [...graph.values()]
+        .filter(node => !run.completedStages.has(node.name) &&
+          (this.hasCompletionSteps(node.stage) || this.usesWorktrees(run, node.stage)))
+        .map(node => node.name);
+      const blockedStages = getDownstreamStages(graph, [...unapproved, ...pendingChecks]);
+      return new Set([...blockedStages].flatMap(name => graph.get(name).stage.agents));
+    };
+    const dependencies = new Map(
+      agentTypes.map(type => [type, resolveAgentDependencies(type, agentTypes)])
+    );
+
+    const finishing = new Set();
+    const completeFinishedStages = async () => {
+      for (const node of graph.values()) {
+        if (!run.completedStages.has(node.name) &&
+            !finishing.has(node.name) &&
+            node.stage.agents.every(a => run.completedAgents.has(a))) {
+          finishing.add(node.name);
+          await this.mergeStageWorktrees(run, node);
+          await this.runStageLoop(run, node);
+          await this.runCommandGateForStage(run, node);
+          this.completeStage(run, node);
+          finishing.delete(node.name);
+        }
+      }
+    };
+
+    // Stages already satisfied (e.g. on resume) are checkpointed up front
+    await completeFinishedStages();
+
+    await this.runScheduled(run, running => {
+      const blockedAgents = getBlockedAgents();
+      return agentTypes
+        .filter(type =>
+          !run.completedAgents.has(type) &&
+          !running.has(type) &&
+          !blockedAgents.has(type) &&
+          dependencies.get(type).every(dep => run.completedAgents.has(dep))
+        )
+        .map(type => ({
+          key: type,
+          start: async () => {
+            const nodes = [...graph.values()].filter(node => node.stage.agents.includes(type));
+            for (const node of nodes) {
+              this.startStage(run, node);
+            }
+
+            const stageNode = nodes.find(node => !run.completedStages.has(node.name));
+            await this.spawnAndExecuteAgent(run, type, {
+              isolated: Boolean(stageNode) && this.usesWorktrees(run, stageNode.stage)
+            });
+            await completeFinishedStages();
+          }
+        }));
+    });
+
+    if (this.requestApprovals(run).length > 0) {
+      return;
+    }
 
-    for (let i = run.currentStageIndex; i < workflowDef.stages.length; i++) {
+    const pending = agentTypes.filter(type => !run.completedAgents.has(type));
+    if (pending.length > 0) {
+      throw new Error(`Agents could not be scheduled: ${pending.join(', ')}`);
+    }
+  }
+
+  /**
+   * Run scheduled work items until nothing is ready or running
+   * On failure no new items are started; in-flight items are awaited before
+   * the first error is rethrown so checkpoints stay consistent. A budget error
+   * is rethrown before any other, so the run pauses instead of failing.
+   * @param {Object} run - Workflow run
+   * @param {Function} getReady - (runningKeys: Set<string>) => [{key, start}]
+   */
+  async runScheduled(run, getReady) {
+    const running = new Map();
+    const failures = [];
+
+    while (true) {
       // Check for cancellation
-      if (run.status === WorkflowStatus.CANCELLED) {
-        throw new Error('Workflow cancelled');
+      if (run.status === WorkflowStatus.CANCELLED && failures.length === 0) {
+        failures.push(new Error('Workflow cancelled'));
+      }
+
+      if (failures.length === 0) {
+        for (const item of getReady(new Set(running.keys()))) {
+          running.set(item.key, item.start().then(
+            () => ({ key: item.key }),
+            error => ({ key: item.key, error })
+          ));
+        }
       }
 
-      const stage = workflowDef.stages[i];
-      run.currentStageIndex = i;
+      if (running.size === 0) {
+        break;
+      }
 
-      this.emit('stage_started', {
-        runId: run.id,
-        stageIndex: i,
-        stageName: stage.name
+      const result = await Promise.race(running.values());
+      running.delete(result.key);
+
+      if (result.error) {
+        failures.push(result.error);
+      }
+    }
+
+    if (failures.length > 0) {
+      throw failures.find(error => error instanceof BudgetExceededError) || failures[0];
+    }
+  }
+
+  /**
+   * Get the scheduling mode for a run
+   * @param {Object} run - Workflow run
+   * @returns {string} - SchedulingMode value
+   */
+  getSchedulingMode(run) {
+    return run.options?.scheduling || run.workflowDef.options?.scheduling || SchedulingMode.STAGE;
+  }
+
+  /**
+   * Execute a stage node and checkpoint on completion
+   * @param {Object} run - Workflow run
+   * @param {Object} node - Stage graph node
+   */
+  async runStageNode(run, node) {
+    this.startStage(run, node);
+    await this.executeStage(run, node.stage);
+    await this.mergeStageWorktrees(run, node);
+    await this.runStageLoop(run, node);
+    await this.runCommandGateForStage(run, node);
+    this.completeStage(run, node);
+  }
+
+  /**
+   * Check if a stage runs steps after its agents (a loop or command gate)
+   * @param {Object} stage - Stage definition
+   * @returns {boolean}
+   */
+  hasCompletionSteps(stage) {
+    return Boolean(stage.loop) || stage.gate?.type === GateType.COMMAND;
+  }
+
+  /**
+   * Run the loop of a stage, if it has one
+   * The stage's first pass counts as iteration 1. While the loop condition
+   * does not hold, the body agents are re-run in order, each as a new PMS task
+   * linked to its previous one; agents other than the condition agent get its
+   * latest findings as input.
+   * @param {Object} run - Workflow run
+   * @param {Object} node - Stage graph node
+   * @throws {Error} - When the condition still fails after `max` iterations
+   */
+  async runStageLoop(run, node) {
+    const { loop } = node.stage;
+    if (!loop) {
+      return;
+    }
+
+    const condition = parseLoopCondition(loop.until);
+    const body = getLoopBody(node.stage);
+
+    // Continue the iteration count of an interrupted loop; an exhausted loop
+    // starts a new round when the session is resumed
+    const previous = this.sessionManager.getSession(run.sessionId)?.loops?.[node.name];
+    let iteration = previous && previous.status !== 'exhausted' ? previous.iteration : 1;
+
+    while (true) {
+      const satisfied = evaluateLoopCondition(loop.until, run.context);
+      const status = satisfied ? 'satisfied' : iteration >= loop.max ? 'exhausted' : 'running';
+
+      this.sessionManager.recordLoopIteration(run.sessionId, node.name, {
+        until: loop.until,
+        max: loop.max,
+        iteration,
+        status,
+        tasks: Object.fromEntries(body.map(agentType => [agentType, this.getLatestTaskId(run, agentType)]))
       });
 
-      this.sessionManager.addLog(run.sessionId, {
-        type: 'stage_started',
-        stageIndex: i,
-        stageName: stage.name
+      this.emit('loop_iteration', {
+        runId: run.id,
+        stageName: node.name,
+        iteration,
+        max: loop.max,
+        until: loop.until,
+        satisfied
       });
 
-      await this.executeStage(run, stage);
+      if (satisfied) {
+        return;
+      }
+      if (status === 'exhausted') {
+        throw new Error(`Loop in stage "${node.name}" did not reach ${loop.until} after ${loop.max} iteration(s)`);
+      }
 
-      // Checkpoint after stage completion
-      this.sessionManager.checkpoint(run.sessionId, {
-        stageIndex: i,
-        stageName: stage.name,
-        completedAgents: [...run.completedAgents],
-        state: {
-          currentStageIndex: i + 1,
-          context: run.context
-        }
+      iteration++;
+      const feedback = getLoopFeedback(run.context[`${condition.agentType}_output`]);
+
+      for (const agentType of body) {
+        run.iterations.set(agentType, {
+          stageName: node.name,
+          iteration,
+          until: loop.until,
+          conditionAgent: condition.agentType,
+          previousTaskId: this.getLatestTaskId(run, agentType),
+          feedback: agentType === condition.agentType ? [] : feedback
+        });
+        await this.spawnAndExecuteAgent(run, agentType);
+      }
+    }
+  }
+
+  /**
+   * Get the task of an agent's latest completed execution
+   * @param {Object} run - Workflow run
+   * @param {string} agentType
+   * @returns {string|null}
+   */
+  getLatestTaskId(run, agentType) {
+    const execution = run.agentExecutions.findLast(e =>
+      e.agentType === agentType && e.status === AgentStatus.COMPLETED && e.taskId
+    );
+    return execution?.taskId || null;
+  }
+
+  /**
+   * Run the command gate of a stage, if it has one
+   * Failing command output is fed back to the stage's fix agents, which are
+   * re-run before the commands are tried again, up to maxFixAttempts times.
+   * @param {Object} run - Workflow run
+   * @param {Object} node - Stage graph node
+   * @throws {Error} - When the commands still fail after the last fix attempt
+   */
+  async runCommandGateForStage(run, node) {
+    const gate = node.stage.gate;
+    if (gate?.type !== GateType.COMMAND) {
+      return;
+    }
+
+    const gitManager = await this.getGitManager();
+    const maxFixAttempts = gate.maxFixAttempts ?? DEFAULT_MAX_FIX_ATTEMPTS;
+
+    for (let attempt = 0; ; attempt++) {
+      const { passed, results } = await runCommandGate(gate, { cwd: gitManager.workingDir });
+
+      this.sessionManager.addLog(run.sessionId, {
+        type: 'quality_gate',
+        stageName: node.name,
+        attempt,
+        passed,
+        results
       });
 
-      this.emit('stage_completed', {
+      this.emit('quality_gate_completed', {
         runId: run.id,
-        stageIndex: i,
-        stageName: stage.name
+        stageName: node.name,
+        attempt,
+        passed,
+        results
       });
+
+      if (passed) {
+        return;
+      }
+
+      const failures = results.filter(r => r.exitCode !== 0);
+      if (attempt >= maxFixAttempts) {
+        throw new Error(
+          `Quality gate failed for stage "${node.name}" after ${attempt} fix attempt(s): ` +
+          failures.map(f => `${f.command} (${f.timedOut ? 'timed out' : `exit ${f.exitCode}`})`).join(', ')
+        );
+      }
+
+      for (const agentType of getFixAgents(node.stage)) {
+        run.fixes.set(agentType, { stageName: node.name, attempt: attempt + 1, failures });
+        await this.spawnAndExecuteAgent(run, agentType);
+      }
     }
   }
 
+  /**
+   * Announce the start of a stage (once per run)
+   * @param {Object} run - Workflow run
+   * @param {Object} node - Stage graph node
+   */
+  startStage(run, node) {
+    if (run.startedStages.has(node.name) || run.completedStages.has(node.name)) {
+      return;
+    }
+    run.startedStages.add(node.name);
+
+    this.emit('stage_started', {
+      runId: run.id,
+      stageIndex: node.index,
+      stageName: node.name
+    });
+
+    this.sessionManager.addLog(run.sessionId, {
+      type: 'stage_started',
+      stageIndex: node.index,
+      stageName: node.name
+    });
+  }
+
+  /**
+   * Mark a stage completed and checkpoint
+   * @param {Object} run - Workflow run
+   * @param {Object} node - Stage graph node
+   */
+  completeStage(run, node) {
+    run.completedStages.add(node.name);
+
+    // Checkpoint after stage completion
+    this.sessionManager.checkpoint(run.sessionId, {
+      stageIndex: node.index,
+      stageName: node.name,
+      completedStages: [...run.completedStages],
+      completedAgents: [...run.completedAgents],
+      state: {
+        context: run.context
+      }
+    });
+
+    this.emit('stage_completed', {
+      runId: run.id,
+      stageIndex: node.index,
+      stageName: node.name
+    });
+  }
+
   /**
    * Execute a single stage
    * @param {Object} run - Workflow run
@@ -264,10 +697,17 @@ class WorkflowEngine extends EventEmitter {
     }
 
     if (executionMode === StageExecutionMode.PARALLEL) {
-      // Run agents in parallel
-      await Promise.all(
-        agentsToRun.map(agentType => this.spawnAndExecuteAgent(run, agentType))
+      // Run agents in parallel, each in its own worktree when on a git branch
+      // Every agent settles before a failure is rethrown, so a budget pause
+      // is persisted after the usage of the agents still running is recorded
+      const isolated = this.usesWorktrees(run, stage);
+      const results = await Promise.allSettled(
+        agentsToRun.map(agentType => this.spawnAndExecuteAgent(run, agentType, { isolated }))
       );
+      const failures = results.filter(result => result.status === 'rejected').map(result => result.reason);
+      if (failures.length > 0) {
+        throw failures.find(error => error instanceof BudgetExceededError) || failures[0];
+      }
     } else {
       // Run agents sequentially
       for (const agentType of agentsToRun) {
@@ -280,12 +720,36 @@ class WorkflowEngine extends EventEmitter {
    * Spawn and execute a single agent
    * @param {Object} run - Workflow run
    * @param {string} agentType - Agent type to execute
+   * @param {Object} [options]
+   * @param {boolean} [options.isolated] - Run in the agent's own git worktree
+   * @param {import('./conflict-resolution.js').MergeConflict} [options.conflict] - Resolve this
+   *   conflict instead of doing the agent's own work; the output is returned but neither
+   *   committed nor recorded as the agent's stage output
    * @returns {Object} - Agent execution result
    */
-  async spawnAndExecuteAgent(run, agentType) {
+  async spawnAndExecuteAgent(run, agentType, options = {}) {
     const agentConfig = getAgentConfig(agentType);
     const executionId = uuidv4();
 
+    // Reserve budget before spawning; may downgrade the model tier or throw
+    // BudgetExceededError, which pauses the workflow instead of retrying
+    let model = selectModelForAgent(agentType, run.context);
+    let reservation = null;
+    if (run.budget) {
+      const remaining = run.budget.getRemaining();
+      reservation = run.budget.reserve(agentType, model);
+      if (reservation.downgraded) {
+        this.sessionManager.addLog(run.sessionId, {
+          type: 'model_downgraded',
+          agentType,
+          from: model,
+          to: reservation.tier,
+          remaining
+        });
+      }
+      model = reservation.tier;
+    }
+
     const execution = {
       id: executionId,
       agentType,
@@ -295,10 +759,12 @@ class WorkflowEngine extends EventEmitter {
       endTime: null,
       output: null,
       error: null,
-      model: selectModelForAgent(agentType, run.context)
+      model
     };
 
     run.agentExecutions.push(execution);
+    // Usage so far, so failed executions account for what they spent
+    let usage = null;
 
     this.emit('agent_spawned', {
       runId: run.id,
@@ -316,71 +782,154 @@ class WorkflowEngine extends EventEmitter {
     try {
       // Create PMS task
       const taskManager = await this.getTaskManager();
-      const contextSerializer = await this.getContextSerializer();
 
-      // Gather dependency outputs
-      const dependencyOutputs = await this.gatherDependencyOutputs(run, agentType);
+      if (agentType === AgentType.SR) {
+        await this.scanRepositoryForSecrets(run);
+      }
 
-      // Create task with serialized context
-      const taskContext = contextSerializer.serializeContext({
-        agentType,
-        workflowId: run.workflowId,
-        context: run.context,
-        dependencyOutputs
-      });
+      // Create task with the context serialized within the agent's budget
+      const { serialized: taskContext, format: contextFormat, usage: contextUsage } = await this.buildTaskContext(run, agentType);
+      usage = contextUsage;
+
+      // Record the prompt version the agent runs with
+      const promptVersion = this.getPinnedPromptVersion(run, agentType);
+      const { getPromptLoader } = await this.getPromptLoader();
+      execution.prompt = getPromptLoader().getPromptVersion(agentType, { version: promptVersion, workflowId: run.workflowId });
 
+      const { conflict } = options;
+      const iteration = conflict ? undefined : run.iterations.get(agentType);
       const task = await taskManager.createTask({
         agentType,
-        summary: `Execute ${agentConfig.name}`,
+        summary: conflict
+          ? `Resolve ${conflict.operation} conflicts with ${agentConfig.name} (attempt ${conflict.attempt})`
+          : iteration
+            ? `Execute ${agentConfig.name} (${iteration.stageName} iteration ${iteration.iteration})`
+            : `Execute ${agentConfig.name}`,
         description: `Agent execution for ${agentConfig.name} in workflow ${run.workflowId}`,
         context: taskContext,
-        dependencies: agentConfig.dependencies.map(dep => {
-          const depExec = run.agentExecutions.find(e => e.agentType === dep && e.status === AgentStatus.COMPLETED);
-          return depExec?.taskId;
-        }).filter(Boolean)
+        contextFormat,
+        prompt: execution.prompt,
+        dependencies: agentConfig.dependencies
+          .map(dep => this.getLatestTaskId(run, dep))
+          .filter(Boolean),
+        metadata: iteration
+          ? { loop: { stageName: iteration.stageName, iteration: iteration.iteration, previousTaskId: iteration.previousTaskId } }
+          : {}
       });
 
       execution.taskId = task.id;
       execution.status = AgentStatus.RUNNING;
+      await taskManager.startTask(task.id);
 
-      // Execute via Claude CLI
+      // Execute via the selected agent backend
       const claudeCli = await this.getClaudeCli();
       const responseParser = await this.getResponseParser();
+      const backend = await this.getAgentBackend(run, agentType);
+      execution.backend = backend.name;
 
-      const modelArg = getModelCliArgForAgent(agentType);
-      const response = await claudeCli.executeAgent({
+      const worktree = options.isolated ? await this.getAgentWorktree(run, agentType) : null;
+
+      const modelArg = getModelSelector().getModelCliArg(execution.model);
+      const request = {
         agentType,
         taskId: task.id,
         context: taskContext,
         model: modelArg,
-        timeout: agentConfig.timeoutMs
-      });
+        timeout: agentConfig.timeoutMs,
+        workingDir: worktree?.path,
+        backend,
+        variables: await this.getPromptVariables(run, agentType),
+        promptVersion,
+        workflowId: run.workflowId,
+        strictPrompts: run.options.prompts?.strict ?? run.workflowDef.options?.prompts?.strict ?? false,
+        revision: conflict ? undefined : run.revisions.get(agentType),
+        fix: conflict ? undefined : run.fixes.get(agentType),
+        secrets: conflict ? undefined : run.secrets.get(agentType),
+        iteration,
+        conflict
+      };
+
+      // Parse response against the agent's output schema, re-prompting the
+      // agent with the validation errors a bounded number of times
+      const outputSchema = conflict ? CONFLICT_RESOLUTION_OUTPUT_SCHEMA : agentConfig.outputSchema;
+      let response = await claudeCli.executeAgent(request);
+      usage = mergeUsage(usage, response.usage);
+      let { output, validation } = responseParser.parseStructuredResponse(response.text, outputSchema);
+
+      for (let attempt = 1; !validation.valid && attempt <= (agentConfig.maxRepairAttempts ?? 0); attempt++) {
+        this.sessionManager.addLog(run.sessionId, {
+          type: 'agent_repair',
+          agentType,
+          attempt,
+          errors: validation.errors
+        });
+
+        response = await claudeCli.executeAgent({
+          ...request,
+          repair: { errors: validation.errors }
+        });
+        usage = mergeUsage(usage, response.usage);
+        ({ output, validation } = responseParser.parseStructuredResponse(response.text, outputSchema));
+      }
 
-      // Parse response
-      const output = responseParser.parseAgentResponse(response);
+      if (!validation.valid) {
+        throw new Error(`${agentType} output failed schema validation: ${validation.errors.join('; ')}`);
+      }
 
       execution.status = AgentStatus.COMPLETED;
       execution.endTime = new Date();
       execution.output = output;
 
+      // Prefer usage reported by the backend over figures in the agent output
+      if (usage) {
+        execution.usage = usage;
+        output.metadata = {
+          ...output.metadata,
+          tokensUsed: getTotalTokens(usage),
+          inputTokens: usage.inputTokens,
+          outputTokens: usage.outputTokens
+        };
+      }
+      const spend = this.getExecutionSpend(execution.model, usage, output.metadata);
+
+      // Account actual usage against the budget
+      if (reservation) {
+        run.budget.settle(reservation.reservationId, { tokens: spend.tokensUsed, costUsd: spend.costUsd });
+        reservation = null;
+      }
+
+      // Commit artifacts and file operations to git; output whose operations
+      // do not apply fails the execution. Conflict resolutions are applied by
+      // resolveConflicts instead.
+      if (!conflict && run.gitBranch) {
+        await this.commitAgentArtifacts(run, agentType, output, task.id);
+      }
+
       // Update task
       await taskManager.completeTask(task.id, output);
 
-      // Commit artifacts to git
-      if (output.artifacts?.length > 0 && run.gitBranch) {
-        await this.commitAgentArtifacts(run, agentType, output);
+      if (!conflict) {
+        // Update run context with agent output
+        run.context[`${agentType}_output`] = output;
+        run.completedAgents.add(agentType);
+        run.revisions.delete(agentType);
+        run.fixes.delete(agentType);
+        run.secrets.delete(agentType);
+        run.iterations.delete(agentType);
       }
 
-      // Update run context with agent output
-      run.context[`${agentType}_output`] = output;
-      run.completedAgents.add(agentType);
-
       // Record execution in session
       this.sessionManager.recordAgentExecution(run.sessionId, {
         agentType,
         executionId,
+        taskId: execution.taskId,
+        iteration: iteration?.iteration,
+        conflictResolution: Boolean(conflict),
         status: 'completed',
-        tokensUsed: output.metadata?.tokensUsed,
+        model: execution.model,
+        backend: execution.backend,
+        prompt: execution.prompt,
+        ...spend,
         executionTime: execution.endTime - execution.startTime
       });
 
@@ -398,6 +947,16 @@ class WorkflowEngine extends EventEmitter {
       execution.endTime = new Date();
       execution.error = error.message;
 
+      // Output that failed validation, the secret scan or the write policy
+      // was still paid for
+      const spend = this.getExecutionSpend(execution.model, usage);
+      if (usage) {
+        execution.usage = usage;
+      }
+      if (reservation) {
+        run.budget.settle(reservation.reservationId, usage && { tokens: spend.tokensUsed, costUsd: spend.costUsd });
+      }
+
       // Update task if created
       if (execution.taskId) {
         const taskManager = await this.getTaskManager();
@@ -407,8 +966,13 @@ class WorkflowEngine extends EventEmitter {
       this.sessionManager.recordAgentExecution(run.sessionId, {
         agentType,
         executionId,
+        taskId: execution.taskId,
         status: 'failed',
         error: error.message,
+        model: execution.model,
+        backend: execution.backend,
+        prompt: execution.prompt,
+        ...spend,
         executionTime: execution.endTime - execution.startTime
       });
 
@@ -420,21 +984,112 @@ class WorkflowEngine extends EventEmitter {
       });
 
       // Retry logic
-      const retries = run.context[`${agentType}_retries`] || 0;
+      const retries = run.retries.get(agentType) || 0;
       if (retries < agentConfig.maxRetries) {
-        run.context[`${agentType}_retries`] = retries + 1;
+        run.retries.set(agentType, retries + 1);
+        // Tell the agent where its output had secrets; the values stay out
+        if (error instanceof SecretDetectedError) {
+          run.secrets.set(agentType, {
+            attempt: retries + 1,
+            findings: error.details.findings.map(f => ({ ruleId: f.ruleId, description: f.description, path: f.path, line: f.line }))
+          });
+        }
         this.sessionManager.addLog(run.sessionId, {
           type: 'agent_retry',
           agentType,
           attempt: retries + 1
         });
-        return this.spawnAndExecuteAgent(run, agentType);
+        return this.spawnAndExecuteAgent(run, agentType, options);
       }
 
       throw error;
     }
   }
 
+  /**
+   * Get the tokens and cost an agent execution spent
+   * Usage reported by the backend is preferred over figures in the output.
+   * @param {string} model - Model tier of the execution
+   * @param {Object|null} usage - Backend usage
+   * @param {Object} [metadata] - Output metadata
+   * @returns {Object} - Token counts, costUsd, durationMs and cliSessionId
+   */
+  getExecutionSpend(model, usage, metadata = {}) {
+    const tokensUsed = metadata.tokensUsed || 0;
+    return {
+      tokensUsed: usage ? getTotalTokens(usage) : tokensUsed,
+      inputTokens: (usage ? usage.inputTokens : metadata.inputTokens) || 0,
+      outputTokens: (usage ? usage.outputTokens : metadata.outputTokens) || 0,
+      cacheReadTokens: usage?.cacheReadTokens || 0,
+      cacheWriteTokens: usage?.cacheWriteTokens || 0,
+      costUsd: usage?.costUsd ?? getModelSelector().calculateCost(model, usage || {
+        inputTokens: metadata.inputTokens,
+        outputTokens: metadata.outputTokens,
+        totalTokens: tokensUsed
+      }),
+      durationMs: usage?.durationMs ?? null,
+      cliSessionId: usage?.cliSessionId ?? null
+    };
+  }
+
+  /**
+   * Serialize an agent's context within its token budget
+   * When references and cut-down indirect outputs are not enough and the
+   * budget allows it, the largest outputs are summarized by a cheap model
+   * tier until the context fits. The format comes from the agent config.
+   * @param {Object} run - Workflow run
+   * @param {string} agentType
+   * @returns {Promise<{serialized: string, format: string, usage: Object|null}>} - Context, its format
+   *   and usage of summarization passes
+   */
+  async buildTaskContext(run, agentType) {
+    const contextSerializer = await this.getContextSerializer();
+    const budget = getContextBudget(agentType, run.workflowDef, run.options);
+    const format = getAgentConfig(agentType).contextFormat || ContextFormat.XML;
+    const params = {
+      agentType,
+      workflowId: run.workflowId,
+      context: this.getAgentContext(run, agentType),
+      dependencyOutputs: await this.gatherDependencyOutputs(run, agentType),
+      tokenBudget: budget.maxTokens,
+      format
+    };
+
+    const summaries = {};
+    let usage = null;
+    let result = contextSerializer.budgetContext(params);
+
+    while (result.overBudget && budget.summarize && result.candidates.length > 0) {
+      const [sourceAgent] = result.candidates;
+      const output = params.dependencyOutputs[sourceAgent] || params.context[`${sourceAgent}_output`];
+      const backend = await this.getAgentBackend(run, agentType);
+      const response = normalizeBackendResponse(await backend.execute({
+        prompt: buildSummaryPrompt(sourceAgent, agentType, output),
+        model: getModelSelector().getModelCliArg(SUMMARY_MODEL),
+        timeout: getAgentConfig(agentType).timeoutMs,
+        agentType
+      }));
+
+      summaries[sourceAgent] = response.text.trim();
+      usage = mergeUsage(usage, response.usage);
+      result = contextSerializer.budgetContext({ ...params, summaries });
+    }
+
+    if (result.reductions.length > 0 || result.overBudget) {
+      this.sessionManager.addLog(run.sessionId, {
+        type: 'context_budgeted',
+        agentType,
+        budget: budget.maxTokens,
+        fullTokens: result.fullTokens,
+        tokens: result.tokens,
+        reductions: result.reductions,
+        overBudget: result.overBudget
+      });
+    }
+
+    return { serialized: result.serialized, format, usage };
+  }
+
   /**
    * Gather outputs from dependency agents
    * @param {Object} run - Workflow run
@@ -471,35 +1126,558 @@ class WorkflowEngine extends EventEmitter {
   }
 
   /**
-   * Commit agent artifacts to git
+   * Commit agent artifacts and file operations to git
+   * Output containing secrets is rejected, or redacted in place when the scan
+   * mode is redact and every secret can be redacted. Writes the write policy refuses fail the output, or are
+   * skipped with a warning added to the output when the policy mode is warn.
    * @param {Object} run - Workflow run
    * @param {string} agentType - Agent type
    * @param {Object} output - Agent output
+   * @param {string} [taskId] - PMS task of the execution
+   * @throws {SecretDetectedError} - If the output contains secrets (block mode) or secrets that cannot be redacted
+   * @throws {WritePolicyError} - If writes violate the write policy (fail mode)
+   * @throws {FileOperationError} - If the operations do not apply cleanly
    */
-  async commitAgentArtifacts(run, agentType, output) {
+  async commitAgentArtifacts(run, agentType, output, taskId = null) {
+    // Keep credentials out of the repository
+    const secretScan = getSecretScanOptions(run.workflowDef, run.options);
+    if (secretScan.mode !== SecretScanMode.OFF) {
+      const findings = scanOutput(output);
+      if (findings.length > 0) {
+        await this.recordSecretFindings(run, agentType, taskId, findings, secretScan.mode);
+
+        const locations = list => list.map(f => `${f.path}:${f.line} (${f.ruleId})`).join(', ');
+        if (secretScan.mode === SecretScanMode.BLOCK) {
+          throw new SecretDetectedError(`${agentType} output contains secrets: ${locations(findings)}`, { agentType, findings });
+        }
+        // A patch cannot redact the unchanged lines a secret spans
+        const unredactable = findings.filter(f => f.redactable === false);
+        if (unredactable.length > 0) {
+          throw new SecretDetectedError(`${agentType} output contains secrets that cannot be redacted: ${locations(unredactable)}`, { agentType, findings });
+        }
+        Object.assign(output, redactOutput(output));
+        output.warnings = [
+          ...(output.warnings || []),
+          ...findings.map(f => `Secret redacted: ${f.path}:${f.line} (${f.description})`)
+        ];
+      }
+    }
+
+    const operations = collectFileOperations(output);
+    if (operations.length === 0) {
+      return;
+    }
+
     const gitManager = await this.getGitManager();
+    const cwd = run.worktrees.get(agentType)?.path || gitManager.workingDir;
 
-    const files = output.artifacts
-      .filter(a => a.path && a.content)
-      .map(a => ({ path: a.path, content: a.content }));
+    // Keep agent writes inside the project and away from protected files
+    const policy = getWritePolicy(agentType, run.workflowDef, run.options);
+    const { operations: permitted, violations } = enforceWritePolicy(operations, policy, { cwd });
+    if (violations.length > 0) {
+      this.sessionManager.addLog(run.sessionId, {
+        type: 'write_policy_violation',
+        agentType,
+        mode: policy.onViolation,
+        violations
+      });
 
-    if (files.length > 0) {
-      const message = `[${agentType}] ${output.summary || 'Agent execution'}`;
-      await gitManager.commitFiles(files, message);
+      const summary = violations.map(v => `${v.path}: ${v.reason}`).join('; ');
+      if (policy.onViolation === WritePolicyMode.FAIL) {
+        throw new WritePolicyError(`${agentType} output violates the write policy: ${summary}`, { agentType, violations });
+      }
+      output.warnings = [
+        ...(output.warnings || []),
+        ...violations.map(v => `Not written by write policy: ${v.path} (${v.reason})`)
+      ];
     }
+    if (permitted.length === 0) {
+      return;
+    }
+
+    await this.withGitLock(run, async () => {
+      try {
+        await applyFileOperations(permitted, { gitManager, cwd });
+      } catch (error) {
+        if (error instanceof FileOperationError) {
+          this.sessionManager.addLog(run.sessionId, {
+            type: 'file_operations_rejected',
+            agentType,
+            errors: error.details.errors
+          });
+        }
+        throw error;
+      }
+
+      if (await gitManager.hasStagedChanges({ cwd })) {
+        const message = `[${agentType}] ${output.summary || 'Agent execution'}`;
+        await gitManager.commit(message, { cwd });
+      }
+    });
+  }
+
+  /**
+   * Record secrets found in an agent's output
+   * Findings are logged, stored on the PMS task and kept in the run context
+   * for the security reviewer.
+   * @param {Object} run - Workflow run
+   * @param {string} agentType - Agent whose output contained the secrets
+   * @param {string|null} taskId - PMS task of the execution
+   * @param {import('./secret-scanner.js').SecretFinding[]} findings
+   * @param {string} mode - SecretScanMode value
+   */
+  async recordSecretFindings(run, agentType, taskId, findings, mode) {
+    this.sessionManager.addLog(run.sessionId, {
+      type: 'secrets_detected',
+      agentType,
+      mode,
+      findings
+    });
+
+    if (taskId) {
+      const taskManager = await this.getTaskManager();
+      taskManager.updateMetadata(taskId, { secretFindings: findings });
+    }
+
+    const known = run.context.secretFindings || [];
+    const key = f => `${f.agentType}|${f.path}|${f.line}|${f.ruleId}`;
+    const added = findings
+      .map(f => ({ ...f, agentType, source: 'artifact', action: mode }))
+      .filter(f => !known.some(k => key(k) === key(f)));
+    run.context.secretFindings = [...known, ...added];
+  }
+
+  /**
+   * Scan the tracked files of the repository for secrets
+   * Runs once per run before the security reviewer, when the workflow enables
+   * `secretScan.scanRepository` (e.g. SECURITY_AUDIT).
+   * @param {Object} run - Workflow run
+   */
+  async scanRepositoryForSecrets(run) {
+    const secretScan = getSecretScanOptions(run.workflowDef, run.options);
+    if (!secretScan.scanRepository || secretScan.mode === SecretScanMode.OFF || run.repositoryScanned) {
+      return;
+    }
+    run.repositoryScanned = true;
+
+    const gitManager = await this.getGitManager();
+    const files = await gitManager.listFiles();
+    const findings = scanFiles(gitManager.workingDir, files).map(f => ({ ...f, source: 'repository' }));
+
+    run.context.secretFindings = [
+      ...(run.context.secretFindings || []).filter(f => f.source !== 'repository'),
+      ...findings
+    ];
+
+    this.sessionManager.addLog(run.sessionId, {
+      type: 'repository_scanned',
+      files: files.length,
+      findings: findings.length
+    });
+  }
+
+  /**
+   * Get the project context passed to an agent
+   * Secret scan findings go to the security reviewer only. Keys are sorted,
+   * so the prompt does not depend on the order parallel agents finished in.
+   * @param {Object} run - Workflow run
+   * @param {string} agentType
+   * @returns {Object}
+   */
+  getAgentContext(run, agentType) {
+    const { secretFindings, ...context } = run.context;
+    if (agentType === AgentType.SR && secretFindings?.length > 0) {
+      context.secretFindings = secretFindings;
+    }
+    return Object.fromEntries(Object.keys(context).sort().map(key => [key, context[key]]));
+  }
+
+  /**
+   * Get the prompt template variables of an agent
+   * The agent's project context plus its dependency outputs, as a list
+   * loops can iterate.
+   * @param {Object} run - Workflow run
+   * @param {string} agentType
+   * @returns {Promise<Object>}
+   */
+  async getPromptVariables(run, agentType) {
+    const { buildPromptVariables } = await this.getPromptLoader();
+    return buildPromptVariables({
+      agentType,
+      workflowId: run.workflowId,
+      context: this.getAgentContext(run, agentType),
+      dependencyOutputs: await this.gatherDependencyOutputs(run, agentType)
+    });
+  }
+
+  /**
+   * Get the prompt version a run pins an agent to
+   * Run options take precedence over workflow options.
+   * @param {Object} run - Workflow run
+   * @param {string} agentType
+   * @returns {string|undefined} - Version, or undefined for the current prompt
+   */
+  getPinnedPromptVersion(run, agentType) {
+    return run.options.prompts?.versions?.[agentType] ?? run.workflowDef.options?.prompts?.versions?.[agentType];
+  }
+
+  /**
+   * Check if a stage runs its agents in separate git worktrees
+   * Applies to parallel stages with several agents on a workflow branch, so
+   * concurrent agents never write to or commit from the same checkout.
+   * @param {Object} run - Workflow run
+   * @param {Object} stage - Stage definition
+   * @returns {boolean}
+   */
+  usesWorktrees(run, stage) {
+    return Boolean(run.gitBranch) &&
+      run.options?.worktrees !== false &&
+      stage.executionMode === StageExecutionMode.PARALLEL &&
+      stage.agents.length > 1;
+  }
+
+  /**
+   * Run git work of a run one piece at a time
+   * Concurrent agents and stages share the repository's index, refs and
+   * worktree list, so worktree setup, commits and merges are queued.
+   * @param {Object} run - Workflow run
+   * @param {Function} fn - Async git work
+   * @returns {Promise<*>} - Result of fn
+   */
+  withGitLock(run, fn) {
+    const result = run.gitQueue.then(fn);
+    run.gitQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Get the directory holding a run's worktrees
+   * @param {Object} run - Workflow run
+   * @returns {string}
+   */
+  getWorktreesDir(run) {
+    return path.join(os.tmpdir(), 'agentic-builder-worktrees', run.sessionId);
+  }
+
+  /**
+   * Remove the worktrees of a run that were not merged
+   * Their branches are kept, with the files of completed agents committed,
+   * and are merged when the stage completes on resume.
+   * @param {Object} run - Workflow run
+   */
+  async removeAgentWorktrees(run) {
+    if (run.worktrees.size > 0) {
+      const gitManager = await this.getGitManager();
+      await this.withGitLock(run, async () => {
+        for (const [agentType, worktree] of run.worktrees) {
+          try {
+            if (run.completedAgents.has(agentType)) {
+              await gitManager.commitAll(`[${agentType}] Remaining worktree changes`, { cwd: worktree.path });
+            }
+          } finally {
+            await gitManager.removeWorktree(worktree.path);
+            run.worktrees.delete(agentType);
+          }
+        }
+      });
+    }
+    fs.rmSync(this.getWorktreesDir(run), { recursive: true, force: true });
+  }
+
+  /**
+   * Get the sub-branch an agent works on in its worktree
+   * @param {Object} run - Workflow run
+   * @param {string} agentType
+   * @returns {string}
+   */
+  getAgentBranch(run, agentType) {
+    return `${run.gitBranch}-${agentType.toLowerCase().replace(/_/g, '-')}`;
+  }
+
+  /**
+   * Get (or create) an agent's worktree on a sub-branch of the workflow branch
+   * @param {Object} run - Workflow run
+   * @param {string} agentType
+   * @returns {Promise<{path: string, branch: string}>}
+   */
+  async getAgentWorktree(run, agentType) {
+    if (!run.worktrees.has(agentType)) {
+      const gitManager = await this.getGitManager();
+      const dir = path.join(this.getWorktreesDir(run), agentType.toLowerCase());
+      const worktree = await this.withGitLock(run, () =>
+        gitManager.addWorktree(dir, this.getAgentBranch(run, agentType), run.gitBranch)
+      );
+      run.worktrees.set(agentType, worktree);
+
+      this.sessionManager.addLog(run.sessionId, {
+        type: 'worktree_created',
+        agentType,
+        branch: worktree.branch,
+        path: worktree.path
+      });
+    }
+    return run.worktrees.get(agentType);
+  }
+
+  /**
+   * Merge the sub-branches of a stage's agents back into the workflow branch
+   * Sub-branches left over from an interrupted run are merged as well.
+   * Conflicts go to the conflict resolver agent; if it cannot resolve them the
+   * merge is aborted and the sub-branch kept for a human.
+   * @param {Object} run - Workflow run
+   * @param {Object} node - Stage graph node
+   * @throws {UnresolvedConflictError}
+   */
+  async mergeStageWorktrees(run, node) {
+    if (!this.usesWorktrees(run, node.stage)) {
+      return;
+    }
+
+    const gitManager = await this.getGitManager();
+    const branches = await this.withGitLock(run, () => gitManager.getBranches());
+
+    for (const agentType of node.stage.agents) {
+      const branch = this.getAgentBranch(run, agentType);
+      const worktree = run.worktrees.get(agentType);
+
+      if (worktree) {
+        // Keep files the agent wrote without committing them
+        await this.withGitLock(run, async () => {
+          await gitManager.commitAll(`[${agentType}] Remaining worktree changes`, { cwd: worktree.path });
+          await gitManager.removeWorktree(worktree.path);
+        });
+        run.worktrees.delete(agentType);
+      }
+      if (!branches.includes(branch)) {
+        continue;
+      }
+
+      await this.mergeWithResolution(run, branch, `Merge ${agentType} work from stage "${node.name}"`, {
+        stageName: node.name
+      });
+
+      await this.withGitLock(run, () => gitManager.deleteBranch(branch));
+      this.sessionManager.addLog(run.sessionId, {
+        type: 'worktree_merged',
+        stageName: node.name,
+        agentType,
+        branch
+      });
+    }
+  }
+
+  /**
+   * Merge a branch into the current branch, resolving conflicts with an agent
+   * Only the git steps hold the git lock. A conflicting merge is aborted
+   * while the resolver agent runs and redone once it has answered; if the
+   * conflicts changed in the meantime, the new ones are resolved.
+   * @param {Object} run - Workflow run
+   * @param {string} branch - Branch to merge
+   * @param {string} message - Merge commit message
+   * @param {Object} [options]
+   * @param {string} [options.stageName] - Stage the merge belongs to
+   * @throws {UnresolvedConflictError}
+   */
+  async mergeWithResolution(run, branch, message, { stageName = null } = {}) {
+    const gitManager = await this.getGitManager();
+    let resolved = null;
+
+    while (true) {
+      const pending = await this.withGitLock(run, async () => {
+        try {
+          await gitManager.mergeBranch(branch, message, { abortOnConflict: false });
+          return null;
+        } catch (error) {
+          if (error.name !== 'MergeConflictError') {
+            throw error;
+          }
+
+          const conflict = await this.getMergeConflict(run, error, { stageName });
+          if (resolved && isSameConflict(resolved.conflict, conflict)) {
+            await gitManager.writeAndStage(resolved.files);
+            await gitManager.commit(message);
+            return null;
+          }
+          await gitManager.abortMerge();
+          return { conflict, error };
+        }
+      });
+
+      if (!pending) {
+        return;
+      }
+      resolved = { conflict: pending.conflict, files: await this.runConflictResolver(run, pending.conflict, pending.error) };
+    }
+  }
+
+  /**
+   * Rebase the workflow branch onto an updated base branch before the PR
+   * Runs when `rebaseOnto` is set in the run or workflow options. Each
+   * conflicting commit is resolved by the conflict resolver agent.
+   * @param {Object} run - Workflow run
+   * @throws {UnresolvedConflictError}
+   */
+  async rebaseWorkflowBranch(run) {
+    const onto = run.options?.rebaseOnto || run.workflowDef.options?.rebaseOnto;
+    if (!onto) {
+      return;
+    }
+
+    const gitManager = await this.getGitManager();
+    const rebaseOptions = { onto, branch: run.gitBranch, abortOnConflict: false };
+    let step = () => gitManager.rebase(onto, rebaseOptions);
+
+    while (true) {
+      try {
+        await step();
+        break;
+      } catch (error) {
+        if (error.name !== 'MergeConflictError') {
+          throw error;
+        }
+        await this.resolveConflicts(run, error);
+        step = () => gitManager.continueRebase(rebaseOptions);
+      }
+    }
+
+    this.sessionManager.addLog(run.sessionId, {
+      type: 'branch_rebased',
+      branch: run.gitBranch,
+      onto
+    });
+  }
+
+  /**
+   * Resolve the conflicts of a rebase in progress
+   * Resolved files are staged for the caller to continue the rebase.
+   * @param {Object} run - Workflow run
+   * @param {import('../src/git/git-manager.js').MergeConflictError} conflictError
+   * @throws {UnresolvedConflictError} - After aborting the rebase
+   */
+  async resolveConflicts(run, conflictError) {
+    const gitManager = await this.getGitManager();
+    const conflict = await this.getMergeConflict(run, conflictError);
+
+    try {
+      await gitManager.writeAndStage(await this.runConflictResolver(run, conflict, conflictError));
+    } catch (error) {
+      await gitManager.abortRebase();
+      throw error;
+    }
+  }
+
+  /**
+   * Read the conflicted files of a merge or rebase in progress
+   * @param {Object} run - Workflow run
+   * @param {import('../src/git/git-manager.js').MergeConflictError} conflictError
+   * @param {Object} [options]
+   * @param {string} [options.stageName] - Stage the merge belongs to
+   * @returns {Promise<import('./conflict-resolution.js').MergeConflict>}
+   */
+  async getMergeConflict(run, conflictError, { stageName = null } = {}) {
+    const gitManager = await this.getGitManager();
+    const { operation, branch, into, files: paths } = conflictError.details;
+
+    this.sessionManager.addLog(run.sessionId, {
+      type: 'merge_conflict',
+      operation,
+      stageName,
+      branch,
+      into,
+      files: paths,
+      resolver: getConflictResolution(run.workflowDef, run.options).agentType
+    });
+
+    return {
+      operation,
+      branch,
+      into,
+      stageName,
+      files: await Promise.all(paths.map(file => gitManager.getConflictVersions(file)))
+    };
+  }
+
+  /**
+   * Have the conflict resolver agent resolve conflicted files
+   * The resolver agent gets base, ours and theirs of each conflicted file and
+   * must return the full resolved content; resolutions with missing files or
+   * remaining conflict markers are retried with the problems as feedback.
+   * Touches no git state, so callers need not hold the git lock.
+   * @param {Object} run - Workflow run
+   * @param {import('./conflict-resolution.js').MergeConflict} conflict
+   * @param {import('../src/git/git-manager.js').MergeConflictError} conflictError - Error reporting the conflict
+   * @returns {Promise<Array<{path: string, content: string}>>} - Resolved files
+   * @throws {UnresolvedConflictError}
+   */
+  async runConflictResolver(run, conflict, conflictError) {
+    const { operation, branch, into, stageName } = conflict;
+    const paths = conflict.files.map(file => file.path);
+    const { agentType, maxAttempts } = getConflictResolution(run.workflowDef, run.options);
+    let errors = [];
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      let execution;
+      try {
+        execution = await this.spawnAndExecuteAgent(run, agentType, {
+          conflict: { ...conflict, attempt, errors }
+        });
+      } catch (error) {
+        if (error instanceof BudgetExceededError) {
+          throw error;
+        }
+        errors = [`${agentType} failed: ${error.message}`];
+        continue;
+      }
+
+      const resolution = validateResolution(conflict, execution.output);
+      if (resolution.errors.length === 0) {
+        this.sessionManager.addLog(run.sessionId, {
+          type: 'conflict_resolved',
+          operation,
+          stageName,
+          branch,
+          files: paths,
+          resolver: agentType,
+          attempt
+        });
+        return resolution.files;
+      }
+
+      errors = resolution.errors;
+      this.sessionManager.addLog(run.sessionId, {
+        type: 'conflict_resolution_rejected',
+        operation,
+        stageName,
+        resolver: agentType,
+        attempt,
+        errors
+      });
+    }
+
+    throw new UnresolvedConflictError(
+      `${conflictError.message} (not resolved by ${agentType} after ${maxAttempts} attempt(s))`,
+      { operation, branch, into, stageName, files: paths, resolver: agentType, errors }
+    );
   }
 
   /**
    * Create PR for workflow
+   * The PR targets the project config's base branch, with its labels and
+   * reviewers.
    * @param {Object} run - Workflow run
    */
   async createWorkflowPR(run) {
     try {
       const prManager = await this.getPRManager();
+      const { baseBranch, remote, pr: prSettings } = getProjectConfig();
       const pr = await prManager.createPR(run.gitBranch, {
         title: `[${run.workflowId}] ${run.context.projectName || 'Generated App'}`,
         body: this.generatePRBody(run),
-        draft: run.workflowDef.options?.draftPR ?? true
+        draft: run.workflowDef.options?.draftPR ?? true,
+        baseBranch,
+        remote,
+        labels: prSettings.labels,
+        reviewers: prSettings.reviewers
       });
 
       run.prUrl = pr.url;
@@ -603,21 +1781,30 @@ class WorkflowEngine extends EventEmitter {
   /**
    * Resume a workflow from checkpoint
    * @param {string} sessionId - Session ID to resume
+   * @param {Object} [options] - Option overrides (e.g. a raised budget)
    * @returns {Object} - Resumed workflow run
    */
-  async resumeWorkflow(sessionId) {
+  async resumeWorkflow(sessionId, options = {}) {
     const restored = this.sessionManager.restore(sessionId);
     if (!restored) {
       throw new Error(`Cannot restore session: ${sessionId}`);
     }
 
     const { session, checkpoint } = restored;
-    const workflowDef = getWorkflow(session.workflowId);
+    await loadCustomAgents();
+    const resolved = getSessionWorkflow(session);
 
-    if (!workflowDef) {
+    if (!resolved) {
       throw new Error(`Unknown workflow: ${session.workflowId}`);
     }
 
+    const workflowDef = applyWorkflowDefaults(applyCommandChecks(resolved, session.options?.checks));
+
+    const validation = validateStageGraph(workflowDef);
+    if (!validation.valid) {
+      throw new Error(`Invalid workflow ${workflowDef.id}: ${validation.errors.join('; ')}`);
+    }
+
     // Create new run from checkpoint
     const run = {
       id: uuidv4(),
@@ -625,29 +1812,48 @@ class WorkflowEngine extends EventEmitter {
       workflowDef,
       sessionId: session.id,
       status: WorkflowStatus.RUNNING,
-      context: { ...session.context },
-      currentStageIndex: checkpoint?.stageIndex + 1 || session.currentStage,
+      context: { ...session.context, ...checkpoint?.state?.context },
+      completedStages: this.getCheckpointStages(workflowDef, checkpoint),
+      startedStages: new Set(),
+      backends: new Map(),
+      budget: this.createBudgetTracker({ ...session.options, ...options }, session),
+      pendingGates: [],
+      worktrees: new Map(),
+      gitQueue: Promise.resolve(),
+      revisions: new Map(),
+      fixes: new Map(),
+      secrets: new Map(),
+      iterations: new Map(),
+      retries: new Map(),
       agentExecutions: session.metadata.agentExecutions || [],
       completedAgents: new Set(session.completedAgents || []),
       startTime: new Date(),
       endTime: null,
       gitBranch: session.context.gitBranch || null,
       error: null,
-      options: session.options
+      options: { ...session.options, ...options }
     };
 
+    this.applyGateRejections(run, session);
+
     this.activeRuns.set(run.id, run);
 
     this.emit('workflow_resumed', {
       runId: run.id,
       sessionId,
-      fromStage: run.currentStageIndex
+      completedStages: [...run.completedStages]
     });
 
     try {
       await this.executeWorkflow(run);
 
-      if (workflowDef.options?.createPR && run.gitBranch) {
+      if (run.pendingGates.length > 0) {
+        this.pauseForApproval(run);
+        return run;
+      }
+
+      if (workflowDef.options?.createPR && run.options.createPR !== false && run.gitBranch) {
+        await this.rebaseWorkflowBranch(run);
         await this.createWorkflowPR(run);
       }
 
@@ -658,6 +1864,15 @@ class WorkflowEngine extends EventEmitter {
       this.emit('workflow_completed', { runId: run.id, sessionId });
 
     } catch (error) {
+      if (error instanceof BudgetExceededError) {
+        this.pauseForBudget(run, error);
+        return run;
+      }
+      if (error instanceof UnresolvedConflictError) {
+        this.pauseForConflict(run, error);
+        return run;
+      }
+
       run.status = WorkflowStatus.FAILED;
       run.error = error.message;
       run.endTime = new Date();
@@ -671,6 +1886,183 @@ class WorkflowEngine extends EventEmitter {
     return run;
   }
 
+  /**
+   * Create the budget tracker for a run
+   * @param {Object} options - Run options; `budget` is a string like "$5" or "200k"
+   * @param {Object} [session] - Session whose recorded spend counts against the budget
+   * @returns {BudgetTracker|null}
+   */
+  createBudgetTracker(options, session = null) {
+    if (!options?.budget) {
+      return null;
+    }
+
+    const { limit, unit } = parseBudget(options.budget);
+    const executions = session?.metadata.agentExecutions.filter(e => e.tokensUsed) || [];
+
+    return new BudgetTracker({
+      limit,
+      unit,
+      spentUsd: session?.metadata.totalCost || 0,
+      spentTokens: session?.metadata.totalTokens || 0,
+      executions: executions.length
+    });
+  }
+
+  /**
+   * Pause a run whose next agent would exceed the budget
+   * The session stays resumable; resume with a raised budget to continue.
+   * @param {Object} run - Workflow run
+   * @param {BudgetExceededError} error
+   */
+  pauseForBudget(run, error) {
+    run.status = WorkflowStatus.PAUSED;
+    run.error = error.message;
+    run.endTime = new Date();
+
+    this.sessionManager.addLog(run.sessionId, {
+      type: 'budget_exceeded',
+      ...error.details,
+      budget: run.budget?.toJSON()
+    });
+    this.sessionManager.markPaused(run.sessionId);
+
+    this.emit('workflow_paused', {
+      runId: run.id,
+      sessionId: run.sessionId,
+      reason: error.message,
+      budget: run.budget?.toJSON()
+    });
+  }
+
+  /**
+   * Pause a run whose merge conflict the resolver agent could not resolve
+   * The merge or rebase was aborted; resolve it by hand and resume. Merged
+   * stage work is picked up again on resume, completed agents do not re-run.
+   * @param {Object} run - Workflow run
+   * @param {UnresolvedConflictError} error
+   */
+  pauseForConflict(run, error) {
+    run.status = WorkflowStatus.PAUSED;
+    run.error = error.message;
+    run.conflict = error.details;
+    run.endTime = new Date();
+
+    this.sessionManager.addLog(run.sessionId, {
+      type: 'conflict_unresolved',
+      ...error.details
+    });
+    this.sessionManager.markPaused(run.sessionId);
+
+    this.emit('workflow_paused', {
+      runId: run.id,
+      sessionId: run.sessionId,
+      reason: error.message,
+      conflict: error.details
+    });
+  }
+
+  /**
+   * Get gated stages whose gate has not been approved
+   * Stages downstream of these are held back.
+   * @param {Object} run - Workflow run
+   * @returns {string[]} - Stage names
+   */
+  getUnapprovedGates(run) {
+    const gates = this.sessionManager.getSession(run.sessionId)?.gates || {};
+    return run.workflowDef.stages
+      .filter(stage => stage.gate?.type === GateType.APPROVAL && gates[stage.name]?.status !== GateStatus.APPROVED)
+      .map(stage => stage.name);
+  }
+
+  /**
+   * Request approval for completed stages behind an unapproved gate
+   * @param {Object} run - Workflow run
+   * @returns {string[]} - Stages awaiting approval (also stored on run.pendingGates)
+   */
+  requestApprovals(run) {
+    const session = this.sessionManager.getSession(run.sessionId);
+
+    run.pendingGates = this.getUnapprovedGates(run).filter(name => run.completedStages.has(name));
+
+    for (const stageName of run.pendingGates) {
+      if (session?.gates?.[stageName]?.status !== GateStatus.PENDING) {
+        this.sessionManager.requestApproval(run.sessionId, stageName);
+      }
+    }
+
+    return run.pendingGates;
+  }
+
+  /**
+   * Pause a run until its gated stages are approved or rejected
+   * @param {Object} run - Workflow run
+   */
+  pauseForApproval(run) {
+    run.status = WorkflowStatus.PAUSED;
+    run.endTime = new Date();
+
+    this.sessionManager.markPaused(run.sessionId);
+
+    this.emit('workflow_paused', {
+      runId: run.id,
+      sessionId: run.sessionId,
+      reason: `Awaiting approval: ${run.pendingGates.join(', ')}`,
+      pendingGates: run.pendingGates
+    });
+  }
+
+  /**
+   * Re-open stages whose gate was rejected
+   * The stage and its agents run again; each agent receives the reviewer
+   * comment and a summary of its previous output as revision input.
+   * @param {Object} run - Workflow run
+   * @param {Object} session - Restored session
+   */
+  applyGateRejections(run, session) {
+    for (const stage of run.workflowDef.stages) {
+      const gate = session.gates?.[stage.name];
+      if (gate?.status !== GateStatus.REJECTED) continue;
+
+      run.completedStages.delete(stage.name);
+
+      for (const agentType of stage.agents) {
+        run.completedAgents.delete(agentType);
+        run.revisions.set(agentType, {
+          stageName: stage.name,
+          comment: gate.comment,
+          previousSummary: run.context[`${agentType}_output`]?.summary || null
+        });
+      }
+
+      this.sessionManager.addLog(run.sessionId, {
+        type: 'stage_reopened',
+        stageName: stage.name,
+        comment: gate.comment
+      });
+    }
+  }
+
+  /**
+   * Get the set of completed stages recorded by a checkpoint
+   * Checkpoints written before stage sets were recorded only carry the index
+   * of the last completed stage; every stage up to it is treated as done.
+   * @param {Object} workflowDef - Workflow definition
+   * @param {Object|null} checkpoint - Latest checkpoint
+   * @returns {Set<string>}
+   */
+  getCheckpointStages(workflowDef, checkpoint) {
+    if (!checkpoint) {
+      return new Set();
+    }
+    if (Array.isArray(checkpoint.completedStages)) {
+      return new Set(checkpoint.completedStages);
+    }
+    return new Set(
+      workflowDef.stages.slice(0, checkpoint.stageIndex + 1).map(s => s.name)
+    );
+  }
+
   /**
    * Get active workflow run
    * @param {string} runId
@@ -0,0 +1,434 @@
+/**
+ * Workflow Loader - User-defined workflows from YAML/JSON files
+ *
+ * Workflow files are validated against createWorkflowFileSchema() and the stage
+ * graph rules. Errors carry the line and column of the offending node so
+ * they can be reported as `file:line:column: message`. Files in
+ * `.agentic/workflows/` are discovered automatically.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseDocument, LineCounter } from 'yaml';
+import {
+  StageExecutionMode,
+  SchedulingMode,
+  GateType,
+  PRFailureMode,
+  WritePolicyMode,
+  SecretScanMode
+} from './types.js';
+import { validateStageGraph } from './stage-graph.js';
+import { getAllAgentTypes } from './agent-configs.js';
+import { validateSchema } from '../src/agents/schema-validator.js';
+
+/**
+ * Project directory searched for workflow files
+ */
+export const WORKFLOW_DIR = path.join('.agentic', 'workflows');
+
+/**
+ * Recognized workflow file extensions
+ */
+export const WORKFLOW_FILE_EXTENSIONS = Object.freeze(['.yml', '.yaml', '.json']);
+
+/**
+ * Category assigned to file workflows that do not declare one
+ */
+const DEFAULT_CATEGORY = 'custom';
+
+/**
+ * Create the JSON Schema for workflow files
+ * Agent lists accept built-in agents and registered custom agents.
+ * @param {string[]} [agentTypes] - Known agent types
+ * @returns {Object}
+ */
+export function createWorkflowFileSchema(agentTypes = getAllAgentTypes()) {
+  const agentList = {
+    type: 'array',
+    minItems: 1,
+    items: { type: 'string', enum: agentTypes }
+  };
+
+  return {
+    type: 'object',
+    required: ['id', 'name', 'stages'],
+    additionalProperties: false,
+    properties: {
+      id: { type: 'string', pattern: '^[A-Za-z][A-Za-z0-9_-]*$' },
+      name: { type: 'string', minLength: 1 },
+      description: { type: 'string' },
+      category: { type: 'string', minLength: 1 },
+      stages: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['name', 'agents'],
+          additionalProperties: false,
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            description: { type: 'string' },
+            agents: agentList,
+            executionMode: { type: 'string', enum: Object.values(StageExecutionMode) },
+            dependencies: { type: 'array', items: { type: 'string', minLength: 1 } },
+            gate: {
+              type: 'object',
+              required: ['type'],
+              additionalProperties: false,
+              properties: {
+                type: { type: 'string', enum: Object.values(GateType) },
+                commands: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+                maxFixAttempts: { type: 'integer', minimum: 0 },
+                fixAgents: agentList,
+                timeoutMs: { type: 'integer', minimum: 1 }
+              }
+            },
+            loop: {
+              type: 'object',
+              required: ['until', 'max'],
+              additionalProperties: false,
+              properties: {
+                until: { type: 'string', minLength: 1 },
+                max: { type: 'integer', minimum: 1 },
+                body: agentList
+              }
+            }
+          }
+        }
+      },
+      options: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          prFailureMode: { type: 'string', enum: Object.values(PRFailureMode) },
+          createPR: { type: 'boolean' },
+          draftPR: { type: 'boolean' },
+          scheduling: { type: 'string', enum: Object.values(SchedulingMode) },
+          backend: { type: ['string', 'object'] },
+          agentBackends: { type: 'object' },
+          conflictResolver: { type: 'string', enum: agentTypes },
+          maxResolutionAttempts: { type: 'integer', minimum: 0 },
+          rebaseOnto: { type: 'string', minLength: 1 },
+          writePolicy: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              allow: { type: 'array', items: { type: 'string', minLength: 1 } },
+              deny: { type: 'array', items: { type: 'string', minLength: 1 } },
+              maxFileSize: { type: 'integer', minimum: 1 },
+              onViolation: { type: 'string', enum: Object.values(WritePolicyMode) }
+            }
+          },
+          secretScan: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              mode: { type: 'string', enum: Object.values(SecretScanMode) },
+              scanRepository: { type: 'boolean' }
+            }
+          },
+          contextBudget: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              maxTokens: { type: 'integer', minimum: 1 },
+              summarize: { type: 'boolean' },
+              agents: { type: 'object' }
+            }
+          },
+          prompts: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              strict: { type: 'boolean' },
+              versions: { type: 'object' }
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * @typedef {Object} WorkflowFileError
+ * @property {string} message - Error description
+ * @property {number|null} line - 1-based line number (null if unknown)
+ * @property {number|null} column - 1-based column number (null if unknown)
+ */
+
+/**
+ * Error thrown when a workflow file cannot be loaded
+ */
+export class WorkflowLoadError extends Error {
+  /**
+   * @param {string} filePath - Workflow file
+   * @param {WorkflowFileError[]} errors - Located errors
+   */
+  constructor(filePath, errors) {
+    super(`Invalid workflow file ${filePath}:\n${errors.map(e => `  ${formatWorkflowError(filePath, e)}`).join('\n')}`);
+    this.name = 'WorkflowLoadError';
+    this.filePath = filePath;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Format a located error as `file:line:column: message`
+ * @param {string} filePath
+ * @param {WorkflowFileError} error
+ * @returns {string}
+ */
+export function formatWorkflowError(filePath, error) {
+  if (error.line === null) {
+    return `${filePath}: ${error.message}`;
+  }
+  return `${filePath}:${error.line}:${error.column}: ${error.message}`;
+}
+
+/**
+ * Check whether a string refers to a workflow file rather than a workflow ID
+ * @param {string} ref - Workflow ID or path
+ * @returns {boolean}
+ */
+export function isWorkflowFilePath(ref) {
+  return typeof ref === 'string' &&
+    (WORKFLOW_FILE_EXTENSIONS.includes(path.extname(ref).toLowerCase()) || ref.includes('/') || ref.includes(path.sep));
+}
+
+/**
+ * Parse and validate workflow file contents
+ * @param {string} source - File contents
+ * @param {string} filePath - File path (selects JSON vs YAML parsing)
+ * @returns {{workflow: Object|null, errors: WorkflowFileError[]}}
+ */
+export function parseWorkflowSource(source, filePath) {
+  const lineCounter = new LineCounter();
+  const doc = parseDocument(source, { lineCounter, prettyErrors: false, uniqueKeys: true });
+
+  let data;
+  if (path.extname(filePath).toLowerCase() === '.json') {
+    try {
+      data = JSON.parse(source);
+    } catch (error) {
+      return { workflow: null, errors: [locateJsonSyntaxError(error, source, lineCounter)] };
+    }
+  } else {
+    if (doc.errors.length > 0) {
+      return {
+        workflow: null,
+        errors: doc.errors.map(error => ({ message: error.message.split('\n')[0], ...toLinePos(lineCounter, error.pos?.[0]) }))
+      };
+    }
+    data = doc.toJS();
+  }
+
+  const locate = (message, nodePath) => ({ message, ...locateNode(doc, lineCounter, nodePath) });
+
+  const schemaErrors = validateSchema(data, createWorkflowFileSchema());
+  if (schemaErrors.length > 0) {
+    return {
+      workflow: null,
+      errors: schemaErrors.map(error => {
+        const { nodePath, message } = parseSchemaError(error);
+        return locate(message, nodePath);
+      })
+    };
+  }
+
+  const workflow = normalizeWorkflow(data, filePath);
+  const graphErrors = validateStageGraph(workflow).errors;
+
+  return {
+    workflow: graphErrors.length === 0 ? workflow : null,
+    errors: graphErrors.map(error => locate(error, locateStageError(error, workflow.stages)))
+  };
+}
+
+/**
+ * Load a workflow file
+ * @param {string} filePath - Path to a .yml, .yaml or .json file
+ * @returns {Object} - Workflow definition
+ * @throws {WorkflowLoadError} - If the file cannot be read or is invalid
+ */
+export function loadWorkflowFile(filePath) {
+  let source;
+  try {
+    source = fs.readFileSync(filePath, 'utf-8');
+  } catch (error) {
+    throw new WorkflowLoadError(filePath, [{ message: `Cannot read file: ${error.message}`, line: null, column: null }]);
+  }
+
+  const { workflow, errors } = parseWorkflowSource(source, filePath);
+  if (!workflow) {
+    throw new WorkflowLoadError(filePath, errors);
+  }
+  return workflow;
+}
+
+/**
+ * @typedef {Object} DiscoveredWorkflow
+ * @property {string} filePath - Workflow file
+ * @property {Object|null} workflow - Workflow definition (null if invalid)
+ * @property {WorkflowFileError[]} errors - Validation errors
+ */
+
+/**
+ * Discover workflow files in a project
+ * Files are read in name order. A file whose ID is already taken by a
+ * built-in or an earlier file is reported as invalid.
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Project directory (defaults to process.cwd())
+ * @param {string[]} [options.reservedIds] - IDs that files may not reuse
+ * @returns {DiscoveredWorkflow[]}
+ */
+export function discoverWorkflows({ cwd = process.cwd(), reservedIds = [] } = {}) {
+  const dir = path.join(cwd, WORKFLOW_DIR);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const taken = new Set(reservedIds);
+  const files = fs.readdirSync(dir)
+    .filter(name => WORKFLOW_FILE_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+    .sort();
+
+  return files.map(name => {
+    const filePath = path.join(dir, name);
+    try {
+      const workflow = loadWorkflowFile(filePath);
+      if (taken.has(workflow.id)) {
+        return {
+          filePath,
+          workflow: null,
+          errors: [{ message: `Workflow ID "${workflow.id}" is already defined`, line: null, column: null }]
+        };
+      }
+      taken.add(workflow.id);
+      return { filePath, workflow, errors: [] };
+    } catch (error) {
+      return { filePath, workflow: null, errors: error.errors || [{ message: error.message, line: null, column: null }] };
+    }
+  });
+}
+
+/**
+ * Apply defaults to a schema-valid workflow file
+ * Stages without `dependencies` keep them undefined, so they depend on the
+ * previous stage like stages of built-in workflows.
+ * @param {Object} data - Parsed file contents
+ * @param {string} filePath - Source file
+ * @returns {Object} - Workflow definition
+ */
+function normalizeWorkflow(data, filePath) {
+  return Object.freeze({
+    id: data.id,
+    name: data.name,
+    description: data.description || '',
+    category: data.category || DEFAULT_CATEGORY,
+    stages: data.stages.map(stage => ({
+      ...stage,
+      description: stage.description || '',
+      executionMode: stage.executionMode || StageExecutionMode.SEQUENTIAL
+    })),
+    options: { ...data.options },
+    source: path.resolve(filePath)
+  });
+}
+
+/**
+ * Split a schema validator error into a node path and message
+ * Errors about unexpected properties point at the property itself.
+ * @param {string} error - e.g. '$.stages[0].agents[1]: must be one of ...'
+ * @returns {{nodePath: Array<string|number>, message: string}}
+ */
+function parseSchemaError(error) {
+  const separator = error.indexOf(': ');
+  const pointer = error.slice(0, separator);
+  const message = error.slice(separator + 2);
+
+  const nodePath = [];
+  for (const [, key, index] of pointer.matchAll(/\.([^.[]+)|\[(\d+)\]/g)) {
+    nodePath.push(index !== undefined ? Number(index) : key);
+  }
+
+  const unexpected = message.match(/^unexpected property "(.+)"$/);
+  if (unexpected) {
+    nodePath.push(unexpected[1]);
+  }
+
+  return { nodePath, message: pointer === '$' ? message : `${pointer.slice(2)}: ${message}` };
+}
+
+/**
+ * Find the stage a stage graph error refers to
+ * @param {string} error - validateStageGraph error
+ * @param {Object[]} stages - Workflow stages
+ * @returns {Array<string|number>} - Node path of the stage (or of `stages`)
+ */
+function locateStageError(error, stages) {
+  const match = error.match(/^Stage "(.+?)"/) ||
+    error.match(/^Duplicate stage name: (.+)$/) ||
+    error.match(/^Circular stage dependency: (.+?) →/);
+
+  const index = match ? stages.map(s => s.name).lastIndexOf(match[1]) : -1;
+  return index === -1 ? ['stages'] : ['stages', index, 'name'];
+}
+
+/**
+ * Get the line and column of the node at a path, falling back to its parents
+ * @param {import('yaml').Document} doc
+ * @param {LineCounter} lineCounter
+ * @param {Array<string|number>} nodePath
+ * @returns {{line: number|null, column: number|null}}
+ */
+function locateNode(doc, lineCounter, nodePath) {
+  for (let length = nodePath.length; length >= 0; length--) {
+    const node = length === 0 ? doc.contents : doc.getIn(nodePath.slice(0, length), true);
+    if (node?.range) {
+      return toLinePos(lineCounter, node.range[0]);
+    }
+  }
+  return { line: null, column: null };
+}
+
+/**
+ * Convert a JSON.parse error into a located error
+ * @param {Error} error
+ * @param {string} source
+ * @param {LineCounter} lineCounter
+ * @returns {WorkflowFileError}
+ */
+function locateJsonSyntaxError(error, source, lineCounter) {
+  const message = error.message.replace(/\s*(?:in JSON )?at position \d+.*$/, '');
+  const position = error.message.match(/at position (\d+)/);
+  const offset = position ? Number(position[1]) : source.length;
+  return { message: `Invalid JSON: ${message}`, ...toLinePos(lineCounter, offset) };
+}
+
+/**
+ * Convert a source offset to a 1-based line and column
+ * @param {LineCounter} lineCounter
+ * @param {number} [offset]
+ * @returns {{line: number|null, column: number|null}}
+ */
+function toLinePos(lineCounter, offset) {
+  if (offset === undefined) {
+    return { line: null, column: null };
+  }
+  const { line, col } = lineCounter.linePos(offset);
+  return { line, column: col };
+}
+
+export default {
+  WORKFLOW_DIR,
+  WORKFLOW_FILE_EXTENSIONS,
+  createWorkflowFileSchema,
+  WorkflowLoadError,
+  formatWorkflowError,
+  isWorkflowFilePath,
+  parseWorkflowSource,
+  loadWorkflowFile,
+  discoverWorkflows
+};
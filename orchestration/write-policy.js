@@ -0,0 +1,255 @@
+/**
+ * Write Policy - Decides which files an agent may write
+ * Every path an agent's artifacts and file operations touch is normalized and
+ * constrained to the project root, then checked against deny/allow globs
+ * (defaults, the agent's config and the workflow options), a size limit and
+ * a binary content check before anything is written.
+ */
+
+import path from 'path';
+import { FileOperationType, WritePolicyMode } from './types.js';
+import { getAgentConfig } from './agent-configs.js';
+import { getPatchPaths, hasSymlinkMode, isInsideCheckout } from './file-operations.js';
+
+/**
+ * Paths no agent may write unless its config or the workflow allows them
+ */
+export const DEFAULT_DENY_PATTERNS = Object.freeze([
+  '.github/workflows/**',
+  '**/.env',
+  '**/.env.*',
+  '**/*.pem',
+  '**/*.key',
+  '**/id_rsa*',
+  '**/.npmrc',
+  '.sessions/**',
+  '.tasks/**'
+]);
+
+/**
+ * Default maximum size of a written file (1 MiB)
+ */
+export const DEFAULT_MAX_FILE_SIZE = 1024 * 1024;
+
+/**
+ * @typedef {Object} WritePolicy
+ * @property {string[]} allow - Globs that override deny patterns
+ * @property {string[]} deny - Globs of paths that may not be written
+ * @property {number} maxFileSize - Maximum file size in bytes
+ * @property {string} onViolation - WritePolicyMode value
+ */
+
+/**
+ * @typedef {Object} WritePolicyViolation
+ * @property {string} path - Path as returned by the agent
+ * @property {string} reason - Why the write was refused
+ */
+
+/**
+ * Error raised when an agent's output violates the write policy
+ */
+export class WritePolicyError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - { agentType, violations }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'WritePolicyError';
+    this.details = details;
+  }
+}
+
+/**
+ * Convert a glob to a regular expression
+ * `**` matches across directories, `*` and `?` within a path segment. A `**`
+ * segment followed by a slash also matches no directory at all, so patterns
+ * for nested files match files in the root directory too. Matching ignores
+ * case, as case-insensitive filesystems write `.ENV` to `.env`.
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Check if a path matches any of a list of globs
+ * @param {string} file - Normalized relative path
+ * @param {string[]} globs
+ * @returns {boolean}
+ */
+export function matchesAny(file, globs) {
+  return globs.some(glob => globToRegExp(glob).test(file));
+}
+
+/**
+ * Normalize an agent-supplied path relative to the project root
+ * @param {string} file - Path as returned by the agent
+ * @returns {{path: string|null, reason: string|null}} - Normalized path, or why it is refused
+ */
+export function normalizeWritePath(file) {
+  const slashed = file.replace(/\\/g, '/');
+
+  if (slashed.startsWith('/') || /^[A-Za-z]:/.test(slashed)) {
+    return { path: null, reason: 'absolute paths are not allowed' };
+  }
+
+  const normalized = path.posix.normalize(slashed).replace(/^(\.\/)+/, '').replace(/\/$/, '');
+
+  if (normalized === '.' || normalized === '') {
+    return { path: null, reason: 'path is empty' };
+  }
+  if (normalized === '..' || normalized.startsWith('../')) {
+    return { path: null, reason: 'path is outside the project root' };
+  }
+  if (normalized.split('/').some(segment => segment.toLowerCase() === '.git')) {
+    return { path: null, reason: 'git internals may not be written' };
+  }
+
+  return { path: normalized, reason: null };
+}
+
+/**
+ * Get the write policy for an agent
+ * Workflow and run options add to the defaults; the agent config's allow
+ * patterns let it write otherwise denied paths (e.g. DOE and CI workflows).
+ * @param {string} agentType
+ * @param {Object} workflowDef - Workflow definition
+ * @param {Object} [options] - Run options
+ * @returns {WritePolicy}
+ */
+export function getWritePolicy(agentType, workflowDef, options = {}) {
+  const agentPolicy = getAgentConfig(agentType)?.writePolicy || {};
+  const workflowPolicy = workflowDef.options?.writePolicy || {};
+  const runPolicy = options.writePolicy || {};
+
+  return {
+    allow: [...(workflowPolicy.allow || []), ...(runPolicy.allow || []), ...(agentPolicy.allow || [])],
+    deny: [...DEFAULT_DENY_PATTERNS, ...(workflowPolicy.deny || []), ...(runPolicy.deny || []), ...(agentPolicy.deny || [])],
+    maxFileSize: runPolicy.maxFileSize ?? workflowPolicy.maxFileSize ?? DEFAULT_MAX_FILE_SIZE,
+    onViolation: runPolicy.onViolation || workflowPolicy.onViolation || WritePolicyMode.FAIL
+  };
+}
+
+/**
+ * Check file operations against a write policy
+ * Paths in the returned operations are normalized. Operations with a
+ * violation are left out; whether that fails the output is up to the caller
+ * (see WritePolicy.onViolation).
+ * @param {import('./types.js').FileOperation[]} operations
+ * @param {WritePolicy} policy
+ * @param {Object} options
+ * @param {string} options.cwd - Checkout the operations apply to
+ * @returns {{operations: import('./types.js').FileOperation[], violations: WritePolicyViolation[]}}
+ */
+export function enforceWritePolicy(operations, policy, { cwd }) {
+  const permitted = [];
+  const violations = [];
+
+  const checkPath = (file) => {
+    const { path: normalized, reason } = normalizeWritePath(file);
+    if (!normalized) {
+      return { reason };
+    }
+    if (matchesAny(normalized, policy.deny) && !matchesAny(normalized, policy.allow)) {
+      return { reason: 'path is denied by the write policy' };
+    }
+    if (!isInsideCheckout(normalized, cwd)) {
+      return { reason: 'path leaves the project root through a symlink' };
+    }
+    return { path: normalized };
+  };
+
+  const checkContent = (content) => {
+    if (typeof content !== 'string') {
+      return null;
+    }
+    if (Buffer.byteLength(content) > policy.maxFileSize) {
+      return `content exceeds ${policy.maxFileSize} bytes`;
+    }
+    if (content.includes('\u0000')) {
+      return 'binary content is not allowed';
+    }
+    return null;
+  };
+
+  for (const operation of operations) {
+    const fields = {
+      [FileOperationType.RENAME]: ['from', 'to'],
+      [FileOperationType.PATCH]: []
+    }[operation.action] || ['path'];
+
+    const normalized = { ...operation };
+    let rejected = false;
+    let paths = fields.filter(field => typeof operation[field] === 'string').map(field => ({ field, file: operation[field] }));
+
+    if (operation.action === FileOperationType.PATCH && typeof operation.diff === 'string') {
+      try {
+        paths = getPatchPaths(operation.diff, { cwd }).map(file => ({ file }));
+      } catch (error) {
+        violations.push({ path: '(patch)', reason: error.message });
+        rejected = true;
+      }
+      if (hasSymlinkMode(operation.diff)) {
+        violations.push({ path: paths[0]?.file || '(patch)', reason: 'symbolic links may not be written' });
+        rejected = true;
+      }
+    }
+
+    for (const { field, file } of paths) {
+      const result = checkPath(file);
+      if (result.reason) {
+        violations.push({ path: file, reason: result.reason });
+        rejected = true;
+      } else if (field) {
+        normalized[field] = result.path;
+      }
+    }
+
+    const contentReason = checkContent(operation.action === FileOperationType.PATCH ? operation.diff : operation.content);
+    if (contentReason) {
+      violations.push({ path: operation.path || operation.to || paths[0]?.file || '(patch)', reason: contentReason });
+      rejected = true;
+    }
+
+    if (!rejected) {
+      permitted.push(normalized);
+    }
+  }
+
+  return { operations: permitted, violations };
+}
+
+export default {
+  DEFAULT_DENY_PATTERNS,
+  DEFAULT_MAX_FILE_SIZE,
+  WritePolicyError,
+  globToRegExp,
+  matchesAny,
+  normalizeWritePath,
+  getWritePolicy,
+  enforceWritePolicy
+};
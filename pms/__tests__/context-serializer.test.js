@@ -0,0 +1,157 @@
+/**
+ * Round-trip properties of the task context formats
+ * Generated contexts and dependency outputs must deserialize to the same
+ * logical model they were serialized from, in every format.
+ */
+
+import fc from 'fast-check';
+import { getContextSerializer } from '../context-serializer.js';
+import { XmlStreamParser, parseXml } from '../xml-parser.js';
+import { ContextFormat } from '../types.js';
+
+const serializer = getContextSerializer();
+
+/**
+ * Strings with the cases XML makes hard: entities, "]]>", control
+ * characters, surrounding whitespace and any code point
+ */
+const text = fc.oneof(
+  fc.string({ unit: 'binary', maxLength: 20 }),
+  fc.constantFrom(
+    '',
+    ' ',
+    '  padded  ',
+    '\n\tindented\n',
+    ']]>',
+    'a]]>b]]]>c',
+    '<tag attr="x">&amp; \'q\'</tag>',
+    '\u0000\u0001\u0008\u000b\u001f\r',
+    '# heading\n- item\n```\ncode\n```'
+  )
+);
+
+/**
+ * Keys, including ones sanitizeTagName has to rewrite
+ */
+const key = fc.oneof(
+  fc.string({ unit: 'binary', maxLength: 8 }),
+  fc.constantFrom('', 'plain', '1st', '-dash', 'with space', 'a.b', 'ns:key', 'ünïcode', 'item', '__proto__', 'constructor')
+);
+
+/**
+ * Finite numbers; -0 becomes 0 in every format, as in JSON
+ */
+const number = fc.oneof(
+  fc.integer(),
+  fc.double({ noNaN: true, noDefaultInfinity: true }).map(n => (Object.is(n, -0) ? 0 : n))
+);
+
+const { value } = fc.letrec(tie => ({
+  value: fc.oneof({ depthSize: 'small', withCrossShrink: true }, tie('leaf'), tie('array'), tie('object')),
+  leaf: fc.oneof(fc.constant(null), fc.boolean(), number, text),
+  array: fc.array(tie('value'), { maxLength: 4 }),
+  object: fc.dictionary(key, tie('value'), { maxKeys: 4 })
+}));
+
+const dependencyOutput = fc.record({
+  summary: text,
+  artifacts: fc.array(
+    fc.record({ name: text, type: text, path: text, content: text }, { requiredKeys: [] }),
+    { minLength: 1, maxLength: 3 }
+  ),
+  nextSteps: fc.array(text, { minLength: 1, maxLength: 3 }),
+  warnings: fc.array(text, { minLength: 1, maxLength: 3 })
+}, { requiredKeys: [] });
+
+const params = fc.record({
+  taskId: fc.option(fc.uuid(), { nil: undefined }),
+  agentType: fc.constantFrom('PM', 'ARCHITECT', 'DEV_FRONTEND', 'TEST'),
+  workflowId: text,
+  context: fc.dictionary(key, value, { maxKeys: 5 }),
+  dependencyOutputs: fc.dictionary(fc.constantFrom('PM', 'ARCHITECT', 'UIUX', 'TL_BACKEND'), dependencyOutput, { maxKeys: 3 })
+});
+
+describe('ContextSerializer round trip', () => {
+  test.each(Object.values(ContextFormat))('%s deserializes to the serialized model', (format) => {
+    fc.assert(fc.property(params, (p) => {
+      const serialized = serializer.serialize(p, format);
+      expect(serializer.deserialize(serialized, format)).toEqual(serializer.toModel(p));
+    }), { numRuns: 300 });
+  });
+
+  test('values keep their JSON type in XML', () => {
+    fc.assert(fc.property(fc.dictionary(key, value, { maxKeys: 5 }), (context) => {
+      const xml = serializer.serialize({ agentType: 'PM', workflowId: 'W', context }, ContextFormat.XML);
+      expect(serializer.deserialize(xml).context).toEqual(JSON.parse(JSON.stringify(context)));
+    }), { numRuns: 300 });
+  });
+
+  test('sanitized tag names keep the original key', () => {
+    fc.assert(fc.property(key, (k) => {
+      const tagName = serializer.sanitizeTagName(k);
+      expect(tagName).toMatch(/^[A-Za-z_][A-Za-z0-9_-]*$/);
+
+      const xml = serializer.serialize({ agentType: 'PM', workflowId: 'W', context: { [k]: 'v' } });
+      expect(Object.keys(serializer.deserialize(xml).context)).toEqual([k]);
+    }));
+  });
+
+  test('CDATA content containing "]]>" is kept', () => {
+    fc.assert(fc.property(fc.array(fc.constantFrom(']]>', ']', '>', 'x', ']]'), { maxLength: 12 }), (parts) => {
+      const content = parts.join('');
+      const xml = serializer.serialize({
+        agentType: 'PM',
+        workflowId: 'W',
+        dependencyOutputs: { ARCHITECT: { artifacts: [{ name: 'a', content }] } }
+      });
+      expect(serializer.deserialize(xml).dependencyOutputs.ARCHITECT.artifacts[0].content).toBe(content);
+    }));
+  });
+});
+
+describe('XmlStreamParser', () => {
+  /**
+   * Parse a document in chunks and record the events
+   */
+  const parseEvents = (chunks) => {
+    const events = [];
+    const parser = new XmlStreamParser({
+      onOpen: (name, attributes) => events.push(['open', name, attributes]),
+      onClose: name => events.push(['close', name]),
+      onText: text => events.push(['text', text]),
+      onCData: text => events.push(['text', text])
+    });
+    for (const chunk of chunks) {
+      parser.write(chunk);
+    }
+    parser.end();
+
+    // Text may arrive in several events; compare it joined
+    return events.reduce((merged, event) => {
+      const last = merged[merged.length - 1];
+      if (event[0] === 'text' && last?.[0] === 'text') {
+        last[1] += event[1];
+      } else {
+        merged.push([...event]);
+      }
+      return merged;
+    }, []);
+  };
+
+  test('chunk boundaries do not change the parse', () => {
+    fc.assert(fc.property(params, fc.array(fc.nat(), { maxLength: 8 }), (p, cuts) => {
+      const xml = serializer.serialize(p, ContextFormat.XML);
+      const offsets = [...new Set(cuts.map(cut => cut % (xml.length + 1)))].sort((a, b) => a - b);
+      const chunks = [0, ...offsets].map((start, index) => xml.slice(start, [...offsets, xml.length][index]));
+
+      expect(parseEvents(chunks)).toEqual(parseEvents([xml]));
+    }), { numRuns: 200 });
+  });
+
+  test('parseXml reads what serializeValue writes', () => {
+    fc.assert(fc.property(value, (v) => {
+      const element = serializer.serializeValue('value', v, 0);
+      expect(serializer.deserializeValue(parseXml(element))).toEqual(JSON.parse(JSON.stringify(v)));
+    }), { numRuns: 300 });
+  });
+});
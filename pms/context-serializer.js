@@ -1,17 +1,125 @@
 /**
- * Context Serializer - XML format for agent input/output
+ * Context Serializer - XML, JSON and Markdown formats for agent input/output
  * Serializes task context and dependency outputs for agent consumption
+ * All formats share one logical model: project context round-trips as is
+ * (in XML, values keep their JSON type through a `type` attribute);
+ * dependency outputs keep summary, artifacts, next steps and warnings.
+ */
+
+import crypto from 'crypto';
+import { ContextFormat } from './types.js';
+import { parseXml } from './xml-parser.js';
+import { serializeMarkdown, parseMarkdown } from './markdown-format.js';
+
+/**
+ * Characters per token assumed when estimating token counts
+ */
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Artifacts smaller than this (in estimated tokens) are never replaced by references
+ */
+const MIN_REFERENCE_TOKENS = 250;
+
+/**
+ * Maximum length of the summary line of an artifact reference
+ */
+const REFERENCE_SUMMARY_LENGTH = 120;
+
+/**
+ * @typedef {Object} ContextReduction
+ * @property {string} type - deduplicated, summarized, referenced or dropped
+ * @property {string} agentType - Agent whose output was reduced
+ * @property {number} [artifacts] - Number of artifacts replaced by references
+ */
+
+/**
+ * @typedef {Object} BudgetedContext
+ * @property {string} serialized - Serialized context
+ * @property {number} tokens - Estimated tokens of the serialized context
+ * @property {number} fullTokens - Estimated tokens without any reduction
+ * @property {ContextReduction[]} reductions - Reductions applied, in order
+ * @property {boolean} overBudget - Context still exceeds the budget
+ * @property {string[]} candidates - Agents whose outputs could still be summarized, largest first
  */
 
 /**
  * ContextSerializer singleton class
- * Handles XML serialization for PMS-driven communication
+ * Handles context serialization for PMS-driven communication
  */
 class ContextSerializer {
   constructor() {
     this.indentSize = 2;
   }
 
+  /**
+   * Serialize task context in a format
+   * @param {Object} params - Context parameters (see serializeContext)
+   * @param {string} [format] - ContextFormat value (default: xml)
+   * @returns {string}
+   */
+  serialize(params, format = ContextFormat.XML) {
+    switch (format) {
+      case ContextFormat.XML:
+        return this.serializeContext(params);
+      case ContextFormat.JSON:
+        return JSON.stringify(this.toModel(params), null, 2);
+      case ContextFormat.MARKDOWN:
+        return serializeMarkdown(this.toModel(params));
+      default:
+        throw new Error(`Unknown context format: ${format}`);
+    }
+  }
+
+  /**
+   * Deserialize task context written in a format
+   * @param {string} serialized
+   * @param {string} [format] - ContextFormat value (default: xml)
+   * @returns {{taskId?: string, agentType: string, workflowId: string, context: Object, dependencyOutputs: Object}}
+   */
+  deserialize(serialized, format = ContextFormat.XML) {
+    switch (format) {
+      case ContextFormat.XML:
+        return this.deserializeContext(serialized);
+      case ContextFormat.JSON:
+        return { context: {}, dependencyOutputs: {}, ...JSON.parse(serialized) };
+      case ContextFormat.MARKDOWN:
+        return parseMarkdown(serialized);
+      default:
+        throw new Error(`Unknown context format: ${format}`);
+    }
+  }
+
+  /**
+   * Reduce context parameters to the logical model every format keeps
+   * @param {Object} params - Context parameters (see serializeContext)
+   * @returns {Object}
+   */
+  toModel(params) {
+    const { agentType, taskId, workflowId, context = {}, dependencyOutputs = {} } = params;
+    const pick = (obj, fields) => Object.fromEntries(
+      fields.filter(field => obj[field] !== undefined && obj[field] !== null).map(field => [field, obj[field]])
+    );
+
+    return {
+      ...(taskId && { taskId }),
+      agentType,
+      workflowId,
+      context: JSON.parse(JSON.stringify(context)),
+      dependencyOutputs: Object.fromEntries(Object.entries(dependencyOutputs).map(([depType, output]) => [depType, {
+        ...pick(output, ['summary']),
+        ...(output.artifacts?.length > 0 && {
+          artifacts: output.artifacts.map(artifact => ({
+            ...pick(artifact, ['name', 'type', 'path', 'reference']),
+            ...(typeof artifact.content === 'string' && { content: artifact.content })
+          }))
+        }),
+        ...(output.nextSteps?.length > 0 && { nextSteps: [...output.nextSteps] }),
+        ...(output.warnings?.length > 0 && { warnings: [...output.warnings] })
+      }]))
+    };
+  }
+
   /**
    * Serialize task context to XML format
    * @param {Object} params - Context parameters
@@ -59,6 +167,195 @@ class ContextSerializer {
     return lines.join('\n');
   }
 
+  /**
+   * Serialize task context within a token budget
+   * Reductions are applied in order until the context fits:
+   * 1. outputs in the project context that are also dependency outputs are dropped
+   * 2. outputs with a summary in `summaries` are replaced by it
+   * 3. large artifacts of other (indirect) outputs become references
+   * 4. indirect outputs are cut down to their summary
+   * 5. large artifacts of direct dependency outputs become references, largest first
+   * References keep path, a one-line summary and the content hash; the files
+   * themselves are in the agent's checkout.
+   * @param {Object} params - Context parameters (see serializeContext)
+   * @param {number} params.tokenBudget - Maximum estimated tokens
+   * @param {Object<string, string>} [params.summaries] - Output summaries by agent type
+   * @param {string} [params.format] - ContextFormat value (default: xml)
+   * @returns {BudgetedContext}
+   */
+  budgetContext(params) {
+    const { tokenBudget, summaries = {}, format = ContextFormat.XML, ...contextParams } = params;
+    const full = this.serialize(contextParams, format);
+    const result = {
+      serialized: full,
+      tokens: this.estimateTokens(full),
+      fullTokens: this.estimateTokens(full),
+      reductions: [],
+      overBudget: false,
+      candidates: []
+    };
+
+    if (!tokenBudget || result.tokens <= tokenBudget) {
+      return result;
+    }
+
+    const context = { ...contextParams.context };
+    const dependencyOutputs = { ...contextParams.dependencyOutputs };
+    const indirectKeys = () => Object.keys(context).filter(key => key.endsWith('_output') && context[key]);
+    const agentOf = key => key.slice(0, -'_output'.length);
+
+    const fits = () => {
+      result.serialized = this.serialize({ ...contextParams, context, dependencyOutputs }, format);
+      result.tokens = this.estimateTokens(result.serialized);
+      return result.tokens <= tokenBudget;
+    };
+
+    for (const key of indirectKeys()) {
+      if (dependencyOutputs[agentOf(key)]) {
+        delete context[key];
+        result.reductions.push({ type: 'deduplicated', agentType: agentOf(key) });
+      }
+    }
+
+    for (const [agentType, summary] of Object.entries(summaries)) {
+      for (const [outputs, key] of [[dependencyOutputs, agentType], [context, `${agentType}_output`]]) {
+        if (outputs[key]) {
+          outputs[key] = this.summarizeOutput(outputs[key], summary);
+          result.reductions.push({ type: 'summarized', agentType });
+        }
+      }
+    }
+
+    if (fits()) {
+      return result;
+    }
+
+    for (const key of indirectKeys()) {
+      const { output, count } = this.referenceArtifacts(context[key]);
+      if (count > 0) {
+        context[key] = output;
+        result.reductions.push({ type: 'referenced', agentType: agentOf(key), artifacts: count });
+      }
+    }
+
+    if (fits()) {
+      return result;
+    }
+
+    for (const key of indirectKeys()) {
+      context[key] = { summary: context[key].summary };
+      result.reductions.push({ type: 'dropped', agentType: agentOf(key) });
+    }
+
+    if (fits()) {
+      return result;
+    }
+
+    const largest = Object.entries(dependencyOutputs)
+      .flatMap(([agentType, output]) => (output.artifacts || []).map((artifact, index) => ({
+        agentType,
+        index,
+        tokens: this.estimateTokens(artifact.content || '')
+      })))
+      .filter(a => a.tokens >= MIN_REFERENCE_TOKENS)
+      .sort((a, b) => b.tokens - a.tokens);
+
+    const referenced = new Map();
+    for (const { agentType, index } of largest) {
+      const output = dependencyOutputs[agentType];
+      const artifacts = [...output.artifacts];
+      artifacts[index] = this.createArtifactReference(artifacts[index]);
+      dependencyOutputs[agentType] = { ...output, artifacts };
+      referenced.set(agentType, (referenced.get(agentType) || 0) + 1);
+
+      if (fits()) {
+        break;
+      }
+    }
+    for (const [agentType, count] of referenced) {
+      result.reductions.push({ type: 'referenced', agentType, artifacts: count });
+    }
+
+    if (!fits()) {
+      result.overBudget = true;
+      const sizes = [
+        ...Object.entries(contextParams.dependencyOutputs || {}),
+        ...Object.entries(contextParams.context || {})
+          .filter(([key, output]) => key.endsWith('_output') && output)
+          .map(([key, output]) => [agentOf(key), output])
+      ]
+        .filter(([agentType]) => !summaries[agentType])
+        .map(([agentType, output]) => [agentType, this.estimateTokens(JSON.stringify(output))])
+        .sort((a, b) => b[1] - a[1]);
+      result.candidates = [...new Set(sizes.map(([agentType]) => agentType))];
+    }
+
+    return result;
+  }
+
+  /**
+   * Estimate the token count of text
+   * @param {string} text
+   * @returns {number}
+   */
+  estimateTokens(text) {
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+  }
+
+  /**
+   * Replace an artifact's content with a reference
+   * @param {Object} artifact
+   * @returns {Object} - { name, type, path, reference: { summary, sha256, tokens } }
+   */
+  createArtifactReference(artifact) {
+    const content = artifact.content || '';
+    const firstLine = content.split('\n').map(line => line.trim()).find(Boolean) || '';
+
+    return {
+      name: artifact.name,
+      type: artifact.type,
+      path: artifact.path,
+      reference: {
+        summary: artifact.description || firstLine.slice(0, REFERENCE_SUMMARY_LENGTH),
+        sha256: crypto.createHash('sha256').update(content).digest('hex'),
+        tokens: this.estimateTokens(content)
+      }
+    };
+  }
+
+  /**
+   * Replace the large artifacts of an output with references
+   * @param {Object} output - Agent output
+   * @returns {{output: Object, count: number}}
+   */
+  referenceArtifacts(output) {
+    let count = 0;
+    const artifacts = (output.artifacts || []).map(artifact => {
+      if (typeof artifact.content !== 'string' || this.estimateTokens(artifact.content) < MIN_REFERENCE_TOKENS) {
+        return artifact;
+      }
+      count++;
+      return this.createArtifactReference(artifact);
+    });
+
+    return { output: count > 0 ? { ...output, artifacts } : output, count };
+  }
+
+  /**
+   * Replace an output with a summary, keeping references to its artifacts
+   * @param {Object} output - Agent output
+   * @param {string} summary
+   * @returns {Object}
+   */
+  summarizeOutput(output, summary) {
+    return {
+      summary,
+      artifacts: (output.artifacts || []).map(artifact => typeof artifact.content === 'string'
+        ? this.createArtifactReference(artifact)
+        : artifact)
+    };
+  }
+
   /**
    * Serialize a generic object to XML
    * @param {Object} obj
@@ -66,37 +363,63 @@ class ContextSerializer {
    * @returns {string}
    */
   serializeObject(obj, level = 0) {
-    const lines = [];
+    return Object.entries(obj)
+      .map(([key, value]) => {
+        const tagName = this.sanitizeTagName(key);
+        return this.serializeValue(tagName, value, level, tagName === key ? {} : { key });
+      })
+      .filter(element => element !== null)
+      .join('\n');
+  }
 
-    for (const [key, value] of Object.entries(obj)) {
-      const tagName = this.sanitizeTagName(key);
+  /**
+   * Serialize a value as an XML element
+   * Strings are element text; numbers, booleans, null, arrays and empty
+   * objects carry a `type` attribute. Like JSON, undefined values and
+   * functions are left out (null in arrays) and toJSON() is honored.
+   * @param {string} tagName
+   * @param {*} value
+   * @param {number} level - Indentation level
+   * @param {Object<string, string>} [attributes] - Extra attributes (the original key)
+   * @returns {string|null} - Element, or null if the value is left out
+   */
+  serializeValue(tagName, value, level, attributes = {}) {
+    if (typeof value?.toJSON === 'function') {
+      value = value.toJSON();
+    }
+    if (value === undefined || typeof value === 'function' || typeof value === 'symbol') {
+      return null;
+    }
 
-      if (value === null || value === undefined) {
-        continue;
-      }
+    const open = (type) => {
+      const attrs = { ...attributes, ...(type && { type }) };
+      return `<${tagName}${Object.entries(attrs).map(([name, v]) => ` ${name}="${this.escapeXml(v)}"`).join('')}`;
+    };
 
-      if (Array.isArray(value)) {
-        lines.push(this.indent(`<${tagName}>`, level));
-        for (const item of value) {
-          if (typeof item === 'object') {
-            lines.push(this.indent('<item>', level + 1));
-            lines.push(this.serializeObject(item, level + 2));
-            lines.push(this.indent('</item>', level + 1));
-          } else {
-            lines.push(this.indent(`<item>${this.escapeXml(String(item))}</item>`, level + 1));
-          }
-        }
-        lines.push(this.indent(`</${tagName}>`, level));
-      } else if (typeof value === 'object') {
-        lines.push(this.indent(`<${tagName}>`, level));
-        lines.push(this.serializeObject(value, level + 1));
-        lines.push(this.indent(`</${tagName}>`, level));
-      } else {
-        lines.push(this.indent(`<${tagName}>${this.escapeXml(String(value))}</${tagName}>`, level));
-      }
+    if (value === null) {
+      return this.indent(`${open('null')}/>`, level);
+    }
+    if (typeof value === 'number' || typeof value === 'boolean') {
+      const type = typeof value === 'boolean' ? 'boolean' : 'number';
+      return this.indent(`${open(type)}>${String(value)}</${tagName}>`, level);
+    }
+    if (typeof value !== 'object') {
+      return this.indent(`${open()}>${this.escapeXml(String(value))}</${tagName}>`, level);
     }
 
-    return lines.join('\n');
+    const isArray = Array.isArray(value);
+    const children = isArray
+      ? value.map(item => this.serializeValue('item', item === undefined || typeof item === 'function' ? null : item, level + 1))
+      : [this.serializeObject(value, level + 1)].filter(Boolean);
+
+    if (children.length === 0) {
+      return this.indent(`${open(isArray ? 'array' : 'object')}/>`, level);
+    }
+    return [
+      this.indent(`${open(isArray ? 'array' : null)}>`, level),
+      ...children,
+      this.indent(`</${tagName}>`, level)
+    ].join('\n');
   }
 
   /**
@@ -107,24 +430,26 @@ class ContextSerializer {
    */
   serializeDependencyOutput(output, level = 0) {
     const lines = [];
+    const text = (tag, value, indent) => {
+      if (value !== undefined && value !== null) {
+        lines.push(this.indent(`<${tag}>${this.escapeXml(String(value))}</${tag}>`, indent));
+      }
+    };
 
-    if (output.summary) {
-      lines.push(this.indent(`<summary>${this.escapeXml(output.summary)}</summary>`, level));
-    }
+    text('summary', output.summary, level);
 
     if (output.artifacts?.length > 0) {
       lines.push(this.indent('<artifacts>', level));
       for (const artifact of output.artifacts) {
         lines.push(this.indent('<artifact>', level + 1));
-        lines.push(this.indent(`<name>${this.escapeXml(artifact.name)}</name>`, level + 2));
-        lines.push(this.indent(`<type>${this.escapeXml(artifact.type)}</type>`, level + 2));
-        if (artifact.path) {
-          lines.push(this.indent(`<path>${this.escapeXml(artifact.path)}</path>`, level + 2));
+        text('name', artifact.name, level + 2);
+        text('type', artifact.type, level + 2);
+        text('path', artifact.path, level + 2);
+        if (typeof artifact.content === 'string') {
+          lines.push(this.indent(`<content>${this.wrapCData(artifact.content)}</content>`, level + 2));
         }
-        if (artifact.content) {
-          lines.push(this.indent('<content><![CDATA[', level + 2));
-          lines.push(artifact.content);
-          lines.push(this.indent(']]></content>', level + 2));
+        if (artifact.reference) {
+          lines.push(this.serializeValue('reference', artifact.reference, level + 2));
         }
         lines.push(this.indent('</artifact>', level + 1));
       }
@@ -134,7 +459,7 @@ class ContextSerializer {
     if (output.nextSteps?.length > 0) {
       lines.push(this.indent('<next_steps>', level));
       for (const step of output.nextSteps) {
-        lines.push(this.indent(`<step>${this.escapeXml(step)}</step>`, level + 1));
+        text('step', step, level + 1);
       }
       lines.push(this.indent('</next_steps>', level));
     }
@@ -142,7 +467,7 @@ class ContextSerializer {
     if (output.warnings?.length > 0) {
       lines.push(this.indent('<warnings>', level));
       for (const warning of output.warnings) {
-        lines.push(this.indent(`<warning>${this.escapeXml(warning)}</warning>`, level + 1));
+        text('warning', warning, level + 1);
       }
       lines.push(this.indent('</warnings>', level));
     }
@@ -150,111 +475,128 @@ class ContextSerializer {
     return lines.join('\n');
   }
 
+  /**
+   * Wrap text in a CDATA section
+   * A "]]>" in the text is split across two sections.
+   * @param {string} text
+   * @returns {string}
+   */
+  wrapCData(text) {
+    return `<![CDATA[${text.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+  }
+
   /**
    * Deserialize XML context back to object
    * @param {string} xml
-   * @returns {Object}
+   * @returns {{taskId?: string, agentType: string, workflowId: string, context: Object, dependencyOutputs: Object}}
+   * @throws {import('./xml-parser.js').XmlParseError} - If the XML is malformed
    */
   deserializeContext(xml) {
-    // Simple XML parsing (for basic cases)
-    const result = {};
-
-    // Extract task_id
-    const taskIdMatch = xml.match(/<task_id>(.*?)<\/task_id>/s);
-    if (taskIdMatch) result.taskId = this.unescapeXml(taskIdMatch[1]);
-
-    // Extract agent_type
-    const agentTypeMatch = xml.match(/<agent_type>(.*?)<\/agent_type>/s);
-    if (agentTypeMatch) result.agentType = this.unescapeXml(agentTypeMatch[1]);
-
-    // Extract workflow_id
-    const workflowIdMatch = xml.match(/<workflow_id>(.*?)<\/workflow_id>/s);
-    if (workflowIdMatch) result.workflowId = this.unescapeXml(workflowIdMatch[1]);
-
-    // Extract project_context
-    const contextMatch = xml.match(/<project_context>(.*?)<\/project_context>/s);
-    if (contextMatch) {
-      result.context = this.parseSimpleXml(contextMatch[1]);
+    const root = parseXml(xml);
+    if (root.name !== 'task_context') {
+      throw new Error(`Expected <task_context> but found <${root.name}>`);
     }
 
-    // Extract dependency_outputs
-    const depsMatch = xml.match(/<dependency_outputs>(.*?)<\/dependency_outputs>/s);
-    if (depsMatch) {
-      result.dependencyOutputs = this.parseDependencyOutputs(depsMatch[1]);
+    const result = { context: {}, dependencyOutputs: {} };
+
+    for (const element of root.children) {
+      switch (element.name) {
+        case 'task_id':
+          result.taskId = element.text;
+          break;
+        case 'agent_type':
+          result.agentType = element.text;
+          break;
+        case 'workflow_id':
+          result.workflowId = element.text;
+          break;
+        case 'project_context':
+          result.context = this.deserializeObject(element);
+          break;
+        case 'dependency_outputs':
+          for (const output of element.children) {
+            const agentType = output.name.replace(/_output$/, '').toUpperCase();
+            result.dependencyOutputs[agentType] = this.deserializeDependencyOutput(output);
+          }
+          break;
+      }
     }
 
     return result;
   }
 
   /**
-   * Parse simple XML to object
-   * @param {string} xml
+   * Deserialize the child elements of an element into an object
+   * @param {import('./xml-parser.js').XmlElement} element
    * @returns {Object}
    */
-  parseSimpleXml(xml) {
-    const result = {};
-    const tagRegex = /<(\w+)>(.*?)<\/\1>/gs;
-    let match;
-
-    while ((match = tagRegex.exec(xml)) !== null) {
-      const [, tag, content] = match;
-      // Check if content has nested tags
-      if (/<\w+>/.test(content)) {
-        result[tag] = this.parseSimpleXml(content);
-      } else {
-        result[tag] = this.unescapeXml(content.trim());
-      }
+  deserializeObject(element) {
+    const obj = {};
+    for (const child of element.children) {
+      // defineProperty keeps keys like "__proto__" as own properties
+      Object.defineProperty(obj, child.attributes.key ?? child.name, {
+        value: this.deserializeValue(child),
+        enumerable: true,
+        writable: true,
+        configurable: true
+      });
     }
-
-    return result;
+    return obj;
   }
 
   /**
-   * Parse dependency outputs from XML
-   * @param {string} xml
-   * @returns {Object}
+   * Deserialize an element written by serializeValue
+   * @param {import('./xml-parser.js').XmlElement} element
+   * @returns {*}
    */
-  parseDependencyOutputs(xml) {
-    const outputs = {};
-    const outputRegex = /<(\w+)_output>(.*?)<\/\1_output>/gs;
-    let match;
-
-    while ((match = outputRegex.exec(xml)) !== null) {
-      const [, agentType, content] = match;
-      outputs[agentType.toUpperCase()] = this.parseOutputXml(content);
+  deserializeValue(element) {
+    switch (element.attributes.type) {
+      case 'null':
+        return null;
+      case 'number':
+        return Number(element.text);
+      case 'boolean':
+        return element.text === 'true';
+      case 'array':
+        return element.children.map(child => this.deserializeValue(child));
+      case 'object':
+        return this.deserializeObject(element);
+      default:
+        return element.children.length > 0 ? this.deserializeObject(element) : element.text;
     }
-
-    return outputs;
   }
 
   /**
-   * Parse output XML structure
-   * @param {string} xml
+   * Deserialize a dependency output element
+   * @param {import('./xml-parser.js').XmlElement} element
    * @returns {Object}
    */
-  parseOutputXml(xml) {
+  deserializeDependencyOutput(element) {
     const output = {};
-
-    const summaryMatch = xml.match(/<summary>(.*?)<\/summary>/s);
-    if (summaryMatch) output.summary = this.unescapeXml(summaryMatch[1]);
-
-    // Parse artifacts
-    const artifactsMatch = xml.match(/<artifacts>(.*?)<\/artifacts>/s);
-    if (artifactsMatch) {
-      output.artifacts = [];
-      const artifactRegex = /<artifact>(.*?)<\/artifact>/gs;
-      let match;
-      while ((match = artifactRegex.exec(artifactsMatch[1])) !== null) {
-        const artifact = {};
-        const nameMatch = match[1].match(/<name>(.*?)<\/name>/s);
-        if (nameMatch) artifact.name = this.unescapeXml(nameMatch[1]);
-        const typeMatch = match[1].match(/<type>(.*?)<\/type>/s);
-        if (typeMatch) artifact.type = this.unescapeXml(typeMatch[1]);
-        const pathMatch = match[1].match(/<path>(.*?)<\/path>/s);
-        if (pathMatch) artifact.path = this.unescapeXml(pathMatch[1]);
-        const contentMatch = match[1].match(/<content><!\[CDATA\[(.*?)\]\]><\/content>/s);
-        if (contentMatch) artifact.content = contentMatch[1];
-        output.artifacts.push(artifact);
+    const texts = (parent) => parent.children.map(child => child.text);
+
+    for (const child of element.children) {
+      switch (child.name) {
+        case 'summary':
+          output.summary = child.text;
+          break;
+        case 'artifacts':
+          output.artifacts = child.children.map(artifactElement => {
+            const artifact = {};
+            for (const field of artifactElement.children) {
+              artifact[field.name] = field.name === 'reference'
+                ? this.deserializeValue(field)
+                : field.text;
+            }
+            return artifact;
+          });
+          break;
+        case 'next_steps':
+          output.nextSteps = texts(child);
+          break;
+        case 'warnings':
+          output.warnings = texts(child);
+          break;
       }
     }
 
@@ -287,7 +629,8 @@ class ContextSerializer {
       .replace(/</g, '&lt;')
       .replace(/>/g, '&gt;')
       .replace(/"/g, '&quot;')
-      .replace(/'/g, '&apos;');
+      .replace(/'/g, '&apos;')
+      .replace(/[\u0000-\u0008\u000b-\u001f]/g, char => `&#${char.charCodeAt(0)};`);
   }
 
   /**
@@ -302,6 +645,7 @@ class ContextSerializer {
       .replace(/&quot;/g, '"')
       .replace(/&gt;/g, '>')
       .replace(/&lt;/g, '<')
+      .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
       .replace(/&amp;/g, '&');
   }
 
@@ -313,7 +657,7 @@ class ContextSerializer {
   sanitizeTagName(str) {
     return str
       .replace(/[^a-zA-Z0-9_-]/g, '_')
-      .replace(/^[0-9-]/, '_$&');
+      .replace(/^[0-9-]|^$/, '_$&');
   }
 
   /**
@@ -0,0 +1,306 @@
+/**
+ * Markdown Format - Task contexts as Markdown sections
+ * Readable for agents, and still parsed back into the same logical model as
+ * the XML and JSON formats: prose and strings are written as plain text when
+ * they cannot be mistaken for structure and fenced otherwise, other values
+ * as JSON blocks. Section headings start at level 3 so the context nests
+ * under the "## Task Context" heading of agent prompts.
+ */
+
+/**
+ * Labels of the task identification list
+ */
+const HEADER_FIELDS = Object.freeze([
+  ['taskId', 'Task'],
+  ['agentType', 'Agent'],
+  ['workflowId', 'Workflow']
+]);
+
+/**
+ * Labels of artifact fields written as list items
+ */
+const ARTIFACT_FIELDS = Object.freeze([
+  ['type', 'Type'],
+  ['path', 'Path']
+]);
+
+/**
+ * Lines that would be read as structure if written as plain text
+ */
+const STRUCTURE_LINE = /^\s*(?:#|`{3}|~{3}|[-*+] |>)/;
+
+/**
+ * Encode a string for a single line (heading or list item)
+ * Strings that are not plain single-line text are written as JSON strings.
+ * @param {string} value
+ * @returns {string}
+ */
+function encodeInline(value) {
+  const plain = value.length > 0 &&
+    value === value.trim() &&
+    value !== 'null' &&
+    !/[\n\r`]/.test(value) &&
+    !value.startsWith('"');
+  return plain ? value : JSON.stringify(value);
+}
+
+/**
+ * Decode a string written by encodeInline
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeInline(text) {
+  return text.startsWith('"') ? JSON.parse(text) : text;
+}
+
+/**
+ * Fence a block, using a fence longer than any backtick run in the content
+ * @param {string} content
+ * @param {string} info - Info string (language)
+ * @returns {string[]}
+ */
+function fence(content, info) {
+  const longestRun = Math.max(2, ...(content.match(/`+/g) || []).map(run => run.length));
+  const marker = '`'.repeat(longestRun + 1);
+  return [`${marker}${info}`, content, marker];
+}
+
+/**
+ * Write a string as plain text when that reads back unchanged
+ * @param {string} text
+ * @returns {string[]}
+ */
+function textBlock(text) {
+  const plain = text.length > 0 &&
+    text === text.trim() &&
+    !text.includes('\r') &&
+    !/\n\s*\n/.test(text) &&
+    !text.split('\n').some(line => STRUCTURE_LINE.test(line) || line !== line.trim());
+  return plain ? [text] : fence(text, 'text');
+}
+
+/**
+ * Write a value: strings as text, anything else as JSON
+ * @param {*} value
+ * @returns {string[]}
+ */
+function valueBlock(value) {
+  return typeof value === 'string' ? textBlock(value) : fence(JSON.stringify(value, null, 2), 'json');
+}
+
+/**
+ * Serialize a context model to Markdown
+ * @param {Object} model - { taskId?, agentType, workflowId, context, dependencyOutputs }
+ * @returns {string}
+ */
+export function serializeMarkdown(model) {
+  const lines = HEADER_FIELDS
+    .filter(([field]) => typeof model[field] === 'string')
+    .map(([field, label]) => `- ${label}: ${encodeInline(model[field])}`);
+
+  const section = (level, title, body) => {
+    lines.push('', `${'#'.repeat(level)} ${title}`, '', ...body);
+  };
+
+  const contextEntries = Object.entries(model.context || {});
+  if (contextEntries.length > 0) {
+    lines.push('', '### Project Context');
+    for (const [key, value] of contextEntries) {
+      section(4, encodeInline(key), valueBlock(value));
+    }
+  }
+
+  const outputs = Object.entries(model.dependencyOutputs || {});
+  if (outputs.length > 0) {
+    lines.push('', '### Dependency Outputs');
+  }
+  for (const [agentType, output] of outputs) {
+    lines.push('', `#### ${agentType}`);
+
+    if (typeof output.summary === 'string') {
+      section(5, 'Summary', textBlock(output.summary));
+    }
+
+    if (output.artifacts?.length > 0) {
+      lines.push('', '##### Artifacts');
+      for (const artifact of output.artifacts) {
+        const body = ARTIFACT_FIELDS
+          .filter(([field]) => typeof artifact[field] === 'string')
+          .map(([field, label]) => `- ${label}: ${encodeInline(artifact[field])}`);
+        if (typeof artifact.content === 'string') {
+          const language = artifact.path?.match(/\.([A-Za-z0-9]+)$/)?.[1] || 'text';
+          body.push('- Content:', '', ...fence(artifact.content, language));
+        }
+        if (artifact.reference) {
+          body.push('- Reference:', '', ...fence(JSON.stringify(artifact.reference, null, 2), 'json'));
+        }
+        section(6, typeof artifact.name === 'string' ? encodeInline(artifact.name) : 'null', body);
+      }
+    }
+
+    for (const [field, title] of [['nextSteps', 'Next Steps'], ['warnings', 'Warnings']]) {
+      if (output[field]?.length > 0) {
+        section(5, title, output[field].map(item => `- ${encodeInline(String(item))}`));
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Split Markdown into headings, list items, paragraphs and fenced blocks
+ * @param {string} markdown
+ * @returns {Array<{kind: string, level?: number, text: string, info?: string}>}
+ */
+function tokenize(markdown) {
+  const tokens = [];
+  const lines = markdown.split('\n');
+  let paragraph = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const fenceMatch = line.match(/^(`{3,})(.*)$/);
+
+    if (fenceMatch) {
+      const closing = fenceMatch[1];
+      const end = lines.findIndex((l, j) => j > i && l === closing);
+      if (end === -1) {
+        throw new Error(`Unterminated code block at line ${i + 1}`);
+      }
+      paragraph = null;
+      tokens.push({ kind: 'fence', info: fenceMatch[2].trim(), text: lines.slice(i + 1, end).join('\n') });
+      i = end;
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6}) (.*)$/);
+    if (heading) {
+      paragraph = null;
+      tokens.push({ kind: 'heading', level: heading[1].length, text: heading[2] });
+    } else if (line.startsWith('- ')) {
+      paragraph = null;
+      tokens.push({ kind: 'item', text: line.slice(2) });
+    } else if (line === '') {
+      paragraph = null;
+    } else if (paragraph) {
+      paragraph.text += `\n${line}`;
+    } else {
+      paragraph = { kind: 'text', text: line };
+      tokens.push(paragraph);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Read a value block: plain text or a fenced text/JSON block
+ * @param {Object} [token]
+ * @returns {*}
+ */
+function readValue(token) {
+  if (!token) return '';
+  if (token.kind === 'fence') {
+    return token.info === 'json' ? JSON.parse(token.text) : token.text;
+  }
+  return token.text;
+}
+
+/**
+ * Parse a labeled list item ("Label: value")
+ * @param {string} text
+ * @returns {{label: string, value: string}}
+ */
+function readItem(text) {
+  const separator = text.indexOf(':');
+  return { label: text.slice(0, separator), value: text.slice(separator + 1).trimStart() };
+}
+
+/**
+ * Parse Markdown written by serializeMarkdown back into a context model
+ * @param {string} markdown
+ * @returns {{taskId?: string, agentType: string, workflowId: string, context: Object, dependencyOutputs: Object}}
+ */
+export function parseMarkdown(markdown) {
+  const model = { context: {}, dependencyOutputs: {} };
+  const tokens = tokenize(markdown);
+
+  let section = null;
+  let output = null;
+  let subsection = null;
+  let artifact = null;
+  let pendingField = null;
+
+  const setOwn = (obj, key, value) => {
+    Object.defineProperty(obj, key, { value, enumerable: true, writable: true, configurable: true });
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (token.kind === 'heading') {
+      pendingField = null;
+      if (token.level === 3) {
+        section = token.text;
+      } else if (section === 'Project Context' && token.level === 4) {
+        const next = tokens[i + 1];
+        const hasValue = next && next.kind !== 'heading';
+        setOwn(model.context, decodeInline(token.text), readValue(hasValue ? next : undefined));
+        if (hasValue) i++;
+      } else if (section === 'Dependency Outputs' && token.level === 4) {
+        output = {};
+        subsection = null;
+        artifact = null;
+        model.dependencyOutputs[token.text] = output;
+      } else if (output && token.level === 5) {
+        subsection = token.text;
+        if (subsection === 'Summary') {
+          const next = tokens[i + 1];
+          output.summary = readValue(next && next.kind !== 'heading' ? next : undefined);
+          if (next && next.kind !== 'heading') i++;
+        } else if (subsection === 'Artifacts') {
+          output.artifacts = [];
+        } else if (subsection === 'Next Steps') {
+          output.nextSteps = [];
+        } else if (subsection === 'Warnings') {
+          output.warnings = [];
+        }
+      } else if (output && subsection === 'Artifacts' && token.level === 6) {
+        artifact = token.text === 'null' ? {} : { name: decodeInline(token.text) };
+        output.artifacts.push(artifact);
+      }
+      continue;
+    }
+
+    if (section === 'Dependency Outputs' && output && subsection === 'Artifacts' && artifact) {
+      if (token.kind === 'item') {
+        const { label, value } = readItem(token.text);
+        const field = ARTIFACT_FIELDS.find(([, l]) => l === label)?.[0];
+        if (field) {
+          artifact[field] = decodeInline(value);
+        } else {
+          pendingField = label === 'Content' ? 'content' : label === 'Reference' ? 'reference' : null;
+        }
+      } else if (token.kind === 'fence' && pendingField) {
+        artifact[pendingField] = pendingField === 'reference' ? JSON.parse(token.text) : token.text;
+        pendingField = null;
+      }
+    } else if (output && token.kind === 'item' && (subsection === 'Next Steps' || subsection === 'Warnings')) {
+      output[subsection === 'Next Steps' ? 'nextSteps' : 'warnings'].push(decodeInline(token.text));
+    } else if (!section && token.kind === 'item') {
+      const { label, value } = readItem(token.text);
+      const field = HEADER_FIELDS.find(([, l]) => l === label)?.[0];
+      if (field) {
+        model[field] = decodeInline(value);
+      }
+    }
+  }
+
+  return model;
+}
+
+export default {
+  serializeMarkdown,
+  parseMarkdown
+};
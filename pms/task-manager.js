@@ -5,17 +5,17 @@
 
 import fs from 'fs';
 import path from 'path';
-import { TaskStatus, TaskPriority, generateTaskId, parseTaskId, isValidStatusTransition } from './types.js';
-
-const TASKS_DIR = '.tasks';
+import { TaskStatus, TaskPriority, ContextFormat, generateTaskId, parseTaskId, isValidStatusTransition } from './types.js';
+import { getContextSerializer } from './context-serializer.js';
+import { getProjectConfig } from '../orchestration/project-config.js';
 
 /**
  * TaskManager singleton class
- * File-based task storage in .tasks/ directory
+ * File-based task storage in .tasks/ (or the project config's storage.tasks)
  */
 class TaskManager {
   constructor() {
-    this.tasksDir = TASKS_DIR;
+    this.tasksDir = getProjectConfig().storage.tasks;
     this.tasks = new Map();
     this.sequence = 0;
     this.ensureTasksDir();
@@ -74,6 +74,8 @@ class TaskManager {
       blocked_by: [],
       blocking: [],
       context: params.context || '',
+      contextFormat: params.contextFormat || ContextFormat.XML,
+      prompt: params.prompt || null,
       output: null,
       error: null,
       createdAt: now,
@@ -160,6 +162,26 @@ class TaskManager {
     return this.updateStatus(taskId, TaskStatus.FAILED, { error });
   }
 
+  /**
+   * Merge values into task metadata
+   * Allowed in any status, e.g. to record findings on a failed task.
+   * @param {string} taskId
+   * @param {Object} updates - Metadata values
+   * @returns {Object} - Updated task
+   */
+  updateMetadata(taskId, updates) {
+    const task = this.getTask(taskId);
+    if (!task) {
+      throw new Error(`Task not found: ${taskId}`);
+    }
+
+    task.metadata = { ...task.metadata, ...updates };
+    task.updatedAt = new Date().toISOString();
+    this.saveTask(task);
+
+    return task;
+  }
+
   /**
    * Block task
    * @param {string} taskId
@@ -269,13 +291,17 @@ class TaskManager {
   }
 
   /**
-   * Get task context for agent execution
+   * Get the parsed task context, whatever format it was stored in
+   * Tasks stored before formats were recorded hold XML.
    * @param {string} taskId
-   * @returns {string}
+   * @returns {Object|null} - { taskId?, agentType, workflowId, context, dependencyOutputs }
    */
   getTaskContext(taskId) {
     const task = this.getTask(taskId);
-    return task?.context || '';
+    if (!task?.context) {
+      return null;
+    }
+    return getContextSerializer().deserialize(task.context, task.contextFormat || ContextFormat.XML);
   }
 
   /**
@@ -38,6 +38,15 @@ export const ArtifactType = Object.freeze({
   SCHEMA: 'schema'
 });
 
+/**
+ * Serialization formats of task context
+ */
+export const ContextFormat = Object.freeze({
+  XML: 'xml',
+  JSON: 'json',
+  MARKDOWN: 'markdown'
+});
+
 /**
  * @typedef {Object} Task
  * @property {string} id - Task ID (TASK-0001 format)
@@ -49,7 +58,9 @@ export const ArtifactType = Object.freeze({
  * @property {string[]} deps - Task IDs this task depends on
  * @property {string[]} blocked_by - Tasks blocking this one
  * @property {string[]} blocking - Tasks this one is blocking
- * @property {string} context - Serialized context (XML)
+ * @property {string} context - Serialized context
+ * @property {string} contextFormat - Format of the serialized context (ContextFormat)
+ * @property {{version: string|null, hash: string}|null} prompt - Prompt version the agent ran with
  * @property {Object} [output] - Task output when completed
  * @property {string} [error] - Error message if failed
  * @property {Date} createdAt - Creation timestamp
@@ -117,6 +128,7 @@ export default {
   TaskStatus,
   TaskPriority,
   ArtifactType,
+  ContextFormat,
   generateTaskId,
   parseTaskId,
   isValidStatusTransition
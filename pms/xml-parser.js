@@ -0,0 +1,433 @@
+/**
+ * XML Parser - Streaming parser for task context XML
+ * A small non-validating parser: elements, attributes, self-closing tags,
+ * text with entity references, CDATA sections, comments, processing
+ * instructions and a DOCTYPE without internal subset. Input may arrive in
+ * chunks; events are emitted as soon as a token is complete.
+ */
+
+/**
+ * Predefined XML entities
+ */
+const ENTITIES = Object.freeze({
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'"
+});
+
+const NAME_PATTERN = /[A-Za-z_:][A-Za-z0-9_.:-]*/y;
+const ATTRIBUTE_PATTERN = /\s+([A-Za-z_:][A-Za-z0-9_.:-]*)\s*=\s*(?:"([^"<]*)"|'([^'<]*)')/y;
+const TAG_CLOSE_PATTERN = /\s*(\/?)>/y;
+
+/**
+ * Incomplete start tag tail that more input could still complete
+ */
+const PARTIAL_TAG_PATTERN = /\s*(?:\/|[A-Za-z_:][A-Za-z0-9_.:-]*\s*(?:=\s*(?:"[^"<]*|'[^'<]*)?)?)?$/y;
+
+/**
+ * Markup openings that need more input before they can be told apart
+ */
+const MARKUP_PREFIXES = Object.freeze(['<!--', '<![CDATA[', '<!DOCTYPE', '<?']);
+
+/**
+ * Error raised for malformed XML
+ */
+export class XmlParseError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - { line, column }
+   */
+  constructor(message, details = {}) {
+    super(details.line ? `${message} (line ${details.line}, column ${details.column})` : message);
+    this.name = 'XmlParseError';
+    this.details = details;
+  }
+}
+
+/**
+ * @typedef {Object} XmlHandlers
+ * @property {(name: string, attributes: Object<string, string>) => void} [onOpen] - Start tag
+ * @property {(name: string) => void} [onClose] - End tag (also emitted for self-closing tags)
+ * @property {(text: string) => void} [onText] - Text with entities decoded
+ * @property {(text: string) => void} [onCData] - CDATA section content
+ */
+
+/**
+ * Decode entity and character references
+ * @param {string} text
+ * @param {Function} fail - Called with a message for unknown references
+ * @returns {string}
+ */
+function decodeEntities(text, fail) {
+  return text.replace(/&([^;&\s]*);?/g, (match, ref) => {
+    if (!match.endsWith(';')) {
+      fail(`Unterminated entity reference "${match}"`);
+    }
+    if (ref.startsWith('#')) {
+      const code = ref[1] === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      if (Number.isNaN(code) || code > 0x10ffff) {
+        fail(`Invalid character reference "${match}"`);
+      }
+      return String.fromCodePoint(code);
+    }
+    if (!(ref in ENTITIES)) {
+      fail(`Unknown entity "${match}"`);
+    }
+    return ENTITIES[ref];
+  });
+}
+
+/**
+ * XmlStreamParser class
+ * Feed input with write() and finish with end(); malformed input throws
+ * XmlParseError with the position of the offending token.
+ */
+export class XmlStreamParser {
+  /**
+   * @param {XmlHandlers} handlers
+   */
+  constructor(handlers = {}) {
+    this.handlers = handlers;
+    this.buffer = '';
+    this.pos = 0;
+    this.searchFrom = 0;
+    this.pending = [];
+    this.waitingFor = null;
+    this.tail = '';
+    this.stack = [];
+    this.seenRoot = false;
+    this.ended = false;
+    this.line = 1;
+    this.column = 1;
+  }
+
+  /**
+   * Parse a chunk of input
+   * @param {string} chunk
+   * @returns {XmlStreamParser}
+   */
+  write(chunk) {
+    if (this.ended) {
+      throw new XmlParseError('Write after end');
+    }
+
+    // While a long token is incomplete, set chunks aside until one
+    // contains its terminator instead of copying the buffer every time
+    if (this.waitingFor) {
+      const probe = this.tail + chunk;
+      if (!probe.includes(this.waitingFor)) {
+        this.pending.push(chunk);
+        this.tail = probe.slice(-(this.waitingFor.length - 1) || probe.length);
+        return this;
+      }
+    }
+
+    this.pending.push(chunk);
+    this.merge();
+    this.drain();
+    return this;
+  }
+
+  /**
+   * Append chunks set aside to the unparsed input
+   */
+  merge() {
+    this.buffer = this.buffer.slice(this.pos) + this.pending.join('');
+    this.searchFrom = Math.max(0, this.searchFrom - this.pos);
+    this.pos = 0;
+    this.pending = [];
+    this.waitingFor = null;
+  }
+
+  /**
+   * Wait for more input containing a terminator
+   * @param {string} terminator
+   */
+  waitFor(terminator) {
+    this.waitingFor = terminator;
+    this.tail = this.buffer.slice(-(terminator.length - 1) || this.buffer.length);
+  }
+
+  /**
+   * Finish parsing
+   * @throws {XmlParseError} - If the document is incomplete
+   */
+  end() {
+    this.ended = true;
+    this.merge();
+    this.drain();
+
+    if (this.stack.length > 0) {
+      this.fail(`Unclosed element <${this.stack[this.stack.length - 1]}>`);
+    }
+    if (!this.seenRoot) {
+      this.fail('Document has no root element');
+    }
+  }
+
+  /**
+   * Throw an XmlParseError at the current position
+   * @param {string} message
+   */
+  fail(message) {
+    throw new XmlParseError(message, { line: this.line, column: this.column });
+  }
+
+  /**
+   * Advance past consumed input, tracking the position
+   * @param {number} end - Buffer index after the token
+   */
+  advance(end) {
+    this.searchFrom = end;
+    for (let i = this.pos; i < end; i++) {
+      if (this.buffer.charCodeAt(i) === 10) {
+        this.line++;
+        this.column = 1;
+      } else {
+        this.column++;
+      }
+    }
+    this.pos = end;
+  }
+
+  /**
+   * Process every complete token in the buffer
+   */
+  drain() {
+    while (this.pos < this.buffer.length) {
+      const handled = this.buffer[this.pos] === '<' ? this.readMarkup() : this.readText();
+      if (!handled) {
+        return; // Incomplete token, wait for more input
+      }
+    }
+  }
+
+  /**
+   * Find the end of a token, or fail if the input has ended
+   * @param {string} terminator
+   * @param {number} offset - Offset from the token start to search from
+   * @param {string} what - Token description for errors
+   * @returns {number} - Buffer index of the terminator, or -1 to wait for more input
+   */
+  findEnd(terminator, offset, what) {
+    const index = this.buffer.indexOf(terminator, Math.max(this.pos + offset, this.searchFrom));
+    if (index === -1) {
+      if (this.ended) {
+        this.fail(`Unterminated ${what}`);
+      }
+      // Resume the search where the terminator could still start
+      this.searchFrom = Math.max(this.pos + offset, this.buffer.length - terminator.length + 1);
+      this.waitFor(terminator);
+    }
+    return index;
+  }
+
+  /**
+   * Read text up to the next markup
+   * @returns {boolean} - Whether the text was complete
+   */
+  readText() {
+    let end = this.buffer.indexOf('<', Math.max(this.pos, this.searchFrom));
+    if (end === -1) {
+      if (!this.ended) {
+        this.searchFrom = this.buffer.length;
+        this.waitFor('<');
+        return false;
+      }
+      end = this.buffer.length;
+    }
+
+    const raw = this.buffer.slice(this.pos, end);
+    if (this.stack.length === 0) {
+      if (raw.trim()) {
+        this.fail('Text outside the root element');
+      }
+      this.advance(end);
+      return true;
+    }
+
+    const text = decodeEntities(raw, message => this.fail(message));
+    this.advance(end);
+    this.handlers.onText?.(text);
+    return true;
+  }
+
+  /**
+   * Read a tag, comment, CDATA section or declaration
+   * @returns {boolean} - Whether the token was complete
+   */
+  readMarkup() {
+    const { buffer, pos } = this;
+    const startsWith = prefix => buffer.startsWith(prefix, pos);
+
+    const available = buffer.length - pos;
+    if (!this.ended && MARKUP_PREFIXES.some(p => available < p.length && p.startsWith(buffer.slice(pos)))) {
+      return false;
+    }
+
+    if (startsWith('<!--')) {
+      const end = this.findEnd('-->', 4, 'comment');
+      if (end === -1) return false;
+      this.advance(end + 3);
+      return true;
+    }
+
+    if (startsWith('<![CDATA[')) {
+      const end = this.findEnd(']]>', 9, 'CDATA section');
+      if (end === -1) return false;
+      if (this.stack.length === 0) {
+        this.fail('CDATA outside the root element');
+      }
+      const text = buffer.slice(pos + 9, end);
+      this.advance(end + 3);
+      this.handlers.onCData?.(text);
+      return true;
+    }
+
+    if (startsWith('<?')) {
+      const end = this.findEnd('?>', 2, 'processing instruction');
+      if (end === -1) return false;
+      this.advance(end + 2);
+      return true;
+    }
+
+    if (startsWith('<!DOCTYPE')) {
+      const end = this.findEnd('>', 9, 'DOCTYPE');
+      if (end === -1) return false;
+      if (this.seenRoot) {
+        this.fail('DOCTYPE after the root element');
+      }
+      this.advance(end + 1);
+      return true;
+    }
+
+    if (startsWith('</')) {
+      const end = this.findEnd('>', 2, 'end tag');
+      if (end === -1) return false;
+      const name = buffer.slice(pos + 2, end).trim();
+      const open = this.stack[this.stack.length - 1];
+      if (name !== open) {
+        this.fail(open ? `Expected </${open}> but found </${name}>` : `Unexpected </${name}>`);
+      }
+      this.advance(end + 1);
+      this.stack.pop();
+      this.handlers.onClose?.(name);
+      return true;
+    }
+
+    return this.readStartTag();
+  }
+
+  /**
+   * Read a start or self-closing tag
+   * Attribute values may contain ">", so the tag is read attribute by
+   * attribute rather than up to the first ">".
+   * @returns {boolean} - Whether the tag was complete
+   */
+  readStartTag() {
+    const { buffer } = this;
+    const incomplete = (index) => {
+      PARTIAL_TAG_PATTERN.lastIndex = index;
+      if (this.ended || !PARTIAL_TAG_PATTERN.test(buffer)) {
+        this.fail(index === this.pos + 1 ? 'Invalid tag name' : 'Malformed start tag');
+      }
+      return false;
+    };
+
+    NAME_PATTERN.lastIndex = this.pos + 1;
+    const nameMatch = NAME_PATTERN.exec(buffer);
+    if (!nameMatch) {
+      return incomplete(this.pos + 1);
+    }
+
+    const name = nameMatch[0];
+    const attributes = {};
+    let index = NAME_PATTERN.lastIndex;
+
+    for (;;) {
+      ATTRIBUTE_PATTERN.lastIndex = index;
+      const attribute = ATTRIBUTE_PATTERN.exec(buffer);
+      if (!attribute) break;
+
+      const [, attributeName, doubleQuoted, singleQuoted] = attribute;
+      if (attributeName in attributes) {
+        this.fail(`Duplicate attribute "${attributeName}" on <${name}>`);
+      }
+      attributes[attributeName] = decodeEntities(doubleQuoted ?? singleQuoted, message => this.fail(message));
+      index = ATTRIBUTE_PATTERN.lastIndex;
+    }
+
+    TAG_CLOSE_PATTERN.lastIndex = index;
+    const close = TAG_CLOSE_PATTERN.exec(buffer);
+    if (!close) {
+      return incomplete(index);
+    }
+
+    if (this.stack.length === 0 && this.seenRoot) {
+      this.fail('Document has more than one root element');
+    }
+
+    this.advance(TAG_CLOSE_PATTERN.lastIndex);
+    this.seenRoot = true;
+    this.handlers.onOpen?.(name, attributes);
+
+    if (close[1]) {
+      this.handlers.onClose?.(name);
+    } else {
+      this.stack.push(name);
+    }
+    return true;
+  }
+}
+
+/**
+ * @typedef {Object} XmlElement
+ * @property {string} name - Tag name
+ * @property {Object<string, string>} attributes - Attributes
+ * @property {XmlElement[]} children - Child elements
+ * @property {string} text - Text and CDATA directly inside the element, concatenated
+ */
+
+/**
+ * Parse an XML document into an element tree
+ * @param {string} xml
+ * @returns {XmlElement} - Root element
+ * @throws {XmlParseError} - If the document is malformed
+ */
+export function parseXml(xml) {
+  const stack = [];
+  let root = null;
+
+  const appendText = (text) => {
+    stack[stack.length - 1].text += text;
+  };
+
+  const parser = new XmlStreamParser({
+    onOpen(name, attributes) {
+      const element = { name, attributes, children: [], text: '' };
+      if (stack.length > 0) {
+        stack[stack.length - 1].children.push(element);
+      } else {
+        root = element;
+      }
+      stack.push(element);
+    },
+    onClose() {
+      stack.pop();
+    },
+    onText: appendText,
+    onCData: appendText
+  });
+
+  parser.write(xml);
+  parser.end();
+  return root;
+}
+
+export default {
+  XmlParseError,
+  XmlStreamParser,
+  parseXml
+};
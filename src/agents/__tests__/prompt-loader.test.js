@@ -0,0 +1,34 @@
+/**
+ * Retry sections of agent prompts
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { reloadProjectConfig } from '../../../orchestration/project-config.js';
+import { buildAgentPrompt } from '../prompt-loader.js';
+
+describe('buildAgentPrompt', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-loader-'));
+    reloadProjectConfig({ cwd: dir });
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('lists the secrets that rejected the previous output', () => {
+    const prompt = buildAgentPrompt('DEV_BACKEND', '<context/>', {
+      secrets: {
+        attempt: 1,
+        findings: [{ ruleId: 'aws-access-key', description: 'AWS access key ID', path: 'src/config.ts', line: 12 }]
+      }
+    });
+
+    expect(prompt).toContain('## Secrets Detected');
+    expect(prompt).toContain('- `src/config.ts` line 12: AWS access key ID (aws-access-key)');
+  });
+});
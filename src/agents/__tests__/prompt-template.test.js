@@ -0,0 +1,65 @@
+/**
+ * Rendering and checking prompt templates
+ */
+
+import { TemplateError, checkTemplate, renderTemplate } from '../prompt-template.js';
+
+const partials = name => ({ greeting: 'Hello {{ name }}', loop: '{{> loop}}', unknown: '{{ other }}' })[name] ?? null;
+
+describe('renderTemplate', () => {
+  test.each([
+    ['variables', 'Hi {{ user.name }}!', { user: { name: 'Ann' } }, 'Hi Ann!'],
+    ['unknown variables', '[{{ missing }}]', {}, '[]'],
+    ['escaped tags and comments', '\\{{ name }}{{! note }}', { name: 'Ann' }, '{{ name }}'],
+    ['partials', '{{> greeting}}.', { name: 'Ann' }, 'Hello Ann.'],
+    ['expressions', '{{#if (a || b) && !c && n >= 2}}yes{{/if}}', { b: true, c: false, n: 3 }, 'yes'],
+    ['empty loops', '{{#each items as item}}x{{else}}none{{/each}}', { items: [] }, 'none'],
+    ['object loops', '{{#each map as value}}{{ @key }}={{ value }} {{/each}}', { map: { a: 1, b: 2 } }, 'a=1 b=2 ']
+  ])('%s', (_, template, variables, expected) => {
+    expect(renderTemplate(template, variables, { partials })).toBe(expected);
+  });
+
+  test('block tags on their own line leave no empty line', () => {
+    const template = [
+      "{{#if platform == 'ios'}}",
+      'iOS',
+      "{{else if platform == 'android'}}",
+      'Android',
+      '{{else}}',
+      'Other',
+      '{{/if}}',
+      '{{#each items as item}}',
+      '- {{ @index }} {{ item }}{{#if @last}}.{{/if}}',
+      '{{/each}}',
+      ''
+    ].join('\n');
+
+    expect(renderTemplate(template, { platform: 'android', items: ['a', 'b'] })).toBe('Android\n- 0 a\n- 1 b.\n');
+  });
+
+  test.each([
+    ['unknown variables in strict mode', '{{ missing }}', { strict: true }, 'Unknown variable "missing" (line 1, column 1)'],
+    ['unclosed blocks', 'x\n  {{#if a}}', {}, 'Unclosed {{#if}} (line 2, column 3)'],
+    ['unexpected closing tags', '{{/if}}', {}, 'Unexpected {{/if}} (line 1, column 1)'],
+    ['unknown partials', '{{> footer}}', { partials }, 'Unknown partial "footer" (line 1, column 1)'],
+    ['recursive partials', '{{> loop}}', { partials }, 'Partials nested too deeply at "loop" (line 1, column 1)']
+  ])('rejects %s', (_, template, options, message) => {
+    expect(() => renderTemplate(template, {}, options)).toThrow(new TemplateError(message));
+  });
+});
+
+describe('checkTemplate', () => {
+  test('reports unknown variables in strict mode', () => {
+    const template = '{{ a }}{{#each xs as x}}{{ x }}{{ @index }}{{/each}}{{ x }}{{> unknown}}';
+
+    expect(checkTemplate(template, { variables: ['a', 'xs'], partials })).toEqual([]);
+    expect(checkTemplate(template, { strict: true, variables: ['a', 'xs'], partials })).toEqual([
+      'Unknown variable "x" (line 1, column 53)',
+      'Unknown variable "other" (line 1, column 1) in partial "unknown"'
+    ]);
+  });
+
+  test('reports syntax errors', () => {
+    expect(checkTemplate('{{#each xs as x}}')).toEqual(['Unclosed {{#each}} (line 1, column 1)']);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Validating and parsing structured agent output
+ */
+
+import { AGENT_OUTPUT_SCHEMA, REVIEW_OUTPUT_SCHEMA } from '../../../orchestration/output-schemas.js';
+import { parseStructuredResponse } from '../response-parser.js';
+import { validateSchema } from '../schema-validator.js';
+
+const OUTPUT = { success: true, summary: 'Planned', artifacts: [] };
+
+describe('validateSchema', () => {
+  test('accepts valid output', () => {
+    expect(validateSchema(OUTPUT, AGENT_OUTPUT_SCHEMA)).toEqual([]);
+  });
+
+  test.each([
+    [{ type: 'object', required: ['a'] }, {}, ['$: missing required property "a"']],
+    [{ type: 'object', additionalProperties: false }, { a: 1 }, ['$: unexpected property "a"']],
+    [{ type: 'integer' }, 1.5, ['$: expected integer, got number']],
+    [{ type: 'number', minimum: 0, maximum: 1 }, 2, ['$: must be <= 1']],
+    [{ enum: ['low', 'high'] }, 'medium', ['$: must be one of "low", "high"']],
+    [{ type: 'string', minLength: 1, pattern: '^a' }, '', ['$: must be at least 1 character(s)', '$: must match ^a']],
+    [{ type: 'array', minItems: 1 }, [], ['$: must contain at least 1 item(s)']],
+    [{ type: ['string', 'null'] }, 0, ['$: expected string or null, got integer']]
+  ])('%j rejects %j', (schema, value, errors) => {
+    expect(validateSchema(value, schema)).toEqual(errors);
+  });
+
+  test('locates nested errors', () => {
+    expect(validateSchema({ ...OUTPUT, artifacts: [{ name: 'plan.md' }], nextSteps: ['ship', 1] }, AGENT_OUTPUT_SCHEMA)).toEqual([
+      '$.artifacts[0]: missing required property "type"',
+      '$.nextSteps[1]: expected string, got integer'
+    ]);
+  });
+});
+
+describe('parseStructuredResponse', () => {
+  test.each([
+    ['the whole response', JSON.stringify(OUTPUT)],
+    ['a json fence', `Done.\n\`\`\`json\n${JSON.stringify(OUTPUT)}\n\`\`\``],
+    ['the outermost braces', `Here it is: ${JSON.stringify(OUTPUT)} Thanks`]
+  ])('takes the payload from %s', (_, response) => {
+    const { output, validation } = parseStructuredResponse(response);
+
+    expect(validation).toEqual({ valid: true, errors: [] });
+    expect(output).toMatchObject(OUTPUT);
+  });
+
+  test('reports responses without a JSON object', () => {
+    expect(parseStructuredResponse('All done').validation).toEqual({
+      valid: false,
+      errors: ['$: response does not contain a JSON object']
+    });
+  });
+
+  test('keeps the extra properties of the schema', () => {
+    const findings = [{ severity: 'low', message: 'Rename it' }];
+    const { output, validation } = parseStructuredResponse({ ...OUTPUT, findings }, REVIEW_OUTPUT_SCHEMA);
+
+    expect(output.findings).toEqual(findings);
+    expect(validation.valid).toBe(true);
+    expect(parseStructuredResponse(OUTPUT, REVIEW_OUTPUT_SCHEMA).validation.errors).toEqual(['$: missing required property "findings"']);
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Prompt Compare - Runs two prompt versions against recorded task contexts
+ * Each recorded context is executed once per version through an agent
+ * backend; the results are compared on output-schema validity, artifact
+ * count and token usage, with a line diff of the two outputs.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { executeAgent } from '../claude-cli/index.js';
+import { getTotalTokens } from '../claude-cli/usage.js';
+import { parseStructuredResponse } from './response-parser.js';
+import { getPromptLoader, buildPromptVariables } from './prompt-loader.js';
+import { getAgentConfig } from '../../orchestration/agent-configs.js';
+import { getModelSelector } from '../../orchestration/model-selector.js';
+
+/**
+ * Unchanged lines shown around each change of a diff
+ */
+const DIFF_CONTEXT_LINES = 2;
+
+/**
+ * Largest line matrix diffed line by line; larger changes are shown as a
+ * whole replacement
+ */
+const MAX_DIFF_CELLS = 4_000_000;
+
+/**
+ * @typedef {Object} RecordedContext
+ * @property {string} taskId - PMS task the context was recorded for
+ * @property {string} context - Serialized task context, as given to the agent
+ * @property {Object} parsed - Parsed task context ({ workflowId, context, dependencyOutputs })
+ */
+
+/**
+ * @typedef {Object} VersionRun
+ * @property {boolean} valid - Output matched the agent's output schema
+ * @property {string[]} errors - Schema validation or execution errors
+ * @property {number} artifacts - Number of artifacts
+ * @property {number} tokens - Total tokens used
+ * @property {number|null} costUsd - Reported cost
+ * @property {Object|null} output - Parsed output
+ */
+
+/**
+ * Diff two texts line by line
+ * @param {string} before
+ * @param {string} after
+ * @param {number} [contextLines] - Unchanged lines kept around changes
+ * @returns {string[]} - Lines prefixed with "- ", "+ " or "  "; skipped runs as "…"; empty if equal
+ */
+export function diffLines(before, after, contextLines = DIFF_CONTEXT_LINES) {
+  const a = before ? before.split('\n') : [];
+  const b = after ? after.split('\n') : [];
+
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const oldLines = a.slice(prefix, a.length - suffix);
+  const newLines = b.slice(prefix, b.length - suffix);
+  if (oldLines.length === 0 && newLines.length === 0) {
+    return [];
+  }
+
+  // Longest common subsequence of the changed middle part
+  const middle = [];
+  if ((oldLines.length + 1) * (newLines.length + 1) > MAX_DIFF_CELLS) {
+    middle.push(...oldLines.map(line => ['-', line]), ...newLines.map(line => ['+', line]));
+  } else {
+    const lengths = Array.from({ length: oldLines.length + 1 }, () => new Uint32Array(newLines.length + 1));
+    for (let i = oldLines.length - 1; i >= 0; i--) {
+      for (let j = newLines.length - 1; j >= 0; j--) {
+        lengths[i][j] = oldLines[i] === newLines[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < oldLines.length || j < newLines.length) {
+      if (i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+        middle.push([' ', oldLines[i++]]);
+        j++;
+      } else if (i < oldLines.length && (j === newLines.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+        middle.push(['-', oldLines[i++]]);
+      } else {
+        middle.push(['+', newLines[j++]]);
+      }
+    }
+  }
+
+  const entries = [
+    ...a.slice(0, prefix).map(line => [' ', line]),
+    ...middle,
+    ...a.slice(a.length - suffix).map(line => [' ', line])
+  ];
+
+  // Keep changes and their context, collapse other unchanged runs
+  const keep = entries.map(() => false);
+  entries.forEach(([type], index) => {
+    if (type !== ' ') {
+      for (let k = Math.max(0, index - contextLines); k <= Math.min(entries.length - 1, index + contextLines); k++) {
+        keep[k] = true;
+      }
+    }
+  });
+
+  const lines = [];
+  entries.forEach(([type, line], index) => {
+    if (keep[index]) {
+      lines.push(`${type} ${line}`);
+    } else if (index === 0 || keep[index - 1]) {
+      lines.push('…');
+    }
+  });
+  return lines;
+}
+
+/**
+ * Run one prompt version against one recorded context
+ * @param {string} agentType
+ * @param {string} version - Prompt version (or "current")
+ * @param {RecordedContext} recorded
+ * @param {Object} options - { backend, model, workingDir }
+ * @returns {Promise<VersionRun>}
+ */
+async function runVersion(agentType, version, recorded, options) {
+  const { parsed } = recorded;
+
+  try {
+    const response = await executeAgent({
+      agentType,
+      taskId: recorded.taskId,
+      context: recorded.context,
+      model: options.model,
+      timeout: getAgentConfig(agentType).timeoutMs,
+      workingDir: options.workingDir,
+      backend: options.backend,
+      variables: buildPromptVariables({
+        agentType,
+        workflowId: parsed.workflowId,
+        context: parsed.context,
+        dependencyOutputs: parsed.dependencyOutputs
+      }),
+      promptVersion: version,
+      workflowId: parsed.workflowId
+    });
+    const { output, validation } = parseStructuredResponse(response.text, getAgentConfig(agentType).outputSchema);
+
+    return {
+      valid: validation.valid,
+      errors: validation.errors,
+      artifacts: output.artifacts?.length || 0,
+      tokens: getTotalTokens(response.usage),
+      costUsd: response.usage?.costUsd ?? null,
+      output
+    };
+  } catch (error) {
+    return { valid: false, errors: [error.message], artifacts: 0, tokens: 0, costUsd: null, output: null };
+  }
+}
+
+/**
+ * Sum the runs of one version
+ * @param {VersionRun[]} runs
+ * @returns {{runs: number, valid: number, artifacts: number, tokens: number, costUsd: number|null}}
+ */
+function sumRuns(runs) {
+  const costs = runs.map(r => r.costUsd).filter(cost => cost !== null);
+  return {
+    runs: runs.length,
+    valid: runs.filter(r => r.valid).length,
+    artifacts: runs.reduce((sum, r) => sum + r.artifacts, 0),
+    tokens: runs.reduce((sum, r) => sum + r.tokens, 0),
+    costUsd: costs.length > 0 ? costs.reduce((sum, cost) => sum + cost, 0) : null
+  };
+}
+
+/**
+ * Compare two prompt versions of an agent on recorded task contexts
+ * Runs are sequential and execute in a temporary working directory, so
+ * agents cannot change the checkout.
+ * @param {Object} params
+ * @param {string} params.agentType - Agent type
+ * @param {string[]} params.versions - The two versions to compare ("current" for the working prompt)
+ * @param {RecordedContext[]} params.contexts - Recorded task contexts
+ * @param {import('../claude-cli/backends/agent-backend.js').AgentBackend} params.backend - Backend to run on
+ * @param {string} [params.model] - Model tier (default: the agent's default model)
+ * @param {(progress: {taskId: string, version: string}) => void} [params.onRun] - Called before each run
+ * @returns {Promise<Object>} - { agentType, versions: [{ requested, version, hash }], tasks: [{ taskId, runs, diff }], totals }
+ */
+export async function comparePromptVersions(params) {
+  const { agentType, versions, contexts, backend, onRun } = params;
+  const promptLoader = getPromptLoader();
+  const model = getModelSelector().getModelCliArg(params.model || getAgentConfig(agentType).defaultModel);
+  const workingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-compare-'));
+
+  try {
+    const tasks = [];
+    for (const recorded of contexts) {
+      const runs = [];
+      for (const version of versions) {
+        onRun?.({ taskId: recorded.taskId, version });
+        runs.push(await runVersion(agentType, version, recorded, { backend, model, workingDir }));
+      }
+
+      const [before, after] = runs.map(run => (run.output ? JSON.stringify(run.output, null, 2) : ''));
+      tasks.push({ taskId: recorded.taskId, runs, diff: diffLines(before, after) });
+    }
+
+    return {
+      agentType,
+      versions: versions.map(version => ({ requested: version, ...promptLoader.getPromptVersion(agentType, { version }) })),
+      tasks,
+      totals: versions.map((_, index) => sumRuns(tasks.map(task => task.runs[index])))
+    };
+  } finally {
+    fs.rmSync(workingDir, { recursive: true, force: true });
+  }
+}
+
+export default {
+  diffLines,
+  comparePromptVersions
+};
@@ -0,0 +1,270 @@
+/**
+ * Prompt Layers - Merges an agent's prompt from several layers
+ * Layers, lowest first: built-in default, user-global, project and
+ * per-workflow prompts. A layer replaces the layers below it, unless its
+ * front matter says `extends: true`; it then changes them section by
+ * section (`## ` headings), with the action in brackets after the title:
+ *
+ *   ---
+ *   extends: true
+ *   ---
+ *   ## Guidelines [append]
+ *   - Use the design tokens in packages/ui
+ *
+ * Actions are `append`, `prepend`, `replace` (the default) and `remove`.
+ * Sections that do not exist below are added at the end (`prepend`: at the
+ * start); text before the first section is added to the introduction.
+ */
+
+import YAML from 'yaml';
+
+/**
+ * Prompt layers, lowest first
+ * @readonly
+ * @enum {string}
+ */
+export const PromptLayer = Object.freeze({
+  DEFAULT: 'default',     // Built-in prompt (or a plugin's prompt file)
+  USER: 'user',           // User-global prompts directory
+  PROJECT: 'project',     // .prompts/agents in the project
+  WORKFLOW: 'workflow'    // .prompts/workflows/<WORKFLOW_ID> in the project
+});
+
+/**
+ * Section actions of extending layers
+ * @readonly
+ * @enum {string}
+ */
+export const SectionAction = Object.freeze({
+  APPEND: 'append',
+  PREPEND: 'prepend',
+  REPLACE: 'replace',
+  REMOVE: 'remove'
+});
+
+/**
+ * Title of the text before the first section
+ */
+export const INTRODUCTION = '(introduction)';
+
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+const SECTION_PATTERN = /^## (.+?)(?:\s+\[(append|prepend|replace|remove)\])?\s*$/;
+const FENCE_PATTERN = /^\s*(`{3,}|~{3,})/;
+
+/**
+ * Error raised for malformed prompt layers
+ */
+export class PromptLayerError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - { path }
+   */
+  constructor(message, details = {}) {
+    super(details.path ? `${details.path}: ${message}` : message);
+    this.name = 'PromptLayerError';
+    this.details = details;
+  }
+}
+
+/**
+ * @typedef {Object} PromptSection
+ * @property {string} title - Heading text (without action)
+ * @property {string|null} action - SectionAction from the heading, if any
+ * @property {string} heading - Heading line as written
+ * @property {string} body - Text up to the next section
+ */
+
+/**
+ * Read the front matter of a layer file
+ * @param {string} content
+ * @param {string} [filePath] - For errors
+ * @returns {{extends: boolean, body: string}}
+ */
+export function parseLayer(content, filePath) {
+  const match = content.match(FRONT_MATTER_PATTERN);
+  if (!match) {
+    return { extends: false, body: content };
+  }
+
+  let frontMatter;
+  try {
+    frontMatter = YAML.parse(match[1]) ?? {};
+  } catch (error) {
+    throw new PromptLayerError(`Invalid front matter: ${error.message}`, { path: filePath });
+  }
+  if (typeof frontMatter !== 'object' || Array.isArray(frontMatter) ||
+      (frontMatter.extends !== undefined && typeof frontMatter.extends !== 'boolean')) {
+    throw new PromptLayerError('Front matter must be a mapping with a boolean "extends"', { path: filePath });
+  }
+
+  return { extends: frontMatter.extends === true, body: content.slice(match[0].length) };
+}
+
+/**
+ * Split a prompt into its introduction and `## ` sections
+ * Headings inside fenced code blocks are not sections.
+ * @param {string} content
+ * @returns {{introduction: string, sections: PromptSection[]}}
+ */
+export function splitSections(content) {
+  const sections = [];
+  let introduction = '';
+  let current = null;
+  let fence = null;
+
+  for (const line of content.split(/(?<=\n)/)) {
+    const fenceMatch = line.match(FENCE_PATTERN);
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length && !line.trim().slice(fenceMatch[1].length)) {
+        fence = null;
+      }
+    } else if (fenceMatch) {
+      fence = fenceMatch[1];
+    } else {
+      const heading = line.replace(/\r?\n$/, '').match(SECTION_PATTERN);
+      if (heading) {
+        current = { title: heading[1].trim(), action: heading[2] || null, heading: line, body: '' };
+        sections.push(current);
+        continue;
+      }
+    }
+
+    if (current) {
+      current.body += line;
+    } else {
+      introduction += line;
+    }
+  }
+
+  return { introduction, sections };
+}
+
+const LIST_ITEM_PATTERN = /^\s*(?:[-*+]|\d+\.)\s/;
+
+/**
+ * Join two blocks of text with a blank line (a line break between list items)
+ * @param {string} first
+ * @param {string} second
+ * @returns {string}
+ */
+function joinBlocks(first, second) {
+  const a = first.trim();
+  const b = second.trim();
+  if (!a || !b) {
+    return a || b ? `${a || b}\n\n` : '';
+  }
+  const separator = LIST_ITEM_PATTERN.test(a.split('\n').at(-1)) && LIST_ITEM_PATTERN.test(b.split('\n')[0]) ? '\n' : '\n\n';
+  return `${a}${separator}${b}\n\n`;
+}
+
+/**
+ * @typedef {Object} LayerContent
+ * @property {string} layer - PromptLayer value
+ * @property {string} content - File content (or built-in prompt)
+ * @property {string} [path] - File the content was read from
+ */
+
+/**
+ * @typedef {Object} SectionSource
+ * @property {string} layer - PromptLayer value
+ * @property {string} action - How the layer changed the section (SectionAction, or "add")
+ */
+
+/**
+ * @typedef {Object} ResolvedPrompt
+ * @property {string} content - Effective prompt
+ * @property {Array<{layer: string, path?: string, extends: boolean}>} layers - Layers used, lowest first
+ * @property {Array<{title: string, sources: SectionSource[]}>} sections - Effective sections and the layers they came from
+ */
+
+/**
+ * Merge prompt layers
+ * The highest layer that does not extend is the base; the extending layers
+ * above it are applied in order. Without extending layers the base is
+ * returned unchanged.
+ * @param {LayerContent[]} layers - Layers, lowest first (at least one)
+ * @returns {ResolvedPrompt}
+ */
+export function mergeLayers(layers) {
+  const parsed = layers.map(layer => ({ ...layer, ...parseLayer(layer.content, layer.path) }));
+  let baseIndex = parsed.length - 1;
+  while (baseIndex > 0 && parsed[baseIndex].extends) {
+    baseIndex--;
+  }
+  const used = parsed.slice(baseIndex);
+  const base = used[0];
+
+  const { introduction, sections: baseSections } = splitSections(base.body);
+  const intro = { title: INTRODUCTION, body: introduction, sources: [{ layer: base.layer, action: SectionAction.REPLACE }] };
+  const sections = baseSections.map(section => ({
+    title: section.title,
+    heading: section.heading,
+    body: section.body,
+    sources: [{ layer: base.layer, action: SectionAction.REPLACE }]
+  }));
+
+  for (const layer of used.slice(1)) {
+    const split = splitSections(layer.body);
+    if (split.introduction.trim()) {
+      intro.body = joinBlocks(intro.body, split.introduction);
+      intro.sources.push({ layer: layer.layer, action: SectionAction.APPEND });
+    }
+
+    for (const change of split.sections) {
+      const action = change.action || SectionAction.REPLACE;
+      const index = sections.findIndex(s => s.title === change.title);
+      const existing = sections[index];
+
+      if (!existing) {
+        if (action === SectionAction.REMOVE) continue;
+        const added = { title: change.title, heading: `## ${change.title}\n`, body: change.body, sources: [{ layer: layer.layer, action: 'add' }] };
+        if (action === SectionAction.PREPEND) sections.unshift(added);
+        else sections.push(added);
+        continue;
+      }
+
+      switch (action) {
+        case SectionAction.REMOVE:
+          sections.splice(index, 1);
+          break;
+        case SectionAction.APPEND:
+          existing.body = joinBlocks(existing.body, change.body);
+          existing.sources.push({ layer: layer.layer, action });
+          break;
+        case SectionAction.PREPEND:
+          existing.body = joinBlocks(change.body, existing.body);
+          existing.sources.push({ layer: layer.layer, action });
+          break;
+        default:
+          existing.body = change.body;
+          existing.sources = [{ layer: layer.layer, action }];
+      }
+    }
+  }
+
+  const content = used.length === 1
+    ? base.body
+    : [intro.body, ...sections.map(s => `${s.heading}${s.body}`)]
+      .map(block => block.trim())
+      .filter(Boolean)
+      .join('\n\n') + '\n';
+
+  return {
+    content,
+    layers: used.map(layer => ({ layer: layer.layer, ...(layer.path && { path: layer.path }), extends: layer.extends })),
+    sections: [
+      ...(intro.body.trim() ? [{ title: intro.title, sources: intro.sources }] : []),
+      ...sections.map(s => ({ title: s.title, sources: s.sources }))
+    ]
+  };
+}
+
+export default {
+  PromptLayer,
+  SectionAction,
+  INTRODUCTION,
+  PromptLayerError,
+  parseLayer,
+  splitSections,
+  mergeLayers
+};
@@ -4,20 +4,71 @@
  */
 
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
-import { AgentType } from '../../orchestration/types.js';
-import { getAgentConfig } from '../../orchestration/agent-configs.js';
+import { getAgentConfig, getAllAgentTypes } from '../../orchestration/agent-configs.js';
+import { CONFLICT_RESOLUTION_OUTPUT_SCHEMA } from '../../orchestration/conflict-resolution.js';
+import { renderTemplate, checkTemplate } from './prompt-template.js';
+import { CURRENT_VERSION, getPromptVersionStore, hashPromptContent } from './prompt-versions.js';
+import { PromptLayer, mergeLayers } from './prompt-layers.js';
+import { getProjectConfig } from '../../orchestration/project-config.js';
 
-const PROMPTS_DIR = '.prompts/agents';
+const USER_PROMPTS_DIR = path.join(os.homedir(), '.agentic-builder', 'prompts');
+
+/**
+ * Variables the workflow engine passes to every prompt template, besides
+ * the run context (projectName, projectType, description and `--var` values)
+ */
+export const PROMPT_VARIABLES = Object.freeze([
+  'taskId',
+  'agentType',
+  'agentName',
+  'workflowId',
+  'projectName',
+  'projectType',
+  'description',
+  'timestamp',
+  'dependencyOutputs'
+]);
+
+/**
+ * Build the template variables of a prompt from an agent's task context
+ * @param {Object} params
+ * @param {string} params.agentType - Agent type
+ * @param {string} params.workflowId - Workflow ID
+ * @param {Object} params.context - Project context
+ * @param {Object} params.dependencyOutputs - Dependency outputs by agent type
+ * @returns {Object} - Context entries, agent and workflow, and dependency outputs as a list
+ */
+export function buildPromptVariables({ agentType, workflowId, context = {}, dependencyOutputs = {} }) {
+  return {
+    ...context,
+    agentType,
+    agentName: getAgentConfig(agentType)?.name,
+    workflowId,
+    dependencyOutputs: Object.entries(dependencyOutputs).map(([type, output]) => ({ agentType: type, ...output }))
+  };
+}
 
 /**
  * PromptLoader class
- * Loads and prepares agent prompts with variable interpolation
+ * Loads agent prompts and renders their templates
+ *
+ * Prompts are resolved from layers, lowest first: the built-in default (or
+ * a plugin's prompt file), the user-global prompts directory
+ * (~/.agentic-builder/prompts/agents), the project's .prompts/agents and the
+ * workflow's .prompts/workflows/<WORKFLOW_ID>. See prompt-layers.js for how
+ * a layer extends the layers below it.
  */
 class PromptLoader {
   constructor() {
-    this.promptsDir = PROMPTS_DIR;
+    const { prompts } = getProjectConfig().storage;
+    this.promptsDir = path.join(prompts, 'agents');
+    this.partialsDir = path.join(prompts, 'partials');
+    this.workflowPromptsDir = path.join(prompts, 'workflows');
+    this.userPromptsDir = USER_PROMPTS_DIR;
     this.cache = new Map();
+    this.partialCache = new Map();
     this.ensurePromptsDir();
   }
 
@@ -31,33 +82,73 @@ class PromptLoader {
   }
 
   /**
-   * Load prompt for an agent type
+   * Get the prompt file of each layer above the built-in default
+   * Plugin agents have an absolute prompt file, which is their default
+   * layer; the other layers use its file name.
    * @param {string} agentType - Agent type
-   * @returns {string} - Prompt content
+   * @param {string} [workflowId] - Workflow whose overrides apply
+   * @returns {Array<{layer: string, path: string}>} - Lowest first
    */
-  loadPrompt(agentType) {
-    // Check cache
-    if (this.cache.has(agentType)) {
-      return this.cache.get(agentType);
+  getLayerPaths(agentType, workflowId) {
+    const { promptFile } = getAgentConfig(agentType);
+    const fileName = path.isAbsolute(promptFile) ? path.basename(promptFile) : promptFile;
+
+    return [
+      ...(path.isAbsolute(promptFile) ? [{ layer: PromptLayer.DEFAULT, path: promptFile }] : []),
+      { layer: PromptLayer.USER, path: path.resolve(this.userPromptsDir, 'agents', fileName) },
+      { layer: PromptLayer.PROJECT, path: path.resolve(this.promptsDir, fileName) },
+      ...(workflowId ? [{ layer: PromptLayer.WORKFLOW, path: path.resolve(this.workflowPromptsDir, workflowId, fileName) }] : [])
+    ];
+  }
+
+  /**
+   * Resolve the prompt of an agent from its layers
+   * @param {string} agentType - Agent type
+   * @param {Object} [options]
+   * @param {string} [options.workflowId] - Workflow whose overrides apply
+   * @returns {import('./prompt-layers.js').ResolvedPrompt}
+   */
+  resolvePrompt(agentType, options = {}) {
+    if (!getAgentConfig(agentType)) {
+      throw new Error(`Unknown agent type: ${agentType}`);
+    }
+
+    const layers = this.getLayerPaths(agentType, options.workflowId)
+      .filter(layer => fs.existsSync(layer.path))
+      .map(layer => ({ ...layer, content: fs.readFileSync(layer.path, 'utf-8') }));
+    if (layers[0]?.layer !== PromptLayer.DEFAULT) {
+      layers.unshift({ layer: PromptLayer.DEFAULT, content: this.getDefaultPrompt(agentType) });
     }
 
+    return mergeLayers(layers);
+  }
+
+  /**
+   * Load prompt for an agent type
+   * @param {string} agentType - Agent type
+   * @param {Object} [options]
+   * @param {string} [options.version] - Recorded version to load instead of the current prompt
+   * @param {string} [options.workflowId] - Workflow whose overrides apply
+   * @returns {string} - Prompt content
+   */
+  loadPrompt(agentType, options = {}) {
     const config = getAgentConfig(agentType);
     if (!config) {
       throw new Error(`Unknown agent type: ${agentType}`);
     }
 
-    const promptPath = path.join(this.promptsDir, config.promptFile);
+    if (options.version && options.version !== CURRENT_VERSION) {
+      return getPromptVersionStore().getVersion(agentType, options.version).content;
+    }
 
-    // Check if prompt file exists
-    if (!fs.existsSync(promptPath)) {
-      // Return default prompt
-      const defaultPrompt = this.getDefaultPrompt(agentType);
-      this.cache.set(agentType, defaultPrompt);
-      return defaultPrompt;
+    // Check cache
+    const cacheKey = `${agentType}:${options.workflowId || ''}`;
+    if (this.cache.has(cacheKey)) {
+      return this.cache.get(cacheKey);
     }
 
-    const prompt = fs.readFileSync(promptPath, 'utf-8');
-    this.cache.set(agentType, prompt);
+    const prompt = this.resolvePrompt(agentType, { workflowId: options.workflowId }).content;
+    this.cache.set(cacheKey, prompt);
     return prompt;
   }
 
@@ -81,7 +172,7 @@ ${config.description}
 ${capabilities}
 
 ## Output Format
-Provide your response in the following structure:
+Provide your response as a JSON object (see Required Output Format) containing:
 1. Summary of actions taken
 2. Generated artifacts (code, configs, documentation)
 3. Next steps and recommendations
@@ -97,36 +188,61 @@ Provide your response in the following structure:
   }
 
   /**
-   * Prepare prompt with context interpolation
-   * @param {string} agentType - Agent type
-   * @param {Object} context - Variables to interpolate
-   * @returns {string}
+   * Load a partial template
+   * Partials are looked up in the workflow's, the project's and the
+   * user-global partials directory, in that order.
+   * @param {string} name - Partial name (path below the partials directory, without .md)
+   * @param {string} [workflowId] - Workflow whose partials apply
+   * @returns {string|null} - Partial content, or null if it does not exist
    */
-  preparePrompt(agentType, context = {}) {
-    let prompt = this.loadPrompt(agentType);
-
-    // Interpolate variables
-    for (const [key, value] of Object.entries(context)) {
-      const pattern = new RegExp(`\\{\\{\\s*${key}\\s*\\}\\}`, 'g');
-      prompt = prompt.replace(pattern, String(value));
+  loadPartial(name, workflowId) {
+    const cacheKey = `${workflowId || ''}:${name}`;
+    if (this.partialCache.has(cacheKey)) {
+      return this.partialCache.get(cacheKey);
     }
 
-    // Remove unfilled variables
-    prompt = prompt.replace(/\{\{\s*\w+\s*\}\}/g, '');
+    const partialPath = [
+      ...(workflowId ? [path.resolve(this.workflowPromptsDir, workflowId, 'partials', `${name}.md`)] : []),
+      path.resolve(this.partialsDir, `${name}.md`),
+      path.resolve(this.userPromptsDir, 'partials', `${name}.md`)
+    ].find(candidate => fs.existsSync(candidate));
+    const partial = partialPath ? fs.readFileSync(partialPath, 'utf-8') : null;
+    this.partialCache.set(cacheKey, partial);
+    return partial;
+  }
 
-    return prompt;
+  /**
+   * Prepare prompt by rendering its template
+   * @param {string} agentType - Agent type
+   * @param {Object} variables - Template variables
+   * @param {Object} [options]
+   * @param {boolean} [options.strict] - Unknown variables are an error instead of rendering as nothing
+   * @param {string} [options.version] - Prompt version to render (default: current prompt)
+   * @param {string} [options.workflowId] - Workflow whose prompt overrides and partials apply
+   * @returns {string}
+   */
+  preparePrompt(agentType, variables = {}, options = {}) {
+    const { version, workflowId } = options;
+    return renderTemplate(this.loadPrompt(agentType, { version, workflowId }), variables, {
+      strict: options.strict,
+      partials: name => this.loadPartial(name, workflowId)
+    });
   }
 
   /**
    * Build full agent prompt with task context
    * @param {string} agentType - Agent type
-   * @param {string} taskContext - XML task context
+   * @param {string} taskContext - Serialized task context (XML, JSON or Markdown)
    * @param {Object} [options] - Additional options
    * @returns {string}
    */
   buildAgentPrompt(agentType, taskContext, options = {}) {
     const config = getAgentConfig(agentType);
-    const systemPrompt = this.preparePrompt(agentType, options.variables || {});
+    const systemPrompt = this.preparePrompt(agentType, options.variables || {}, {
+      strict: options.strict,
+      version: options.promptVersion,
+      workflowId: options.workflowId
+    });
 
     const sections = [
       systemPrompt,
@@ -155,46 +271,221 @@ Provide your response in the following structure:
       sections.push('');
     }
 
+    // Add reviewer feedback when a rejected stage is re-run
+    if (options.revision) {
+      sections.push('## Revision Requested');
+      sections.push('');
+      sections.push(`A reviewer rejected the output of the "${options.revision.stageName}" stage.`);
+      if (options.revision.comment) {
+        sections.push('');
+        sections.push('Reviewer comments:');
+        sections.push('');
+        sections.push(options.revision.comment.split('\n').map(line => `> ${line}`).join('\n'));
+      }
+      if (options.revision.previousSummary) {
+        sections.push('');
+        sections.push(`Your previous output: ${options.revision.previousSummary}`);
+      }
+      sections.push('');
+      sections.push('Revise your work to address these comments.');
+      sections.push('');
+    }
+
+    // Add findings of the previous loop iteration
+    if (options.iteration) {
+      sections.push('## Loop Iteration');
+      sections.push('');
+      sections.push(
+        `This is iteration ${options.iteration.iteration} of the "${options.iteration.stageName}" stage loop, ` +
+        `which repeats until ${options.iteration.until}.`
+      );
+      if (options.iteration.feedback?.length > 0) {
+        sections.push('');
+        sections.push(`Findings of ${options.iteration.conditionAgent} from the previous iteration:`);
+        sections.push('');
+        sections.push(...options.iteration.feedback);
+        sections.push('');
+        sections.push('Address these findings.');
+      }
+      sections.push('');
+    }
+
+    // Add failing build/test/lint output from a command gate
+    if (options.fix) {
+      sections.push('## Quality Gate Failures');
+      sections.push('');
+      sections.push(`The quality gate of the "${options.fix.stageName}" stage failed (fix attempt ${options.fix.attempt}):`);
+      for (const failure of options.fix.failures) {
+        sections.push('');
+        sections.push(`### \`${failure.command}\` (${failure.timedOut ? 'timed out' : `exit code ${failure.exitCode}`})`);
+        sections.push('');
+        sections.push('```');
+        sections.push(failure.output.trimEnd());
+        sections.push('```');
+      }
+      sections.push('');
+      sections.push('Fix the code so these commands succeed. Return the changed files as artifacts.');
+      sections.push('');
+    }
+
+    // Add the secrets that rejected the previous output
+    if (options.secrets) {
+      sections.push('## Secrets Detected');
+      sections.push('');
+      sections.push(`Your previous output was rejected because it contains secrets (attempt ${options.secrets.attempt}):`);
+      sections.push('');
+      for (const finding of options.secrets.findings) {
+        sections.push(`- \`${finding.path}\` line ${finding.line}: ${finding.description} (${finding.ruleId})`);
+      }
+      sections.push('');
+      sections.push('Do not write credentials into files; read them from environment variables or configuration instead.');
+      sections.push('');
+    }
+
+    // Add both sides of a merge conflict to resolve
+    if (options.conflict) {
+      const { operation, branch, into, stageName, files, attempt, errors } = options.conflict;
+      const version = (label, content) => {
+        sections.push('');
+        sections.push(`${label}:`);
+        sections.push('');
+        sections.push(content === null ? '_(file does not exist on this side)_' : ['```', content.trimEnd(), '```'].join('\n'));
+      };
+
+      sections.push('## Merge Conflict');
+      sections.push('');
+      sections.push(
+        operation === 'rebase'
+          ? `Rebasing ${branch || 'the workflow branch'} onto ${into || 'its base branch'} conflicts.`
+          : `Merging ${branch} into ${into}${stageName ? ` after the "${stageName}" stage` : ''} conflicts.`
+      );
+      sections.push('Instead of your usual task, resolve the conflicts so both sides\' changes are kept where possible.');
+      for (const file of files) {
+        sections.push('');
+        sections.push(`### \`${file.path}\``);
+        version('Base (common ancestor)', file.base);
+        version(`Ours (${into || 'current'})`, file.ours);
+        version(`Theirs (${branch || 'incoming'})`, file.theirs);
+      }
+      if (errors?.length > 0) {
+        sections.push('');
+        sections.push(`Your previous resolution (attempt ${attempt - 1}) was rejected:`);
+        sections.push('');
+        for (const error of errors) {
+          sections.push(`- ${error}`);
+        }
+      }
+      sections.push('');
+      sections.push('Return every conflicted file as an artifact with its `path` and full resolved `content`, without conflict markers.');
+      sections.push('');
+    }
+
     // Add output requirements
     sections.push('## Required Output Format');
     sections.push('');
-    sections.push('Provide your response with:');
-    sections.push('1. **Summary**: Brief description of what you did');
-    sections.push('2. **Artifacts**: Code blocks with file paths (```language\\n// file: path/to/file.ext)');
-    sections.push('3. **Next Steps**: Recommendations for following agents');
-    sections.push('4. **Warnings**: Any concerns or issues to address');
+    sections.push('Respond with a single JSON object (no surrounding prose) matching this JSON Schema:');
     sections.push('');
+    sections.push('```json');
+    const outputSchema = options.conflict ? CONFLICT_RESOLUTION_OUTPUT_SCHEMA : config.outputSchema;
+    sections.push(JSON.stringify(outputSchema, null, 2));
+    sections.push('```');
+    sections.push('');
+    sections.push('- **summary**: Brief description of what you did');
+    sections.push('- **artifacts**: Generated files with `path` and full `content`');
+    if (outputSchema.properties?.operations && !options.conflict) {
+      sections.push(
+        '- **operations**: Changes to existing files: `modify` (`path`, `content`), `delete` (`path`), ' +
+        '`rename` (`from`, `to`, optional `content`) or `patch` (unified `diff` against the current files). ' +
+        'Operations that do not apply cleanly reject the whole output'
+      );
+    }
+    sections.push('- **nextSteps**: Recommendations for following agents');
+    sections.push('- **warnings**: Any concerns or issues to address');
+    sections.push('');
+
+    // Ask for a corrected response when the previous one was invalid
+    if (options.repair) {
+      sections.push('## Output Validation Errors');
+      sections.push('');
+      sections.push('Your previous response did not match the required schema:');
+      sections.push('');
+      for (const error of options.repair.errors) {
+        sections.push(`- ${error}`);
+      }
+      sections.push('');
+      sections.push('Respond again with the complete, corrected JSON object.');
+      sections.push('');
+    }
 
     return sections.join('\n');
   }
 
   /**
-   * Save custom prompt for agent
+   * Get the version of an agent's prompt
+   * Prompts that were edited since they were last recorded (or never were)
+   * have no version, only a hash.
+   * @param {string} agentType - Agent type
+   * @param {Object} [options]
+   * @param {string} [options.version] - Recorded version (default: current prompt)
+   * @param {string} [options.workflowId] - Workflow whose overrides apply to the current prompt
+   * @returns {{version: string|null, hash: string}}
+   */
+  getPromptVersion(agentType, options = {}) {
+    const { version } = options;
+    const hash = hashPromptContent(this.loadPrompt(agentType, options));
+    return {
+      version: version && version !== CURRENT_VERSION
+        ? version
+        : getPromptVersionStore().findByHash(agentType, hash)?.version || null,
+      hash
+    };
+  }
+
+  /**
+   * Save custom prompt for agent as its project layer and record the
+   * resolved prompt as a new version
    * @param {string} agentType - Agent type
    * @param {string} content - Prompt content
+   * @param {Object} [options] - Version options (version, bump, message)
+   * @returns {import('./prompt-versions.js').PromptVersion & {created: boolean}}
    */
-  savePrompt(agentType, content) {
-    const config = getAgentConfig(agentType);
-    if (!config) {
+  savePrompt(agentType, content, options = {}) {
+    if (!getAgentConfig(agentType)) {
       throw new Error(`Unknown agent type: ${agentType}`);
     }
 
-    const promptPath = path.join(this.promptsDir, config.promptFile);
+    const promptPath = this.getLayerPaths(agentType).find(layer => layer.layer === PromptLayer.PROJECT).path;
+    fs.mkdirSync(path.dirname(promptPath), { recursive: true });
     fs.writeFileSync(promptPath, content);
+    this.clearCache(agentType);
 
-    // Update cache
-    this.cache.set(agentType, content);
+    return this.recordPromptVersion(agentType, options);
+  }
+
+  /**
+   * Record the current prompt of an agent as a new version
+   * @param {string} agentType - Agent type
+   * @param {Object} [options] - Version options (version, bump, message)
+   * @returns {import('./prompt-versions.js').PromptVersion & {created: boolean}}
+   */
+  recordPromptVersion(agentType, options = {}) {
+    return getPromptVersionStore().recordVersion(agentType, this.loadPrompt(agentType), options);
   }
 
   /**
    * Clear prompt cache
-   * @param {string} [agentType] - Specific agent type or all
+   * @param {string} [agentType] - Specific agent type (all workflows) or all (including partials)
    */
   clearCache(agentType) {
     if (agentType) {
-      this.cache.delete(agentType);
+      for (const key of this.cache.keys()) {
+        if (key.startsWith(`${agentType}:`)) {
+          this.cache.delete(key);
+        }
+      }
     } else {
       this.cache.clear();
+      this.partialCache.clear();
     }
   }
 
@@ -204,7 +495,7 @@ Provide your response in the following structure:
    */
   getAllPrompts() {
     const prompts = {};
-    for (const type of Object.values(AgentType)) {
+    for (const type of getAllAgentTypes()) {
       try {
         prompts[type] = this.loadPrompt(type);
       } catch {
@@ -214,12 +505,34 @@ Provide your response in the following structure:
     return prompts;
   }
 
+  /**
+   * Check the template syntax, partials and (in strict mode) variables of a prompt
+   * @param {string} content - Prompt content
+   * @param {Object} [options]
+   * @param {boolean} [options.strict] - Report variables prompts do not receive
+   * @param {string[]} [options.variables] - Additional known variables (e.g. `--var` names)
+   * @param {string} [options.workflowId] - Workflow whose partials apply
+   * @returns {string[]} - Error messages
+   */
+  checkPromptTemplate(content, options = {}) {
+    return checkTemplate(content, {
+      strict: options.strict,
+      variables: [...PROMPT_VARIABLES, ...(options.variables || [])],
+      partials: name => this.loadPartial(name, options.workflowId)
+    });
+  }
+
   /**
    * Validate prompt template
+   * Template syntax errors and unknown partials are always reported; unknown
+   * variables only in strict mode.
    * @param {string} content - Prompt content
+   * @param {Object} [options]
+   * @param {boolean} [options.strict] - Report variables prompts do not receive
+   * @param {string[]} [options.variables] - Additional known variables (e.g. `--var` names)
    * @returns {{valid: boolean, errors: string[]}}
    */
-  validatePrompt(content) {
+  validatePrompt(content, options = {}) {
     const errors = [];
 
     if (!content || content.trim().length === 0) {
@@ -238,6 +551,8 @@ Provide your response in the following structure:
       }
     }
 
+    errors.push(...this.checkPromptTemplate(content, options));
+
     return {
       valid: errors.length === 0,
       errors
@@ -280,6 +595,8 @@ export function buildAgentPrompt(agentType, taskContext, options) {
 }
 
 export default {
+  PROMPT_VARIABLES,
+  buildPromptVariables,
   getPromptLoader,
   loadAgentPrompt,
   buildAgentPrompt
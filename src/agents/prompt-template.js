@@ -0,0 +1,522 @@
+/**
+ * Prompt Template - Template language of agent prompts
+ * Variables (`{{ projectName }}`, `{{ output.summary }}`), conditionals
+ * (`{{#if platform == 'ios'}}...{{else if ...}}...{{else}}...{{/if}}`),
+ * loops (`{{#each dependencyOutputs as output}}...{{else}}...{{/each}}`),
+ * partials (`{{> mobile-guidelines}}`) and comments (`{{! note }}`).
+ * `\{{` writes a literal `{{`. Block tags on a line of their own do not
+ * leave an empty line behind.
+ */
+
+/**
+ * Maximum nesting depth of partials (guards against recursive partials)
+ */
+const MAX_PARTIAL_DEPTH = 10;
+
+/**
+ * Variables every loop defines besides its item variable
+ */
+const LOOP_VARIABLES = Object.freeze(['@index', '@key', '@first', '@last']);
+
+const PATH_PATTERN = /^@?[A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z0-9_]+)*$/;
+const PARTIAL_NAME_PATTERN = /^[A-Za-z0-9_-]+(?:\/[A-Za-z0-9_-]+)*$/;
+const EXPRESSION_TOKEN_PATTERN = /\s*(?:(\|\||&&|==|!=|<=|>=|<|>|!|\(|\))|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|(-?\d+(?:\.\d+)?)(?![\w.])|(@?[A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z0-9_]+)*))/y;
+
+/**
+ * Error raised for malformed templates and, in strict mode, unknown variables
+ */
+export class TemplateError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - { line, column, variable?, partial? }
+   */
+  constructor(message, details = {}) {
+    super(details.line ? `${message} (line ${details.line}, column ${details.column})` : message);
+    this.name = 'TemplateError';
+    this.details = details;
+  }
+}
+
+/**
+ * Line and column of an offset
+ * @param {string} template
+ * @param {number} offset
+ * @returns {{line: number, column: number}}
+ */
+function locate(template, offset) {
+  const before = template.slice(0, offset);
+  const lineStart = before.lastIndexOf('\n') + 1;
+  return { line: before.split('\n').length, column: offset - lineStart + 1 };
+}
+
+/**
+ * Split a template into text and tag tokens
+ * @param {string} template
+ * @returns {Array<{kind: string, value: string, line?: number, column?: number}>}
+ */
+function tokenize(template) {
+  const tokens = [];
+  let text = '';
+  let position = 0;
+
+  while (position < template.length) {
+    const open = template.indexOf('{{', position);
+    if (open === -1) {
+      text += template.slice(position);
+      break;
+    }
+    if (template[open - 1] === '\\') {
+      text += template.slice(position, open - 1) + '{{';
+      position = open + 2;
+      continue;
+    }
+
+    const close = template.indexOf('}}', open + 2);
+    const location = locate(template, open);
+    if (close === -1) {
+      throw new TemplateError('Unterminated tag', location);
+    }
+
+    const value = template.slice(open + 2, close).trim();
+    let end = close + 2;
+    text += template.slice(position, open);
+
+    // Block tags, comments and partials on a line of their own take the line with them
+    if (/^[#/!>]|^else\b/.test(value)) {
+      const lineStart = template.lastIndexOf('\n', open - 1) + 1;
+      const lineEnd = template.indexOf('\n', end);
+      const rest = template.slice(end, lineEnd === -1 ? template.length : lineEnd);
+      const standalone = /^[ \t]*$/.test(template.slice(lineStart, open)) && /^[ \t\r]*$/.test(rest);
+      if (standalone && text.length >= open - lineStart) {
+        text = text.slice(0, text.length - (open - lineStart));
+        end = lineEnd === -1 ? template.length : lineEnd + 1;
+      }
+    }
+
+    if (text) {
+      tokens.push({ kind: 'text', value: text });
+      text = '';
+    }
+    tokens.push({ kind: 'tag', value, ...location });
+    position = end;
+  }
+
+  if (text) {
+    tokens.push({ kind: 'text', value: text });
+  }
+  return tokens;
+}
+
+/**
+ * Parse a condition expression
+ * Supports `||`, `&&`, `==`, `!=`, `<`, `<=`, `>`, `>=`, `!`, parentheses,
+ * string, number, boolean and null literals, and variable paths.
+ * @param {string} source
+ * @param {{line: number, column: number}} location - Tag location, for errors
+ * @returns {Object} - Expression node
+ */
+function parseExpression(source, location) {
+  const tokens = [];
+  EXPRESSION_TOKEN_PATTERN.lastIndex = 0;
+  while (EXPRESSION_TOKEN_PATTERN.lastIndex < source.length) {
+    const start = EXPRESSION_TOKEN_PATTERN.lastIndex;
+    const match = EXPRESSION_TOKEN_PATTERN.exec(source);
+    if (!match) {
+      if (/^\s*$/.test(source.slice(start))) break;
+      throw new TemplateError(`Unexpected "${source.slice(start).trim()}" in expression "${source}"`, location);
+    }
+    const [, operator, string, number, path] = match;
+    if (operator) tokens.push({ operator });
+    else if (string) tokens.push({ node: { type: 'literal', value: string.slice(1, -1).replace(/\\(.)/g, '$1') } });
+    else if (number) tokens.push({ node: { type: 'literal', value: Number(number) } });
+    else if (path === 'true' || path === 'false') tokens.push({ node: { type: 'literal', value: path === 'true' } });
+    else if (path === 'null') tokens.push({ node: { type: 'literal', value: null } });
+    else tokens.push({ node: { type: 'path', path: path.split('.'), name: path, ...location } });
+  }
+
+  let index = 0;
+  const fail = () => {
+    throw new TemplateError(`Invalid expression "${source}"`, location);
+  };
+  const accept = (...operators) => {
+    if (operators.includes(tokens[index]?.operator)) {
+      return tokens[index++].operator;
+    }
+    return null;
+  };
+
+  const primary = () => {
+    if (accept('(')) {
+      const node = or();
+      if (!accept(')')) fail();
+      return node;
+    }
+    const token = tokens[index++];
+    if (!token?.node) fail();
+    return token.node;
+  };
+  const unary = () => (accept('!') ? { type: 'not', operand: unary() } : primary());
+  const comparison = () => {
+    const left = unary();
+    const op = accept('==', '!=', '<=', '>=', '<', '>');
+    return op ? { type: 'binary', op, left, right: unary() } : left;
+  };
+  const chain = (next, op) => () => {
+    let node = next();
+    while (accept(op)) {
+      node = { type: 'binary', op, left: node, right: next() };
+    }
+    return node;
+  };
+  const and = chain(comparison, '&&');
+  const or = chain(and, '||');
+
+  if (tokens.length === 0) fail();
+  const node = or();
+  if (index < tokens.length) fail();
+  return node;
+}
+
+/**
+ * Parse a template into a node tree
+ * @param {string} template
+ * @returns {Object[]} - Nodes
+ */
+export function parseTemplate(template) {
+  const root = { body: [] };
+  const stack = [];
+  let current = root.body;
+
+  for (const token of tokenize(template)) {
+    if (token.kind === 'text') {
+      current.push({ type: 'text', value: token.value });
+      continue;
+    }
+
+    const location = { line: token.line, column: token.column };
+    const { value } = token;
+    const block = stack[stack.length - 1];
+
+    if (value.startsWith('!')) {
+      continue;
+    } else if (value.startsWith('#if ')) {
+      const node = { type: 'if', branches: [{ test: parseExpression(value.slice(4), location), body: [] }], alternate: null, ...location };
+      current.push(node);
+      stack.push(node);
+      current = node.branches[0].body;
+    } else if (value.startsWith('#each ')) {
+      const match = value.slice(6).match(/^(.+?)\s+as\s+([A-Za-z_][A-Za-z0-9_]*)$/);
+      if (!match) {
+        throw new TemplateError(`Invalid loop "${value}", expected {{#each <list> as <name>}}`, location);
+      }
+      const node = { type: 'each', list: parseExpression(match[1], location), alias: match[2], body: [], alternate: null, ...location };
+      current.push(node);
+      stack.push(node);
+      current = node.body;
+    } else if (value === 'else' || value.startsWith('else if ')) {
+      if (!block || block.alternate) {
+        throw new TemplateError('Unexpected {{else}}', location);
+      }
+      if (value === 'else') {
+        block.alternate = [];
+        current = block.alternate;
+      } else if (block.type === 'if') {
+        const branch = { test: parseExpression(value.slice(8), location), body: [] };
+        block.branches.push(branch);
+        current = branch.body;
+      } else {
+        throw new TemplateError('{{else if}} is only allowed in {{#if}} blocks', location);
+      }
+    } else if (value === '/if' || value === '/each') {
+      if (!block || `/${block.type}` !== value) {
+        throw new TemplateError(`Unexpected {{${value}}}`, location);
+      }
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      current = !parent ? root.body : parent.alternate || (parent.type === 'if' ? parent.branches[parent.branches.length - 1].body : parent.body);
+    } else if (value.startsWith('>')) {
+      const name = value.slice(1).trim();
+      if (!PARTIAL_NAME_PATTERN.test(name)) {
+        throw new TemplateError(`Invalid partial name "${name}"`, location);
+      }
+      current.push({ type: 'partial', name, ...location });
+    } else if (PATH_PATTERN.test(value)) {
+      current.push({ type: 'variable', path: value.split('.'), name: value, ...location });
+    } else {
+      throw new TemplateError(`Invalid tag {{${value}}}`, location);
+    }
+  }
+
+  if (stack.length > 0) {
+    const block = stack[stack.length - 1];
+    throw new TemplateError(`Unclosed {{#${block.type}}}`, { line: block.line, column: block.column });
+  }
+  return root.body;
+}
+
+/**
+ * Look up a variable path in the scopes, innermost first
+ * @param {Object[]} scopes
+ * @param {Object} node - Path node
+ * @param {boolean} strict - Unknown variables are an error
+ * @returns {*}
+ */
+function lookup(scopes, node, strict) {
+  const [name, ...properties] = node.path;
+  const scope = [...scopes].reverse().find(s => Object.hasOwn(s, name));
+  if (!scope) {
+    if (strict) {
+      throw new TemplateError(`Unknown variable "${node.name}"`, { line: node.line, column: node.column, variable: name });
+    }
+    return undefined;
+  }
+
+  let value = scope[name];
+  for (const property of properties) {
+    value = value !== null && value !== undefined && Object.hasOwn(Object(value), property) ? value[property] : undefined;
+  }
+  return value;
+}
+
+/**
+ * Truthiness of a value; empty lists are false
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Evaluate an expression node
+ * @param {Object} node
+ * @param {Object[]} scopes
+ * @param {boolean} strict
+ * @returns {*}
+ */
+function evaluate(node, scopes, strict) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'path':
+      return lookup(scopes, node, strict);
+    case 'not':
+      return !isTruthy(evaluate(node.operand, scopes, strict));
+    default: {
+      const left = evaluate(node.left, scopes, strict);
+      if (node.op === '&&') return isTruthy(left) ? evaluate(node.right, scopes, strict) : left;
+      if (node.op === '||') return isTruthy(left) ? left : evaluate(node.right, scopes, strict);
+      const right = evaluate(node.right, scopes, strict);
+      switch (node.op) {
+        case '==': return left === right;
+        case '!=': return left !== right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        default: return left >= right;
+      }
+    }
+  }
+}
+
+/**
+ * Format a value for output: objects and lists as JSON, missing values as nothing
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+}
+
+/**
+ * Entries a loop iterates: list items, or object values with their keys
+ * @param {*} value
+ * @returns {Array<[string|number, *]>}
+ */
+function loopEntries(value) {
+  if (Array.isArray(value)) return value.map((item, index) => [index, item]);
+  if (value && typeof value === 'object') return Object.entries(value);
+  return [];
+}
+
+/**
+ * Run a partial with errors attributed to it
+ * @param {string} name - Partial name
+ * @param {Function} fn
+ * @returns {*}
+ */
+function inPartial(name, fn) {
+  try {
+    return fn();
+  } catch (error) {
+    if (error instanceof TemplateError && !error.details.partial) {
+      throw new TemplateError(`${error.message} in partial "${name}"`, { ...error.details, line: undefined, partial: name });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Load and parse a partial
+ * @param {Object} node - Partial node
+ * @param {Function} [resolve] - Partial name -> template, or null if unknown
+ * @returns {Object[]}
+ */
+function loadPartial(node, resolve) {
+  const template = resolve?.(node.name);
+  if (typeof template !== 'string') {
+    throw new TemplateError(`Unknown partial "${node.name}"`, { line: node.line, column: node.column, partial: node.name });
+  }
+  return inPartial(node.name, () => parseTemplate(template));
+}
+
+/**
+ * Render nodes
+ * @param {Object[]} nodes
+ * @param {Object[]} scopes
+ * @param {Object} options - { strict, partials, depth }
+ * @returns {string}
+ */
+function renderNodes(nodes, scopes, options) {
+  let output = '';
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+      case 'variable':
+        output += formatValue(lookup(scopes, node, options.strict));
+        break;
+      case 'if': {
+        const branch = node.branches.find(b => isTruthy(evaluate(b.test, scopes, options.strict)));
+        output += renderNodes(branch ? branch.body : node.alternate || [], scopes, options);
+        break;
+      }
+      case 'each': {
+        const entries = loopEntries(evaluate(node.list, scopes, options.strict));
+        if (entries.length === 0) {
+          output += renderNodes(node.alternate || [], scopes, options);
+        }
+        entries.forEach(([key, item], index) => {
+          output += renderNodes(node.body, [...scopes, {
+            [node.alias]: item,
+            '@index': index,
+            '@key': key,
+            '@first': index === 0,
+            '@last': index === entries.length - 1
+          }], options);
+        });
+        break;
+      }
+      case 'partial': {
+        if (options.depth >= MAX_PARTIAL_DEPTH) {
+          throw new TemplateError(`Partials nested too deeply at "${node.name}"`, { line: node.line, column: node.column, partial: node.name });
+        }
+        const body = loadPartial(node, options.partials);
+        output += inPartial(node.name, () => renderNodes(body, scopes, { ...options, depth: options.depth + 1 }));
+        break;
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Render a template
+ * Unknown variables render as nothing and are false in conditions, unless
+ * `strict` is set, in which case they raise a TemplateError.
+ * @param {string} template
+ * @param {Object} [variables]
+ * @param {Object} [options]
+ * @param {boolean} [options.strict] - Unknown variables are an error
+ * @param {(name: string) => string|null} [options.partials] - Resolves partial templates
+ * @returns {string}
+ */
+export function renderTemplate(template, variables = {}, options = {}) {
+  return renderNodes(parseTemplate(template), [variables], {
+    strict: options.strict ?? false,
+    partials: options.partials,
+    depth: 0
+  });
+}
+
+/**
+ * Check a template without rendering it
+ * Reports syntax errors and unknown partials, and in strict mode variables
+ * that are neither in `variables` nor defined by an enclosing loop.
+ * @param {string} template
+ * @param {Object} [options]
+ * @param {boolean} [options.strict] - Report unknown variables
+ * @param {string[]} [options.variables] - Names of the variables prompts receive
+ * @param {(name: string) => string|null} [options.partials] - Resolves partial templates
+ * @returns {string[]} - Error messages
+ */
+export function checkTemplate(template, options = {}) {
+  const errors = [];
+  const visiting = new Set();
+
+  const checkExpression = (node, known) => {
+    if (node.type === 'path') {
+      if (options.strict && !known.has(node.path[0])) {
+        errors.push(new TemplateError(`Unknown variable "${node.name}"`, node).message);
+      }
+    } else if (node.type === 'not') {
+      checkExpression(node.operand, known);
+    } else if (node.type === 'binary') {
+      checkExpression(node.left, known);
+      checkExpression(node.right, known);
+    }
+  };
+
+  const checkNodes = (nodes, known) => {
+    for (const node of nodes) {
+      if (node.type === 'variable') {
+        checkExpression({ ...node, type: 'path' }, known);
+      } else if (node.type === 'if') {
+        for (const branch of node.branches) {
+          checkExpression(branch.test, known);
+          checkNodes(branch.body, known);
+        }
+        checkNodes(node.alternate || [], known);
+      } else if (node.type === 'each') {
+        checkExpression(node.list, known);
+        checkNodes(node.body, new Set([...known, node.alias, ...LOOP_VARIABLES]));
+        checkNodes(node.alternate || [], known);
+      } else if (node.type === 'partial' && !visiting.has(node.name)) {
+        const errorCount = errors.length;
+        try {
+          const body = loadPartial(node, options.partials);
+          visiting.add(node.name);
+          checkNodes(body, known);
+          visiting.delete(node.name);
+        } catch (error) {
+          if (!(error instanceof TemplateError)) throw error;
+          errors.push(error.message);
+        }
+        for (let i = errorCount; i < errors.length; i++) {
+          if (!errors[i].includes(`partial "${node.name}"`)) {
+            errors[i] = `${errors[i]} in partial "${node.name}"`;
+          }
+        }
+      }
+    }
+  };
+
+  try {
+    checkNodes(parseTemplate(template), new Set(options.variables || []));
+  } catch (error) {
+    if (!(error instanceof TemplateError)) throw error;
+    errors.push(error.message);
+  }
+  return [...new Set(errors)];
+}
+
+export default {
+  TemplateError,
+  parseTemplate,
+  renderTemplate,
+  checkTemplate
+};
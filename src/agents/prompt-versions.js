@@ -0,0 +1,263 @@
+/**
+ * Prompt Versions - History of agent prompts
+ * Every saved prompt is recorded with a semantic version and the SHA-256 of
+ * its content, so executions can record which prompt they ran with and runs
+ * can be pinned to earlier versions.
+ *
+ * Layout: <versionsDir>/<AGENT_TYPE>/versions.json (manifest) and
+ * <versionsDir>/<AGENT_TYPE>/<version>.md (content of each version)
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { getProjectConfig } from '../../orchestration/project-config.js';
+
+const VERSIONS_DIR = '.prompts/versions';
+const MANIFEST_FILE = 'versions.json';
+
+/**
+ * Version of the first recorded prompt
+ */
+export const INITIAL_VERSION = '1.0.0';
+
+/**
+ * Version name of the prompt currently in the prompts directory
+ */
+export const CURRENT_VERSION = 'current';
+
+/**
+ * Version parts that can be bumped
+ * @readonly
+ * @enum {string}
+ */
+export const VersionBump = Object.freeze({
+  MAJOR: 'major',
+  MINOR: 'minor',
+  PATCH: 'patch'
+});
+
+const VERSION_PATTERN = /^(\d+)\.(\d+)\.(\d+)$/;
+
+/**
+ * @typedef {Object} PromptVersion
+ * @property {string} version - Semantic version (major.minor.patch)
+ * @property {string} hash - SHA-256 of the prompt content
+ * @property {string} createdAt - When the version was recorded
+ * @property {string} [message] - Description of the change
+ */
+
+/**
+ * Error raised for unknown or invalid prompt versions
+ */
+export class PromptVersionError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - { agentType, version }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'PromptVersionError';
+    this.details = details;
+  }
+}
+
+/**
+ * Hash prompt content
+ * @param {string} content
+ * @returns {string} - Hex SHA-256
+ */
+export function hashPromptContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Check if a string is a semantic version (major.minor.patch)
+ * @param {string} version
+ * @returns {boolean}
+ */
+export function isVersion(version) {
+  return VERSION_PATTERN.test(version);
+}
+
+/**
+ * Compare two semantic versions
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} - Negative if a < b, positive if a > b, 0 if equal
+ */
+export function compareVersions(a, b) {
+  const partsA = a.match(VERSION_PATTERN).slice(1).map(Number);
+  const partsB = b.match(VERSION_PATTERN).slice(1).map(Number);
+  return partsA[0] - partsB[0] || partsA[1] - partsB[1] || partsA[2] - partsB[2];
+}
+
+/**
+ * Bump a semantic version
+ * @param {string} version
+ * @param {string} [bump] - VersionBump value (default: patch)
+ * @returns {string}
+ */
+export function bumpVersion(version, bump = VersionBump.PATCH) {
+  const [major, minor, patch] = version.match(VERSION_PATTERN).slice(1).map(Number);
+  switch (bump) {
+    case VersionBump.MAJOR:
+      return `${major + 1}.0.0`;
+    case VersionBump.MINOR:
+      return `${major}.${minor + 1}.0`;
+    case VersionBump.PATCH:
+      return `${major}.${minor}.${patch + 1}`;
+    default:
+      throw new PromptVersionError(`Unknown version bump: ${bump} (expected ${Object.values(VersionBump).join(', ')})`);
+  }
+}
+
+/**
+ * PromptVersionStore class
+ * Records and reads prompt versions per agent type
+ */
+export class PromptVersionStore {
+  /**
+   * @param {string} [versionsDir] - Directory holding the version history
+   */
+  constructor(versionsDir = VERSIONS_DIR) {
+    this.versionsDir = versionsDir;
+  }
+
+  /**
+   * Directory of an agent's versions
+   * @param {string} agentType
+   * @returns {string}
+   */
+  getAgentDir(agentType) {
+    return path.resolve(this.versionsDir, agentType);
+  }
+
+  /**
+   * List the recorded versions of an agent's prompt, oldest first
+   * @param {string} agentType
+   * @returns {PromptVersion[]}
+   */
+  listVersions(agentType) {
+    const manifestPath = path.join(this.getAgentDir(agentType), MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) {
+      return [];
+    }
+    const { versions = [] } = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+    return versions.sort((a, b) => compareVersions(a.version, b.version));
+  }
+
+  /**
+   * Get the latest recorded version
+   * @param {string} agentType
+   * @returns {PromptVersion|null}
+   */
+  getLatestVersion(agentType) {
+    return this.listVersions(agentType).at(-1) || null;
+  }
+
+  /**
+   * Find the version with the given content hash
+   * @param {string} agentType
+   * @param {string} hash
+   * @returns {PromptVersion|null}
+   */
+  findByHash(agentType, hash) {
+    return this.listVersions(agentType).find(v => v.hash === hash) || null;
+  }
+
+  /**
+   * Get a recorded version with its content
+   * @param {string} agentType
+   * @param {string} version
+   * @returns {PromptVersion & {content: string}}
+   * @throws {PromptVersionError} - If the version is not recorded
+   */
+  getVersion(agentType, version) {
+    const entry = this.listVersions(agentType).find(v => v.version === version);
+    if (!entry) {
+      throw new PromptVersionError(`Unknown prompt version ${version} of ${agentType}`, { agentType, version });
+    }
+    const content = fs.readFileSync(path.join(this.getAgentDir(agentType), `${version}.md`), 'utf-8');
+    return { ...entry, content };
+  }
+
+  /**
+   * Record prompt content as a new version
+   * Content identical to a recorded version is not recorded again; that
+   * version is returned instead.
+   * @param {string} agentType
+   * @param {string} content
+   * @param {Object} [options]
+   * @param {string} [options.version] - Explicit version (must be greater than the latest)
+   * @param {string} [options.bump] - VersionBump applied to the latest version (default: patch)
+   * @param {string} [options.message] - Description of the change
+   * @returns {PromptVersion & {created: boolean}}
+   */
+  recordVersion(agentType, content, options = {}) {
+    const hash = hashPromptContent(content);
+    const existing = this.findByHash(agentType, hash);
+    if (existing) {
+      return { ...existing, created: false };
+    }
+
+    const versions = this.listVersions(agentType);
+    const latest = versions.at(-1)?.version;
+    let version;
+    if (options.version) {
+      if (!isVersion(options.version)) {
+        throw new PromptVersionError(`Invalid version: ${options.version} (expected major.minor.patch)`, { agentType, version: options.version });
+      }
+      if (latest && compareVersions(options.version, latest) <= 0) {
+        throw new PromptVersionError(`Version ${options.version} of ${agentType} must be greater than ${latest}`, { agentType, version: options.version });
+      }
+      version = options.version;
+    } else {
+      version = latest ? bumpVersion(latest, options.bump) : INITIAL_VERSION;
+    }
+
+    const entry = {
+      version,
+      hash,
+      createdAt: new Date().toISOString(),
+      ...(options.message && { message: options.message })
+    };
+
+    const agentDir = this.getAgentDir(agentType);
+    fs.mkdirSync(agentDir, { recursive: true });
+    fs.writeFileSync(path.join(agentDir, `${version}.md`), content);
+    fs.writeFileSync(
+      path.join(agentDir, MANIFEST_FILE),
+      JSON.stringify({ agentType, versions: [...versions, entry] }, null, 2)
+    );
+
+    return { ...entry, created: true };
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get PromptVersionStore singleton instance
+ * @returns {PromptVersionStore}
+ */
+export function getPromptVersionStore() {
+  if (!instance) {
+    instance = new PromptVersionStore(path.join(getProjectConfig().storage.prompts, 'versions'));
+  }
+  return instance;
+}
+
+export default {
+  INITIAL_VERSION,
+  CURRENT_VERSION,
+  VersionBump,
+  PromptVersionError,
+  PromptVersionStore,
+  hashPromptContent,
+  isVersion,
+  compareVersions,
+  bumpVersion,
+  getPromptVersionStore
+};
@@ -3,6 +3,9 @@
  * Extracts artifacts, metadata, and status from Claude responses
  */
 
+import { validateSchema } from './schema-validator.js';
+import { AGENT_OUTPUT_SCHEMA } from '../../orchestration/output-schemas.js';
+
 /**
  * @typedef {Object} AgentOutput
  * @property {boolean} success - Whether execution succeeded
@@ -49,6 +52,82 @@ export function parseAgentResponse(response) {
   }
 }
 
+/**
+ * Parse a response against an agent's output schema
+ * The JSON payload is taken from the whole response, a ```json fence, or the
+ * outermost {...} block. Schema properties beyond the standard output fields
+ * (e.g. findings, testResults) are carried over to the output.
+ * @param {string|Object} response - Raw response from the backend
+ * @param {Object} [schema] - Output JSON Schema
+ * @returns {{output: AgentOutput, validation: {valid: boolean, errors: string[]}}}
+ */
+export function parseStructuredResponse(response, schema = AGENT_OUTPUT_SCHEMA) {
+  const payload = extractJsonPayload(response);
+
+  if (!payload) {
+    return {
+      output: parseAgentResponse(response),
+      validation: {
+        valid: false,
+        errors: ['$: response does not contain a JSON object']
+      }
+    };
+  }
+
+  const output = normalizeOutput(payload);
+  for (const key of Object.keys(schema.properties || {})) {
+    if (output[key] === undefined && payload[key] !== undefined) {
+      output[key] = payload[key];
+    }
+  }
+
+  return {
+    output,
+    validation: validateOutput(payload, schema)
+  };
+}
+
+/**
+ * Extract the JSON object payload from a response
+ * @param {string|Object} response
+ * @returns {Object|null}
+ */
+export function extractJsonPayload(response) {
+  if (typeof response === 'object' && response !== null) {
+    return response;
+  }
+
+  if (typeof response !== 'string') {
+    return null;
+  }
+
+  const candidates = [response.trim()];
+
+  const fenced = response.match(/```json\s*([\s\S]*?)```/);
+  if (fenced) {
+    candidates.push(fenced[1].trim());
+  }
+
+  const start = response.indexOf('{');
+  const end = response.lastIndexOf('}');
+  if (start !== -1 && end > start) {
+    candidates.push(response.slice(start, end + 1));
+  }
+
+  for (const candidate of candidates) {
+    try {
+      const parsed = JSON.parse(candidate);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        return parsed;
+      }
+    } catch {
+      // Try next candidate
+    }
+  }
+
+  return null;
+}
+
 /**
  * Parse text response into structured output
  * @param {string} text - Raw text response
@@ -138,7 +217,10 @@ function normalizeOutput(obj) {
     summary: obj.summary || obj.message || obj.result || '',
     artifacts: normalizeArtifacts(obj.artifacts || obj.files || []),
     metadata: {
-      tokensUsed: obj.metadata?.tokensUsed || obj.tokensUsed || obj.usage?.total_tokens || 0,
+      tokensUsed: obj.metadata?.tokensUsed || obj.tokensUsed || obj.usage?.total_tokens ||
+        (obj.usage?.input_tokens || 0) + (obj.usage?.output_tokens || 0),
+      inputTokens: obj.metadata?.inputTokens || obj.usage?.input_tokens || 0,
+      outputTokens: obj.metadata?.outputTokens || obj.usage?.output_tokens || 0,
       executionTime: obj.metadata?.executionTime || obj.executionTime || 0,
       filesCreated: obj.metadata?.filesCreated || obj.filesCreated || [],
       filesModified: obj.metadata?.filesModified || obj.filesModified || []
@@ -286,33 +368,13 @@ export function extractFileOperations(response) {
 }
 
 /**
- * Validate agent output structure
+ * Validate agent output against a JSON Schema
  * @param {Object} output - Output to validate
+ * @param {Object} [schema] - Output JSON Schema (defaults to the base agent contract)
  * @returns {{valid: boolean, errors: string[]}}
  */
-export function validateOutput(output) {
-  const errors = [];
-
-  if (typeof output.success !== 'boolean') {
-    errors.push('Missing or invalid "success" field');
-  }
-
-  if (typeof output.summary !== 'string') {
-    errors.push('Missing or invalid "summary" field');
-  }
-
-  if (!Array.isArray(output.artifacts)) {
-    errors.push('Missing or invalid "artifacts" field');
-  } else {
-    output.artifacts.forEach((a, i) => {
-      if (!a.name) errors.push(`Artifact ${i} missing "name"`);
-      if (!a.type) errors.push(`Artifact ${i} missing "type"`);
-    });
-  }
-
-  if (!output.metadata || typeof output.metadata !== 'object') {
-    errors.push('Missing or invalid "metadata" field');
-  }
+export function validateOutput(output, schema = AGENT_OUTPUT_SCHEMA) {
+  const errors = validateSchema(output, schema);
 
   return {
     valid: errors.length === 0,
@@ -322,6 +384,8 @@ export function validateOutput(output) {
 
 export default {
   parseAgentResponse,
+  parseStructuredResponse,
+  extractJsonPayload,
   extractStructuredData,
   extractFileOperations,
   validateOutput
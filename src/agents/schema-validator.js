@@ -0,0 +1,104 @@
+/**
+ * Schema Validator - Minimal JSON Schema validation for agent output
+ * Supports: type, enum, required, properties, additionalProperties (boolean),
+ * items, minLength, pattern, minItems, minimum, maximum
+ */
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema type
+ * @param {*} value
+ * @param {string|string[]} type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  const types = Array.isArray(type) ? type : [type];
+  const actual = typeOf(value);
+  return types.some(t => t === actual || (t === 'number' && actual === 'integer'));
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @param {string} [pointer] - Location of the value (for error messages)
+ * @returns {string[]} - Validation errors
+ */
+export function validateSchema(value, schema, pointer = '$') {
+  const errors = [];
+
+  if (!schema) {
+    return errors;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${pointer}: expected ${[].concat(schema.type).join(' or ')}, got ${typeOf(value)}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${pointer}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${pointer}: must be at least ${schema.minLength} character(s)`);
+  }
+
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${pointer}: must match ${schema.pattern}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${pointer}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${pointer}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${pointer}: must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        errors.push(...validateSchema(item, schema.items, `${pointer}[${i}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${pointer}: missing required property "${key}"`);
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, propValue] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(propValue, properties[key], `${pointer}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${pointer}: unexpected property "${key}"`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+export default {
+  validateSchema
+};
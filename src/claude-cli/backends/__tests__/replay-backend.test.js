@@ -0,0 +1,109 @@
+/**
+ * Record/replay of workflow runs
+ * A run recorded with one completion order of parallel agents must replay
+ * offline when they complete in another order.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { reloadProjectConfig } from '../../../../orchestration/project-config.js';
+import { StageExecutionMode, WorkflowStatus } from '../../../../orchestration/types.js';
+import { getWorkflowEngine } from '../../../../orchestration/workflow-engine.js';
+import { registerBackend } from '../index.js';
+import { ReplayBackend } from '../replay-backend.js';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Replays fixtures after a per-agent delay, to change the completion order
+ */
+class DelayedReplayBackend extends ReplayBackend {
+  constructor({ delays = {}, ...options }) {
+    super(options);
+    this.delays = delays;
+  }
+
+  async execute(request) {
+    await delay(this.delays[request.agentType] || 0);
+    return super.execute(request);
+  }
+}
+
+const WORKFLOW = {
+  id: 'RECORD_REPLAY',
+  name: 'Record/replay',
+  description: 'Parallel agents with a common dependent',
+  stages: [
+    { name: 'Requirements', agents: ['PM'], executionMode: StageExecutionMode.SEQUENTIAL },
+    { name: 'Design', agents: ['ARCHITECT', 'UIUX'], executionMode: StageExecutionMode.PARALLEL, dependencies: ['Requirements'] },
+    { name: 'Planning', agents: ['TL_FRONTEND'], executionMode: StageExecutionMode.SEQUENTIAL, dependencies: ['Design'] }
+  ]
+};
+
+describe('record and replay', () => {
+  let dir;
+  let fixtures;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'record-replay-'));
+    fixtures = path.join(dir, 'fixtures');
+    reloadProjectConfig({ cwd: dir });
+    registerBackend('delayed-replay', options => new DelayedReplayBackend(options));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const run = backend => getWorkflowEngine().startWorkflow(WORKFLOW, { projectName: 'demo' }, {
+    createBranch: false,
+    createPR: false,
+    backend
+  });
+
+  test('replays parallel agents regardless of their completion order', async () => {
+    // Recorded with UIUX completing before ARCHITECT
+    const recorded = await run({
+      type: 'record',
+      fixtures,
+      backend: {
+        type: 'scripted',
+        responses: async (request) => {
+          await delay(request.agentType === 'ARCHITECT' ? 50 : 0);
+          return { success: true, summary: `${request.agentType} done`, artifacts: [] };
+        }
+      }
+    });
+    expect(recorded.status).toBe(WorkflowStatus.COMPLETED);
+
+    for (const delays of [{ UIUX: 50 }, { ARCHITECT: 50 }]) {
+      const replayed = await run({ type: 'delayed-replay', fixtures, delays });
+      expect(replayed.status).toBe(WorkflowStatus.COMPLETED);
+      expect(replayed.context.TL_FRONTEND_output.summary).toBe('TL_FRONTEND done');
+    }
+  });
+
+  test('retries are not part of the replayed context', async () => {
+    let failures = 1;
+    const recorded = await run({
+      type: 'record',
+      fixtures: path.join(dir, 'retry-fixtures'),
+      backend: {
+        type: 'scripted',
+        responses: (request) => {
+          if (request.agentType === 'ARCHITECT' && failures-- > 0) {
+            throw new Error('transient failure');
+          }
+          return { success: true, summary: `${request.agentType} done`, artifacts: [] };
+        }
+      }
+    });
+
+    expect(recorded.status).toBe(WorkflowStatus.COMPLETED);
+    expect(Object.keys(recorded.context).filter(key => key.endsWith('_retries'))).toEqual([]);
+
+    const replayed = await run({ type: 'replay', fixtures: path.join(dir, 'retry-fixtures') });
+    expect(replayed.status).toBe(WorkflowStatus.COMPLETED);
+  });
+});
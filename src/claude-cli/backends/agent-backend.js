@@ -0,0 +1,63 @@
+/**
+ * Agent Backend - Base interface for LLM execution backends
+ * The workflow engine talks to backends only through this interface
+ */
+
+/**
+ * @typedef {Object} BackendRequest
+ * @property {string} prompt - Fully built agent prompt
+ * @property {string} [model] - Model identifier
+ * @property {number} [timeout] - Timeout in milliseconds
+ * @property {string} [workingDir] - Working directory for the execution
+ * @property {string} [agentType] - Agent type being executed
+ * @property {string} [taskId] - Associated PMS task ID
+ */
+
+/**
+ * @typedef {Object} BackendResponse
+ * @property {string} text - Raw response text
+ * @property {import('../../../orchestration/types.js').AgentUsage|null} usage - Reported usage, if any
+ */
+
+/**
+ * AgentBackend base class
+ * Implementations override execute() and isAvailable()
+ */
+export class AgentBackend {
+  /**
+   * @param {string} name - Backend name
+   * @param {Object} [options] - Backend options
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = options;
+  }
+
+  /**
+   * Execute a prompt and return the raw response
+   * Backends that cannot report usage may return the response text alone.
+   * @param {BackendRequest} request
+   * @returns {Promise<BackendResponse|string>}
+   */
+  async execute(request) {
+    throw new Error(`Backend ${this.name} does not implement execute()`);
+  }
+
+  /**
+   * Check if the backend can be used in this environment
+   * @returns {Promise<boolean>}
+   */
+  async isAvailable() {
+    return true;
+  }
+
+  /**
+   * Describe why the backend is unavailable
+   * @returns {string}
+   */
+  getUnavailableReason() {
+    return `Backend ${this.name} is not available`;
+  }
+}
+
+export default AgentBackend;
@@ -0,0 +1,47 @@
+/**
+ * CLI Backend - Executes agents by spawning the Claude CLI in headless mode
+ */
+
+import { AgentBackend } from './agent-backend.js';
+
+/**
+ * ClaudeCliBackend class
+ * Delegates to executeClaude() in the Claude CLI integration
+ */
+export class ClaudeCliBackend extends AgentBackend {
+  constructor(options = {}) {
+    super('cli', options);
+  }
+
+  /**
+   * Get Claude CLI integration (lazy load to avoid circular imports)
+   */
+  async getClaudeCli() {
+    return import('../index.js');
+  }
+
+  /**
+   * Execute prompt via the claude binary
+   * @param {import('./agent-backend.js').BackendRequest} request
+   * @returns {Promise<import('./agent-backend.js').BackendResponse>}
+   */
+  async execute(request) {
+    const { executeClaude } = await this.getClaudeCli();
+    return executeClaude(request);
+  }
+
+  /**
+   * Check if the claude binary is installed
+   * @returns {Promise<boolean>}
+   */
+  async isAvailable() {
+    const { isClaudeAvailable } = await this.getClaudeCli();
+    return isClaudeAvailable();
+  }
+
+  getUnavailableReason() {
+    return 'Claude CLI is not installed or not in PATH';
+  }
+}
+
+export default ClaudeCliBackend;
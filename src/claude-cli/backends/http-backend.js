@@ -0,0 +1,102 @@
+/**
+ * HTTP Backend - Executes agents through the Anthropic Messages API
+ */
+
+import { AgentBackend } from './agent-backend.js';
+import { fromApiUsage } from '../usage.js';
+
+const DEFAULT_API_URL = 'https://api.anthropic.com/v1/messages';
+const DEFAULT_API_VERSION = '2023-06-01';
+const DEFAULT_MAX_TOKENS = 8192;
+
+/**
+ * MessagesApiBackend class
+ * Sends the agent prompt as a single user message
+ */
+export class MessagesApiBackend extends AgentBackend {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.apiKey] - API key (defaults to ANTHROPIC_API_KEY)
+   * @param {string} [options.apiUrl] - Messages endpoint URL
+   * @param {number} [options.maxTokens] - Maximum output tokens
+   */
+  constructor(options = {}) {
+    super('http', options);
+    this.apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY || null;
+    this.apiUrl = options.apiUrl || process.env.ANTHROPIC_API_URL || DEFAULT_API_URL;
+    this.maxTokens = options.maxTokens || DEFAULT_MAX_TOKENS;
+  }
+
+  /**
+   * Execute prompt via the Messages API
+   * @param {import('./agent-backend.js').BackendRequest} request
+   * @returns {Promise<import('./agent-backend.js').BackendResponse>}
+   */
+  async execute(request) {
+    const { prompt, model, timeout = 300000, agentType, taskId } = request;
+    const startTime = Date.now();
+
+    if (!this.apiKey) {
+      throw new Error(this.getUnavailableReason());
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await fetch(this.apiUrl, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          'x-api-key': this.apiKey,
+          'anthropic-version': DEFAULT_API_VERSION
+        },
+        body: JSON.stringify({
+          model,
+          max_tokens: this.maxTokens,
+          messages: [{ role: 'user', content: prompt }]
+        }),
+        signal: controller.signal
+      });
+
+      const body = await response.text();
+
+      if (!response.ok) {
+        throw new Error(`Messages API request failed with status ${response.status}: ${body}`);
+      }
+
+      const data = JSON.parse(body);
+      const text = (data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('\n');
+
+      return {
+        text,
+        usage: fromApiUsage(data.usage, { durationMs: Date.now() - startTime })
+      };
+
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Agent ${agentType} (${taskId}) timed out after ${timeout}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Check if an API key is configured
+   * @returns {Promise<boolean>}
+   */
+  async isAvailable() {
+    return Boolean(this.apiKey);
+  }
+
+  getUnavailableReason() {
+    return 'ANTHROPIC_API_KEY is not set';
+  }
+}
+
+export default MessagesApiBackend;
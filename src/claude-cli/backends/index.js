@@ -0,0 +1,121 @@
+/**
+ * Agent Backends - Registry of LLM execution backends
+ * Backends are selected per run and per agent type via backend specs:
+ * a backend name ('cli') or an object ({ type: 'scripted', script: 'x.json' }).
+ * Record specs wrap another spec: { type: 'record', fixtures: 'dir', backend: 'cli' }
+ */
+
+import { AgentBackend } from './agent-backend.js';
+import { ClaudeCliBackend } from './cli-backend.js';
+import { MessagesApiBackend } from './http-backend.js';
+import { ScriptedBackend } from './scripted-backend.js';
+import { RecordingBackend, ReplayBackend } from './replay-backend.js';
+
+/**
+ * Built-in backend types
+ * @readonly
+ * @enum {string}
+ */
+export const BackendType = Object.freeze({
+  CLI: 'cli',             // Spawn the claude binary
+  HTTP: 'http',           // Anthropic Messages API
+  SCRIPTED: 'scripted',   // Local scripted responses
+  RECORD: 'record',       // Record another backend's responses as fixtures
+  REPLAY: 'replay'        // Serve recorded fixtures offline
+});
+
+const factories = new Map([
+  [BackendType.CLI, options => new ClaudeCliBackend(options)],
+  [BackendType.HTTP, options => new MessagesApiBackend(options)],
+  [BackendType.SCRIPTED, options => new ScriptedBackend(options)],
+  [BackendType.RECORD, ({ backend, ...options }) =>
+    new RecordingBackend({ ...options, inner: createBackend(backend) })],
+  [BackendType.REPLAY, options => new ReplayBackend(options)]
+]);
+
+/**
+ * Register a backend factory
+ * @param {string} type - Backend type name
+ * @param {Function} factory - (options) => AgentBackend
+ */
+export function registerBackend(type, factory) {
+  factories.set(type, factory);
+}
+
+/**
+ * Get registered backend types
+ * @returns {string[]}
+ */
+export function getBackendTypes() {
+  return [...factories.keys()];
+}
+
+/**
+ * Normalize a backend spec to object form
+ * @param {string|Object} spec - Backend name or { type, ...options }
+ * @returns {Object}
+ */
+export function normalizeBackendSpec(spec) {
+  if (!spec) {
+    return { type: BackendType.CLI };
+  }
+  return typeof spec === 'string' ? { type: spec } : { ...spec };
+}
+
+/**
+ * Create a backend instance from a spec
+ * @param {string|Object} spec - Backend name or { type, ...options }
+ * @returns {AgentBackend}
+ */
+export function createBackend(spec) {
+  const { type, ...options } = normalizeBackendSpec(spec);
+  const factory = factories.get(type);
+
+  if (!factory) {
+    throw new Error(`Unknown backend: ${type}. Available backends: ${getBackendTypes().join(', ')}`);
+  }
+
+  return factory(options);
+}
+
+/**
+ * Resolve the backend spec for an agent
+ * Per-agent selections (`agentBackends`) win over default selections
+ * (`backend`); earlier option sources win over later ones.
+ * @param {string} agentType - Agent type
+ * @param {Object[]} sources - Option objects in precedence order
+ * @returns {Object} - Normalized backend spec
+ */
+export function resolveBackendSpec(agentType, sources) {
+  for (const source of sources) {
+    if (source?.agentBackends?.[agentType]) {
+      return normalizeBackendSpec(source.agentBackends[agentType]);
+    }
+  }
+
+  for (const source of sources) {
+    if (source?.backend) {
+      return normalizeBackendSpec(source.backend);
+    }
+  }
+
+  return normalizeBackendSpec(BackendType.CLI);
+}
+
+export {
+  AgentBackend,
+  ClaudeCliBackend,
+  MessagesApiBackend,
+  ScriptedBackend,
+  RecordingBackend,
+  ReplayBackend
+};
+
+export default {
+  BackendType,
+  registerBackend,
+  getBackendTypes,
+  normalizeBackendSpec,
+  createBackend,
+  resolveBackendSpec
+};
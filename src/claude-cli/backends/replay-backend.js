@@ -0,0 +1,153 @@
+/**
+ * Record/Replay Backends - Deterministic offline agent execution
+ * A recording run stores each prompt and raw response as a fixture;
+ * a replay run serves those responses back without any network access.
+ *
+ * Fixture layout: <fixturesDir>/<AGENT_TYPE>/<promptHash>.json
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { AgentBackend } from './agent-backend.js';
+import { normalizeBackendResponse } from '../usage.js';
+
+/**
+ * Values that change between otherwise identical runs
+ * Masked before hashing so replays match recordings.
+ */
+const VOLATILE_PATTERNS = [
+  /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z/g,                        // ISO timestamps
+  /TASK-\d+/g,                                                               // PMS task IDs
+  /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi           // UUIDs
+];
+
+/**
+ * Hash a prompt for fixture lookup
+ * @param {string} prompt
+ * @returns {string} - Hex digest (first 16 chars of sha256)
+ */
+export function hashPrompt(prompt) {
+  let normalized = prompt;
+  for (const pattern of VOLATILE_PATTERNS) {
+    normalized = normalized.replace(pattern, '<volatile>');
+  }
+  return crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 16);
+}
+
+/**
+ * Get the fixture file path for a prompt
+ * @param {string} fixturesDir
+ * @param {string} agentType
+ * @param {string} prompt
+ * @returns {string}
+ */
+export function getFixturePath(fixturesDir, agentType, prompt) {
+  return path.join(fixturesDir, agentType || 'UNKNOWN', `${hashPrompt(prompt)}.json`);
+}
+
+/**
+ * RecordingBackend class
+ * Wraps another backend and records every prompt/response pair
+ */
+export class RecordingBackend extends AgentBackend {
+  /**
+   * @param {Object} options
+   * @param {string} options.fixtures - Fixture directory
+   * @param {AgentBackend} options.inner - Backend that produces responses
+   */
+  constructor(options = {}) {
+    super('record', options);
+    this.fixturesDir = options.fixtures;
+    this.inner = options.inner;
+
+    if (!this.fixturesDir) {
+      throw new Error('Recording backend requires a fixture directory');
+    }
+  }
+
+  /**
+   * Execute via the wrapped backend and store the fixture
+   * @param {import('./agent-backend.js').BackendRequest} request
+   * @returns {Promise<import('./agent-backend.js').BackendResponse>}
+   */
+  async execute(request) {
+    const { text, usage } = normalizeBackendResponse(await this.inner.execute(request));
+    const fixturePath = getFixturePath(this.fixturesDir, request.agentType, request.prompt);
+
+    fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+    fs.writeFileSync(fixturePath, JSON.stringify({
+      agentType: request.agentType,
+      promptHash: hashPrompt(request.prompt),
+      model: request.model || null,
+      backend: this.inner.name,
+      prompt: request.prompt,
+      response: text,
+      usage,
+      recordedAt: new Date().toISOString()
+    }, null, 2));
+
+    return { text, usage };
+  }
+
+  async isAvailable() {
+    return this.inner.isAvailable();
+  }
+
+  getUnavailableReason() {
+    return this.inner.getUnavailableReason();
+  }
+}
+
+/**
+ * ReplayBackend class
+ * Serves recorded responses; a missing fixture is an error
+ */
+export class ReplayBackend extends AgentBackend {
+  /**
+   * @param {Object} options
+   * @param {string} options.fixtures - Fixture directory
+   */
+  constructor(options = {}) {
+    super('replay', options);
+    this.fixturesDir = options.fixtures;
+
+    if (!this.fixturesDir) {
+      throw new Error('Replay backend requires a fixture directory');
+    }
+  }
+
+  /**
+   * Serve the recorded response and usage for a prompt
+   * @param {import('./agent-backend.js').BackendRequest} request
+   * @returns {Promise<import('./agent-backend.js').BackendResponse>}
+   */
+  async execute(request) {
+    const fixturePath = getFixturePath(this.fixturesDir, request.agentType, request.prompt);
+
+    if (!fs.existsSync(fixturePath)) {
+      throw new Error(
+        `No recorded response for agent ${request.agentType} ` +
+        `(prompt hash ${hashPrompt(request.prompt)}) in ${this.fixturesDir}`
+      );
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf-8'));
+    return normalizeBackendResponse({ text: fixture.response, usage: fixture.usage });
+  }
+
+  async isAvailable() {
+    return fs.existsSync(this.fixturesDir);
+  }
+
+  getUnavailableReason() {
+    return `Fixture directory not found: ${this.fixturesDir}`;
+  }
+}
+
+export default {
+  hashPrompt,
+  getFixturePath,
+  RecordingBackend,
+  ReplayBackend
+};
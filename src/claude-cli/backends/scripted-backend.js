@@ -0,0 +1,106 @@
+/**
+ * Scripted Backend - Serves agent responses from a local script
+ * Useful for offline runs and deterministic testing of workflows
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { AgentBackend } from './agent-backend.js';
+
+/**
+ * ScriptedBackend class
+ *
+ * Responses come from either:
+ * - a JSON file mapping agent types (or "default") to a response, or to an
+ *   array of responses served in order (the last one repeats)
+ * - a JS module whose default export is `(request) => response`
+ * Object responses are serialized to JSON.
+ */
+export class ScriptedBackend extends AgentBackend {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.script] - Path to a .json or .js script
+   * @param {Object|Function} [options.responses] - Inline responses
+   */
+  constructor(options = {}) {
+    super('scripted', options);
+    this.script = options.script || null;
+    this.responses = options.responses || null;
+    this.callCounts = new Map();
+  }
+
+  /**
+   * Load responses from the script file
+   */
+  async loadScript() {
+    if (this.responses) return;
+
+    if (!this.script) {
+      throw new Error('Scripted backend requires a script file');
+    }
+
+    const scriptPath = path.resolve(this.script);
+    if (!fs.existsSync(scriptPath)) {
+      throw new Error(`Backend script not found: ${this.script}`);
+    }
+
+    if (scriptPath.endsWith('.json')) {
+      this.responses = JSON.parse(fs.readFileSync(scriptPath, 'utf-8'));
+    } else {
+      const module = await import(pathToFileURL(scriptPath).href);
+      this.responses = module.default;
+    }
+  }
+
+  /**
+   * Serve the scripted response for an agent
+   * @param {import('./agent-backend.js').BackendRequest} request
+   * @returns {Promise<string>}
+   */
+  async execute(request) {
+    await this.loadScript();
+
+    if (typeof this.responses === 'function') {
+      return this.serialize(await this.responses(request));
+    }
+
+    const entry = this.responses[request.agentType] ?? this.responses.default;
+    if (entry === undefined) {
+      throw new Error(`No scripted response for agent ${request.agentType}`);
+    }
+
+    if (Array.isArray(entry)) {
+      const count = this.callCounts.get(request.agentType) || 0;
+      this.callCounts.set(request.agentType, count + 1);
+      return this.serialize(entry[Math.min(count, entry.length - 1)]);
+    }
+
+    return this.serialize(entry);
+  }
+
+  /**
+   * Serialize a scripted response
+   * @param {string|Object} response
+   * @returns {string}
+   */
+  serialize(response) {
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
+
+  /**
+   * Check if responses or the script file exist
+   * @returns {Promise<boolean>}
+   */
+  async isAvailable() {
+    return Boolean(this.responses) || Boolean(this.script && fs.existsSync(this.script));
+  }
+
+  getUnavailableReason() {
+    return this.script
+      ? `Backend script not found: ${this.script}`
+      : 'Scripted backend requires a script file (--backend-script)';
+  }
+}
+
+export default ScriptedBackend;
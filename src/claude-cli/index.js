@@ -1,16 +1,36 @@
 /**
  * Claude CLI Integration
  * Executes Claude in headless mode for agent tasks
+ * Agent executions go through a pluggable AgentBackend (see ./backends)
  */
 
 import { spawn } from 'child_process';
 import { getPromptLoader, buildAgentPrompt } from '../agents/prompt-loader.js';
 import { getAgentConfig } from '../../orchestration/agent-configs.js';
+import { createBackend, BackendType } from './backends/index.js';
+import { fromApiUsage, normalizeBackendResponse } from './usage.js';
 
 /**
- * Execute an agent via Claude CLI
+ * @typedef {Object} AgentResponse
+ * @property {string} text - Response text
+ * @property {import('../../orchestration/types.js').AgentUsage|null} usage - Reported usage, if any
+ */
+
+/**
+ * Execute an agent via an agent backend (Claude CLI by default)
  * @param {Object} params - Execution parameters
- * @returns {Promise<string>} - Agent response
+ * @param {import('./backends/agent-backend.js').AgentBackend} [params.backend] - Backend to use
+ * @param {Object} [params.variables] - Prompt template variables
+ * @param {boolean} [params.strictPrompts] - Unknown prompt template variables are an error
+ * @param {string} [params.promptVersion] - Recorded prompt version to use instead of the current prompt
+ * @param {string} [params.workflowId] - Workflow whose prompt overrides apply
+ * @param {{errors: string[]}} [params.repair] - Validation errors of a previous response to correct
+ * @param {{stageName: string, comment: string, previousSummary: string}} [params.revision] - Reviewer feedback for a rejected stage
+ * @param {{stageName: string, attempt: number, failures: Object[]}} [params.fix] - Failing command gate output to fix
+ * @param {{attempt: number, findings: Object[]}} [params.secrets] - Secret findings (without values) that rejected the previous output
+ * @param {Object} [params.iteration] - Loop iteration and findings of the previous iteration
+ * @param {import('../../orchestration/conflict-resolution.js').MergeConflict} [params.conflict] - Merge conflict to resolve
+ * @returns {Promise<AgentResponse>} - Agent response text and usage
  */
 export async function executeAgent(params) {
   const {
@@ -19,7 +39,18 @@ export async function executeAgent(params) {
     context,
     model,
     timeout = 300000, // 5 minutes default
-    workingDir = process.cwd()
+    workingDir = process.cwd(),
+    backend,
+    variables = {},
+    strictPrompts,
+    promptVersion,
+    workflowId,
+    repair,
+    revision,
+    fix,
+    secrets,
+    iteration,
+    conflict
   } = params;
 
   const agentConfig = getAgentConfig(agentType);
@@ -30,11 +61,21 @@ export async function executeAgent(params) {
   // Build the full prompt
   const promptLoader = getPromptLoader();
   const fullPrompt = buildAgentPrompt(agentType, context, {
-    variables: { taskId }
+    variables: { ...variables, taskId },
+    strict: strictPrompts,
+    promptVersion,
+    workflowId,
+    repair,
+    revision,
+    fix,
+    secrets,
+    iteration,
+    conflict
   });
 
-  // Execute Claude CLI in headless mode
-  return executeClaude({
+  // Execute via the selected backend
+  const agentBackend = backend || createBackend(BackendType.CLI);
+  const result = await agentBackend.execute({
     prompt: fullPrompt,
     model,
     timeout,
@@ -42,12 +83,49 @@ export async function executeAgent(params) {
     agentType,
     taskId
   });
+
+  return normalizeBackendResponse(result);
+}
+
+/**
+ * Parse the output of `claude --print --output-format json`
+ * Output that is not a JSON result object (e.g. from CLI versions without
+ * JSON output) is returned as text without usage.
+ * @param {string} stdout - CLI stdout
+ * @returns {AgentResponse}
+ */
+export function parseCliJsonOutput(stdout) {
+  let result;
+  try {
+    result = JSON.parse(stdout);
+  } catch {
+    return { text: stdout, usage: null };
+  }
+
+  if (!result || typeof result !== 'object' || result.type !== 'result') {
+    return { text: stdout, usage: null };
+  }
+
+  if (result.is_error) {
+    throw new Error(`Claude CLI returned an error (${result.subtype}): ${result.result || 'no details'}`);
+  }
+
+  return {
+    text: result.result ?? '',
+    usage: fromApiUsage(result.usage || {}, {
+      costUsd: result.total_cost_usd ?? result.cost_usd ?? null,
+      durationMs: result.duration_ms ?? null,
+      cliSessionId: result.session_id ?? null
+    })
+  };
 }
 
 /**
  * Execute Claude CLI
+ * Runs in JSON output mode so token usage, cost, duration and the CLI
+ * session ID can be reported alongside the response text.
  * @param {Object} options - Execution options
- * @returns {Promise<string>}
+ * @returns {Promise<AgentResponse>}
  */
 export async function executeClaude(options) {
   const {
@@ -67,6 +145,7 @@ export async function executeClaude(options) {
     // Build Claude CLI arguments
     const args = [
       '--print',           // Print response without interactive mode
+      '--output-format', 'json', // Result object with usage metadata
       '--dangerously-skip-permissions' // Skip permission prompts for automation
     ];
 
@@ -118,7 +197,11 @@ export async function executeClaude(options) {
         return;
       }
 
-      resolve(output);
+      try {
+        resolve(parseCliJsonOutput(output));
+      } catch (error) {
+        reject(error);
+      }
     });
 
     claudeProcess.on('error', (error) => {
@@ -253,12 +336,13 @@ export async function getClaudeVersion() {
  * @returns {Promise<string>}
  */
 export async function executePrompt(prompt, options = {}) {
-  return executeClaude({
+  const { text } = await executeClaude({
     prompt,
     model: options.model,
     timeout: options.timeout,
     workingDir: options.workingDir
   });
+  return text;
 }
 
 /**
@@ -280,12 +364,13 @@ export async function executeWithFiles(prompt, files, options = {}) {
     }
   }
 
-  return executeClaude({
+  const { text } = await executeClaude({
     prompt: fullPrompt,
     model: options.model,
     timeout: options.timeout,
     workingDir: options.workingDir
   });
+  return text;
 }
 
 /**
@@ -321,6 +406,7 @@ export async function executeBatch(tasks, options = {}) {
 export default {
   executeAgent,
   executeClaude,
+  parseCliJsonOutput,
   executeClaudeStreaming,
   isClaudeAvailable,
   getClaudeVersion,
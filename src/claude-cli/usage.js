@@ -0,0 +1,95 @@
+/**
+ * Agent Usage - Token, cost and timing figures reported by agent backends
+ * See the AgentUsage typedef in orchestration/types.js
+ */
+
+/**
+ * Create a usage record, defaulting missing fields
+ * @param {Object} [fields]
+ * @returns {import('../../orchestration/types.js').AgentUsage}
+ */
+export function createUsage(fields = {}) {
+  return {
+    inputTokens: fields.inputTokens || 0,
+    outputTokens: fields.outputTokens || 0,
+    cacheReadTokens: fields.cacheReadTokens || 0,
+    cacheWriteTokens: fields.cacheWriteTokens || 0,
+    costUsd: fields.costUsd ?? null,
+    durationMs: fields.durationMs ?? null,
+    cliSessionId: fields.cliSessionId ?? null
+  };
+}
+
+/**
+ * Convert an Anthropic API `usage` object (snake_case) to a usage record
+ * @param {Object} [apiUsage] - e.g. { input_tokens, output_tokens, cache_read_input_tokens }
+ * @param {Object} [extra] - Additional fields (costUsd, durationMs, cliSessionId)
+ * @returns {import('../../orchestration/types.js').AgentUsage|null}
+ */
+export function fromApiUsage(apiUsage, extra = {}) {
+  if (!apiUsage) {
+    return null;
+  }
+  return createUsage({
+    inputTokens: apiUsage.input_tokens,
+    outputTokens: apiUsage.output_tokens,
+    cacheReadTokens: apiUsage.cache_read_input_tokens,
+    cacheWriteTokens: apiUsage.cache_creation_input_tokens,
+    ...extra
+  });
+}
+
+/**
+ * Sum two usage records (e.g. an agent response and its repair attempts)
+ * Cost and duration stay null only if neither side reports them.
+ * @param {Object|null} a
+ * @param {Object|null} b
+ * @returns {import('../../orchestration/types.js').AgentUsage|null}
+ */
+export function mergeUsage(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+
+  const sumNullable = (x, y) => (x === null && y === null ? null : (x || 0) + (y || 0));
+
+  return {
+    inputTokens: a.inputTokens + b.inputTokens,
+    outputTokens: a.outputTokens + b.outputTokens,
+    cacheReadTokens: a.cacheReadTokens + b.cacheReadTokens,
+    cacheWriteTokens: a.cacheWriteTokens + b.cacheWriteTokens,
+    costUsd: sumNullable(a.costUsd, b.costUsd),
+    durationMs: sumNullable(a.durationMs, b.durationMs),
+    cliSessionId: b.cliSessionId || a.cliSessionId
+  };
+}
+
+/**
+ * Total tokens processed, including cached input
+ * @param {Object|null} usage
+ * @returns {number}
+ */
+export function getTotalTokens(usage) {
+  if (!usage) return 0;
+  return usage.inputTokens + usage.outputTokens + usage.cacheReadTokens + usage.cacheWriteTokens;
+}
+
+/**
+ * Normalize a backend result to { text, usage }
+ * Backends may return a plain string when they cannot report usage.
+ * @param {string|{text: string, usage?: Object}} result
+ * @returns {{text: string, usage: Object|null}}
+ */
+export function normalizeBackendResponse(result) {
+  if (typeof result === 'string') {
+    return { text: result, usage: null };
+  }
+  return { text: result?.text ?? '', usage: result?.usage ? createUsage(result.usage) : null };
+}
+
+export default {
+  createUsage,
+  fromApiUsage,
+  mergeUsage,
+  getTotalTokens,
+  normalizeBackendResponse
+};
@@ -0,0 +1,79 @@
+/**
+ * Approve Command - Approve or reject a stage waiting at an approval gate
+ * Records the decision and continues the workflow
+ */
+
+import chalk from 'chalk';
+import { getSessionManager } from '../../../orchestration/session-manager.js';
+import { resumeCommand } from './resume.js';
+
+interface ApproveOptions {
+  stage?: string;
+  reject?: boolean;
+  comment?: string;
+  resume?: boolean;
+}
+
+export async function approveCommand(id: string, options: ApproveOptions): Promise<void> {
+  const sessionManager = getSessionManager();
+
+  // Find session
+  const session = sessionManager.getSession(id);
+  if (!session) {
+    console.error(chalk.red(`Session not found: ${id}`));
+    process.exit(1);
+  }
+
+  const pendingGates: string[] = sessionManager.getPendingGates(id);
+  if (pendingGates.length === 0) {
+    console.log(chalk.yellow('Session is not awaiting approval.'));
+    process.exit(1);
+  }
+
+  // Resolve the stage to decide on
+  const stageName = options.stage || (pendingGates.length === 1 ? pendingGates[0] : null);
+  if (!stageName) {
+    console.error(chalk.red('Several stages are awaiting approval; choose one with --stage <name>'));
+    console.log(chalk.gray(`  Awaiting approval: ${pendingGates.join(', ')}`));
+    process.exit(1);
+  }
+
+  if (options.reject && !options.comment) {
+    console.error(chalk.red('A rejection needs a --comment describing the requested changes'));
+    process.exit(1);
+  }
+
+  try {
+    sessionManager.recordGateDecision(id, stageName, {
+      approved: !options.reject,
+      comment: options.comment
+    });
+  } catch (error: any) {
+    console.error(chalk.red(error.message));
+    process.exit(1);
+  }
+
+  if (options.reject) {
+    console.log(chalk.yellow(`\n✗ Stage rejected: ${stageName}`));
+    console.log(chalk.gray(`  The stage will be re-run with your comments as revision input.`));
+  } else {
+    console.log(chalk.green(`\n✓ Stage approved: ${stageName}`));
+  }
+
+  // Continue once every pending gate is decided
+  const remaining: string[] = sessionManager.getPendingGates(id);
+  if (remaining.length > 0) {
+    console.log(chalk.yellow(`\nStill awaiting approval: ${remaining.join(', ')}`));
+    console.log(chalk.gray(`  agentic-builder approve ${id} --stage <name>`));
+    return;
+  }
+
+  if (options.resume === false) {
+    console.log(chalk.gray(`\nUse "agentic-builder resume ${id}" to continue the workflow.`));
+    return;
+  }
+
+  await resumeCommand(id, {});
+}
+
+export default approveCommand;
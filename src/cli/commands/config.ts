@@ -0,0 +1,40 @@
+/**
+ * Config Command - Show the effective project config
+ */
+
+import chalk from 'chalk';
+import { getProjectConfig, PROJECT_CONFIG_FILE } from '../../../orchestration/project-config.js';
+import { getAgentConfig } from '../../../orchestration/agent-configs.js';
+
+interface ConfigShowOptions {
+  json?: boolean;
+}
+
+export async function configShowCommand(options: ConfigShowOptions): Promise<void> {
+  const { path: configPath, ...config } = getProjectConfig();
+
+  if (options.json) {
+    console.log(JSON.stringify({ path: configPath, ...config }, null, 2));
+    return;
+  }
+
+  console.log(chalk.bold('\nProject config:\n'));
+  if (configPath) {
+    console.log(`  ${chalk.gray('File:')} ${configPath}`);
+  } else {
+    console.log(chalk.gray(`  No ${PROJECT_CONFIG_FILE} found; using defaults`));
+  }
+  console.log();
+
+  for (const line of JSON.stringify(config, null, 2).split('\n')) {
+    console.log(`  ${line}`);
+  }
+
+  const unknown = Object.keys(config.agents).filter(agentType => !getAgentConfig(agentType));
+  if (unknown.length > 0) {
+    console.log(chalk.yellow(`\n  Unknown agents in "agents": ${unknown.join(', ')}`));
+  }
+  console.log();
+}
+
+export default configShowCommand;
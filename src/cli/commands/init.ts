@@ -0,0 +1,248 @@
+/**
+ * Init Command - Scaffold a project for the builder
+ * Detects the repository and app type, writes .agentic-builder.json, exports
+ * editable copies of the default prompts, ignores the state directories and
+ * checks the tools workflows depend on
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import chalk from 'chalk';
+import { getGitManager } from '../../git/git-manager.js';
+import { getPRManager } from '../../git/pr-manager.js';
+import { getPromptLoader } from '../../agents/prompt-loader.js';
+import { createBackend, BackendType } from '../../claude-cli/backends/index.js';
+import { getAllAgentTypes, getAgentConfig } from '../../../orchestration/agent-configs.js';
+import { detectProject, getSuggestedChecks, ProjectType } from '../../../orchestration/project-detector.js';
+import { PROJECT_CONFIG_FILE, validateProjectConfig, reloadProjectConfig } from '../../../orchestration/project-config.js';
+
+interface InitOptions {
+  yes?: boolean;
+}
+
+interface Prompter {
+  ask(message: string, defaultValue?: string): Promise<string>;
+  confirm(message: string, defaultValue: boolean): Promise<boolean>;
+  close(): void;
+}
+
+/**
+ * Create the prompter for init's questions
+ * Lines are read in order, so answers can also be piped in; at the end of
+ * the input (or with --yes) the defaults are used.
+ */
+function createPrompter(useDefaults: boolean): Prompter {
+  if (useDefaults) {
+    return {
+      ask: async (_message, defaultValue = '') => defaultValue,
+      confirm: async (_message, defaultValue) => defaultValue,
+      close: () => {}
+    };
+  }
+
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+  rl.on('SIGINT', () => {
+    rl.close();
+    process.exit(130);
+  });
+  const lines = rl[Symbol.asyncIterator]();
+
+  const question = async (text: string): Promise<string | null> => {
+    process.stdout.write(text);
+    const { value, done } = await lines.next();
+    if (done || !process.stdin.isTTY) {
+      process.stdout.write(`${done ? '' : value}\n`);
+    }
+    return done ? null : value.trim();
+  };
+
+  return {
+    async ask(message, defaultValue = '') {
+      const answer = await question(`${message}${defaultValue ? chalk.gray(` (${defaultValue})`) : ''}: `);
+      return answer || defaultValue;
+    },
+    async confirm(message, defaultValue) {
+      const answer = (await question(`${message} ${defaultValue ? '(Y/n)' : '(y/N)'} `))?.toLowerCase();
+      return answer ? answer === 'y' || answer === 'yes' : defaultValue;
+    },
+    close: () => rl.close()
+  };
+}
+
+/**
+ * Path relative to the project root, with forward slashes
+ */
+function relativePath(root: string, filePath: string): string {
+  return path.relative(root, filePath).split(path.sep).join('/');
+}
+
+export async function initCommand(options: InitOptions): Promise<void> {
+  const git = getGitManager();
+  const prompter = createPrompter(Boolean(options.yes));
+
+  try {
+    // Detect the repository
+    let root = process.cwd();
+    let isRepo = true;
+    try {
+      root = await git.getRepositoryRoot();
+    } catch {
+      isRepo = false;
+    }
+
+    const remotes: string[] = isRepo ? await git.getRemotes() : [];
+    let clean: boolean | null = null;
+    if (isRepo) {
+      try {
+        clean = await git.isClean();
+      } catch {
+        // No commits yet
+      }
+    }
+    const project = detectProject(root);
+
+    console.log(chalk.bold('\nDetected:\n'));
+    console.log(`  ${chalk.gray('Directory:')} ${root}${isRepo ? '' : chalk.yellow(' (not a git repository)')}`);
+    for (const remote of remotes) {
+      console.log(`  ${chalk.gray('Remote:')}    ${remote} ${chalk.gray(await git.getRemoteUrl(remote))}`);
+    }
+    console.log(`  ${chalk.gray('Project:')}   ${project.type ? `${project.type} ${chalk.gray(`(${project.evidence})`)}` : chalk.yellow('no React Native, Flutter, Swift or Kotlin project found')}`);
+    console.log();
+
+    // Read an existing config; init only updates the settings it asks for
+    const configPath = path.join(root, PROJECT_CONFIG_FILE);
+    let existing: any = {};
+    if (fs.existsSync(configPath)) {
+      try {
+        existing = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+      } catch (error: any) {
+        console.error(chalk.red(`Cannot parse ${configPath}: ${error.message}`));
+        process.exit(1);
+      }
+    }
+
+    const projectName = await prompter.ask('Project name', existing.projectName || project.name || path.basename(root));
+
+    const projectTypes: string[] = Object.values(ProjectType);
+    let projectType = await prompter.ask(`Project type (${projectTypes.join(', ')})`, existing.projectType || project.type || '');
+    while (projectType && !projectTypes.includes(projectType)) {
+      console.log(chalk.red(`Unknown project type: ${projectType}`));
+      projectType = await prompter.ask(`Project type (${projectTypes.join(', ')})`);
+    }
+
+    let remote: string | undefined;
+    if (remotes.length > 0) {
+      remote = await prompter.ask('Remote for workflow branches', existing.remote || (remotes.includes('origin') ? 'origin' : remotes[0]));
+    }
+    const baseBranch = await prompter.ask('Base branch of pull requests',
+      existing.baseBranch || (isRepo ? await git.getDefaultBranch(remote) : 'main'));
+
+    const suggestedChecks: string[] = existing.checks || getSuggestedChecks(projectType, root);
+    const checksAnswer = await prompter.ask('Quality gate commands (comma-separated, "none" for none)', suggestedChecks.join(', ') || 'none');
+    const checks = checksAnswer === 'none' ? [] : checksAnswer.split(',').map(command => command.trim()).filter(Boolean);
+
+    const exportPrompts = await prompter.confirm('Export editable copies of the default prompts?', true);
+    if (!options.yes) {
+      console.log();
+    }
+
+    // Write the project config
+    const config = { ...existing, projectName, baseBranch };
+    if (projectType) config.projectType = projectType;
+    if (remote) config.remote = remote;
+    if (checks.length > 0) config.checks = checks;
+    else delete config.checks;
+
+    const errors = validateProjectConfig(config);
+    if (errors.length > 0) {
+      console.error(chalk.red(`Invalid ${PROJECT_CONFIG_FILE}: ${errors.join('; ')}`));
+      process.exit(1);
+    }
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2) + '\n');
+    console.log(chalk.green(`✓ ${Object.keys(existing).length > 0 ? 'Updated' : 'Wrote'} ${PROJECT_CONFIG_FILE}`));
+
+    const { storage } = reloadProjectConfig({ cwd: root });
+
+    // Export the default prompts (plugin agents ship their own prompt file)
+    if (exportPrompts) {
+      const promptLoader = getPromptLoader();
+      let exported = 0;
+      let kept = 0;
+      for (const agentType of getAllAgentTypes()) {
+        const { promptFile } = getAgentConfig(agentType);
+        if (path.isAbsolute(promptFile)) {
+          continue;
+        }
+
+        const filePath = path.join(promptLoader.promptsDir, promptFile);
+        if (fs.existsSync(filePath)) {
+          kept++;
+          continue;
+        }
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, promptLoader.getDefaultPrompt(agentType));
+        exported++;
+      }
+
+      const keptNote = kept > 0 ? chalk.gray(` (${kept} existing kept)`) : '';
+      console.log(chalk.green(`✓ Exported ${exported} default prompt${exported === 1 ? '' : 's'} to ${relativePath(root, promptLoader.promptsDir)}/`) + keptNote);
+    }
+
+    // Ignore the state directories
+    const gitignorePath = path.join(root, '.gitignore');
+    const gitignore = fs.existsSync(gitignorePath) ? fs.readFileSync(gitignorePath, 'utf-8') : '';
+    const normalize = (entry: string) => entry.trim().replace(/^\//, '').replace(/\/$/, '');
+    const ignored = new Set(gitignore.split('\n').map(normalize));
+    const missing = [storage.sessions, storage.tasks]
+      .map(dir => relativePath(root, dir))
+      .filter(dir => dir && !dir.startsWith('..') && !ignored.has(dir))
+      .map(dir => `${dir}/`);
+
+    if (missing.length > 0) {
+      const separator = gitignore && !gitignore.endsWith('\n') ? '\n' : '';
+      fs.writeFileSync(gitignorePath, `${gitignore}${separator}${gitignore ? '\n' : ''}# Agentic builder state\n${missing.join('\n')}\n`);
+      console.log(chalk.green(`✓ Added ${missing.join(', ')} to .gitignore`));
+    } else {
+      console.log(chalk.gray('  State directories are already in .gitignore'));
+    }
+
+    // Health checks
+    const health = [
+      isRepo
+        ? { ok: clean === true, label: clean === null ? 'Working tree status unknown' : clean ? 'Working tree is clean' : 'Working tree has uncommitted changes',
+            hint: clean === null ? 'The repository has no commits yet' : 'Commit or stash them before running workflows' }
+        : { ok: false, label: 'Not a git repository', hint: 'Run "git init"; workflows create branches and commits' },
+      ...(isRepo ? [remote
+        ? { ok: true, label: `Remote ${remote}` }
+        : { ok: false, label: 'No git remote', hint: 'Pull requests need a remote to push to' }] : []),
+      await getPRManager().isGhAvailable()
+        ? { ok: true, label: 'GitHub CLI (gh) is available' }
+        : { ok: false, label: 'GitHub CLI (gh) is not available', hint: 'Install it to create pull requests: https://cli.github.com/' }
+    ];
+    const backend = createBackend(BackendType.CLI);
+    health.push(await backend.isAvailable()
+      ? { ok: true, label: 'Claude CLI is available' }
+      : { ok: false, label: backend.getUnavailableReason(), hint: 'Agents run through the Claude CLI (or use --backend http)' });
+
+    console.log(chalk.bold('\nHealth checks:\n'));
+    for (const check of health) {
+      console.log(check.ok ? chalk.green(`  ✓ ${check.label}`) : chalk.yellow(`  ✗ ${check.label}`));
+      if (!check.ok && check.hint) {
+        console.log(chalk.gray(`    ${check.hint}`));
+      }
+    }
+
+    console.log(chalk.bold('\nNext steps:\n'));
+    console.log(`  Review ${PROJECT_CONFIG_FILE}${exportPrompts ? ` and ${relativePath(root, path.join(storage.prompts, 'agents'))}/` : ''} and commit ${exportPrompts ? 'them' : 'it'}`);
+    console.log(`  Run a workflow, e.g. ${chalk.cyan('agentic-builder run FEATURE_ADDITION -d "user authentication"')}`);
+    console.log();
+  } finally {
+    prompter.close();
+  }
+}
+
+export default initCommand;
@@ -6,7 +6,7 @@
 import chalk from 'chalk';
 import { getSessionManager } from '../../../orchestration/session-manager.js';
 import { getWorkflowEngine } from '../../../orchestration/workflow-engine.js';
-import { getWorkflow } from '../../../orchestration/predefined-workflows.js';
+import { getSessionWorkflow } from '../../../orchestration/predefined-workflows.js';
 
 interface ListOptions {
   all?: boolean;
@@ -65,7 +65,12 @@ export async function listCommand(options: ListOptions): Promise<void> {
 
   for (const session of sessions) {
     const isZombie = session.status === 'running' && !engine.hasActiveRun(session.id);
-    const workflow = getWorkflow(session.workflowId);
+    let workflow;
+    try {
+      workflow = getSessionWorkflow(session);
+    } catch {
+      // Workflow file was moved or became invalid; fall back to the ID
+    }
 
     // Status with color
     const statusColor = {
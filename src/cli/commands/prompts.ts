@@ -0,0 +1,279 @@
+/**
+ * Prompts Commands - Prompt layers, versions and comparisons
+ * Shows resolved prompts, records prompt versions and compares two versions
+ * on recorded task contexts
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import { getAgentConfig } from '../../../orchestration/agent-configs.js';
+import { getWorkflow, getWorkflowIds } from '../../../orchestration/predefined-workflows.js';
+import { getTaskManager } from '../../../pms/task-manager.js';
+import { getPromptLoader } from '../../agents/prompt-loader.js';
+import { splitSections, INTRODUCTION } from '../../agents/prompt-layers.js';
+import { getPromptVersionStore, VersionBump } from '../../agents/prompt-versions.js';
+import { comparePromptVersions } from '../../agents/prompt-compare.js';
+import { createBackend, getBackendTypes, BackendType } from '../../claude-cli/backends/index.js';
+
+interface ShowOptions {
+  resolved?: boolean;
+  workflow?: string;
+}
+
+interface SaveOptions {
+  bump?: string;
+  asVersion?: string;
+  message?: string;
+}
+
+interface CompareOptions {
+  task?: string[];
+  limit?: string;
+  backend?: string;
+  backendScript?: string;
+  model?: string;
+  json?: boolean;
+}
+
+/**
+ * Resolve an agent type argument (case-insensitive)
+ */
+function resolveAgentType(agent: string): string {
+  const agentType = agent.toUpperCase();
+  if (!getAgentConfig(agentType)) {
+    console.error(chalk.red(`Unknown agent type: ${agent}`));
+    process.exit(1);
+  }
+  return agentType;
+}
+
+export async function promptsShowCommand(agent: string, options: ShowOptions): Promise<void> {
+  const agentType = resolveAgentType(agent);
+
+  let workflowId: string | undefined;
+  if (options.workflow) {
+    try {
+      workflowId = getWorkflow(options.workflow)?.id;
+    } catch (error: any) {
+      console.error(chalk.red(error.message));
+      process.exit(1);
+    }
+    if (!workflowId) {
+      console.error(chalk.red(`Unknown workflow: ${options.workflow}`));
+      console.log(chalk.gray(`Available workflows: ${getWorkflowIds().join(', ')}`));
+      process.exit(1);
+    }
+  }
+
+  let resolved: any;
+  try {
+    resolved = getPromptLoader().resolvePrompt(agentType, { workflowId });
+  } catch (error: any) {
+    console.error(chalk.red(error.message));
+    process.exit(1);
+  }
+
+  if (!options.resolved) {
+    process.stdout.write(resolved.content);
+    return;
+  }
+
+  console.log(chalk.bold(`\nPrompt layers of ${agentType}${workflowId ? ` in ${workflowId}` : ''}:\n`));
+  for (const layer of resolved.layers) {
+    const mode = layer.extends ? 'extends' : 'replaces';
+    console.log(`  ${chalk.cyan(layer.layer.padEnd(8))} ${chalk.gray(`${layer.path || 'built-in'} (${mode})`)}`);
+  }
+  console.log();
+
+  // Annotate each section with the layers it came from
+  const formatSources = (sources: any[]) => sources
+    .map(source => source.action === 'replace' ? source.layer : `${source.layer} ${source.action}`)
+    .join(', ');
+  const { introduction, sections } = splitSections(resolved.content);
+  const introSources = resolved.sections.find((section: any) => section.title === INTRODUCTION);
+
+  if (introduction.trim()) {
+    if (introSources) {
+      console.log(chalk.yellow(`[${formatSources(introSources.sources)}]`));
+    }
+    process.stdout.write(introduction);
+  }
+  for (const section of sections) {
+    const sources = resolved.sections.find((s: any) => s.title === section.title)?.sources || [];
+    console.log(chalk.yellow(`[${formatSources(sources)}]`));
+    process.stdout.write(section.heading + section.body);
+  }
+}
+
+export async function promptsVersionsCommand(agent: string): Promise<void> {
+  const agentType = resolveAgentType(agent);
+  const versions = getPromptVersionStore().listVersions(agentType);
+  const current = getPromptLoader().getPromptVersion(agentType);
+
+  console.log(chalk.bold(`\nPrompt versions of ${agentType}:\n`));
+
+  if (versions.length === 0) {
+    console.log(chalk.gray('  No recorded versions.'));
+  }
+  for (const entry of versions) {
+    const marker = entry.version === current.version ? chalk.green(' (current)') : '';
+    console.log(chalk.cyan(`  ${entry.version}`) + marker + chalk.gray(`  ${entry.hash.slice(0, 12)}  ${new Date(entry.createdAt).toLocaleString()}`));
+    if (entry.message) {
+      console.log(chalk.gray(`    ${entry.message}`));
+    }
+  }
+
+  if (!current.version) {
+    console.log(chalk.yellow(`\n  The current prompt (${current.hash.slice(0, 12)}) is not recorded; use "prompts save ${agentType}" to record it.`));
+  }
+  console.log();
+}
+
+export async function promptsSaveCommand(agent: string, options: SaveOptions): Promise<void> {
+  const agentType = resolveAgentType(agent);
+
+  if (options.bump && !Object.values(VersionBump).includes(options.bump)) {
+    console.error(chalk.red(`Unknown version bump: ${options.bump}`));
+    console.log(chalk.gray(`Available bumps: ${Object.values(VersionBump).join(', ')}`));
+    process.exit(1);
+  }
+
+  try {
+    const recorded = getPromptLoader().recordPromptVersion(agentType, {
+      bump: options.bump,
+      version: options.asVersion,
+      message: options.message
+    });
+
+    if (recorded.created) {
+      console.log(chalk.green(`✓ Recorded ${agentType} prompt version ${recorded.version} (${recorded.hash.slice(0, 12)})`));
+    } else {
+      console.log(chalk.yellow(`The current ${agentType} prompt is already recorded as version ${recorded.version}`));
+    }
+  } catch (error: any) {
+    console.error(chalk.red(error.message));
+    process.exit(1);
+  }
+}
+
+export async function promptsCompareCommand(agent: string, versionA: string, versionB: string, options: CompareOptions): Promise<void> {
+  const agentType = resolveAgentType(agent);
+  const promptLoader = getPromptLoader();
+  const spinner = ora();
+
+  // Both versions must exist
+  for (const version of [versionA, versionB]) {
+    try {
+      promptLoader.getPromptVersion(agentType, { version });
+    } catch (error: any) {
+      console.error(chalk.red(error.message));
+      process.exit(1);
+    }
+  }
+
+  // Select recorded task contexts of the agent
+  const taskManager = getTaskManager();
+  let tasks: any[];
+  if (options.task?.length) {
+    tasks = options.task.map(id => taskManager.getTask(id));
+    const invalid = options.task.filter((id, index) => tasks[index]?.agentType !== agentType);
+    if (invalid.length > 0) {
+      console.error(chalk.red(`Not a recorded ${agentType} task: ${invalid.join(', ')}`));
+      process.exit(1);
+    }
+  } else {
+    tasks = taskManager.listTasks({ agentType })
+      .filter((task: any) => task.context)
+      .slice(0, parseInt(options.limit || '5'));
+  }
+
+  if (tasks.length === 0) {
+    console.log(chalk.yellow(`No recorded ${agentType} task contexts found in .tasks/`));
+    process.exit(1);
+  }
+
+  let contexts: any[];
+  try {
+    contexts = tasks.map(task => ({ taskId: task.id, context: task.context, parsed: taskManager.getTaskContext(task.id) }));
+  } catch (error: any) {
+    console.error(chalk.red(`Cannot parse recorded task context: ${error.message}`));
+    process.exit(1);
+  }
+
+  // Create the backend
+  const type = options.backend || BackendType.CLI;
+  if (!getBackendTypes().includes(type)) {
+    console.error(chalk.red(`Unknown backend: ${type}. Available backends: ${getBackendTypes().join(', ')}`));
+    process.exit(1);
+  }
+  const backend = createBackend(type === BackendType.SCRIPTED && options.backendScript ? { type, script: options.backendScript } : type);
+  if (!await backend.isAvailable()) {
+    console.error(chalk.red(backend.getUnavailableReason()));
+    process.exit(1);
+  }
+
+  if (!options.json) {
+    spinner.start(`Comparing ${agentType} prompt ${versionA} and ${versionB} on ${contexts.length} task(s)...`);
+  }
+  const report = await comparePromptVersions({
+    agentType,
+    versions: [versionA, versionB],
+    contexts,
+    backend,
+    model: options.model,
+    onRun: ({ taskId, version }: { taskId: string; version: string }) => {
+      spinner.text = `Running ${agentType} prompt ${version} on ${taskId}...`;
+    }
+  });
+  spinner.stop();
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  const labels = report.versions.map((v: any) =>
+    v.requested === v.version ? v.version : `${v.requested}${v.version ? ` (${v.version})` : ''}`
+  );
+  const width = Math.max(...labels.map((label: string) => label.length));
+  const formatRun = (run: any) => [
+    run.valid ? chalk.green('✓ valid') : chalk.red(`✗ invalid (${run.errors.length} error${run.errors.length === 1 ? '' : 's'})`),
+    `${run.artifacts} artifact${run.artifacts === 1 ? '' : 's'}`,
+    `${run.tokens.toLocaleString()} tokens`,
+    ...(run.costUsd !== null ? [`$${run.costUsd.toFixed(4)}`] : [])
+  ].join(', ');
+
+  console.log(chalk.bold(`\nPrompt comparison for ${agentType}:\n`));
+  report.versions.forEach((v: any, index: number) => {
+    console.log(chalk.gray(`  ${labels[index].padEnd(width)}  ${v.hash.slice(0, 12)}`));
+  });
+
+  for (const task of report.tasks) {
+    console.log(chalk.cyan(`\n${task.taskId}`));
+    task.runs.forEach((run: any, index: number) => {
+      console.log(`  ${labels[index].padEnd(width)}  ${formatRun(run)}`);
+      for (const error of run.errors.slice(0, 3)) {
+        console.log(chalk.gray(`  ${''.padEnd(width)}    ${error}`));
+      }
+    });
+
+    if (task.diff.length === 0) {
+      console.log(chalk.gray('  Outputs are identical'));
+      continue;
+    }
+    console.log(chalk.gray(`  Diff (${labels[0]} → ${labels[1]}):`));
+    for (const line of task.diff) {
+      const color = line.startsWith('+ ') ? chalk.green : line.startsWith('- ') ? chalk.red : chalk.gray;
+      console.log(color(`    ${line}`));
+    }
+  }
+
+  console.log(chalk.bold('\nTotals:'));
+  report.totals.forEach((totals: any, index: number) => {
+    console.log(
+      `  ${labels[index].padEnd(width)}  ${totals.valid}/${totals.runs} valid, ${totals.artifacts} artifacts, ` +
+      `${totals.tokens.toLocaleString()} tokens` + (totals.costUsd !== null ? `, $${totals.costUsd.toFixed(4)}` : '')
+    );
+  });
+  console.log();
+}
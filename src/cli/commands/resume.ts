@@ -6,10 +6,12 @@ import chalk from 'chalk';
 import ora from 'ora';
 import { getSessionManager } from '../../../orchestration/session-manager.js';
 import { getWorkflowEngine } from '../../../orchestration/workflow-engine.js';
-import { getWorkflow } from '../../../orchestration/predefined-workflows.js';
+import { getSessionWorkflow } from '../../../orchestration/predefined-workflows.js';
+import { parseBudget } from '../../../orchestration/budget-tracker.js';
 
 interface ResumeOptions {
   fromStage?: string;
+  budget?: string;
 }
 
 export async function resumeCommand(id: string, options: ResumeOptions): Promise<void> {
@@ -24,6 +26,14 @@ export async function resumeCommand(id: string, options: ResumeOptions): Promise
     process.exit(1);
   }
 
+  // Sessions waiting at an approval gate continue through `approve`
+  const pendingGates: string[] = sessionManager.getPendingGates(id);
+  if (pendingGates.length > 0) {
+    console.log(chalk.yellow(`Session is awaiting approval of: ${pendingGates.join(', ')}`));
+    console.log(chalk.gray(`  agentic-builder approve ${id} [--reject --comment "..."]`));
+    process.exit(1);
+  }
+
   // Check if resumable
   if (!sessionManager.isResumable(id)) {
     if (session.status === 'completed') {
@@ -36,8 +46,23 @@ export async function resumeCommand(id: string, options: ResumeOptions): Promise
     process.exit(1);
   }
 
+  if (options.budget) {
+    try {
+      parseBudget(options.budget);
+    } catch (error: any) {
+      console.error(chalk.red(error.message));
+      process.exit(1);
+    }
+  }
+
   // Get workflow info
-  const workflow = getWorkflow(session.workflowId);
+  let workflow;
+  try {
+    workflow = getSessionWorkflow(session);
+  } catch (error: any) {
+    console.error(chalk.red(error.message));
+    process.exit(1);
+  }
   if (!workflow) {
     console.error(chalk.red(`Unknown workflow: ${session.workflowId}`));
     process.exit(1);
@@ -45,9 +70,11 @@ export async function resumeCommand(id: string, options: ResumeOptions): Promise
 
   // Display resume info
   const latestCheckpoint = session.checkpoints[session.checkpoints.length - 1];
-  const resumeStage = options.fromStage
-    ? parseInt(options.fromStage) - 1
-    : (latestCheckpoint?.stageIndex ?? -1) + 1;
+  const completedStages: string[] = latestCheckpoint?.completedStages
+    ?? workflow.stages.slice(0, (latestCheckpoint?.stageIndex ?? -1) + 1).map((s: any) => s.name);
+  const remainingStages = workflow.stages
+    .map((s: any) => s.name)
+    .filter((name: string) => !completedStages.includes(name));
 
   console.log(chalk.bold('\nResume Workflow'));
   console.log(chalk.gray(`  Session: ${session.id}`));
@@ -58,7 +85,8 @@ export async function resumeCommand(id: string, options: ResumeOptions): Promise
     console.log(chalk.gray(`  Last checkpoint: Stage ${latestCheckpoint.stageIndex + 1} (${latestCheckpoint.stageName})`));
   }
 
-  console.log(chalk.gray(`  Resuming from: Stage ${resumeStage + 1}`));
+  console.log(chalk.gray(`  Completed stages: ${completedStages.join(', ') || 'none'}`));
+  console.log(chalk.gray(`  Remaining stages: ${remainingStages.join(', ') || 'none'}`));
   console.log(chalk.gray(`  Completed agents: ${session.completedAgents.join(', ') || 'none'}`));
   console.log();
 
@@ -87,9 +115,9 @@ export async function resumeCommand(id: string, options: ResumeOptions): Promise
   process.on('SIGTERM', () => handleShutdown('SIGTERM'));
 
   // Setup event listeners
-  engine.on('workflow_resumed', ({ runId, fromStage }) => {
+  engine.on('workflow_resumed', ({ runId, completedStages }) => {
     currentRunId = runId;
-    console.log(chalk.green(`Workflow resumed from stage ${fromStage + 1}`));
+    console.log(chalk.green(`Workflow resumed (${completedStages.length} stage(s) already completed)`));
   });
 
   engine.on('stage_started', ({ stageIndex, stageName }) => {
@@ -111,6 +139,24 @@ export async function resumeCommand(id: string, options: ResumeOptions): Promise
     spinner.fail(`  ${agentType} failed: ${error}`);
   });
 
+  engine.on('loop_iteration', ({ stageName, iteration, max, until, satisfied }) => {
+    if (satisfied) {
+      console.log(chalk.green(`  ↻ ${stageName}: ${until} reached in iteration ${iteration}`));
+    } else if (iteration < max) {
+      console.log(chalk.yellow(`  ↻ ${stageName}: ${until} not reached, starting iteration ${iteration + 1}/${max}`));
+    }
+  });
+
+  engine.on('quality_gate_completed', ({ passed, results }) => {
+    for (const result of results) {
+      const icon = result.exitCode === 0 ? chalk.green('✓') : chalk.red('✗');
+      console.log(`  ${icon} ${chalk.gray(`$ ${result.command}`)}`);
+    }
+    if (!passed) {
+      console.log(chalk.yellow('  Quality gate failed, sending output back to the developers'));
+    }
+  });
+
   engine.on('stage_completed', ({ stageName }) => {
     console.log(chalk.green(`✓ Stage completed: ${stageName}`));
   });
@@ -118,9 +164,33 @@ export async function resumeCommand(id: string, options: ResumeOptions): Promise
   // Resume workflow
   try {
     spinner.start('Resuming workflow...');
-    const run = await engine.resumeWorkflow(id);
+    const run = await engine.resumeWorkflow(id, options.budget ? { budget: options.budget } : {});
     spinner.stop();
 
+    if (run.status === 'paused' && run.pendingGates.length > 0) {
+      console.log(chalk.bold.yellow(`\n⏸ Workflow paused: awaiting approval of ${run.pendingGates.join(', ')}`));
+      console.log(chalk.yellow(`\nUse "agentic-builder approve ${run.sessionId} [--reject --comment \"...\"]" to continue`));
+      return;
+    }
+
+    if (run.status === 'paused' && run.conflict) {
+      console.log(chalk.bold.yellow('\n⏸ Workflow paused: unresolved merge conflict'));
+      console.log(chalk.gray(`  ${run.error}`));
+      console.log(chalk.yellow(
+        run.conflict.operation === 'rebase'
+          ? `\nRebase ${run.conflict.branch} onto ${run.conflict.into} by hand, then use "agentic-builder resume ${run.sessionId}" to continue`
+          : `\nMerge ${run.conflict.branch} into ${run.conflict.into} by hand, then use "agentic-builder resume ${run.sessionId}" to continue`
+      ));
+      return;
+    }
+
+    if (run.status === 'paused') {
+      console.log(chalk.bold.yellow('\n⏸ Workflow paused: budget exhausted'));
+      console.log(chalk.gray(`  ${run.error}`));
+      console.log(chalk.yellow(`\nUse "agentic-builder resume ${run.sessionId} --budget <value>" to continue with a raised budget`));
+      return;
+    }
+
     console.log(chalk.bold.green('\n✓ Workflow completed successfully!'));
     console.log(chalk.gray(`  Session: ${run.sessionId}`));
     if (run.gitBranch) {
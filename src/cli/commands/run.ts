@@ -8,37 +8,161 @@ import ora from 'ora';
 import { getWorkflowEngine } from '../../../orchestration/workflow-engine.js';
 import { getWorkflow, getWorkflowIds } from '../../../orchestration/predefined-workflows.js';
 import { getModelSelector } from '../../../orchestration/model-selector.js';
-import { isClaudeAvailable } from '../../claude-cli/index.js';
+import { validateStageGraph } from '../../../orchestration/stage-graph.js';
+import { SchedulingMode } from '../../../orchestration/types.js';
+import { parseBudget, BudgetUnit } from '../../../orchestration/budget-tracker.js';
+import { applyCommandChecks } from '../../../orchestration/command-gate.js';
+import { getProjectConfig, applyWorkflowDefaults } from '../../../orchestration/project-config.js';
+import { getAgentConfig } from '../../../orchestration/agent-configs.js';
+import { getConflictResolution } from '../../../orchestration/conflict-resolution.js';
+import { getPromptLoader } from '../../agents/prompt-loader.js';
+import { createBackend, resolveBackendSpec, getBackendTypes, BackendType } from '../../claude-cli/backends/index.js';
 
 interface RunOptions {
   project?: string;
   description?: string;
   maxTier?: string;
+  schedule?: string;
+  backend?: string;
+  backendScript?: string;
+  record?: string;
+  replay?: string;
+  budget?: string;
+  contextBudget?: string;
+  summarizeContext?: boolean;
+  var?: string[];
+  strictPrompts?: boolean;
+  promptVersion?: string[];
+  check?: string[];
   branch?: boolean;
   pr?: boolean;
+  worktrees?: boolean;
+  rebaseOnto?: string;
+  conflictResolver?: string;
   dryRun?: boolean;
 }
 
 export async function runCommand(workflowId: string, options: RunOptions): Promise<void> {
   const spinner = ora();
 
-  // Validate workflow
-  const workflow = getWorkflow(workflowId);
-  if (!workflow) {
+  // Validate workflow (ID or path to a workflow file)
+  let definition;
+  try {
+    definition = getWorkflow(workflowId);
+  } catch (error: any) {
+    console.error(chalk.red(error.message));
+    process.exit(1);
+  }
+  if (!definition) {
     console.error(chalk.red(`Unknown workflow: ${workflowId}`));
     console.log(chalk.gray(`Available workflows: ${getWorkflowIds().join(', ')}`));
     process.exit(1);
   }
+  const projectConfig = getProjectConfig();
+  const checks = options.check ?? projectConfig.checks;
+  const workflow = applyWorkflowDefaults(applyCommandChecks(definition, checks));
+
+  // Validate stage dependencies
+  const validation = validateStageGraph(workflow);
+  if (!validation.valid) {
+    console.error(chalk.red(`Invalid workflow: ${workflowId}`));
+    for (const error of validation.errors) {
+      console.error(chalk.red(`  - ${error}`));
+    }
+    process.exit(1);
+  }
+
+  // Validate scheduling mode
+  if (options.schedule && !Object.values(SchedulingMode).includes(options.schedule)) {
+    console.error(chalk.red(`Unknown scheduling mode: ${options.schedule}`));
+    console.log(chalk.gray(`Available modes: ${Object.values(SchedulingMode).join(', ')}`));
+    process.exit(1);
+  }
+
+  // Validate budget
+  if (options.budget) {
+    try {
+      parseBudget(options.budget);
+    } catch (error: any) {
+      console.error(chalk.red(error.message));
+      process.exit(1);
+    }
+  }
+
+  // Validate context budget
+  let contextTokens: number | undefined;
+  if (options.contextBudget) {
+    try {
+      const { limit, unit } = parseBudget(options.contextBudget);
+      if (unit !== BudgetUnit.TOKENS) {
+        throw new Error(`Context budget must be a token count: ${options.contextBudget}`);
+      }
+      contextTokens = limit;
+    } catch (error: any) {
+      console.error(chalk.red(error.message));
+      process.exit(1);
+    }
+  }
+
+  // Parse prompt template variables
+  let variables: Record<string, string>;
+  try {
+    variables = parseVariables(options.var);
+  } catch (error: any) {
+    console.error(chalk.red(error.message));
+    process.exit(1);
+  }
 
-  // Check Claude availability
-  spinner.start('Checking Claude CLI availability...');
-  const claudeAvailable = await isClaudeAvailable();
-  if (!claudeAvailable) {
-    spinner.fail('Claude CLI is not available');
-    console.error(chalk.red('Please ensure Claude CLI is installed and in your PATH'));
+  // Parse and check prompt version pins
+  let promptVersions: Record<string, string>;
+  try {
+    promptVersions = parsePromptVersions(options.promptVersion);
+    const pins = { ...workflow.options?.prompts?.versions, ...promptVersions };
+    for (const [agentType, version] of Object.entries(pins)) {
+      getPromptLoader().getPromptVersion(agentType, { version: version as string, workflowId: workflow.id });
+    }
+  } catch (error: any) {
+    console.error(chalk.red(error.message));
     process.exit(1);
   }
-  spinner.succeed('Claude CLI available');
+
+  // Validate conflict resolver
+  if (options.conflictResolver && !getAgentConfig(options.conflictResolver)) {
+    console.error(chalk.red(`Unknown conflict resolver agent: ${options.conflictResolver}`));
+    process.exit(1);
+  }
+
+  // Resolve agent backends
+  let backendOptions: BackendOptions;
+  try {
+    backendOptions = parseBackendOption(options.backend, options.backendScript);
+    backendOptions = applyFixtureOptions(backendOptions, options);
+  } catch (error: any) {
+    console.error(chalk.red(error.message));
+    process.exit(1);
+  }
+
+  // Check availability of every backend the workflow will use
+  const agentTypes = [...new Set<string>([
+    ...workflow.stages.flatMap((s: any) => s.agents),
+    getConflictResolution(workflow, options).agentType
+  ])];
+  const specs = new Map<string, any>();
+  for (const agentType of agentTypes) {
+    const spec = resolveBackendSpec(agentType, [backendOptions, workflow.options]);
+    specs.set(JSON.stringify(spec), spec);
+  }
+
+  for (const spec of specs.values()) {
+    spinner.start(`Checking ${spec.type} backend availability...`);
+    const backend = createBackend(spec);
+    if (!await backend.isAvailable()) {
+      spinner.fail(`${spec.type} backend is not available`);
+      console.error(chalk.red(backend.getUnavailableReason()));
+      process.exit(1);
+    }
+    spinner.succeed(`${spec.type} backend available`);
+  }
 
   // Configure model selector
   if (options.maxTier) {
@@ -48,16 +172,48 @@ export async function runCommand(workflowId: string, options: RunOptions): Promi
 
   // Build context
   const context = {
-    projectName: options.project || 'mobile-app',
+    ...variables,
+    projectName: options.project || projectConfig.projectName || 'mobile-app',
+    projectType: projectConfig.projectType || '',
     description: options.description || '',
     timestamp: new Date().toISOString()
   };
 
+  // Check prompt templates up front when unknown variables are an error
+  if (options.strictPrompts ?? workflow.options?.prompts?.strict) {
+    const promptLoader = getPromptLoader();
+    let invalid = false;
+    for (const agentType of agentTypes) {
+      const version = promptVersions[agentType] ?? workflow.options?.prompts?.versions?.[agentType];
+      const errors = promptLoader.checkPromptTemplate(promptLoader.loadPrompt(agentType, { version, workflowId: workflow.id }), {
+        strict: true,
+        workflowId: workflow.id,
+        variables: [
+          ...Object.keys(context),
+          ...(getAgentConfig(agentType)?.dependencies || []).map((dep: string) => `${dep}_output`)
+        ]
+      });
+      for (const error of errors) {
+        console.error(chalk.red(`${agentType} prompt: ${error}`));
+        invalid = true;
+      }
+    }
+    if (invalid) {
+      process.exit(1);
+    }
+  }
+
   // Dry run - show what would be executed
   if (options.dryRun) {
     console.log(chalk.bold('\nDry Run - Workflow Plan:\n'));
     console.log(chalk.cyan(`Workflow: ${workflow.name}`));
     console.log(chalk.gray(workflow.description));
+    console.log(chalk.gray(`Scheduling: ${options.schedule || workflow.options?.scheduling || SchedulingMode.STAGE}`));
+    if (options.budget) {
+      const agentTypes = workflow.stages.flatMap((s: any) => s.agents);
+      const estimate = getModelSelector().estimateCost(agentTypes);
+      console.log(chalk.gray(`Budget: ${options.budget} (estimated cost: $${estimate.estimatedUsd.toFixed(2)})`));
+    }
     console.log();
 
     console.log(chalk.bold('Stages:'));
@@ -67,6 +223,13 @@ export async function runCommand(workflowId: string, options: RunOptions): Promi
       console.log(chalk.gray(`    ${stage.description}`));
       console.log(chalk.gray(`    Mode: ${stage.executionMode}`));
       console.log(chalk.gray(`    Agents: ${stage.agents.join(', ')}`));
+      if (stage.dependencies?.length > 0) {
+        console.log(chalk.gray(`    Depends on: ${stage.dependencies.join(', ')}`));
+      }
+      if (stage.gate) {
+        const commands = stage.gate.commands ? ` (${stage.gate.commands.join(', ')})` : '';
+        console.log(chalk.gray(`    Gate: ${stage.gate.type}${commands}`));
+      }
     }
     return;
   }
@@ -125,6 +288,24 @@ export async function runCommand(workflowId: string, options: RunOptions): Promi
     spinner.fail(`  ${agentType} failed: ${error}`);
   });
 
+  engine.on('loop_iteration', ({ stageName, iteration, max, until, satisfied }) => {
+    if (satisfied) {
+      console.log(chalk.green(`  ↻ ${stageName}: ${until} reached in iteration ${iteration}`));
+    } else if (iteration < max) {
+      console.log(chalk.yellow(`  ↻ ${stageName}: ${until} not reached, starting iteration ${iteration + 1}/${max}`));
+    }
+  });
+
+  engine.on('quality_gate_completed', ({ passed, results }) => {
+    for (const result of results) {
+      const icon = result.exitCode === 0 ? chalk.green('✓') : chalk.red('✗');
+      console.log(`  ${icon} ${chalk.gray(`$ ${result.command}`)}`);
+    }
+    if (!passed) {
+      console.log(chalk.yellow('  Quality gate failed, sending output back to the developers'));
+    }
+  });
+
   engine.on('stage_completed', ({ stageName }) => {
     console.log(chalk.green(`✓ Stage completed: ${stageName}`));
   });
@@ -136,9 +317,45 @@ export async function runCommand(workflowId: string, options: RunOptions): Promi
   try {
     const run = await engine.startWorkflow(workflow, context, {
       createBranch: options.branch !== false,
-      createPR: options.pr !== false
+      createPR: options.pr !== false,
+      worktrees: options.worktrees !== false,
+      rebaseOnto: options.rebaseOnto,
+      conflictResolver: options.conflictResolver,
+      scheduling: options.schedule,
+      budget: options.budget,
+      contextBudget: { maxTokens: contextTokens, summarize: options.summarizeContext },
+      prompts: { strict: options.strictPrompts, versions: promptVersions },
+      checks,
+      ...backendOptions
     });
 
+    if (run.status === 'paused' && run.pendingGates.length > 0) {
+      spinner.stop();
+      console.log(chalk.bold.yellow(`\n⏸ Workflow paused: awaiting approval of ${run.pendingGates.join(', ')}`));
+      console.log(chalk.yellow(`\nUse "agentic-builder approve ${run.sessionId} [--reject --comment \"...\"]" to continue`));
+      return;
+    }
+
+    if (run.status === 'paused' && run.conflict) {
+      spinner.stop();
+      console.log(chalk.bold.yellow('\n⏸ Workflow paused: unresolved merge conflict'));
+      console.log(chalk.gray(`  ${run.error}`));
+      console.log(chalk.yellow(
+        run.conflict.operation === 'rebase'
+          ? `\nRebase ${run.conflict.branch} onto ${run.conflict.into} by hand, then use "agentic-builder resume ${run.sessionId}" to continue`
+          : `\nMerge ${run.conflict.branch} into ${run.conflict.into} by hand, then use "agentic-builder resume ${run.sessionId}" to continue`
+      ));
+      return;
+    }
+
+    if (run.status === 'paused') {
+      spinner.stop();
+      console.log(chalk.bold.yellow('\n⏸ Workflow paused: budget exhausted'));
+      console.log(chalk.gray(`  ${run.error}`));
+      console.log(chalk.yellow(`\nUse "agentic-builder resume ${run.sessionId} --budget <value>" to continue with a raised budget`));
+      return;
+    }
+
     console.log(chalk.bold.green('\n✓ Workflow completed successfully!'));
     console.log(chalk.gray(`  Session: ${run.sessionId}`));
     if (run.gitBranch) {
@@ -161,4 +378,106 @@ export async function runCommand(workflowId: string, options: RunOptions): Promi
   }
 }
 
+interface BackendOptions {
+  backend?: any;
+  agentBackends?: Record<string, any>;
+}
+
+/**
+ * Parse the --var options ("name=value") into prompt template variables
+ * Variables are added to the run context, so agents also see them in their
+ * task context.
+ */
+function parseVariables(values: string[] = []): Record<string, string> {
+  const variables: Record<string, string> = {};
+
+  for (const value of values) {
+    const separator = value.indexOf('=');
+    const name = value.slice(0, separator).trim();
+    if (separator === -1 || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+      throw new Error(`Invalid variable: ${value} (expected name=value)`);
+    }
+    variables[name] = value.slice(separator + 1);
+  }
+
+  return variables;
+}
+
+/**
+ * Parse the --prompt-version options ("AGENT=version")
+ */
+function parsePromptVersions(values: string[] = []): Record<string, string> {
+  const versions: Record<string, string> = {};
+
+  for (const value of values) {
+    const [agentType, version] = value.split('=').map(part => part.trim());
+    if (!agentType || !version) {
+      throw new Error(`Invalid prompt version: ${value} (expected AGENT=version)`);
+    }
+    if (!getAgentConfig(agentType)) {
+      throw new Error(`Unknown agent type: ${agentType}`);
+    }
+    versions[agentType] = version;
+  }
+
+  return versions;
+}
+
+/**
+ * Parse the --backend option
+ * Accepts a default backend and/or per-agent selections, e.g.
+ * "http" or "cli,DOE=scripted,DEV_FRONTEND=http"
+ */
+function parseBackendOption(value?: string, script?: string): BackendOptions {
+  const result: BackendOptions = {};
+  if (!value) {
+    return result;
+  }
+
+  const toSpec = (type: string) => {
+    if (!getBackendTypes().includes(type)) {
+      throw new Error(`Unknown backend: ${type}. Available backends: ${getBackendTypes().join(', ')}`);
+    }
+    return type === BackendType.SCRIPTED && script ? { type, script } : type;
+  };
+
+  for (const part of value.split(',').map(p => p.trim()).filter(Boolean)) {
+    const [agentType, type] = part.includes('=') ? part.split('=') : [null, part];
+    if (agentType) {
+      result.agentBackends = { ...result.agentBackends, [agentType.trim()]: toSpec(type.trim()) };
+    } else {
+      result.backend = toSpec(type);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Apply --record / --replay to the selected backends
+ * Recording wraps every selected backend; replay replaces them all.
+ */
+function applyFixtureOptions(backendOptions: BackendOptions, options: RunOptions): BackendOptions {
+  if (options.record && options.replay) {
+    throw new Error('--record and --replay cannot be used together');
+  }
+
+  if (options.replay) {
+    return { backend: { type: BackendType.REPLAY, fixtures: options.replay } };
+  }
+
+  if (options.record) {
+    const record = (spec: any) => ({ type: BackendType.RECORD, fixtures: options.record, backend: spec });
+    const agentBackends = Object.fromEntries(
+      Object.entries(backendOptions.agentBackends || {}).map(([agentType, spec]) => [agentType, record(spec)])
+    );
+    return {
+      backend: record(backendOptions.backend || BackendType.CLI),
+      agentBackends
+    };
+  }
+
+  return backendOptions;
+}
+
 export default runCommand;
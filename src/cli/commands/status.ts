@@ -5,7 +5,7 @@
 import chalk from 'chalk';
 import { getSessionManager } from '../../../orchestration/session-manager.js';
 import { getWorkflowEngine } from '../../../orchestration/workflow-engine.js';
-import { getWorkflow } from '../../../orchestration/predefined-workflows.js';
+import { getSessionWorkflow } from '../../../orchestration/predefined-workflows.js';
 import { getAgentConfig } from '../../../orchestration/agent-configs.js';
 
 interface StatusOptions {
@@ -32,7 +32,12 @@ export async function statusCommand(id: string, options: StatusOptions): Promise
   }
 
   // Get workflow info
-  const workflow = getWorkflow(session.workflowId);
+  let workflow;
+  try {
+    workflow = getSessionWorkflow(session);
+  } catch {
+    // Workflow file was moved or became invalid; fall back to the ID
+  }
 
   // Check if session has active run (for zombie detection)
   const hasActiveRun = engine.hasActiveRun(session.id);
@@ -71,8 +76,44 @@ export async function statusCommand(id: string, options: StatusOptions): Promise
   // Progress
   console.log();
   console.log(chalk.bold('Progress:'));
-  console.log(`  ${chalk.gray('Current Stage:')} ${session.currentStage + 1}/${workflow?.stages.length || '?'}`);
+  const completedStages: string[] = session.completedStages || [];
+  console.log(`  ${chalk.gray('Completed Stages:')} ${completedStages.length}/${workflow?.stages.length || '?'}`);
+  if (completedStages.length > 0 && options.verbose) {
+    console.log(chalk.gray(`    ${completedStages.join(', ')}`));
+  }
   console.log(`  ${chalk.gray('Completed Agents:')} ${session.completedAgents.length}`);
+
+  // Stage loops
+  const loops = Object.entries(session.loops || {}) as [string, any][];
+  if (loops.length > 0) {
+    console.log(`  ${chalk.gray('Loops:')}`);
+    for (const [stageName, loop] of loops) {
+      const loopColor = loop.status === 'satisfied' ? chalk.green :
+                        loop.status === 'exhausted' ? chalk.red :
+                        chalk.yellow;
+      console.log(`    ${stageName}: iteration ${loop.iteration}/${loop.max} until ${loop.until} ${loopColor(`(${loop.status})`)}`);
+      if (options.verbose) {
+        for (const entry of loop.history) {
+          const tasks = Object.entries(entry.tasks || {})
+            .map(([agentType, taskId]) => `${agentType} ${taskId || '-'}`)
+            .join(', ');
+          console.log(chalk.gray(`      #${entry.iteration} ${entry.status}: ${tasks}`));
+        }
+      }
+    }
+  }
+
+  // Approval gates
+  const gates = Object.entries(session.gates || {}) as [string, any][];
+  if (gates.length > 0) {
+    console.log(`  ${chalk.gray('Gates:')}`);
+    for (const [stageName, gate] of gates) {
+      const gateColor = gate.status === 'approved' ? chalk.green :
+                        gate.status === 'rejected' ? chalk.red :
+                        chalk.yellow;
+      console.log(`    ${stageName}: ${gateColor(gate.status)}${gate.comment ? chalk.gray(` - ${gate.comment}`) : ''}`);
+    }
+  }
   console.log(`  ${chalk.gray('Checkpoints:')} ${session.checkpoints.length}`);
 
   // Agent executions
@@ -86,8 +127,16 @@ export async function statusCommand(id: string, options: StatusOptions): Promise
                          exec.status === 'failed' ? chalk.red('✗') :
                          chalk.yellow('○');
 
-      console.log(`  ${statusIcon} ${config?.name || exec.agentType}`);
+      const iteration = exec.iteration ? chalk.gray(` (iteration ${exec.iteration})`) : '';
+      console.log(`  ${statusIcon} ${config?.name || exec.agentType}${iteration}`);
+
+      if (exec.taskId) {
+        console.log(chalk.gray(`      Task: ${exec.taskId}`));
+      }
 
+      if (exec.prompt) {
+        console.log(chalk.gray(`      Prompt: ${exec.prompt.version || 'unversioned'} (${exec.prompt.hash.slice(0, 12)})`));
+      }
       if (exec.tokensUsed) {
         console.log(chalk.gray(`      Tokens: ${exec.tokensUsed}`));
       }
@@ -104,6 +153,10 @@ export async function statusCommand(id: string, options: StatusOptions): Promise
   console.log();
   console.log(chalk.bold('Statistics:'));
   console.log(`  ${chalk.gray('Total Tokens:')} ${session.metadata.totalTokens.toLocaleString()}`);
+  console.log(`  ${chalk.gray('Total Cost:')} $${(session.metadata.totalCost || 0).toFixed(4)}`);
+  if (session.options?.budget) {
+    console.log(`  ${chalk.gray('Budget:')} ${session.options.budget}`);
+  }
   console.log(`  ${chalk.gray('Execution Time:')} ${(session.metadata.totalExecutionTime / 1000 / 60).toFixed(1)} minutes`);
 
   // Error info
@@ -129,6 +182,14 @@ export async function statusCommand(id: string, options: StatusOptions): Promise
   if (isZombie) {
     console.log(chalk.yellow('This session appears to be a zombie. Use:'));
     console.log(chalk.gray(`  agentic-builder cancel ${session.id} --force`));
+  } else if (gates.some(([, gate]) => gate.status === 'pending')) {
+    console.log(chalk.yellow('To approve or reject the stage output:'));
+    console.log(chalk.gray(`  agentic-builder approve ${session.id} [--reject --comment "..."]`));
+  } else if (session.status === 'paused' && session.logs[session.logs.length - 1]?.type === 'conflict_unresolved') {
+    const conflict = session.logs[session.logs.length - 1];
+    console.log(chalk.yellow(`Unresolved ${conflict.operation} conflict in: ${conflict.files.join(', ')}`));
+    console.log(chalk.yellow('Resolve it by hand, then resume:'));
+    console.log(chalk.gray(`  agentic-builder resume ${session.id}`));
   } else if (session.status === 'failed' || session.status === 'paused') {
     console.log(chalk.yellow('To resume this session:'));
     console.log(chalk.gray(`  agentic-builder resume ${session.id}`));
@@ -13,6 +13,41 @@ interface UsageOptions {
   breakdown?: boolean;
 }
 
+interface UsageTotals {
+  tokens: number;
+  inputTokens: number;
+  outputTokens: number;
+  cacheTokens: number;
+  cost: number;
+  executions: number;
+  time: number;
+}
+
+function emptyTotals(): UsageTotals {
+  return { tokens: 0, inputTokens: 0, outputTokens: 0, cacheTokens: 0, cost: 0, executions: 0, time: 0 };
+}
+
+/**
+ * Add one recorded agent execution to a usage total
+ * Executions recorded before real usage was captured have no cost; it is estimated.
+ */
+function addExecution(totals: UsageTotals, exec: any): void {
+  totals.tokens += exec.tokensUsed || 0;
+  totals.inputTokens += exec.inputTokens || 0;
+  totals.outputTokens += exec.outputTokens || 0;
+  totals.cacheTokens += (exec.cacheReadTokens || 0) + (exec.cacheWriteTokens || 0);
+  totals.cost += exec.costUsd ?? estimateTokenCost(exec.tokensUsed || 0);
+  totals.executions++;
+  totals.time += exec.executionTime || 0;
+}
+
+/**
+ * Model tier an execution ran on (recorded since budgets were added)
+ */
+function getExecutionTier(exec: any): string {
+  return exec.model || getAgentConfig(exec.agentType)?.defaultModel || ModelTier.SONNET;
+}
+
 export async function usageCommand(options: UsageOptions): Promise<void> {
   const sessionManager = getSessionManager();
 
@@ -39,16 +74,21 @@ export async function usageCommand(options: UsageOptions): Promise<void> {
   // Aggregate statistics
   const stats = {
     totalTokens: 0,
+    totalCost: 0,
     totalExecutionTime: 0,
     sessionCount: sessions.length,
     completedSessions: 0,
     failedSessions: 0,
-    agentUsage: new Map<string, { tokens: number; executions: number; time: number }>()
+    agentUsage: new Map<string, UsageTotals & { models: Set<string> }>(),
+    tierUsage: new Map<string, UsageTotals>()
   };
 
-  // Initialize agent usage
+  // Initialize agent and tier usage
   for (const type of getAllAgentTypes()) {
-    stats.agentUsage.set(type, { tokens: 0, executions: 0, time: 0 });
+    stats.agentUsage.set(type, { ...emptyTotals(), models: new Set() });
+  }
+  for (const tier of Object.values(ModelTier) as string[]) {
+    stats.tierUsage.set(tier, emptyTotals());
   }
 
   // Aggregate
@@ -59,14 +99,19 @@ export async function usageCommand(options: UsageOptions): Promise<void> {
     if (session.status === 'completed') stats.completedSessions++;
     if (session.status === 'failed') stats.failedSessions++;
 
-    // Agent breakdown
+    // Agent and tier breakdown
     for (const exec of session.metadata.agentExecutions) {
+      const tier = getExecutionTier(exec);
       const usage = stats.agentUsage.get(exec.agentType);
       if (usage) {
-        usage.tokens += exec.tokensUsed || 0;
-        usage.executions++;
-        usage.time += exec.executionTime || 0;
+        addExecution(usage, exec);
+        usage.models.add(tier);
+      }
+      const tierUsage = stats.tierUsage.get(tier);
+      if (tierUsage) {
+        addExecution(tierUsage, exec);
       }
+      stats.totalCost += exec.costUsd ?? estimateTokenCost(exec.tokensUsed || 0);
     }
   }
 
@@ -80,9 +125,7 @@ export async function usageCommand(options: UsageOptions): Promise<void> {
   console.log(`  ${chalk.gray('Total Tokens:')} ${stats.totalTokens.toLocaleString()}`);
   console.log(`  ${chalk.gray('Total Time:')} ${formatDuration(stats.totalExecutionTime)}`);
 
-  // Estimate cost (very rough)
-  const estimatedCost = estimateTokenCost(stats.totalTokens);
-  console.log(`  ${chalk.gray('Est. Cost:')} $${estimatedCost.toFixed(2)}`);
+  console.log(`  ${chalk.gray('Total Cost:')} $${stats.totalCost.toFixed(2)}`);
 
   // Agent breakdown
   if (options.breakdown) {
@@ -92,33 +135,42 @@ export async function usageCommand(options: UsageOptions): Promise<void> {
       chalk.gray(
         '  ' +
         'AGENT'.padEnd(16) +
-        'TOKENS'.padEnd(14) +
-        'EXECUTIONS'.padEnd(12) +
-        'AVG TIME'.padEnd(12) +
+        'TOKENS'.padEnd(12) +
+        'INPUT'.padEnd(12) +
+        'OUTPUT'.padEnd(12) +
+        'CACHE'.padEnd(12) +
+        'COST'.padEnd(10) +
+        'RUNS'.padEnd(6) +
+        'AVG TIME'.padEnd(10) +
         'MODEL'
       )
     );
-    console.log(chalk.gray('  ' + '-'.repeat(70)));
+    console.log(chalk.gray('  ' + '-'.repeat(100)));
 
     const sortedAgents = [...stats.agentUsage.entries()]
       .filter(([, usage]) => usage.executions > 0)
       .sort((a, b) => b[1].tokens - a[1].tokens);
 
     for (const [type, usage] of sortedAgents) {
-      const config = getAgentConfig(type);
       const avgTime = usage.executions > 0 ? usage.time / usage.executions : 0;
+      const models = [...usage.models];
 
-      const tierColor = config?.defaultModel === ModelTier.OPUS ? chalk.magenta :
-                        config?.defaultModel === ModelTier.SONNET ? chalk.blue :
+      const tierColor = models.length > 1 ? chalk.yellow :
+                        models[0] === ModelTier.OPUS ? chalk.magenta :
+                        models[0] === ModelTier.SONNET ? chalk.blue :
                         chalk.green;
 
       console.log(
         '  ' +
         chalk.cyan(type.padEnd(16)) +
-        usage.tokens.toLocaleString().padEnd(14) +
-        usage.executions.toString().padEnd(12) +
-        formatDuration(avgTime).padEnd(12) +
-        tierColor(config?.defaultModel || 'unknown')
+        usage.tokens.toLocaleString().padEnd(12) +
+        usage.inputTokens.toLocaleString().padEnd(12) +
+        usage.outputTokens.toLocaleString().padEnd(12) +
+        usage.cacheTokens.toLocaleString().padEnd(12) +
+        `$${usage.cost.toFixed(2)}`.padEnd(10) +
+        usage.executions.toString().padEnd(6) +
+        formatDuration(avgTime).padEnd(10) +
+        tierColor(models.join(', ') || 'unknown')
       );
     }
   }
@@ -126,22 +178,7 @@ export async function usageCommand(options: UsageOptions): Promise<void> {
   // Model tier breakdown
   console.log(chalk.bold('\nBreakdown by Model Tier:\n'));
 
-  const tierStats = new Map<string, { tokens: number; executions: number }>();
-  for (const tier of Object.values(ModelTier)) {
-    tierStats.set(tier, { tokens: 0, executions: 0 });
-  }
-
-  for (const [type, usage] of stats.agentUsage.entries()) {
-    const config = getAgentConfig(type);
-    const tier = config?.defaultModel || ModelTier.SONNET;
-    const tierUsage = tierStats.get(tier);
-    if (tierUsage) {
-      tierUsage.tokens += usage.tokens;
-      tierUsage.executions += usage.executions;
-    }
-  }
-
-  for (const [tier, usage] of tierStats.entries()) {
+  for (const [tier, usage] of stats.tierUsage.entries()) {
     if (usage.executions > 0) {
       const tierColor = tier === ModelTier.OPUS ? chalk.magenta :
                         tier === ModelTier.SONNET ? chalk.blue :
@@ -151,6 +188,7 @@ export async function usageCommand(options: UsageOptions): Promise<void> {
         '  ' +
         tierColor(tier.toUpperCase().padEnd(10)) +
         `${usage.tokens.toLocaleString()} tokens`.padEnd(20) +
+        `$${usage.cost.toFixed(2)}`.padEnd(10) +
         `${usage.executions} executions`
       );
     }
@@ -179,8 +217,13 @@ async function showSessionUsage(sessionId: string): Promise<void> {
   console.log(`  ${chalk.gray('Total Tokens:')} ${session.metadata.totalTokens.toLocaleString()}`);
   console.log(`  ${chalk.gray('Total Time:')} ${formatDuration(session.metadata.totalExecutionTime)}`);
 
-  const estimatedCost = estimateTokenCost(session.metadata.totalTokens);
-  console.log(`  ${chalk.gray('Est. Cost:')} $${estimatedCost.toFixed(4)}`);
+  const totals = emptyTotals();
+  for (const exec of session.metadata.agentExecutions) {
+    addExecution(totals, exec);
+  }
+  console.log(`  ${chalk.gray('Input / Output:')} ${totals.inputTokens.toLocaleString()} / ${totals.outputTokens.toLocaleString()}`);
+  console.log(`  ${chalk.gray('Cache Tokens:')} ${totals.cacheTokens.toLocaleString()}`);
+  console.log(`  ${chalk.gray('Cost:')} $${totals.cost.toFixed(4)}`);
 
   if (session.metadata.agentExecutions.length > 0) {
     console.log(chalk.bold('\nAgent Executions:\n'));
@@ -191,8 +234,15 @@ async function showSessionUsage(sessionId: string): Promise<void> {
                          exec.status === 'failed' ? chalk.red('✗') : chalk.yellow('○');
 
       console.log(`  ${statusIcon} ${chalk.cyan(exec.agentType.padEnd(14))}`);
-      console.log(chalk.gray(`      Tokens: ${(exec.tokensUsed || 0).toLocaleString()}`));
+      console.log(chalk.gray(`      Tokens: ${(exec.tokensUsed || 0).toLocaleString()} (in ${(exec.inputTokens || 0).toLocaleString()}, out ${(exec.outputTokens || 0).toLocaleString()}, cache ${((exec.cacheReadTokens || 0) + (exec.cacheWriteTokens || 0)).toLocaleString()})`));
+      console.log(chalk.gray(`      Model: ${getExecutionTier(exec)}`));
+      if (exec.costUsd !== undefined) {
+        console.log(chalk.gray(`      Cost: $${exec.costUsd.toFixed(4)}`));
+      }
       console.log(chalk.gray(`      Time: ${formatDuration(exec.executionTime || 0)}`));
+      if (exec.cliSessionId) {
+        console.log(chalk.gray(`      CLI Session: ${exec.cliSessionId}`));
+      }
       if (exec.error) {
         console.log(chalk.red(`      Error: ${exec.error}`));
       }
@@ -207,7 +257,7 @@ function formatDuration(ms: number): string {
 }
 
 function estimateTokenCost(tokens: number): number {
-  // Very rough estimate assuming average pricing
+  // Very rough estimate for sessions recorded without cost, assuming average pricing
   // Input: ~$3/M tokens, Output: ~$15/M tokens
   // Assuming 70% input, 30% output
   const inputCost = (tokens * 0.7) * 0.000003;
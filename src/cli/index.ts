@@ -6,6 +6,7 @@
 
 import { Command } from 'commander';
 import chalk from 'chalk';
+import path from 'path';
 
 // Import commands
 import { runCommand } from './commands/run.js';
@@ -13,8 +14,12 @@ import { statusCommand } from './commands/status.js';
 import { listCommand } from './commands/list.js';
 import { cancelCommand } from './commands/cancel.js';
 import { resumeCommand } from './commands/resume.js';
+import { approveCommand } from './commands/approve.js';
 import { logsCommand } from './commands/logs.js';
 import { usageCommand } from './commands/usage.js';
+import { configShowCommand } from './commands/config.js';
+import { initCommand } from './commands/init.js';
+import { promptsShowCommand, promptsVersionsCommand, promptsSaveCommand, promptsCompareCommand } from './commands/prompts.js';
 
 const program = new Command();
 
@@ -23,15 +28,49 @@ program
   .description('Multi-agent orchestration framework for mobile app development')
   .version('1.0.0');
 
+// Apply the project config and register custom agents and plugins before any
+// command resolves agents or workflows
+program.hook('preAction', async () => {
+  const { applyProjectConfig } = await import('../../orchestration/project-config.js');
+  try {
+    applyProjectConfig();
+  } catch (error: any) {
+    console.error(chalk.red(error.message));
+    process.exit(1);
+  }
+
+  const { loadCustomAgents } = await import('../../orchestration/agent-registry.js');
+  try {
+    await loadCustomAgents();
+  } catch (error: any) {
+    console.error(chalk.yellow(`Warning: ${error.message}`));
+  }
+});
+
 // Run command - Start a workflow
 program
   .command('run <workflow>')
-  .description('Start a workflow execution')
-  .option('-p, --project <name>', 'Project name')
+  .description('Start a workflow execution (workflow ID or path to a YAML/JSON workflow file)')
+  .option('-p, --project <name>', 'Project name (default: projectName of the project config)')
   .option('-d, --description <desc>', 'Project description')
-  .option('--max-tier <tier>', 'Maximum model tier (haiku, sonnet, opus)', 'opus')
+  .option('--max-tier <tier>', 'Maximum model tier (haiku, sonnet, opus; default: opus or the project config\'s maxTier)')
+  .option('--schedule <mode>', 'Scheduling mode: stage (stage barriers) or agent (per-agent dependencies)')
+  .option('--backend <spec>', 'Agent backend (cli, http, scripted), optionally per agent: cli,DOE=scripted')
+  .option('--backend-script <path>', 'Response script (.json or .js) for the scripted backend')
+  .option('--record <dir>', 'Record agent prompts and responses as fixtures in <dir>')
+  .option('--replay <dir>', 'Replay recorded fixtures from <dir> instead of calling a backend')
+  .option('--budget <value>', 'Budget cap in USD ($5, 5usd) or tokens (200000, 200k); pauses the run when exceeded')
+  .option('--context-budget <tokens>', 'Token budget of each agent\'s context (default: 50k)')
+  .option('--summarize-context', 'Summarize outputs with a cheap model when the context budget is exceeded')
+  .option('--var <name=value>', 'Prompt template variable, added to the project context (repeatable)', (value: string, previous: string[] = []) => [...previous, value])
+  .option('--strict-prompts', 'Fail agents whose prompt templates use unknown variables')
+  .option('--prompt-version <agent=version>', 'Run an agent with a recorded prompt version (repeatable)', (value: string, previous: string[] = []) => [...previous, value])
+  .option('--check <command>', 'Command that must pass after development stages (repeatable; replaces the project config\'s checks)', (value: string, previous: string[] = []) => [...previous, value])
   .option('--no-branch', 'Skip git branch creation')
   .option('--no-pr', 'Skip PR creation')
+  .option('--no-worktrees', 'Run parallel agents in the main checkout instead of separate git worktrees')
+  .option('--rebase-onto <branch>', 'Rebase the workflow branch onto <branch> (e.g. main) before creating the PR')
+  .option('--conflict-resolver <agent>', 'Agent that resolves merge conflicts (default: CQR)')
   .option('--dry-run', 'Show what would be executed without running')
   .action(runCommand);
 
@@ -67,8 +106,19 @@ program
   .command('resume <id>')
   .description('Resume a failed or paused workflow from last checkpoint')
   .option('--from-stage <n>', 'Resume from specific stage')
+  .option('--budget <value>', 'Replace the session budget cap (e.g. to continue a paused run)')
   .action(resumeCommand);
 
+// Approve command - Decide on a stage waiting at an approval gate
+program
+  .command('approve <id>')
+  .description('Approve (or reject) a stage waiting at an approval gate and continue')
+  .option('--stage <name>', 'Stage to decide on (when several are awaiting approval)')
+  .option('--reject', 'Reject the stage output; the stage is re-run')
+  .option('-c, --comment <text>', 'Reviewer comment (fed back to the agents on rejection)')
+  .option('--no-resume', 'Record the decision without continuing the workflow')
+  .action(approveCommand);
+
 // Logs command - View execution logs
 program
   .command('logs <id>')
@@ -87,12 +137,68 @@ program
   .option('--breakdown', 'Show breakdown by agent')
   .action(usageCommand);
 
+// Prompts commands - Prompt layers, versions and comparisons
+const prompts = program
+  .command('prompts')
+  .description('Show agent prompts and manage their versions');
+
+prompts
+  .command('show <agent>')
+  .description('Print the effective prompt of an agent')
+  .option('--resolved', 'Show the prompt layers and which layers each section came from')
+  .option('--workflow <id>', 'Apply the prompt overrides of a workflow')
+  .action(promptsShowCommand);
+
+prompts
+  .command('versions <agent>')
+  .description('List the recorded versions of an agent\'s prompt')
+  .action(promptsVersionsCommand);
+
+prompts
+  .command('save <agent>')
+  .description('Record the current prompt of an agent as a new version')
+  .option('--bump <part>', 'Version part to increment: major, minor or patch', 'patch')
+  .option('--as-version <version>', 'Explicit version (e.g. 2.0.0) instead of a bump')
+  .option('-m, --message <text>', 'Description of the change')
+  .action(promptsSaveCommand);
+
+prompts
+  .command('compare <agent> <versionA> <versionB>')
+  .description('Run two prompt versions ("current" for the working prompt) on recorded task contexts and compare the results')
+  .option('--task <id>', 'Recorded task to run (repeatable; default: the latest tasks of the agent)', (value: string, previous: string[] = []) => [...previous, value])
+  .option('-n, --limit <n>', 'Number of latest tasks to run', '5')
+  .option('--backend <type>', 'Agent backend (cli, http, scripted)', 'cli')
+  .option('--backend-script <path>', 'Response script (.json or .js) for the scripted backend')
+  .option('--model <tier>', 'Model tier (default: the agent\'s default model)')
+  .option('--json', 'Output the comparison as JSON')
+  .action(promptsCompareCommand);
+
+// Config commands - Project config
+const config = program
+  .command('config')
+  .description('Show the project config (.agentic-builder.json)');
+
+config
+  .command('show')
+  .description('Print the effective project config, with defaults for unset values')
+  .option('--json', 'Output as JSON')
+  .action(configShowCommand);
+
+// Init command - Scaffold a project
+program
+  .command('init')
+  .description('Set up the project: write .agentic-builder.json, export the default prompts and ignore the state directories')
+  .option('-y, --yes', 'Use the detected settings without asking')
+  .action(initCommand);
+
 // Workflows command - List available workflows
 program
   .command('workflows')
-  .description('List available workflow templates')
+  .description('List available workflow templates (built-in and .agentic/workflows/)')
   .action(async () => {
     const { PREDEFINED_WORKFLOWS } = await import('../../orchestration/predefined-workflows.js');
+    const { discoverWorkflows, formatWorkflowError, WORKFLOW_DIR } = await import('../../orchestration/workflow-loader.js');
+    const { getProjectConfig } = await import('../../orchestration/project-config.js');
 
     console.log(chalk.bold('\nAvailable Workflows:\n'));
 
@@ -102,6 +208,32 @@ program
       console.log(chalk.gray(`    Stages: ${workflow.stages.length}`));
       console.log();
     }
+
+    const discovered = discoverWorkflows({ cwd: getProjectConfig().root, reservedIds: Object.keys(PREDEFINED_WORKFLOWS) });
+    if (discovered.length === 0) {
+      return;
+    }
+
+    console.log(chalk.bold(`Project Workflows (${WORKFLOW_DIR}):\n`));
+
+    for (const { filePath, workflow, errors } of discovered) {
+      if (!workflow) {
+        console.log(chalk.red(`  ✗ ${path.relative(process.cwd(), filePath)}`));
+        for (const error of errors) {
+          console.log(chalk.red(`    ${formatWorkflowError(path.relative(process.cwd(), filePath), error)}`));
+        }
+        console.log();
+        continue;
+      }
+
+      console.log(chalk.cyan(`  ${workflow.id}`));
+      if (workflow.description) {
+        console.log(chalk.gray(`    ${workflow.description}`));
+      }
+      console.log(chalk.gray(`    Stages: ${workflow.stages.length}`));
+      console.log(chalk.gray(`    File: ${path.relative(process.cwd(), filePath)}`));
+      console.log();
+    }
   });
 
 // Agents command - List available agents
@@ -109,19 +241,25 @@ program
   .command('agents')
   .description('List available agent types')
   .action(async () => {
-    const { AGENT_CONFIGS } = await import('../../orchestration/agent-configs.js');
+    const { getAllAgentTypes, getAgentConfig } = await import('../../orchestration/agent-configs.js');
+    const { getAgentRegistry } = await import('../../orchestration/agent-registry.js');
     const { ModelTier } = await import('../../orchestration/types.js');
 
     console.log(chalk.bold('\nAvailable Agents:\n'));
 
-    for (const [type, config] of Object.entries(AGENT_CONFIGS)) {
+    for (const type of getAllAgentTypes()) {
+      const config = getAgentConfig(type);
+      const source = getAgentRegistry().getSource(type);
       const tierColor = config.defaultModel === ModelTier.OPUS ? chalk.magenta :
                         config.defaultModel === ModelTier.SONNET ? chalk.blue :
                         chalk.green;
 
-      console.log(chalk.cyan(`  ${type}`));
+      console.log(chalk.cyan(`  ${type}`) + (source ? chalk.gray(` (custom: ${source})`) : ''));
       console.log(chalk.white(`    ${config.name}`));
-      console.log(chalk.gray(`    ${config.description}`));
+      // Custom agents without a description default it to their name
+      if (config.description !== config.name) {
+        console.log(chalk.gray(`    ${config.description}`));
+      }
       console.log(tierColor(`    Model: ${config.defaultModel}`));
       if (config.dependencies.length > 0) {
         console.log(chalk.gray(`    Depends on: ${config.dependencies.join(', ')}`));
@@ -0,0 +1,51 @@
+/**
+ * Git commit and merge messages
+ */
+
+import { execSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getGitManager } from '../git-manager.js';
+
+// Shell syntax that must end up in the message verbatim
+const MESSAGE = 'Merge $(touch pwned) "quoted" `touch pwned` \\ done';
+
+describe('GitManager messages', () => {
+  let repo;
+  const git = command => execSync(`git ${command}`, { cwd: repo, encoding: 'utf-8', stdio: 'pipe' });
+
+  beforeEach(() => {
+    repo = fs.mkdtempSync(path.join(os.tmpdir(), 'git-manager-'));
+    git('init -q -b main');
+    git('config user.name Test');
+    git('config user.email test@example.com');
+    git('commit -q --allow-empty -m Initial');
+    getGitManager().workingDir = repo;
+  });
+
+  afterEach(() => {
+    fs.rmSync(repo, { recursive: true, force: true });
+  });
+
+  test('commits with the message as given', async () => {
+    fs.writeFileSync(path.join(repo, 'a.txt'), 'a\n');
+
+    expect(await getGitManager().commitAll(MESSAGE)).toBe(true);
+    expect(git('log -1 --format=%B').trim()).toBe(MESSAGE);
+    expect(fs.existsSync(path.join(repo, 'pwned'))).toBe(false);
+  });
+
+  test('merges with the message as given', async () => {
+    git('checkout -q -b feature');
+    fs.writeFileSync(path.join(repo, 'a.txt'), 'a\n');
+    git('add a.txt');
+    git('commit -q -m Feature');
+    git('checkout -q main');
+
+    await getGitManager().mergeBranch('feature', MESSAGE);
+
+    expect(git('log -1 --format=%B').trim()).toBe(MESSAGE);
+    expect(fs.existsSync(path.join(repo, 'pwned'))).toBe(false);
+  });
+});
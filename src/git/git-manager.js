@@ -3,12 +3,40 @@
  * Handles branch creation, commits, and repository state
  */
 
-import { exec } from 'child_process';
+import { exec, execFile } from 'child_process';
 import { promisify } from 'util';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+/**
+ * Quote paths for a git command line
+ * @param {string[]} paths
+ * @returns {string}
+ */
+function quotePaths(paths) {
+  return paths.map(p => `"${p.replace(/(["\\$`])/g, '\\$1')}"`).join(' ');
+}
+
+/**
+ * Error raised when merging or rebasing a branch leaves conflicts
+ * Unless the caller asked to keep it for resolution, the merge or rebase is
+ * aborted; the branch is kept either way.
+ */
+export class MergeConflictError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - { operation: 'merge'|'rebase', branch, into, files }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'MergeConflictError';
+    this.details = details;
+  }
+}
 
 /**
  * GitManager singleton class
@@ -37,15 +65,34 @@ class GitManager {
   /**
    * Execute git command
    * @param {string} command - Git command (without 'git' prefix)
-   * @param {Object} [options] - Execution options
+   * @param {Object} [options] - Execution options ({ cwd, ignoreError, trim })
    * @returns {string} - Command output
    */
   async execGit(command, options = {}) {
-    const { cwd = this.workingDir, ignoreError = false } = options;
+    const { cwd = this.workingDir, ignoreError = false, trim = true } = options;
+
+    try {
+      const { stdout, stderr } = await execAsync(`git ${command}`, { cwd, maxBuffer: 16 * 1024 * 1024 });
+      return trim ? stdout.trim() : stdout;
+    } catch (error) {
+      if (ignoreError) return '';
+      throw new Error(`Git command failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Execute git with an argument list, without a shell
+   * Used for arguments that may contain anything, such as commit messages.
+   * @param {string[]} args - Git arguments
+   * @param {Object} [options] - Execution options ({ cwd, ignoreError, trim })
+   * @returns {string} - Command output
+   */
+  async execGitArgs(args, options = {}) {
+    const { cwd = this.workingDir, ignoreError = false, trim = true } = options;
 
     try {
-      const { stdout, stderr } = await execAsync(`git ${command}`, { cwd });
-      return stdout.trim();
+      const { stdout } = await execFileAsync('git', args, { cwd, maxBuffer: 16 * 1024 * 1024 });
+      return trim ? stdout.trim() : stdout;
     } catch (error) {
       if (ignoreError) return '';
       throw new Error(`Git command failed: ${error.message}`);
@@ -61,7 +108,7 @@ class GitManager {
     await this.init();
 
     // Check if branch already exists
-    const branches = await this.execGit('branch --list', { ignoreError: true });
+    const branches = await this.getBranches();
     if (branches.includes(name)) {
       // Checkout existing branch
       await this.execGit(`checkout ${name}`);
@@ -89,13 +136,28 @@ class GitManager {
    * Commit files with message
    * @param {Array} files - Files to commit [{path, content}]
    * @param {string} message - Commit message
+   * @param {Object} [options]
+   * @param {string} [options.cwd] - Checkout to commit in (e.g. an agent worktree)
    */
-  async commitFiles(files, message) {
+  async commitFiles(files, message, options = {}) {
+    const { cwd = this.workingDir } = options;
+    await this.writeAndStage(files, { cwd });
+    await this.execGitArgs(['commit', '-m', message], { cwd });
+  }
+
+  /**
+   * Write files and stage them
+   * @param {Array} files - Files to write [{path, content}]
+   * @param {Object} [options]
+   * @param {string} [options.cwd] - Checkout to write to
+   */
+  async writeAndStage(files, options = {}) {
     await this.init();
+    const { cwd = this.workingDir } = options;
 
     // Write files
     for (const file of files) {
-      const filePath = path.join(this.workingDir, file.path);
+      const filePath = path.join(cwd, file.path);
       const dir = path.dirname(filePath);
 
       // Ensure directory exists
@@ -107,20 +169,134 @@ class GitManager {
     }
 
     // Stage files
-    const filePaths = files.map(f => f.path).join(' ');
-    await this.execGit(`add ${filePaths}`);
-
-    // Commit
-    await this.execGit(`commit -m "${message.replace(/"/g, '\\"')}"`);
+    await this.execGit(`add -- ${quotePaths(files.map(f => f.path))}`, { cwd });
   }
 
   /**
    * Commit staged changes
    * @param {string} message - Commit message
+   * @param {Object} [options]
+   * @param {string} [options.cwd] - Checkout to commit in
    */
-  async commit(message) {
+  async commit(message, options = {}) {
     await this.init();
-    await this.execGit(`commit -m "${message.replace(/"/g, '\\"')}"`);
+    const { cwd = this.workingDir } = options;
+    await this.execGitArgs(['commit', '-m', message], { cwd });
+  }
+
+  /**
+   * Check if the index has changes to commit
+   * @param {Object} [options]
+   * @param {string} [options.cwd] - Checkout to check
+   * @returns {boolean}
+   */
+  async hasStagedChanges(options = {}) {
+    await this.init();
+    const { cwd = this.workingDir } = options;
+    try {
+      await this.execGit('diff --cached --quiet', { cwd });
+      return false;
+    } catch {
+      return true;
+    }
+  }
+
+  /**
+   * Stage paths, including deletions
+   * Paths that are neither on disk nor in the index, such as a file created
+   * and deleted again, are skipped; git refuses pathspecs that match nothing.
+   * @param {string[]} paths - Paths relative to the checkout
+   * @param {Object} [options]
+   * @param {string} [options.cwd] - Checkout to stage in
+   */
+  async stagePaths(paths, options = {}) {
+    await this.init();
+    const { cwd = this.workingDir } = options;
+    if (paths.length === 0) {
+      return;
+    }
+
+    const indexed = (await this.execGit(`ls-files -z -- ${quotePaths(paths)}`, { cwd })).split('\0');
+    const stageable = paths.filter(p => indexed.includes(p) || fs.existsSync(path.join(cwd, p)));
+    if (stageable.length > 0) {
+      await this.execGit(`add -A -- ${quotePaths(stageable)}`, { cwd });
+    }
+  }
+
+  /**
+   * Restore paths to their committed state
+   * Unstages the paths, checks out those in HEAD and removes the others.
+   * @param {string[]} paths - Paths relative to the checkout
+   * @param {Object} [options]
+   * @param {string} [options.cwd] - Checkout to restore in
+   */
+  async restorePaths(paths, options = {}) {
+    await this.init();
+    const { cwd = this.workingDir } = options;
+    if (paths.length === 0) {
+      return;
+    }
+
+    const committed = (await this.execGit(`ls-tree -r --name-only HEAD -- ${quotePaths(paths)}`, { cwd, ignoreError: true }))
+      .split('\n')
+      .filter(Boolean);
+
+    await this.execGit(`reset -q -- ${quotePaths(paths)}`, { cwd, ignoreError: true });
+    if (committed.length > 0) {
+      await this.execGit(`checkout -q HEAD -- ${quotePaths(committed)}`, { cwd });
+    }
+    for (const file of paths.filter(p => !committed.includes(p))) {
+      fs.rmSync(path.join(cwd, file), { force: true });
+    }
+  }
+
+  /**
+   * Check whether a unified diff applies cleanly
+   * @param {string} diff - Unified diff
+   * @param {Object} [options]
+   * @param {string} [options.cwd] - Checkout to check against
+   * @returns {string|null} - Reason the diff does not apply, or null
+   */
+  async checkPatch(diff, options = {}) {
+    try {
+      await this.runApply(diff, '--check', options);
+      return null;
+    } catch (error) {
+      const reasons = error.message.split('\n')
+        .filter(line => line.startsWith('error: '))
+        .map(line => line.slice('error: '.length));
+      return reasons.join('; ') || error.message;
+    }
+  }
+
+  /**
+   * Apply a unified diff to the working tree (stage the result separately)
+   * @param {string} diff - Unified diff
+   * @param {Object} [options]
+   * @param {string} [options.cwd] - Checkout to apply in
+   */
+  async applyPatch(diff, options = {}) {
+    await this.runApply(diff, '', options);
+  }
+
+  /**
+   * Run git apply with a diff passed through a temporary file
+   * Hunk line counts are recounted, as hand-written diffs often get them wrong.
+   * @param {string} diff - Unified diff
+   * @param {string} mode - '--check', or '' to apply
+   * @param {Object} options - { cwd }
+   */
+  async runApply(diff, mode, { cwd = this.workingDir } = {}) {
+    await this.init();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentic-builder-patch-'));
+    const patchFile = path.join(dir, 'change.diff');
+
+    try {
+      fs.writeFileSync(patchFile, diff.endsWith('\n') ? diff : `${diff}\n`);
+      await this.execGit(`apply --recount --whitespace=nowarn ${mode} "${patchFile}"`, { cwd });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
   }
 
   /**
@@ -154,12 +330,19 @@ class GitManager {
     const staged = [];
     const unstaged = [];
     const untracked = [];
+    const conflicted = [];
 
     for (const line of lines) {
       const index = line[0];
       const worktree = line[1];
       const file = line.slice(3);
 
+      // Unmerged paths: both sides modified, added or deleted
+      if (index === 'U' || worktree === 'U' || (index === 'A' && worktree === 'A') || (index === 'D' && worktree === 'D')) {
+        conflicted.push(file);
+        continue;
+      }
+
       if (index === '?') {
         untracked.push(file);
       } else if (index !== ' ') {
@@ -175,7 +358,8 @@ class GitManager {
       clean: lines.length === 0,
       staged,
       unstaged,
-      untracked
+      untracked,
+      conflicted
     };
   }
 
@@ -188,6 +372,16 @@ class GitManager {
     return this.execGit('rev-parse --abbrev-ref HEAD');
   }
 
+  /**
+   * List tracked files
+   * @returns {string[]} - Paths relative to the repository root
+   */
+  async listFiles() {
+    await this.init();
+    const output = await this.execGit('ls-files -z', { ignoreError: true });
+    return output.split('\0').filter(Boolean);
+  }
+
   /**
    * Check if working directory is clean
    * @returns {boolean}
@@ -293,7 +487,7 @@ class GitManager {
     await this.init();
     const output = await this.execGit('branch --list');
     return output.split('\n')
-      .map(b => b.replace(/^\*?\s*/, '').trim())
+      .map(b => b.replace(/^[*+]?\s*/, '').trim())
       .filter(Boolean);
   }
 
@@ -313,8 +507,7 @@ class GitManager {
    */
   async stash(message) {
     await this.init();
-    const cmd = message ? `stash push -m "${message}"` : 'stash';
-    await this.execGit(cmd);
+    await this.execGitArgs(message ? ['stash', 'push', '-m', message] : ['stash']);
   }
 
   /**
@@ -336,6 +529,243 @@ class GitManager {
     return this.execGit(`remote get-url ${remote}`, { ignoreError: true });
   }
 
+  /**
+   * List configured remotes
+   * @returns {string[]} - Remote names
+   */
+  async getRemotes() {
+    await this.init();
+    const output = await this.execGit('remote', { ignoreError: true });
+    return output.split('\n').filter(Boolean);
+  }
+
+  /**
+   * Get the default branch of a remote (its HEAD), falling back to the
+   * current branch when the remote has none, and to "main" without either
+   * @param {string} remote - Remote name
+   * @returns {string}
+   */
+  async getDefaultBranch(remote = 'origin') {
+    await this.init();
+    const head = await this.execGit(`symbolic-ref --short refs/remotes/${remote}/HEAD`, { ignoreError: true });
+    if (head.startsWith(`${remote}/`)) {
+      return head.slice(remote.length + 1);
+    }
+    // symbolic-ref also names the branch of a repository without commits
+    return await this.execGit('symbolic-ref --short HEAD', { ignoreError: true }) || 'main';
+  }
+
+  /**
+   * Get the top-level directory of the repository
+   * @returns {string}
+   */
+  async getRepositoryRoot() {
+    await this.init();
+    return this.execGit('rev-parse --show-toplevel');
+  }
+
+  /**
+   * Stage and commit all changes in a checkout, if there are any
+   * @param {string} message - Commit message
+   * @param {Object} [options]
+   * @param {string} [options.cwd] - Checkout to commit in
+   * @returns {boolean} - Whether a commit was made
+   */
+  async commitAll(message, options = {}) {
+    await this.init();
+    const { cwd = this.workingDir } = options;
+
+    await this.execGit('add -A', { cwd });
+    const staged = await this.execGit('diff --cached --name-only', { cwd });
+    if (!staged) {
+      return false;
+    }
+
+    await this.execGitArgs(['commit', '-m', message], { cwd });
+    return true;
+  }
+
+  /**
+   * List the linked worktrees of the repository (not the main checkout)
+   * @returns {Array<{path: string, branch: string|null}>}
+   */
+  async listWorktrees() {
+    await this.init();
+    const output = await this.execGit('worktree list --porcelain', { ignoreError: true });
+    return output.split('\n\n').slice(1).map(entry => {
+      const lines = entry.split('\n');
+      const branch = lines.find(line => line.startsWith('branch '));
+      return {
+        path: lines.find(line => line.startsWith('worktree ')).slice('worktree '.length),
+        branch: branch ? branch.slice('branch refs/heads/'.length) : null
+      };
+    });
+  }
+
+  /**
+   * Create a worktree with a new branch
+   * An existing branch of the same name is reset to the base branch; a
+   * worktree left behind by an interrupted run that still has the branch
+   * checked out is removed first.
+   * @param {string} dir - Worktree directory (outside the main checkout)
+   * @param {string} branch - Branch to create in the worktree
+   * @param {string} baseBranch - Branch the new branch starts from
+   * @returns {{path: string, branch: string}}
+   */
+  async addWorktree(dir, branch, baseBranch) {
+    await this.init();
+    await this.removeWorktree(dir);
+    for (const worktree of await this.listWorktrees()) {
+      if (worktree.branch === branch) {
+        await this.removeWorktree(worktree.path);
+      }
+    }
+    fs.mkdirSync(path.dirname(dir), { recursive: true });
+    await this.execGit(`worktree add -B ${branch} "${dir}" ${baseBranch}`);
+    return { path: dir, branch };
+  }
+
+  /**
+   * Remove a worktree (its branch is kept)
+   * @param {string} dir - Worktree directory
+   */
+  async removeWorktree(dir) {
+    await this.init();
+    if (fs.existsSync(dir)) {
+      await this.execGit(`worktree remove --force "${dir}"`, { ignoreError: true });
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+    await this.execGit('worktree prune', { ignoreError: true });
+  }
+
+  /**
+   * Merge a branch into the current branch
+   * On conflicts MergeConflictError is thrown; the merge is aborted unless
+   * abortOnConflict is false, in which case it stays in progress so the
+   * conflicted files can be resolved and committed.
+   * @param {string} branch - Branch to merge
+   * @param {string} message - Merge commit message
+   * @param {Object} [options]
+   * @param {boolean} [options.abortOnConflict] - Abort the merge on conflicts (default true)
+   * @throws {MergeConflictError}
+   */
+  async mergeBranch(branch, message, options = {}) {
+    await this.init();
+    const { abortOnConflict = true } = options;
+
+    try {
+      await this.execGitArgs(['merge', '--no-ff', '-m', message, branch]);
+    } catch (error) {
+      const { branch: into, conflicted } = await this.getStatus();
+      if (conflicted.length === 0) {
+        throw error;
+      }
+
+      if (abortOnConflict) {
+        await this.abortMerge();
+      }
+      throw new MergeConflictError(
+        `Merging ${branch} into ${into} conflicts in: ${conflicted.join(', ')}`,
+        { operation: 'merge', branch, into, files: conflicted }
+      );
+    }
+  }
+
+  /**
+   * Abort a merge in progress
+   */
+  async abortMerge() {
+    await this.init();
+    await this.execGit('merge --abort', { ignoreError: true });
+  }
+
+  /**
+   * Rebase the current branch onto another branch
+   * Stops at the first conflicting commit; with abortOnConflict false the
+   * rebase stays in progress so the conflict can be resolved and the rebase
+   * continued with continueRebase().
+   * @param {string} onto - Branch to rebase onto
+   * @param {Object} [options]
+   * @param {boolean} [options.abortOnConflict] - Abort the rebase on conflicts (default true)
+   * @throws {MergeConflictError}
+   */
+  async rebase(onto, options = {}) {
+    await this.init();
+    const branch = await this.getCurrentBranch();
+    await this.runRebaseStep(`rebase ${onto}`, { onto, branch, ...options });
+  }
+
+  /**
+   * Continue a rebase after conflicts were resolved and staged
+   * @param {Object} [options]
+   * @param {boolean} [options.abortOnConflict] - Abort the rebase on further conflicts (default true)
+   * @throws {MergeConflictError} - If a later commit conflicts
+   */
+  async continueRebase(options = {}) {
+    await this.init();
+    await this.runRebaseStep('-c core.editor=true rebase --continue', options);
+  }
+
+  /**
+   * Abort a rebase in progress
+   */
+  async abortRebase() {
+    await this.init();
+    await this.execGit('rebase --abort', { ignoreError: true });
+  }
+
+  /**
+   * Run a rebase command and report conflicts
+   * @param {string} command - Git command
+   * @param {Object} options - { onto, branch, abortOnConflict }
+   * @throws {MergeConflictError}
+   */
+  async runRebaseStep(command, { onto = null, branch = null, abortOnConflict = true } = {}) {
+    try {
+      await this.execGit(command);
+    } catch (error) {
+      const { conflicted } = await this.getStatus();
+      if (conflicted.length === 0) {
+        throw error;
+      }
+
+      if (abortOnConflict) {
+        await this.abortRebase();
+      }
+      throw new MergeConflictError(
+        `Rebasing ${branch || 'the current branch'}${onto ? ` onto ${onto}` : ''} conflicts in: ${conflicted.join(', ')}`,
+        { operation: 'rebase', branch, into: onto, files: conflicted }
+      );
+    }
+  }
+
+  /**
+   * Get the versions of a conflicted file
+   * Missing versions (e.g. a file added on one side only) are null.
+   * @param {string} file - Conflicted file path
+   * @returns {{path: string, base: string|null, ours: string|null, theirs: string|null, merged: string}}
+   */
+  async getConflictVersions(file) {
+    await this.init();
+
+    const show = async (stage) => {
+      try {
+        return await this.execGitArgs(['show', `:${stage}:${file}`], { trim: false });
+      } catch {
+        return null;
+      }
+    };
+
+    const filePath = path.join(this.workingDir, file);
+    return {
+      path: file,
+      base: await show(1),
+      ours: await show(2),
+      theirs: await show(3),
+      merged: fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : ''
+    };
+  }
+
   /**
    * Create agent-specific commit
    * @param {string} agentType - Agent type
@@ -373,5 +803,6 @@ export function getGitManager() {
 }
 
 export default {
-  getGitManager
+  getGitManager,
+  MergeConflictError
 };
@@ -77,6 +77,7 @@ class PRManager {
       title,
       body = '',
       baseBranch = 'main',
+      remote = 'origin',
       draft = true,
       labels = [],
       reviewers = [],
@@ -93,7 +94,7 @@ class PRManager {
 
     // Push branch to remote if not already
     try {
-      await git.push(branch);
+      await git.push(branch, remote);
     } catch (error) {
       // Branch might already be pushed, continue
     }